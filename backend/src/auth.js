@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import db from './database.js';
+import { generateToken, hashToken } from './tokens.js';
+
+const SCRYPT_KEY_LENGTH = 64;
+const TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+/**
+ * Hash a password with a random salt using scrypt.
+ * Returns a string of the form `scrypt$<salt>$<hash>` (hex encoded).
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Verify a password against a hash produced by hashPassword.
+ * Uses a constant-time comparison to avoid timing leaks.
+ */
+export function verifyPassword(password, storedHash) {
+  if (!storedHash) return false;
+
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Issue a new bearer token for a user and persist its hash.
+ */
+export function createAuthToken(userId) {
+  const token = generateToken();
+  const now = Math.floor(Date.now() / 1000);
+
+  db.prepare(`
+    INSERT INTO auth_tokens (token_hash, user_id, created_at, expires_at)
+    VALUES (?, ?, ?, ?)
+  `).run(hashToken(token), userId, now, now + TOKEN_TTL_SECONDS);
+
+  return token;
+}
+
+/**
+ * Resolve a bearer token to its user, or null if unknown or expired.
+ */
+export function findUserByToken(token) {
+  if (!token) return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  const row = db.prepare(`
+    SELECT u.user_id, u.username
+    FROM auth_tokens t
+    JOIN users u ON u.user_id = t.user_id
+    WHERE t.token_hash = ? AND t.expires_at > ?
+  `).get(hashToken(token), now);
+
+  return row ? { userId: row.user_id, username: row.username } : null;
+}
+
+/**
+ * Revoke a single token (logout).
+ */
+export function revokeAuthToken(token) {
+  db.prepare('DELETE FROM auth_tokens WHERE token_hash = ?').run(hashToken(token));
+}
+
+/**
+ * Redeem a claim token for a legacy account (one with no password),
+ * setting its password. Returns the user id, or null if the token is
+ * unknown, expired or the account already has a password. Any other claim
+ * tokens for the account are revoked.
+ */
+export function claimAccount(username, claimToken, password) {
+  const now = Math.floor(Date.now() / 1000);
+  const row = db.prepare(`
+    SELECT u.user_id
+    FROM account_claims c
+    JOIN users u ON u.user_id = c.user_id
+    WHERE c.token_hash = ? AND c.expires_at > ? AND u.username = ? AND u.password_hash IS NULL
+  `).get(hashToken(claimToken), now, username);
+
+  if (!row) return null;
+
+  const passwordHash = hashPassword(password);
+  const claim = db.transaction(() => {
+    db.prepare('UPDATE users SET password_hash = ? WHERE user_id = ?').run(passwordHash, row.user_id);
+    db.prepare('DELETE FROM account_claims WHERE user_id = ?').run(row.user_id);
+  });
+  claim();
+
+  return row.user_id;
+}
@@ -0,0 +1,29 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// DATABASE_PATH points the server at another file (the tests use a temporary one)
+export const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'typr.db');
+
+// Ensure data directory exists
+const dataDir = path.dirname(dbPath);
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir, { recursive: true });
+}
+
+/**
+ * Open the SQLite database without touching its schema.
+ * Used by the server (via database.js) and by the migration CLI.
+ */
+export function openDatabase() {
+  const db = new Database(dbPath);
+
+  // Enable foreign keys
+  db.pragma('foreign_keys = ON');
+
+  return db;
+}
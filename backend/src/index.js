@@ -2,9 +2,15 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import rateLimit from 'express-rate-limit';
+import authRouter from './routes/auth.js';
 import usersRouter from './routes/users.js';
 import settingsRouter from './routes/settings.js';
 import sessionsRouter from './routes/sessions.js';
+import layoutsRouter from './routes/layouts.js';
+import lessonsRouter from './routes/lessons.js';
+import wordListsRouter from './routes/wordlists.js';
+import themesRouter from './routes/themes.js';
+import { requireAuth } from './middleware/auth.js';
 
 dotenv.config();
 
@@ -20,6 +26,15 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.'
 });
 
+// Stricter limit for login/registration to slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 auth attempts per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many login attempts from this IP, please try again later.'
+});
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -36,9 +51,19 @@ app.get('/health', (req, res) => {
 app.use('/api/', limiter);
 
 // API routes
-app.use('/api/users', usersRouter);
-app.use('/api/settings', settingsRouter);
-app.use('/api/sessions', sessionsRouter);
+app.use('/api/auth/login', authLimiter);
+app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/claim', authLimiter);
+app.use('/api/auth', authRouter);
+
+// Everything else requires a valid bearer token
+app.use('/api/users', requireAuth, usersRouter);
+app.use('/api/settings', requireAuth, settingsRouter);
+app.use('/api/sessions', requireAuth, sessionsRouter);
+app.use('/api/layouts', requireAuth, layoutsRouter);
+app.use('/api/lessons', requireAuth, lessonsRouter);
+app.use('/api/wordlists', requireAuth, wordListsRouter);
+app.use('/api/themes', requireAuth, themesRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
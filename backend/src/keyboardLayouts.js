@@ -0,0 +1,48 @@
+/**
+ * Lookup of built-in and user-defined keyboard layouts.
+ *
+ * Custom layouts belong to one user, so a layout id is only valid for
+ * sessions and settings of the user who created it.
+ */
+
+import db from './database.js';
+import { LAYOUTS, resolveLayout } from '../../shared/analytics/index.js';
+
+// Map a keyboard_layouts row to the API shape
+export function formatLayout(row) {
+  return {
+    layoutId: row.layout_id,
+    userId: row.user_id,
+    name: row.name,
+    rows: JSON.parse(row.rows),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function getUserLayouts(userId) {
+  return db.prepare(`
+    SELECT layout_id, user_id, name, rows, created_at, updated_at
+    FROM keyboard_layouts
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `).all(userId).map(formatLayout);
+}
+
+/**
+ * Whether `layoutId` is a built-in layout or one of `userId`'s own.
+ */
+export function isKnownLayout(layoutId, userId) {
+  if (LAYOUTS[layoutId]) return true;
+  const row = db.prepare('SELECT 1 FROM keyboard_layouts WHERE layout_id = ? AND user_id = ?')
+    .get(layoutId, userId);
+  return Boolean(row);
+}
+
+/**
+ * KeyboardLayout for analysing `userId`'s sessions, falling back to QWERTY.
+ */
+export function getUserLayout(layoutId, userId) {
+  if (!layoutId || LAYOUTS[layoutId]) return resolveLayout(layoutId);
+  return resolveLayout(layoutId, getUserLayouts(userId));
+}
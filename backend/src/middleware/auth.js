@@ -0,0 +1,151 @@
+import db from '../database.js';
+import { findUserByToken } from '../auth.js';
+
+/**
+ * Extract the bearer token from the Authorization header.
+ */
+export function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Reject requests without a valid bearer token.
+ * On success the authenticated user is available as `req.user`.
+ */
+export function requireAuth(req, res, next) {
+  try {
+    const user = findUserByToken(getBearerToken(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+}
+
+/**
+ * Only allow the authenticated user to touch their own `:userId`.
+ */
+export function requireSelf(req, res, next) {
+  if (req.params.userId !== req.user.userId) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+}
+
+/**
+ * Only allow the owner of `:sessionId` to read or modify it.
+ */
+export function requireSessionOwner(req, res, next) {
+  try {
+    const session = db.prepare('SELECT user_id FROM sessions WHERE session_id = ?')
+      .get(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking session ownership:', error);
+    res.status(500).json({ error: 'Failed to check session ownership' });
+  }
+}
+
+/**
+ * Only allow the owner of `:layoutId` to modify it.
+ */
+export function requireLayoutOwner(req, res, next) {
+  try {
+    const layout = db.prepare('SELECT user_id FROM keyboard_layouts WHERE layout_id = ?')
+      .get(req.params.layoutId);
+
+    if (!layout) {
+      return res.status(404).json({ error: 'Layout not found' });
+    }
+    if (layout.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking layout ownership:', error);
+    res.status(500).json({ error: 'Failed to check layout ownership' });
+  }
+}
+
+/**
+ * Only allow the owner of `:themeId` to modify it.
+ */
+export function requireThemeOwner(req, res, next) {
+  try {
+    const theme = db.prepare('SELECT user_id FROM user_themes WHERE theme_id = ?')
+      .get(req.params.themeId);
+
+    if (!theme) {
+      return res.status(404).json({ error: 'Theme not found' });
+    }
+    if (theme.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking theme ownership:', error);
+    res.status(500).json({ error: 'Failed to check theme ownership' });
+  }
+}
+
+/**
+ * Only allow the owner of `:listId`, or anyone if the list is shared with
+ * the team, to read it.
+ */
+export function requireWordListAccess(req, res, next) {
+  try {
+    const list = db.prepare('SELECT user_id, visibility FROM word_lists WHERE list_id = ?')
+      .get(req.params.listId);
+
+    if (!list) {
+      return res.status(404).json({ error: 'Word list not found' });
+    }
+    if (list.user_id !== req.user.userId && list.visibility !== 'team') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking word list access:', error);
+    res.status(500).json({ error: 'Failed to check word list access' });
+  }
+}
+
+/**
+ * Only allow the owner of `:listId` to modify it.
+ */
+export function requireWordListOwner(req, res, next) {
+  try {
+    const list = db.prepare('SELECT user_id FROM word_lists WHERE list_id = ?')
+      .get(req.params.listId);
+
+    if (!list) {
+      return res.status(404).json({ error: 'Word list not found' });
+    }
+    if (list.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking word list ownership:', error);
+    res.status(500).json({ error: 'Failed to check word list ownership' });
+  }
+}
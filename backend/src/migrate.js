@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+// Migration files are named `NNN_description.js` and export `up(db)`
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Human-readable migration label, e.g. `002_auth`.
+ */
+export function formatMigration({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+/**
+ * Load every migration module from src/migrations, sorted by version.
+ */
+export async function loadMigrations() {
+  const files = fs.readdirSync(migrationsDir)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file));
+
+  const migrations = await Promise.all(files.map(async (file) => {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const module = await import(pathToFileURL(path.join(migrationsDir, file)).href);
+
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration ${file} does not export an up() function`);
+    }
+
+    return { version: parseInt(version, 10), name, up: module.up };
+  }));
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, idx) => {
+    if (idx > 0 && migration.version === migrations[idx - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+function hasMigrationsTable(db) {
+  return Boolean(db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+  ).get());
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+}
+
+/**
+ * Compare applied migrations with the ones shipped in the code.
+ * Returns `{ currentVersion, latestVersion, applied, pending }`.
+ * Read-only: a database without a `schema_migrations` table has nothing applied.
+ */
+export async function getMigrationStatus(db) {
+  const migrations = await loadMigrations();
+  const applied = hasMigrationsTable(db)
+    ? db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all()
+    : [];
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  const currentVersion = applied.length > 0 ? applied[applied.length - 1].version : 0;
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  return {
+    currentVersion,
+    latestVersion,
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version))
+  };
+}
+
+/**
+ * Apply all pending migrations in a single transaction.
+ * With `dryRun` the pending list is returned without changing the database.
+ * Throws if the database was migrated by a newer version of the code.
+ */
+export async function runMigrations(db, { dryRun = false } = {}) {
+  const status = await getMigrationStatus(db);
+
+  if (status.currentVersion > status.latestVersion) {
+    throw new Error(
+      `Database schema version ${status.currentVersion} is newer than this code supports ` +
+      `(${status.latestVersion}). Refusing to start - upgrade the backend.`
+    );
+  }
+
+  if (dryRun || status.pending.length === 0) {
+    return status.pending;
+  }
+
+  ensureMigrationsTable(db);
+  const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+  const applyPending = db.transaction(() => {
+    status.pending.forEach(migration => {
+      console.log(`Applying migration ${formatMigration(migration)}`);
+      migration.up(db);
+      recordMigration.run(migration.version, migration.name);
+    });
+  });
+  applyPending();
+
+  return status.pending;
+}
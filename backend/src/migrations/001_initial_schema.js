@@ -0,0 +1,54 @@
+/**
+ * Initial schema: users, settings and sessions, plus the guest user.
+ * Uses IF NOT EXISTS so databases created before migrations existed adopt it as-is.
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      user_id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_settings (
+      user_id TEXT PRIMARY KEY,
+      font TEXT NOT NULL DEFAULT 'Courier New',
+      font_size TEXT NOT NULL DEFAULT 'M',
+      theme TEXT NOT NULL DEFAULT 'dark',
+      sound_enabled INTEGER NOT NULL DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      session_id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      mode TEXT NOT NULL,
+      mode_value INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      user_input TEXT NOT NULL,
+      events TEXT NOT NULL,
+      session_duration INTEGER NOT NULL,
+      accuracy REAL NOT NULL,
+      max_index_reached INTEGER,
+      mechanical_cpm REAL,
+      productive_cpm REAL,
+      char_states TEXT,
+      timestamp TEXT NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_timestamp ON sessions(timestamp);
+  `);
+
+  // Default guest user and its settings
+  db.prepare(`INSERT OR IGNORE INTO users (user_id, username) VALUES ('guest', 'Guest')`).run();
+  db.prepare(`INSERT OR IGNORE INTO user_settings (user_id) VALUES ('guest')`).run();
+}
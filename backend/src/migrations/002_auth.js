@@ -0,0 +1,23 @@
+/**
+ * Password login: password_hash on users and the auth_tokens table.
+ */
+export function up(db) {
+  // Databases started by the pre-migration auth code already have the column
+  const userColumns = db.prepare('PRAGMA table_info(users)').all();
+  if (!userColumns.some(column => column.name === 'password_hash')) {
+    db.exec('ALTER TABLE users ADD COLUMN password_hash TEXT');
+  }
+
+  // Stores SHA-256 hashes of bearer tokens
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      token_hash TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_id ON auth_tokens(user_id)');
+}
@@ -0,0 +1,8 @@
+/**
+ * Record which word list a session was generated from, so the session
+ * list can be filtered by it.
+ */
+export function up(db) {
+  db.exec('ALTER TABLE sessions ADD COLUMN word_source TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_user_timestamp ON sessions(user_id, timestamp)');
+}
@@ -0,0 +1,9 @@
+/**
+ * Store the outcome of server-side session validation. `validated` is
+ * NULL for sessions recorded before validation existed, 1 when the
+ * submitted metrics matched the keystrokes and 0 when they were flagged.
+ */
+export function up(db) {
+  db.exec('ALTER TABLE sessions ADD COLUMN validated INTEGER');
+  db.exec('ALTER TABLE sessions ADD COLUMN validation_issues TEXT');
+}
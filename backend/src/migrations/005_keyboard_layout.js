@@ -0,0 +1,9 @@
+/**
+ * Keyboard layouts: each user picks the layout they type on, and every
+ * session records the layout it was typed on so finger attribution stays
+ * right if the user switches later. NULL on older sessions means unknown.
+ */
+export function up(db) {
+  db.exec("ALTER TABLE user_settings ADD COLUMN keyboard_layout TEXT NOT NULL DEFAULT 'qwerty'");
+  db.exec('ALTER TABLE sessions ADD COLUMN keyboard_layout TEXT');
+}
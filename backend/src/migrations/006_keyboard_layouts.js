@@ -0,0 +1,20 @@
+/**
+ * Custom keyboard layouts: each user can define named layouts with their
+ * own key rows and finger assignments. `rows` holds the layout definition
+ * as JSON (see shared/analytics/customLayouts.js).
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS keyboard_layouts (
+      layout_id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      rows TEXT NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_keyboard_layouts_user_id ON keyboard_layouts(user_id)');
+}
@@ -0,0 +1,21 @@
+/**
+ * Lesson curriculum: one row per recorded lesson attempt. Progress (best
+ * results, whether a lesson is passed) is derived from these rows, so a
+ * lesson stays passed even if the session behind the pass is deleted.
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS lesson_attempts (
+      session_id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      lesson_id TEXT NOT NULL,
+      wpm REAL NOT NULL,
+      accuracy REAL NOT NULL,
+      passed INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_lesson_attempts_user_lesson ON lesson_attempts(user_id, lesson_id)');
+}
@@ -0,0 +1,11 @@
+/**
+ * Punctuation and numbers modifiers: record which were on for each
+ * generated word test, and the seed the text was generated from, so the
+ * session list can be filtered by them and the text reproduced. Older
+ * sessions had neither modifier; their seed is unknown (NULL).
+ */
+export function up(db) {
+  db.exec('ALTER TABLE sessions ADD COLUMN punctuation INTEGER NOT NULL DEFAULT 0');
+  db.exec('ALTER TABLE sessions ADD COLUMN numbers INTEGER NOT NULL DEFAULT 0');
+  db.exec('ALTER TABLE sessions ADD COLUMN text_seed INTEGER');
+}
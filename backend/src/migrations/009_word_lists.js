@@ -0,0 +1,23 @@
+/**
+ * Word lists: each user can keep named custom lists of words to type, next
+ * to the bundled ones. `words` holds the list as a JSON array. Sessions
+ * record which list their words were drawn from (also for the weakness
+ * drill, whose word source is 'drill'); older sessions leave it NULL.
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS word_lists (
+      list_id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      words TEXT NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_word_lists_user_id ON word_lists(user_id)');
+
+  db.exec('ALTER TABLE sessions ADD COLUMN word_list TEXT');
+}
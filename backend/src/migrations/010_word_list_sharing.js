@@ -0,0 +1,14 @@
+/**
+ * Word list sharing: a list is private to its owner or visible to the
+ * whole team (every account on this server), and carries an optional
+ * language. `word_count` is stored so lists can be listed without
+ * loading their words; existing lists stay private.
+ */
+export function up(db) {
+  db.exec("ALTER TABLE word_lists ADD COLUMN visibility TEXT NOT NULL DEFAULT 'private'");
+  db.exec('ALTER TABLE word_lists ADD COLUMN language TEXT');
+  db.exec('ALTER TABLE word_lists ADD COLUMN word_count INTEGER NOT NULL DEFAULT 0');
+  db.exec('UPDATE word_lists SET word_count = json_array_length(words)');
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_word_lists_visibility ON word_lists(visibility)');
+}
@@ -0,0 +1,22 @@
+/**
+ * User themes: each user can keep named colour themes next to the
+ * built-in ones. `colors` holds one `#rrggbb` value per colour token as a
+ * JSON object; `mode` is 'dark' or 'light'. user_settings.theme names
+ * either a built-in theme id or one of these theme_ids.
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_themes (
+      theme_id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      mode TEXT NOT NULL,
+      colors TEXT NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_user_themes_user_id ON user_themes(user_id)');
+}
@@ -0,0 +1,9 @@
+/**
+ * Colour vision settings: the palette heatmaps and charts are drawn in
+ * ('theme' keeps the theme's own colours) and whether typed characters get
+ * underline and strike-through cues on top of their colours.
+ */
+export function up(db) {
+  db.exec("ALTER TABLE user_settings ADD COLUMN color_palette TEXT NOT NULL DEFAULT 'theme'");
+  db.exec('ALTER TABLE user_settings ADD COLUMN char_cues INTEGER NOT NULL DEFAULT 0');
+}
@@ -0,0 +1,11 @@
+/**
+ * Live speed settings for the typing screen: whether the rolling WPM and
+ * raw WPM readouts are shown, and the pace caret's target ('off', 'fixed'
+ * at `pace_wpm`, or the user's 'average' or 'best' speed).
+ */
+export function up(db) {
+  db.exec('ALTER TABLE user_settings ADD COLUMN show_live_wpm INTEGER NOT NULL DEFAULT 1');
+  db.exec('ALTER TABLE user_settings ADD COLUMN show_raw_wpm INTEGER NOT NULL DEFAULT 1');
+  db.exec("ALTER TABLE user_settings ADD COLUMN pace_caret TEXT NOT NULL DEFAULT 'off'");
+  db.exec('ALTER TABLE user_settings ADD COLUMN pace_wpm INTEGER NOT NULL DEFAULT 60');
+}
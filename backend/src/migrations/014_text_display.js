@@ -0,0 +1,7 @@
+/**
+ * How the typing screen lays out prose: 'tape' (one line sliding past a
+ * fixed caret) or 'lines' (three wrapped lines scrolling up).
+ */
+export function up(db) {
+  db.exec("ALTER TABLE user_settings ADD COLUMN text_display TEXT NOT NULL DEFAULT 'tape'");
+}
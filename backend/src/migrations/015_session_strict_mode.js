@@ -0,0 +1,9 @@
+/**
+ * Strict typing modes: record which one each session was typed in
+ * ('stop-letter', 'stop-word', 'confidence' or 'master'), so results are
+ * compared like for like and the session list can be filtered by it.
+ * Older sessions were all typed normally ('off').
+ */
+export function up(db) {
+  db.exec("ALTER TABLE sessions ADD COLUMN strict_mode TEXT NOT NULL DEFAULT 'off'");
+}
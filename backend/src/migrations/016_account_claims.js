@@ -0,0 +1,19 @@
+/**
+ * Claim tokens for accounts created before password login, which have no
+ * password. An admin issues one with `npm run claim-token`; the owner
+ * redeems it through POST /api/auth/claim to set a password.
+ */
+export function up(db) {
+  // Stores SHA-256 hashes of claim tokens, like auth_tokens
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS account_claims (
+      token_hash TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec('CREATE INDEX IF NOT EXISTS idx_account_claims_user_id ON account_claims(user_id)');
+}
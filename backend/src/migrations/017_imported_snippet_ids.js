@@ -0,0 +1,15 @@
+import { getImportedSnippetId } from '../../../shared/code/index.js';
+
+/**
+ * Code sessions on imported snippets were all stored with mode value 0.
+ * Give them the snippet's text hash, as new sessions have, so bests and
+ * ghost races are per snippet.
+ */
+export function up(db) {
+  const sessions = db.prepare("SELECT session_id, text FROM sessions WHERE mode = 'code' AND mode_value = 0").all();
+  const setModeValue = db.prepare('UPDATE sessions SET mode_value = ? WHERE session_id = ?');
+
+  sessions.forEach(session => {
+    setModeValue.run(getImportedSnippetId(session.text), session.session_id);
+  });
+}
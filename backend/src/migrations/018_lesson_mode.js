@@ -0,0 +1,7 @@
+/**
+ * Lesson sessions were stored in words mode, so they counted toward
+ * words-mode personal bests and ghosts. Give them their own mode.
+ */
+export function up(db) {
+  db.exec("UPDATE sessions SET mode = 'lesson' WHERE word_source LIKE 'lesson:%'");
+}
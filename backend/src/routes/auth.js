@@ -0,0 +1,130 @@
+import express from 'express';
+import db from '../database.js';
+import { hashPassword, verifyPassword, createAuthToken, revokeAuthToken, claimAccount } from '../auth.js';
+import { requireAuth, getBearerToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Register a new user
+router.post('/register', (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    // Accounts from before password login are claimed with an admin-issued token (POST /claim)
+    const existing = db.prepare('SELECT user_id FROM users WHERE username = ?').get(username);
+    if (existing) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+
+    const passwordHash = hashPassword(password);
+    const userId = `user_${Date.now()}`;
+
+    const createUser = db.transaction(() => {
+      db.prepare('INSERT INTO users (user_id, username, password_hash) VALUES (?, ?, ?)')
+        .run(userId, username, passwordHash);
+      db.prepare('INSERT INTO user_settings (user_id) VALUES (?)').run(userId);
+    });
+    createUser();
+    console.log('User registered successfully:', userId);
+
+    const user = db.prepare('SELECT user_id, username, created_at FROM users WHERE user_id = ?').get(userId);
+    const token = createAuthToken(userId);
+
+    res.status(201).json({ token, user });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    if (error.message.includes('UNIQUE constraint')) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+    res.status(500).json({ error: 'Failed to register user' });
+  }
+});
+
+// Set the password of a legacy account that has none, using a claim token
+// issued by `npm run claim-token`
+router.post('/claim', (req, res) => {
+  try {
+    const { username, claimToken, password } = req.body;
+
+    if (typeof username !== 'string' || typeof claimToken !== 'string' || typeof password !== 'string' ||
+        !username || !claimToken || !password) {
+      return res.status(400).json({ error: 'Username, claim token and password are required' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const userId = claimAccount(username, claimToken, password);
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid or expired claim token' });
+    }
+
+    const user = db.prepare('SELECT user_id, username, created_at FROM users WHERE user_id = ?').get(userId);
+    const token = createAuthToken(userId);
+
+    console.log('Account claimed:', userId);
+    res.json({ token, user });
+  } catch (error) {
+    console.error('Error claiming account:', error);
+    res.status(500).json({ error: 'Failed to claim account' });
+  }
+});
+
+// Log in with username and password
+router.post('/login', (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const row = db.prepare('SELECT user_id, password_hash FROM users WHERE username = ?').get(username);
+    if (!row || !verifyPassword(password, row.password_hash)) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const user = db.prepare('SELECT user_id, username, created_at FROM users WHERE user_id = ?').get(row.user_id);
+    const token = createAuthToken(row.user_id);
+
+    console.log('User logged in:', row.user_id);
+    res.json({ token, user });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Log out (revoke the token used for this request)
+router.post('/logout', requireAuth, (req, res) => {
+  try {
+    revokeAuthToken(getBearerToken(req));
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Get the currently authenticated user
+router.get('/me', requireAuth, (req, res) => {
+  try {
+    const user = db.prepare('SELECT user_id, username, created_at FROM users WHERE user_id = ?')
+      .get(req.user.userId);
+    res.json(user);
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ error: 'Failed to fetch current user' });
+  }
+});
+
+export default router;
@@ -0,0 +1,103 @@
+import express from 'express';
+import db from '../database.js';
+import { requireSelf, requireLayoutOwner } from '../middleware/auth.js';
+import { formatLayout, getUserLayouts } from '../keyboardLayouts.js';
+import {
+  validateLayoutDefinition,
+  normalizeLayoutDefinition,
+  DEFAULT_LAYOUT_ID
+} from '../../../shared/analytics/index.js';
+
+const router = express.Router();
+
+const LAYOUT_COLUMNS = 'layout_id, user_id, name, rows, created_at, updated_at';
+
+// Each user can keep this many custom layouts
+const MAX_LAYOUTS_PER_USER = 20;
+
+// Validate the request body as a layout definition
+function parseDefinition(req, res) {
+  const issues = validateLayoutDefinition(req.body);
+  if (issues.length > 0) {
+    res.status(400).json({ error: 'Invalid layout', issues });
+    return null;
+  }
+  return normalizeLayoutDefinition(req.body);
+}
+
+// Get a user's custom layouts
+router.get('/user/:userId', requireSelf, (req, res) => {
+  try {
+    res.json(getUserLayouts(req.params.userId));
+  } catch (error) {
+    console.error('Error fetching layouts:', error);
+    res.status(500).json({ error: 'Failed to fetch layouts' });
+  }
+});
+
+// Create a layout for the authenticated user
+router.post('/', (req, res) => {
+  try {
+    const definition = parseDefinition(req, res);
+    if (!definition) return;
+
+    const userId = req.user.userId;
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM keyboard_layouts WHERE user_id = ?').get(userId);
+    if (count >= MAX_LAYOUTS_PER_USER) {
+      return res.status(400).json({ error: `You can keep at most ${MAX_LAYOUTS_PER_USER} custom layouts` });
+    }
+
+    const layoutId = `layout_${Date.now()}`;
+    db.prepare(`
+      INSERT INTO keyboard_layouts (layout_id, user_id, name, rows)
+      VALUES (?, ?, ?, ?)
+    `).run(layoutId, userId, definition.name, JSON.stringify(definition.rows));
+
+    const layout = db.prepare(`SELECT ${LAYOUT_COLUMNS} FROM keyboard_layouts WHERE layout_id = ?`).get(layoutId);
+    res.status(201).json(formatLayout(layout));
+  } catch (error) {
+    console.error('Error creating layout:', error);
+    res.status(500).json({ error: 'Failed to create layout' });
+  }
+});
+
+// Replace a layout's name and keys
+router.put('/:layoutId', requireLayoutOwner, (req, res) => {
+  try {
+    const definition = parseDefinition(req, res);
+    if (!definition) return;
+
+    const { layoutId } = req.params;
+    db.prepare(`
+      UPDATE keyboard_layouts
+      SET name = ?, rows = ?, updated_at = strftime('%s', 'now')
+      WHERE layout_id = ?
+    `).run(definition.name, JSON.stringify(definition.rows), layoutId);
+
+    const layout = db.prepare(`SELECT ${LAYOUT_COLUMNS} FROM keyboard_layouts WHERE layout_id = ?`).get(layoutId);
+    res.json(formatLayout(layout));
+  } catch (error) {
+    console.error('Error updating layout:', error);
+    res.status(500).json({ error: 'Failed to update layout' });
+  }
+});
+
+// Delete a layout; users typing on it go back to the default layout
+router.delete('/:layoutId', requireLayoutOwner, (req, res) => {
+  try {
+    const { layoutId } = req.params;
+
+    db.transaction(() => {
+      db.prepare('UPDATE user_settings SET keyboard_layout = ? WHERE user_id = ? AND keyboard_layout = ?')
+        .run(DEFAULT_LAYOUT_ID, req.user.userId, layoutId);
+      db.prepare('DELETE FROM keyboard_layouts WHERE layout_id = ?').run(layoutId);
+    })();
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting layout:', error);
+    res.status(500).json({ error: 'Failed to delete layout' });
+  }
+});
+
+export default router;
@@ -0,0 +1,116 @@
+import express from 'express';
+import db from '../database.js';
+import { requireSelf } from '../middleware/auth.js';
+import {
+  getLesson,
+  evaluateLessonAttempt,
+  summarizeLessonProgress,
+  isLessonUnlocked,
+  getLessonWordSource
+} from '../../../shared/lessons/index.js';
+
+const router = express.Router();
+
+const CHARS_PER_WORD = 5;
+
+// Map a lesson_attempts row to the API shape
+function formatAttempt(row) {
+  return {
+    lessonId: row.lesson_id,
+    sessionId: row.session_id,
+    wpm: row.wpm,
+    accuracy: row.accuracy,
+    passed: Boolean(row.passed),
+    createdAt: row.created_at
+  };
+}
+
+function getProgress(userId) {
+  const rows = db.prepare(`
+    SELECT session_id, lesson_id, wpm, accuracy, passed, created_at
+    FROM lesson_attempts
+    WHERE user_id = ?
+  `).all(userId);
+  return summarizeLessonProgress(rows.map(formatAttempt));
+}
+
+// Get a user's progress per lesson
+router.get('/user/:userId', requireSelf, (req, res) => {
+  try {
+    res.json(getProgress(req.params.userId));
+  } catch (error) {
+    console.error('Error fetching lesson progress:', error);
+    res.status(500).json({ error: 'Failed to fetch lesson progress' });
+  }
+});
+
+// Record a lesson attempt from a saved session. The result is judged on
+// the server's recomputed metrics, and only unlocked lessons can be attempted.
+router.post('/:lessonId/attempts', (req, res) => {
+  try {
+    const { lessonId } = req.params;
+    const { sessionId } = req.body;
+    const userId = req.user.userId;
+
+    const lesson = getLesson(lessonId);
+    if (!lesson) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Missing sessionId' });
+    }
+
+    const session = db.prepare(`
+      SELECT user_id, word_source, productive_cpm, accuracy, validated
+      FROM sessions
+      WHERE session_id = ?
+    `).get(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.user_id !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (session.word_source !== getLessonWordSource(lessonId)) {
+      return res.status(400).json({ error: 'Session was not typed for this lesson' });
+    }
+
+    const existing = db.prepare('SELECT 1 FROM lesson_attempts WHERE session_id = ?').get(sessionId);
+    if (existing) {
+      return res.status(409).json({ error: 'Attempt already recorded' });
+    }
+
+    if (!isLessonUnlocked(lessonId, getProgress(userId))) {
+      return res.status(403).json({ error: 'Lesson is locked' });
+    }
+
+    const wpm = (session.productive_cpm || 0) / CHARS_PER_WORD;
+    const evaluation = evaluateLessonAttempt(lesson, { wpm, accuracy: session.accuracy });
+    // Sessions that failed validation count as attempts but never pass
+    const validated = session.validated !== 0;
+    const passed = evaluation.passed && validated;
+
+    db.prepare(`
+      INSERT INTO lesson_attempts (session_id, user_id, lesson_id, wpm, accuracy, passed, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(sessionId, userId, lessonId, wpm, session.accuracy, passed ? 1 : 0, new Date().toISOString());
+
+    res.status(201).json({
+      lessonId,
+      sessionId,
+      wpm,
+      accuracy: session.accuracy,
+      passed,
+      wpmMet: evaluation.wpmMet,
+      accuracyMet: evaluation.accuracyMet,
+      validated,
+      progress: getProgress(userId)
+    });
+  } catch (error) {
+    console.error('Error recording lesson attempt:', error);
+    res.status(500).json({ error: 'Failed to record lesson attempt' });
+  }
+});
+
+export default router;
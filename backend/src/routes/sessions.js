@@ -1,78 +1,384 @@
 import express from 'express';
 import db from '../database.js';
+import { requireSelf, requireSessionOwner } from '../middleware/auth.js';
+import { validateSession } from '../sessionValidation.js';
+import { analyzeSession, isStrictMode, DEFAULT_STRICT_MODE } from '../../../shared/analytics/index.js';
+import { getUserLayout, isKnownLayout } from '../keyboardLayouts.js';
+import { getQuote } from '../../../shared/quotes/index.js';
+import { getSnippet, getImportedSnippetId, isImportedSnippetId } from '../../../shared/code/index.js';
+import { isValidSeed } from '../../../shared/text/index.js';
+import { getLessonByWordSource } from '../../../shared/lessons/index.js';
 
 const router = express.Router();
 
-// Get all sessions for a user
-router.get('/user/:userId', (req, res) => {
+// 'reject' refuses sessions that fail validation; the default 'flag' stores them as unvalidated
+const REJECT_INVALID_SESSIONS = process.env.SESSION_VALIDATION === 'reject';
+
+// Net WPM for a row: productive CPM / 5, derived from max index and duration for old rows
+const NET_WPM_SQL = `
+  COALESCE(
+    productive_cpm,
+    CASE WHEN session_duration > 0 THEN max_index_reached * 60000.0 / session_duration END
+  ) / 5.0
+`;
+
+// Columns for list responses: no text, input or keystroke payloads
+const SUMMARY_COLUMNS = `
+  session_id, user_id, mode, mode_value, session_duration, accuracy,
+  max_index_reached, mechanical_cpm, productive_cpm, word_source, word_list,
+  validated, punctuation, numbers, text_seed, strict_mode, timestamp, created_at,
+  ${NET_WPM_SQL} AS net_wpm
+`;
+
+// Columns for full session responses, including events and char states
+const FULL_COLUMNS = `
+  session_id, user_id, mode, mode_value, text, user_input, events,
+  session_duration, accuracy, max_index_reached, mechanical_cpm,
+  productive_cpm, char_states, word_source, word_list, validated,
+  validation_issues, keyboard_layout, punctuation, numbers, text_seed,
+  strict_mode, timestamp, created_at, ${NET_WPM_SQL} AS net_wpm
+`;
+
+// Map a summary row to the API shape
+function formatSessionSummary(session) {
+  return {
+    sessionId: session.session_id,
+    userId: session.user_id,
+    mode: session.mode,
+    modeValue: session.mode_value,
+    wpm: session.net_wpm,
+    sessionDuration: session.session_duration,
+    accuracy: session.accuracy,
+    maxIndexReached: session.max_index_reached,
+    mechanicalCPM: session.mechanical_cpm,
+    productiveCPM: session.productive_cpm,
+    wordSource: session.word_source,
+    wordList: session.word_list,
+    validated: session.validated === null ? null : session.validated === 1,
+    punctuation: session.punctuation === 1,
+    numbers: session.numbers === 1,
+    textSeed: session.text_seed,
+    strictMode: session.strict_mode,
+    timestamp: session.timestamp
+  };
+}
+
+// Map a full row to the API shape (throws if the stored JSON is corrupt)
+function formatSession(session) {
+  return {
+    ...formatSessionSummary(session),
+    text: session.text,
+    userInput: session.user_input,
+    events: JSON.parse(session.events),
+    charStates: session.char_states ? JSON.parse(session.char_states) : null,
+    validationIssues: session.validation_issues ? JSON.parse(session.validation_issues) : [],
+    keyboardLayout: session.keyboard_layout
+  };
+}
+
+// Sortable metrics for the session list (NULLs sort as 0 so cursors stay comparable)
+const SORT_COLUMNS = {
+  timestamp: 'timestamp',
+  wpm: `COALESCE(${NET_WPM_SQL}, 0)`,
+  accuracy: 'accuracy',
+  duration: 'session_duration',
+  mechanicalCPM: 'COALESCE(mechanical_cpm, 0)',
+  productiveCPM: 'COALESCE(productive_cpm, 0)'
+};
+
+// Numeric range filters: query parameter -> [SQL expression, comparison]
+const RANGE_FILTERS = {
+  minWpm: [NET_WPM_SQL, '>='],
+  maxWpm: [NET_WPM_SQL, '<='],
+  minAccuracy: ['accuracy', '>='],
+  maxAccuracy: ['accuracy', '<=']
+};
+
+// Most ids accepted by the sessionIds filter (one aggregate analysis)
+const MAX_SESSION_IDS = 100;
+
+// Largest page a single list request may ask for
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque base64url-encoded JSON: { v: sort value, id: session id }.
+// Sort values are strings or numbers; anything else can't be bound as a query parameter.
+function encodeCursor(value, sessionId) {
+  return Buffer.from(JSON.stringify({ v: value, id: sessionId })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded && typeof decoded.id === 'string' &&
+        (typeof decoded.v === 'string' || typeof decoded.v === 'number')) {
+      return decoded;
+    }
+  } catch {
+    // Fall through to null
+  }
+  return null;
+}
+
+// Get sessions for a user, newest first by default.
+// Returns `{ sessions, nextCursor }`. Sessions are summaries unless `?include=events`.
+// Filters: sessionIds (comma-separated), mode, modeValue, text (exact), from, to, minWpm,
+// maxWpm, minAccuracy, maxAccuracy, wordSource, punctuation, numbers (true or false), strictMode.
+// Sorting: sort (timestamp, wpm, accuracy, duration, mechanicalCPM, productiveCPM), order (asc, desc).
+// Pagination: limit (1 to MAX_PAGE_SIZE) plus the `cursor` returned as nextCursor by the previous page.
+router.get('/user/:userId', requireSelf, (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit, offset } = req.query;
+    const {
+      limit, offset, include, cursor, sessionIds,
+      mode, modeValue, text, from, to, wordSource, strictMode,
+      sort = 'timestamp', order = 'desc'
+    } = req.query;
+    const includeEvents = include === 'events';
     
+    const sortExpression = SORT_COLUMNS[sort];
+    if (!sortExpression) {
+      return res.status(400).json({ error: `sort must be one of ${Object.keys(SORT_COLUMNS).join(', ')}` });
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+    
+    const pageSize = limit !== undefined ? Number(limit) : null;
+    if (pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+      return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_PAGE_SIZE}` });
+    }
+    const pageOffset = offset !== undefined ? Number(offset) : 0;
+    if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+    
+    const conditions = ['user_id = ?'];
+    const params = [userId];
+    
+    if (sessionIds) {
+      const ids = String(sessionIds).split(',').filter(Boolean);
+      if (ids.length > MAX_SESSION_IDS) {
+        return res.status(400).json({ error: `sessionIds accepts at most ${MAX_SESSION_IDS} ids` });
+      }
+      conditions.push(`session_id IN (${ids.map(() => '?').join(', ') || 'NULL'})`);
+      params.push(...ids);
+    }
+    if (mode) {
+      conditions.push('mode = ?');
+      params.push(mode);
+    }
+    if (modeValue !== undefined) {
+      conditions.push('mode_value = ?');
+      params.push(parseInt(modeValue, 10));
+    }
+    if (text) {
+      conditions.push('text = ?');
+      params.push(String(text));
+    }
+    if (from) {
+      conditions.push('timestamp >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('timestamp <= ?');
+      params.push(to);
+    }
+    if (wordSource) {
+      conditions.push('word_source = ?');
+      params.push(wordSource);
+    }
+    if (strictMode) {
+      conditions.push('strict_mode = ?');
+      params.push(strictMode);
+    }
+    
+    for (const flag of ['punctuation', 'numbers']) {
+      if (req.query[flag] === undefined) continue;
+      
+      if (req.query[flag] !== 'true' && req.query[flag] !== 'false') {
+        return res.status(400).json({ error: `${flag} must be true or false` });
+      }
+      conditions.push(`${flag} = ?`);
+      params.push(req.query[flag] === 'true' ? 1 : 0);
+    }
+    
+    for (const [param, [expression, comparison]] of Object.entries(RANGE_FILTERS)) {
+      if (req.query[param] === undefined) continue;
+      
+      const value = parseFloat(req.query[param]);
+      if (Number.isNaN(value)) {
+        return res.status(400).json({ error: `${param} must be a number` });
+      }
+      conditions.push(`${expression} ${comparison} ?`);
+      params.push(value);
+    }
+    
+    // Keyset pagination: continue strictly after the last row of the previous page,
+    // using session_id as a tie-breaker so equal sort values are never skipped or repeated
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      const comparison = order === 'desc' ? '<' : '>';
+      conditions.push(
+        `(${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND session_id ${comparison} ?))`
+      );
+      params.push(decoded.v, decoded.v, decoded.id);
+    }
+    
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
     let query = `
-      SELECT session_id, user_id, mode, mode_value, text, user_input, events,
-             session_duration, accuracy, max_index_reached, mechanical_cpm,
-             productive_cpm, char_states, timestamp, created_at
+      SELECT ${includeEvents ? FULL_COLUMNS : SUMMARY_COLUMNS},
+             ${sortExpression} AS sort_value
       FROM sessions
-      WHERE user_id = ?
-      ORDER BY timestamp DESC
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY sort_value ${direction}, session_id ${direction}
     `;
     
-    const params = [userId];
-    
-    if (limit) {
+    if (pageSize) {
+      // Fetch one extra row to know whether another page exists
       query += ' LIMIT ?';
-      params.push(parseInt(limit, 10));
+      params.push(pageSize + 1);
       
-      if (offset) {
+      if (pageOffset && !cursor) {
         query += ' OFFSET ?';
-        params.push(parseInt(offset, 10));
+        params.push(pageOffset);
       }
     }
     
-    const sessions = db.prepare(query).all(...params);
+    const rows = db.prepare(query).all(...params);
+    
+    let nextCursor = null;
+    if (pageSize && rows.length > pageSize) {
+      rows.length = pageSize;
+      const last = rows[rows.length - 1];
+      nextCursor = encodeCursor(last.sort_value, last.session_id);
+    }
+    
+    if (!includeEvents) {
+      return res.json({ sessions: rows.map(formatSessionSummary), nextCursor });
+    }
     
     // Parse JSON fields with error handling
-    const formattedSessions = sessions.map(session => {
+    const formattedSessions = rows.map(session => {
       try {
-        return {
-          sessionId: session.session_id,
-          userId: session.user_id,
-          mode: session.mode,
-          modeValue: session.mode_value,
-          text: session.text,
-          userInput: session.user_input,
-          events: JSON.parse(session.events),
-          sessionDuration: session.session_duration,
-          accuracy: session.accuracy,
-          maxIndexReached: session.max_index_reached,
-          mechanicalCPM: session.mechanical_cpm,
-          productiveCPM: session.productive_cpm,
-          charStates: session.char_states ? JSON.parse(session.char_states) : null,
-          timestamp: session.timestamp
-        };
+        return formatSession(session);
       } catch (parseError) {
         console.error(`Error parsing session ${session.session_id}:`, parseError);
         return null;
       }
     }).filter(session => session !== null);
     
-    res.json(formattedSessions);
+    res.json({ sessions: formattedSessions, nextCursor });
   } catch (error) {
     console.error('Error fetching sessions:', error);
     res.status(500).json({ error: 'Failed to fetch sessions' });
   }
 });
 
+// strftime() formats for each supported grouping (week = Monday-based week of year)
+const STATS_GROUP_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%Y-W%W',
+  month: '%Y-%m'
+};
+
+// Get aggregate progress statistics for a user, grouped by day, week or month
+router.get('/user/:userId/stats', requireSelf, (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { groupBy = 'day', from, to } = req.query;
+    
+    const groupFormat = STATS_GROUP_FORMATS[groupBy];
+    if (!groupFormat) {
+      return res.status(400).json({ error: 'groupBy must be one of day, week, month' });
+    }
+    
+    let where = 'WHERE user_id = ?';
+    const params = [userId];
+    
+    if (from) {
+      where += ' AND timestamp >= ?';
+      params.push(from);
+    }
+    if (to) {
+      where += ' AND timestamp <= ?';
+      params.push(to);
+    }
+    
+    const periods = db.prepare(`
+      SELECT strftime('${groupFormat}', timestamp) AS period,
+             COUNT(*) AS session_count,
+             MAX(${NET_WPM_SQL}) AS best_wpm,
+             AVG(${NET_WPM_SQL}) AS avg_wpm,
+             AVG(accuracy) AS avg_accuracy,
+             SUM(session_duration) AS total_duration
+      FROM sessions
+      ${where}
+      GROUP BY period
+      ORDER BY period ASC
+    `).all(...params);
+    
+    const totals = db.prepare(`
+      SELECT COUNT(*) AS session_count,
+             MAX(${NET_WPM_SQL}) AS best_wpm,
+             AVG(${NET_WPM_SQL}) AS avg_wpm,
+             AVG(accuracy) AS avg_accuracy,
+             COALESCE(SUM(session_duration), 0) AS total_duration
+      FROM sessions
+      ${where}
+    `).get(...params);
+    
+    // SQLite returns the other columns from the row holding MAX() for bare columns
+    const personalBests = db.prepare(`
+      SELECT mode, mode_value, MAX(${NET_WPM_SQL}) AS best_wpm,
+             accuracy, session_id, timestamp
+      FROM sessions
+      ${where}
+      GROUP BY mode, mode_value
+      ORDER BY mode, mode_value
+    `).all(...params);
+    
+    res.json({
+      groupBy,
+      periods: periods.map(row => ({
+        period: row.period,
+        sessionCount: row.session_count,
+        bestWpm: row.best_wpm,
+        avgWpm: row.avg_wpm,
+        avgAccuracy: row.avg_accuracy,
+        totalDuration: row.total_duration
+      })),
+      totals: {
+        sessionCount: totals.session_count,
+        bestWpm: totals.best_wpm,
+        avgWpm: totals.avg_wpm,
+        avgAccuracy: totals.avg_accuracy,
+        totalDuration: totals.total_duration
+      },
+      personalBests: personalBests.map(row => ({
+        mode: row.mode,
+        modeValue: row.mode_value,
+        bestWpm: row.best_wpm,
+        accuracy: row.accuracy,
+        sessionId: row.session_id,
+        timestamp: row.timestamp
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching session stats:', error);
+    res.status(500).json({ error: 'Failed to fetch session stats' });
+  }
+});
+
 // Get a specific session by ID
-router.get('/:sessionId', (req, res) => {
+router.get('/:sessionId', requireSessionOwner, (req, res) => {
   try {
     const { sessionId } = req.params;
     
     const session = db.prepare(`
-      SELECT session_id, user_id, mode, mode_value, text, user_input, events,
-             session_duration, accuracy, max_index_reached, mechanical_cpm,
-             productive_cpm, char_states, timestamp, created_at
+      SELECT ${FULL_COLUMNS}
       FROM sessions
       WHERE session_id = ?
     `).get(sessionId);
@@ -83,24 +389,7 @@ router.get('/:sessionId', (req, res) => {
     
     // Parse JSON fields with error handling
     try {
-      const formattedSession = {
-        sessionId: session.session_id,
-        userId: session.user_id,
-        mode: session.mode,
-        modeValue: session.mode_value,
-        text: session.text,
-        userInput: session.user_input,
-        events: JSON.parse(session.events),
-        sessionDuration: session.session_duration,
-        accuracy: session.accuracy,
-        maxIndexReached: session.max_index_reached,
-        mechanicalCPM: session.mechanical_cpm,
-        productiveCPM: session.productive_cpm,
-        charStates: session.char_states ? JSON.parse(session.char_states) : null,
-        timestamp: session.timestamp
-      };
-      
-      res.json(formattedSession);
+      res.json(formatSession(session));
     } catch (parseError) {
       console.error(`Error parsing session ${sessionId}:`, parseError);
       return res.status(500).json({ error: 'Failed to parse session data' });
@@ -111,16 +400,46 @@ router.get('/:sessionId', (req, res) => {
   }
 });
 
+// Run the shared analytics core over a stored session
+router.get('/:sessionId/analysis', requireSessionOwner, (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const session = db.prepare(`
+      SELECT ${FULL_COLUMNS}
+      FROM sessions
+      WHERE session_id = ?
+    `).get(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    let formatted;
+    try {
+      formatted = formatSession(session);
+    } catch (parseError) {
+      console.error(`Error parsing session ${sessionId}:`, parseError);
+      return res.status(500).json({ error: 'Failed to parse session data' });
+    }
+    
+    // Sessions recorded before layouts were stored use the owner's current layout
+    let layoutId = formatted.keyboardLayout;
+    if (!layoutId) {
+      const settings = db.prepare('SELECT keyboard_layout FROM user_settings WHERE user_id = ?').get(formatted.userId);
+      layoutId = settings?.keyboard_layout;
+    }
+    
+    res.json({ sessionId, ...analyzeSession(formatted, { layout: getUserLayout(layoutId, formatted.userId) }) });
+  } catch (error) {
+    console.error('Error analyzing session:', error);
+    res.status(500).json({ error: 'Failed to analyze session' });
+  }
+});
+
 // Create a new session
 router.post('/', (req, res) => {
   try {
-    console.log('Received session creation request:', {
-      userId: req.body.userId,
-      mode: req.body.mode,
-      modeValue: req.body.modeValue,
-      timestamp: req.body.timestamp
-    });
-    
     const {
       userId,
       mode,
@@ -130,10 +449,16 @@ router.post('/', (req, res) => {
       events,
       sessionDuration,
       accuracy,
-      maxIndexReached,
       mechanicalCPM,
       productiveCPM,
       charStates,
+      wordSource,
+      wordList,
+      keyboardLayout,
+      punctuation,
+      numbers,
+      textSeed,
+      strictMode,
       timestamp
     } = req.body;
     
@@ -141,24 +466,88 @@ router.post('/', (req, res) => {
     if (!userId || !mode || modeValue === undefined || !text || !userInput || 
         !Array.isArray(events) || sessionDuration === undefined || 
         accuracy === undefined || !timestamp) {
-      console.error('Missing required fields in session creation:', {
-        userId: !!userId,
-        mode: !!mode,
-        modeValue: modeValue !== undefined,
-        text: !!text,
-        userInput: !!userInput,
-        events: Array.isArray(events),
-        sessionDuration: sessionDuration !== undefined,
-        accuracy: accuracy !== undefined,
-        timestamp: !!timestamp
-      });
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
-    // Check if user exists
-    const user = db.prepare('SELECT user_id FROM users WHERE user_id = ?').get(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    // Sessions can only be recorded for the authenticated user
+    if (userId !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    if (typeof text !== 'string' || typeof userInput !== 'string') {
+      return res.status(400).json({ error: 'text and userInput must be strings' });
+    }
+    
+    if (!events.every(event => event && typeof event === 'object' && typeof event.timestamp === 'number')) {
+      return res.status(400).json({ error: 'Malformed events' });
+    }
+    
+    if (charStates !== undefined && charStates !== null &&
+        !(Array.isArray(charStates) && charStates.every(state => state && typeof state === 'object'))) {
+      return res.status(400).json({ error: 'Malformed charStates' });
+    }
+    
+    if (keyboardLayout && !isKnownLayout(keyboardLayout, userId)) {
+      return res.status(400).json({ error: 'Unknown keyboard layout' });
+    }
+    
+    if (textSeed !== undefined && textSeed !== null && !isValidSeed(textSeed)) {
+      return res.status(400).json({ error: 'textSeed must be an unsigned 32-bit integer' });
+    }
+    
+    if (strictMode !== undefined && !isStrictMode(strictMode)) {
+      return res.status(400).json({ error: 'Unknown strict mode' });
+    }
+    
+    // Quote sessions store the quote id as their mode value; per-quote bests
+    // only mean something if the text really is that quote
+    if (mode === 'quote') {
+      const quote = getQuote(modeValue);
+      if (!quote) {
+        return res.status(400).json({ error: 'Unknown quote' });
+      }
+      if (quote.text !== text) {
+        return res.status(400).json({ error: 'Session text does not match the quote' });
+      }
+    }
+    
+    // Lesson sessions name their lesson in the word source and store its word count
+    if (mode === 'lesson') {
+      const lesson = getLessonByWordSource(wordSource);
+      if (!lesson) {
+        return res.status(400).json({ error: 'Unknown lesson' });
+      }
+      if (Number(modeValue) !== lesson.wordCount) {
+        return res.status(400).json({ error: 'Mode value does not match the lesson' });
+      }
+    }
+    
+    // Code sessions store the snippet id. Snippets imported from the user's
+    // own files (which the server never sees) are identified by a hash of
+    // their text.
+    if (mode === 'code') {
+      if (isImportedSnippetId(modeValue)) {
+        if (Number(modeValue) !== getImportedSnippetId(text)) {
+          return res.status(400).json({ error: 'Session text does not match the snippet' });
+        }
+      } else {
+        const snippet = getSnippet(modeValue);
+        if (!snippet) {
+          return res.status(400).json({ error: 'Unknown snippet' });
+        }
+        if (snippet.text !== text) {
+          return res.status(400).json({ error: 'Session text does not match the snippet' });
+        }
+      }
+    }
+    
+    // Metrics are recomputed from the keystrokes; the client's figures are only cross-checked
+    const { metrics, issues, validated } = validateSession({
+      text, userInput, events, charStates, accuracy, mechanicalCPM, productiveCPM
+    });
+    
+    if (!validated && REJECT_INVALID_SESSIONS) {
+      return res.status(422).json({ error: 'Session failed validation', issues });
     }
     
     const sessionId = `session_${Date.now()}`;
@@ -167,8 +556,10 @@ router.post('/', (req, res) => {
       INSERT INTO sessions (
         session_id, user_id, mode, mode_value, text, user_input, events,
         session_duration, accuracy, max_index_reached, mechanical_cpm,
-        productive_cpm, char_states, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        productive_cpm, char_states, word_source, word_list, validated,
+        validation_issues, keyboard_layout, punctuation, numbers, text_seed,
+        strict_mode, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     insertSession.run(
@@ -179,43 +570,32 @@ router.post('/', (req, res) => {
       text,
       userInput,
       JSON.stringify(events),
-      sessionDuration,
-      accuracy,
-      maxIndexReached || null,
-      mechanicalCPM || null,
-      productiveCPM || null,
+      metrics.sessionDuration,
+      metrics.accuracy,
+      metrics.maxIndexReached,
+      metrics.mechanicalCPM,
+      metrics.productiveCPM,
       charStates ? JSON.stringify(charStates) : null,
+      wordSource || null,
+      wordList || null,
+      validated ? 1 : 0,
+      issues.length > 0 ? JSON.stringify(issues) : null,
+      keyboardLayout || null,
+      punctuation ? 1 : 0,
+      numbers ? 1 : 0,
+      textSeed ?? null,
+      strictMode || DEFAULT_STRICT_MODE,
       timestamp
     );
     
     // Fetch and return the created session
     const session = db.prepare(`
-      SELECT session_id, user_id, mode, mode_value, text, user_input, events,
-             session_duration, accuracy, max_index_reached, mechanical_cpm,
-             productive_cpm, char_states, timestamp, created_at
+      SELECT ${FULL_COLUMNS}
       FROM sessions
       WHERE session_id = ?
     `).get(sessionId);
     
-    const formattedSession = {
-      sessionId: session.session_id,
-      userId: session.user_id,
-      mode: session.mode,
-      modeValue: session.mode_value,
-      text: session.text,
-      userInput: session.user_input,
-      events: JSON.parse(session.events),
-      sessionDuration: session.session_duration,
-      accuracy: session.accuracy,
-      maxIndexReached: session.max_index_reached,
-      mechanicalCPM: session.mechanical_cpm,
-      productiveCPM: session.productive_cpm,
-      charStates: session.char_states ? JSON.parse(session.char_states) : null,
-      timestamp: session.timestamp
-    };
-    
-    console.log('Session created successfully:', sessionId);
-    res.status(201).json(formattedSession);
+    res.status(201).json(formatSession(session));
   } catch (error) {
     console.error('Error creating session:', error);
     res.status(500).json({ error: 'Failed to create session' });
@@ -223,7 +603,7 @@ router.post('/', (req, res) => {
 });
 
 // Delete a session
-router.delete('/:sessionId', (req, res) => {
+router.delete('/:sessionId', requireSessionOwner, (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -1,15 +1,44 @@
 import express from 'express';
 import db from '../database.js';
+import { requireSelf } from '../middleware/auth.js';
+import { isKnownLayout } from '../keyboardLayouts.js';
+import { isKnownTheme } from '../userThemes.js';
+import { COLOR_PALETTES } from '../../../shared/themes/index.js';
+import { PACE_CARET_MODES, PACE_WPM_LIMITS } from '../../../shared/analytics/index.js';
 
 const router = express.Router();
 
+const TEXT_DISPLAYS = ['tape', 'lines'];
+
+const SETTINGS_COLUMNS = `font, font_size, theme, sound_enabled, keyboard_layout, color_palette, char_cues,
+  show_live_wpm, show_raw_wpm, pace_caret, pace_wpm, text_display`;
+
+// Map a settings row to the API shape
+function formatSettings(settings) {
+  return {
+    font: settings.font,
+    fontSize: settings.font_size,
+    theme: settings.theme,
+    // Convert SQLite integer to boolean for sound_enabled
+    soundEnabled: Boolean(settings.sound_enabled),
+    keyboardLayout: settings.keyboard_layout,
+    colorPalette: settings.color_palette,
+    charCues: Boolean(settings.char_cues),
+    showLiveWpm: Boolean(settings.show_live_wpm),
+    showRawWpm: Boolean(settings.show_raw_wpm),
+    paceCaret: settings.pace_caret,
+    paceWpm: settings.pace_wpm,
+    textDisplay: settings.text_display
+  };
+}
+
 // Get user settings
-router.get('/:userId', (req, res) => {
+router.get('/:userId', requireSelf, (req, res) => {
   try {
     const { userId } = req.params;
     
     const settings = db.prepare(`
-      SELECT font, font_size, theme, sound_enabled
+      SELECT ${SETTINGS_COLUMNS}
       FROM user_settings
       WHERE user_id = ?
     `).get(userId);
@@ -18,15 +47,7 @@ router.get('/:userId', (req, res) => {
       return res.status(404).json({ error: 'Settings not found' });
     }
     
-    // Convert SQLite integer to boolean for sound_enabled
-    const formattedSettings = {
-      font: settings.font,
-      fontSize: settings.font_size,
-      theme: settings.theme,
-      soundEnabled: Boolean(settings.sound_enabled)
-    };
-    
-    res.json(formattedSettings);
+    res.json(formatSettings(settings));
   } catch (error) {
     console.error('Error fetching settings:', error);
     res.status(500).json({ error: 'Failed to fetch settings' });
@@ -34,10 +55,32 @@ router.get('/:userId', (req, res) => {
 });
 
 // Update user settings
-router.put('/:userId', (req, res) => {
+router.put('/:userId', requireSelf, (req, res) => {
   try {
     const { userId } = req.params;
-    const { font, fontSize, theme, soundEnabled } = req.body;
+    const {
+      font, fontSize, theme, soundEnabled, keyboardLayout, colorPalette, charCues,
+      showLiveWpm, showRawWpm, paceCaret, paceWpm, textDisplay
+    } = req.body;
+    
+    if (keyboardLayout !== undefined && !isKnownLayout(keyboardLayout, userId)) {
+      return res.status(400).json({ error: 'Unknown keyboard layout' });
+    }
+    if (theme !== undefined && !isKnownTheme(theme, userId)) {
+      return res.status(400).json({ error: 'Unknown theme' });
+    }
+    if (colorPalette !== undefined && !COLOR_PALETTES[colorPalette]) {
+      return res.status(400).json({ error: 'Unknown colour palette' });
+    }
+    if (paceCaret !== undefined && !PACE_CARET_MODES.some(mode => mode.id === paceCaret)) {
+      return res.status(400).json({ error: 'Unknown pace caret mode' });
+    }
+    if (paceWpm !== undefined && (!Number.isInteger(paceWpm) || paceWpm < PACE_WPM_LIMITS.min || paceWpm > PACE_WPM_LIMITS.max)) {
+      return res.status(400).json({ error: `Pace WPM must be a whole number from ${PACE_WPM_LIMITS.min} to ${PACE_WPM_LIMITS.max}` });
+    }
+    if (textDisplay !== undefined && !TEXT_DISPLAYS.includes(textDisplay)) {
+      return res.status(400).json({ error: `Text display must be one of ${TEXT_DISPLAYS.join(', ')}` });
+    }
     
     // Check if user exists
     const user = db.prepare('SELECT user_id FROM users WHERE user_id = ?').get(userId);
@@ -65,6 +108,38 @@ router.put('/:userId', (req, res) => {
       updates.push('sound_enabled = ?');
       values.push(soundEnabled ? 1 : 0);
     }
+    if (keyboardLayout !== undefined) {
+      updates.push('keyboard_layout = ?');
+      values.push(keyboardLayout);
+    }
+    if (colorPalette !== undefined) {
+      updates.push('color_palette = ?');
+      values.push(colorPalette);
+    }
+    if (charCues !== undefined) {
+      updates.push('char_cues = ?');
+      values.push(charCues ? 1 : 0);
+    }
+    if (showLiveWpm !== undefined) {
+      updates.push('show_live_wpm = ?');
+      values.push(showLiveWpm ? 1 : 0);
+    }
+    if (showRawWpm !== undefined) {
+      updates.push('show_raw_wpm = ?');
+      values.push(showRawWpm ? 1 : 0);
+    }
+    if (paceCaret !== undefined) {
+      updates.push('pace_caret = ?');
+      values.push(paceCaret);
+    }
+    if (paceWpm !== undefined) {
+      updates.push('pace_wpm = ?');
+      values.push(paceWpm);
+    }
+    if (textDisplay !== undefined) {
+      updates.push('text_display = ?');
+      values.push(textDisplay);
+    }
     
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No settings to update' });
@@ -77,19 +152,12 @@ router.put('/:userId', (req, res) => {
     
     // Fetch and return updated settings
     const updatedSettings = db.prepare(`
-      SELECT font, font_size, theme, sound_enabled
+      SELECT ${SETTINGS_COLUMNS}
       FROM user_settings
       WHERE user_id = ?
     `).get(userId);
     
-    const formattedSettings = {
-      font: updatedSettings.font,
-      fontSize: updatedSettings.font_size,
-      theme: updatedSettings.theme,
-      soundEnabled: Boolean(updatedSettings.sound_enabled)
-    };
-    
-    res.json(formattedSettings);
+    res.json(formatSettings(updatedSettings));
   } catch (error) {
     console.error('Error updating settings:', error);
     res.status(500).json({ error: 'Failed to update settings' });
@@ -0,0 +1,103 @@
+import express from 'express';
+import db from '../database.js';
+import { requireSelf, requireThemeOwner } from '../middleware/auth.js';
+import { formatTheme, getUserThemes } from '../userThemes.js';
+import {
+  validateThemeDefinition,
+  normalizeThemeDefinition,
+  DEFAULT_THEME_ID
+} from '../../../shared/themes/index.js';
+
+const router = express.Router();
+
+const THEME_COLUMNS = 'theme_id, user_id, name, mode, colors, created_at, updated_at';
+
+// Each user can keep this many custom themes
+const MAX_THEMES_PER_USER = 20;
+
+// Validate the request body as a theme definition
+function parseDefinition(req, res) {
+  const issues = validateThemeDefinition(req.body);
+  if (issues.length > 0) {
+    res.status(400).json({ error: 'Invalid theme', issues });
+    return null;
+  }
+  return normalizeThemeDefinition(req.body);
+}
+
+// Get a user's custom themes
+router.get('/user/:userId', requireSelf, (req, res) => {
+  try {
+    res.json(getUserThemes(req.params.userId));
+  } catch (error) {
+    console.error('Error fetching themes:', error);
+    res.status(500).json({ error: 'Failed to fetch themes' });
+  }
+});
+
+// Create a theme for the authenticated user
+router.post('/', (req, res) => {
+  try {
+    const definition = parseDefinition(req, res);
+    if (!definition) return;
+
+    const userId = req.user.userId;
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM user_themes WHERE user_id = ?').get(userId);
+    if (count >= MAX_THEMES_PER_USER) {
+      return res.status(400).json({ error: `You can keep at most ${MAX_THEMES_PER_USER} custom themes` });
+    }
+
+    const themeId = `theme_${Date.now()}`;
+    db.prepare(`
+      INSERT INTO user_themes (theme_id, user_id, name, mode, colors)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(themeId, userId, definition.name, definition.mode, JSON.stringify(definition.colors));
+
+    const theme = db.prepare(`SELECT ${THEME_COLUMNS} FROM user_themes WHERE theme_id = ?`).get(themeId);
+    res.status(201).json(formatTheme(theme));
+  } catch (error) {
+    console.error('Error creating theme:', error);
+    res.status(500).json({ error: 'Failed to create theme' });
+  }
+});
+
+// Replace a theme's name, mode and colours
+router.put('/:themeId', requireThemeOwner, (req, res) => {
+  try {
+    const definition = parseDefinition(req, res);
+    if (!definition) return;
+
+    const { themeId } = req.params;
+    db.prepare(`
+      UPDATE user_themes
+      SET name = ?, mode = ?, colors = ?, updated_at = strftime('%s', 'now')
+      WHERE theme_id = ?
+    `).run(definition.name, definition.mode, JSON.stringify(definition.colors), themeId);
+
+    const theme = db.prepare(`SELECT ${THEME_COLUMNS} FROM user_themes WHERE theme_id = ?`).get(themeId);
+    res.json(formatTheme(theme));
+  } catch (error) {
+    console.error('Error updating theme:', error);
+    res.status(500).json({ error: 'Failed to update theme' });
+  }
+});
+
+// Delete a theme; if it was in use, go back to the default theme
+router.delete('/:themeId', requireThemeOwner, (req, res) => {
+  try {
+    const { themeId } = req.params;
+
+    db.transaction(() => {
+      db.prepare('UPDATE user_settings SET theme = ? WHERE user_id = ? AND theme = ?')
+        .run(DEFAULT_THEME_ID, req.user.userId, themeId);
+      db.prepare('DELETE FROM user_themes WHERE theme_id = ?').run(themeId);
+    })();
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting theme:', error);
+    res.status(500).json({ error: 'Failed to delete theme' });
+  }
+});
+
+export default router;
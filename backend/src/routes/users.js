@@ -1,9 +1,10 @@
 import express from 'express';
 import db from '../database.js';
+import { requireSelf } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Get all users
+// Get all users (usernames only, for showing who is on the team)
 router.get('/', (req, res) => {
   try {
     const users = db.prepare('SELECT user_id, username, created_at FROM users').all();
@@ -16,7 +17,7 @@ router.get('/', (req, res) => {
 });
 
 // Get a specific user by ID
-router.get('/:userId', (req, res) => {
+router.get('/:userId', requireSelf, (req, res) => {
   try {
     const { userId } = req.params;
     const user = db.prepare('SELECT user_id, username, created_at FROM users WHERE user_id = ?').get(userId);
@@ -32,45 +33,8 @@ router.get('/:userId', (req, res) => {
   }
 });
 
-// Create a new user
-router.post('/', (req, res) => {
-  try {
-    const { username } = req.body;
-    
-    console.log('Received user creation request:', { username });
-    
-    if (!username) {
-      console.error('Username is required but not provided');
-      return res.status(400).json({ error: 'Username is required' });
-    }
-    
-    const userId = `user_${Date.now()}`;
-    
-    console.log('Creating user with ID:', userId);
-    
-    // Insert user
-    const insertUser = db.prepare('INSERT INTO users (user_id, username) VALUES (?, ?)');
-    insertUser.run(userId, username);
-    
-    // Create default settings for the user
-    const insertSettings = db.prepare('INSERT INTO user_settings (user_id) VALUES (?)');
-    insertSettings.run(userId);
-    
-    const user = db.prepare('SELECT user_id, username, created_at FROM users WHERE user_id = ?').get(userId);
-    
-    console.log('User created successfully:', user);
-    res.status(201).json(user);
-  } catch (error) {
-    console.error('Error creating user:', error);
-    if (error.message.includes('UNIQUE constraint')) {
-      return res.status(409).json({ error: 'Username already exists' });
-    }
-    res.status(500).json({ error: 'Failed to create user' });
-  }
-});
-
 // Delete a user
-router.delete('/:userId', (req, res) => {
+router.delete('/:userId', requireSelf, (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -0,0 +1,143 @@
+import express from 'express';
+import db from '../database.js';
+import { requireWordListAccess, requireWordListOwner } from '../middleware/auth.js';
+import { validateWordList, normalizeWordList } from '../../../shared/text/index.js';
+
+const router = express.Router();
+
+const SUMMARY_COLUMNS = `
+  w.list_id, w.user_id, u.username AS owner_name, w.name, w.language,
+  w.visibility, w.word_count, w.created_at, w.updated_at
+`;
+
+// Each user can keep this many word lists
+const MAX_WORD_LISTS_PER_USER = 20;
+
+// Map a word_lists row (joined with its owner) to the API shape; words
+// are only included for a single list
+function formatWordList(row) {
+  return {
+    listId: row.list_id,
+    userId: row.user_id,
+    ownerName: row.owner_name,
+    name: row.name,
+    language: row.language,
+    visibility: row.visibility,
+    wordCount: row.word_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(row.words !== undefined && { words: JSON.parse(row.words) })
+  };
+}
+
+function getWordList(listId) {
+  return db.prepare(`
+    SELECT ${SUMMARY_COLUMNS}, w.words
+    FROM word_lists w
+    JOIN users u ON u.user_id = w.user_id
+    WHERE w.list_id = ?
+  `).get(listId);
+}
+
+// Validate the request body as a word list definition
+function parseWordList(definition, res) {
+  const issues = validateWordList(definition);
+  if (issues.length > 0) {
+    res.status(400).json({ error: 'Invalid word list', issues });
+    return null;
+  }
+  return normalizeWordList(definition);
+}
+
+// Word lists the authenticated user can type on: their own, then the
+// ones teammates share. Summaries only; load a list's words by id.
+router.get('/', (req, res) => {
+  try {
+    const lists = db.prepare(`
+      SELECT ${SUMMARY_COLUMNS}
+      FROM word_lists w
+      JOIN users u ON u.user_id = w.user_id
+      WHERE w.user_id = ? OR w.visibility = 'team'
+      ORDER BY (w.user_id = ?) DESC, w.created_at ASC
+    `).all(req.user.userId, req.user.userId);
+    res.json(lists.map(formatWordList));
+  } catch (error) {
+    console.error('Error fetching word lists:', error);
+    res.status(500).json({ error: 'Failed to fetch word lists' });
+  }
+});
+
+// Get a word list with its words
+router.get('/:listId', requireWordListAccess, (req, res) => {
+  try {
+    res.json(formatWordList(getWordList(req.params.listId)));
+  } catch (error) {
+    console.error('Error fetching word list:', error);
+    res.status(500).json({ error: 'Failed to fetch word list' });
+  }
+});
+
+// Create a word list for the authenticated user
+router.post('/', (req, res) => {
+  try {
+    const list = parseWordList(req.body, res);
+    if (!list) return;
+
+    const userId = req.user.userId;
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM word_lists WHERE user_id = ?').get(userId);
+    if (count >= MAX_WORD_LISTS_PER_USER) {
+      return res.status(400).json({ error: `You can keep at most ${MAX_WORD_LISTS_PER_USER} word lists` });
+    }
+
+    const listId = `wordlist_${Date.now()}`;
+    db.prepare(`
+      INSERT INTO word_lists (list_id, user_id, name, words, language, visibility, word_count)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(listId, userId, list.name, JSON.stringify(list.words), list.language, list.visibility, list.words.length);
+
+    res.status(201).json(formatWordList(getWordList(listId)));
+  } catch (error) {
+    console.error('Error creating word list:', error);
+    res.status(500).json({ error: 'Failed to create word list' });
+  }
+});
+
+// Update a word list; fields left out keep their current values
+router.put('/:listId', requireWordListOwner, (req, res) => {
+  try {
+    const { listId } = req.params;
+    const current = getWordList(listId);
+    const list = parseWordList({
+      name: current.name,
+      words: JSON.parse(current.words),
+      language: current.language,
+      visibility: current.visibility,
+      ...req.body
+    }, res);
+    if (!list) return;
+
+    db.prepare(`
+      UPDATE word_lists
+      SET name = ?, words = ?, language = ?, visibility = ?, word_count = ?, updated_at = strftime('%s', 'now')
+      WHERE list_id = ?
+    `).run(list.name, JSON.stringify(list.words), list.language, list.visibility, list.words.length, listId);
+
+    res.json(formatWordList(getWordList(listId)));
+  } catch (error) {
+    console.error('Error updating word list:', error);
+    res.status(500).json({ error: 'Failed to update word list' });
+  }
+});
+
+// Delete a word list; sessions typed on it keep their recorded list id
+router.delete('/:listId', requireWordListOwner, (req, res) => {
+  try {
+    db.prepare('DELETE FROM word_lists WHERE list_id = ?').run(req.params.listId);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting word list:', error);
+    res.status(500).json({ error: 'Failed to delete word list' });
+  }
+});
+
+export default router;
@@ -0,0 +1,69 @@
+/**
+ * Issue a claim token for an account created before password login.
+ *
+ *   node src/scripts/claim-token.js <username>
+ *
+ * Such accounts have no password and can't be registered again under the
+ * same name. Give the printed token to the account's owner; they redeem it
+ * once, within 7 days, with POST /api/auth/claim to set a password.
+ */
+import { openDatabase, dbPath } from '../connection.js';
+import { generateToken, hashToken } from '../tokens.js';
+
+const CLAIM_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+const [username] = process.argv.slice(2);
+
+function main() {
+  if (!username) {
+    console.error('Usage: node src/scripts/claim-token.js <username>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = openDatabase();
+
+  try {
+    console.log(`Database: ${dbPath}`);
+
+    const hasClaimsTable = db.prepare(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'account_claims'"
+    ).get();
+    if (!hasClaimsTable) {
+      console.error('The account_claims table is missing - run "npm run migrate" first.');
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = db.prepare('SELECT user_id, password_hash FROM users WHERE username = ?').get(username);
+    if (!user) {
+      console.error(`No user named "${username}".`);
+      process.exitCode = 1;
+      return;
+    }
+    if (user.user_id === 'guest') {
+      console.error('The guest account can\'t be claimed.');
+      process.exitCode = 1;
+      return;
+    }
+    if (user.password_hash) {
+      console.error(`"${username}" already has a password and can't be claimed.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const token = generateToken();
+    const now = Math.floor(Date.now() / 1000);
+    db.prepare(`
+      INSERT INTO account_claims (token_hash, user_id, created_at, expires_at)
+      VALUES (?, ?, ?, ?)
+    `).run(hashToken(token), user.user_id, now, now + CLAIM_TTL_SECONDS);
+
+    console.log(`Claim token for "${username}" (expires ${new Date((now + CLAIM_TTL_SECONDS) * 1000).toISOString()}):`);
+    console.log(token);
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -0,0 +1,63 @@
+/**
+ * Migration CLI.
+ *
+ *   node src/scripts/migrate.js status    Show applied and pending migrations
+ *   node src/scripts/migrate.js up        Apply pending migrations
+ *   node src/scripts/migrate.js up --dry-run
+ *                                         List what `up` would apply without changing anything
+ */
+import { openDatabase, dbPath } from '../connection.js';
+import { getMigrationStatus, runMigrations, formatMigration } from '../migrate.js';
+
+const [command = 'status', ...flags] = process.argv.slice(2);
+const dryRun = flags.includes('--dry-run');
+
+function formatTimestamp(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+async function main() {
+  const db = openDatabase();
+
+  try {
+    console.log(`Database: ${dbPath}`);
+
+    if (command === 'status') {
+      const status = await getMigrationStatus(db);
+      console.log(`Schema version: ${status.currentVersion} (code supports ${status.latestVersion})`);
+
+      status.applied.forEach(row => {
+        console.log(`  [applied] ${formatMigration(row)} at ${formatTimestamp(row.applied_at)}`);
+      });
+      status.pending.forEach(migration => {
+        console.log(`  [pending] ${formatMigration(migration)}`);
+      });
+
+      if (status.currentVersion > status.latestVersion) {
+        console.error('Database is newer than this code - the server will refuse to start.');
+        process.exitCode = 1;
+      }
+    } else if (command === 'up') {
+      const migrations = await runMigrations(db, { dryRun });
+
+      if (migrations.length === 0) {
+        console.log('Nothing to migrate.');
+      } else if (dryRun) {
+        console.log('Would apply:');
+        migrations.forEach(migration => console.log(`  ${formatMigration(migration)}`));
+      } else {
+        console.log(`Applied ${migrations.length} migration(s).`);
+      }
+    } else {
+      console.error(`Unknown command: ${command}. Use "status" or "up [--dry-run]".`);
+      process.exitCode = 1;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
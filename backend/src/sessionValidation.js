@@ -0,0 +1,154 @@
+/**
+ * Server-side recomputation and plausibility checks for submitted sessions.
+ *
+ * The metrics are rebuilt from the raw keydown events the same way
+ * TypingTest.jsx computes them, so a buggy or edited client can't
+ * record results its own keystrokes don't support.
+ */
+
+import { countKeystrokes } from '../../shared/analytics/index.js';
+
+// Tolerances for comparing client-submitted metrics with recomputed ones
+const ACCURACY_TOLERANCE = 0.5; // percentage points
+const CPM_TOLERANCE_RATIO = 0.02; // 2%
+const CPM_TOLERANCE_ABSOLUTE = 1;
+
+// A median gap under this between printable keydowns is beyond human typing (~600 WPM)
+const MIN_MEDIAN_INTERVAL_MS = 20;
+
+// Net WPM above this is treated as implausible
+const MAX_PLAUSIBLE_WPM = 300;
+
+const CHARS_PER_WORD = 5;
+
+// Like the client, a single-character key only types when no Ctrl, Meta or
+// Alt modifier is held (AltGr reports as Ctrl+Alt on Windows). Sessions
+// recorded before modifiers were stored have no flags and count as typed.
+function isPrintableKey(event) {
+  return typeof event.key === 'string' && event.key.length === 1 &&
+    !event.ctrlKey && !event.metaKey && !event.altKey;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function cpmDisagrees(submitted, recomputed) {
+  if (typeof submitted !== 'number') return false;
+  const tolerance = Math.max(CPM_TOLERANCE_ABSOLUTE, recomputed * CPM_TOLERANCE_RATIO);
+  return Math.abs(submitted - recomputed) > tolerance;
+}
+
+/**
+ * Rebuild accuracy, CPM figures, max index and typed input from keydown events.
+ */
+export function recomputeMetrics(events) {
+  const keydowns = events.filter(event => event.type === 'keydown');
+  const { totalKeystrokes, firstTimeErrors } = countKeystrokes(keydowns);
+
+  let maxIndexReached = 0;
+  const typed = [];
+
+  keydowns.forEach(event => {
+    if (!isPrintableKey(event)) return;
+
+    const index = event.currentIndex;
+    if (typed[index] === undefined) {
+      maxIndexReached = Math.max(maxIndexReached, index + 1);
+    }
+    typed[index] = event.key;
+  });
+
+  // relativeTime is measured from the session start, like the client's duration
+  const duration = keydowns.length > 0 ? keydowns[keydowns.length - 1].relativeTime : 0;
+  const minutes = duration / 60000;
+
+  const accuracy = maxIndexReached > 0
+    ? ((maxIndexReached - firstTimeErrors.length) / maxIndexReached) * 100
+    : 100;
+
+  return {
+    sessionDuration: duration,
+    accuracy: parseFloat(accuracy.toFixed(2)),
+    mechanicalCPM: minutes > 0 ? parseFloat((totalKeystrokes / minutes).toFixed(2)) : 0,
+    productiveCPM: minutes > 0 ? parseFloat((maxIndexReached / minutes).toFixed(2)) : 0,
+    maxIndexReached,
+    totalKeystrokes,
+    userInput: typed.slice(0, maxIndexReached).map(char => char ?? '').join(''),
+    // Per position, with null where nothing was typed (code mode's
+    // auto-indent skips leading whitespace)
+    inputByIndex: Array.from({ length: maxIndexReached }, (_, index) => typed[index] ?? null)
+  };
+}
+
+/**
+ * Recompute a session's metrics and check it for impossible data.
+ * Returns `{ metrics, issues, validated }`; `issues` is a list of
+ * human-readable problems and `validated` is true when there are none.
+ */
+export function validateSession({ text, userInput, events, charStates, accuracy, mechanicalCPM, productiveCPM }) {
+  const issues = [];
+
+  // Timestamps must never go backwards
+  for (let i = 1; i < events.length; i++) {
+    if (events[i].timestamp < events[i - 1].timestamp) {
+      issues.push(`Non-monotonic timestamp at event ${i}`);
+      break;
+    }
+  }
+
+  // Every keystroke must have been recorded against the text that was shown
+  const mismatchedEvent = events.findIndex(event =>
+    event.type === 'keydown' &&
+    event.currentIndex < text.length &&
+    event.expectedChar !== undefined &&
+    event.expectedChar !== text[event.currentIndex]
+  );
+  if (mismatchedEvent !== -1) {
+    issues.push(`Event ${mismatchedEvent} expected a character that is not in the text`);
+  }
+
+  const metrics = recomputeMetrics(events);
+
+  if (metrics.userInput !== userInput) {
+    issues.push('userInput does not match the recorded keystrokes');
+  }
+
+  if (Array.isArray(charStates)) {
+    const badState = charStates.findIndex((state, idx) =>
+      state.char !== text[idx] ||
+      (idx < metrics.maxIndexReached && state.userBuffer !== metrics.inputByIndex[idx])
+    );
+    if (charStates.length !== text.length || badState !== -1) {
+      issues.push('charStates do not match the text and recorded keystrokes');
+    }
+  }
+
+  // Inter-key timings
+  const printableTimes = events
+    .filter(event => event.type === 'keydown' && isPrintableKey(event))
+    .map(event => event.timestamp);
+  const intervals = printableTimes.slice(1).map((time, idx) => time - printableTimes[idx]);
+  if (intervals.length >= 10 && median(intervals) < MIN_MEDIAN_INTERVAL_MS) {
+    issues.push('Inter-key timings are faster than humanly possible');
+  }
+
+  if (metrics.productiveCPM / CHARS_PER_WORD > MAX_PLAUSIBLE_WPM) {
+    issues.push(`Net speed above ${MAX_PLAUSIBLE_WPM} WPM`);
+  }
+
+  // Client-submitted metrics must agree with the events
+  if (typeof accuracy === 'number' && Math.abs(accuracy - metrics.accuracy) > ACCURACY_TOLERANCE) {
+    issues.push(`Submitted accuracy ${accuracy} does not match recomputed ${metrics.accuracy}`);
+  }
+  if (cpmDisagrees(mechanicalCPM, metrics.mechanicalCPM)) {
+    issues.push(`Submitted mechanicalCPM ${mechanicalCPM} does not match recomputed ${metrics.mechanicalCPM}`);
+  }
+  if (cpmDisagrees(productiveCPM, metrics.productiveCPM)) {
+    issues.push(`Submitted productiveCPM ${productiveCPM} does not match recomputed ${metrics.productiveCPM}`);
+  }
+
+  return { metrics, issues, validated: issues.length === 0 };
+}
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a random token to hand to a client (hex encoded).
+ */
+export function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * SHA-256 of a token. Only this is stored, so a leaked database can't be
+ * used to log in or claim an account.
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
@@ -0,0 +1,41 @@
+/**
+ * Lookup of built-in and user-defined colour themes.
+ *
+ * Custom themes belong to one user, so a theme id is only valid in the
+ * settings of the user who created it.
+ */
+
+import db from './database.js';
+import { THEMES } from '../../shared/themes/index.js';
+
+// Map a user_themes row to the API shape
+export function formatTheme(row) {
+  return {
+    themeId: row.theme_id,
+    userId: row.user_id,
+    name: row.name,
+    mode: row.mode,
+    colors: JSON.parse(row.colors),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function getUserThemes(userId) {
+  return db.prepare(`
+    SELECT theme_id, user_id, name, mode, colors, created_at, updated_at
+    FROM user_themes
+    WHERE user_id = ?
+    ORDER BY created_at ASC
+  `).all(userId).map(formatTheme);
+}
+
+/**
+ * Whether `themeId` is a built-in theme or one of `userId`'s own.
+ */
+export function isKnownTheme(themeId, userId) {
+  if (THEMES[themeId]) return true;
+  const row = db.prepare('SELECT 1 FROM user_themes WHERE theme_id = ? AND user_id = ?')
+    .get(themeId, userId);
+  return Boolean(row);
+}
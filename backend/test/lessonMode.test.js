@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORT = 3900 + Math.floor(Math.random() * 90);
+const API = `http://localhost:${PORT}/api`;
+
+let server;
+let tempDir;
+let token;
+let userId;
+
+async function request(method, route, body) {
+  const response = await fetch(`${API}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const response = await fetch(`http://localhost:${PORT}/health`);
+      if (response.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Server did not start');
+}
+
+/**
+ * Builds a session that types `text` without mistakes, one key every `interval` ms
+ */
+function buildSession(mode, modeValue, text, interval, extra = {}) {
+  const start = 1_000_000;
+  const events = [];
+  [...text].forEach((char, index) => {
+    const timestamp = start + index * interval;
+    events.push({
+      type: 'keydown', key: char, code: char === ' ' ? 'Space' : `Key${char.toUpperCase()}`,
+      timestamp, relativeTime: timestamp - start, currentIndex: index, expectedChar: char
+    });
+  });
+  const sessionDuration = (text.length - 1) * interval;
+  const cpm = text.length / (sessionDuration / 60000);
+
+  return {
+    userId,
+    mode,
+    modeValue,
+    text,
+    userInput: text,
+    events,
+    charStates: [...text].map(char => ({ char, userBuffer: char, status: 'correct' })),
+    sessionDuration,
+    accuracy: 100,
+    mechanicalCPM: Number(cpm.toFixed(2)),
+    productiveCPM: Number(cpm.toFixed(2)),
+    timestamp: new Date().toISOString(),
+    ...extra
+  };
+}
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'typr-test-'));
+  server = spawn(process.execPath, ['src/index.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PORT: String(PORT), DATABASE_PATH: path.join(tempDir, 'typr.db') },
+    stdio: 'ignore'
+  });
+  await waitForServer();
+
+  const registered = await request('POST', '/auth/register', { username: 'lessonmode', password: 'password1' });
+  assert.equal(registered.status, 201);
+  token = registered.body.token;
+  userId = registered.body.user.user_id;
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('a lesson run does not change the words personal best', async () => {
+  const wordsText = Array(20).fill('the').join(' ');
+  const words = await request('POST', '/sessions', buildSession('words', 20, wordsText, 200));
+  assert.equal(words.status, 201);
+
+  const statsBefore = await request('GET', `/sessions/user/${userId}/stats`);
+  const wordsBest = statsBefore.body.personalBests.find(pb => pb.mode === 'words' && pb.modeValue === 20);
+  assert.ok(wordsBest);
+
+  // Twice as fast as the words run, with the same word count
+  const lessonText = Array(20).fill('asdf').join(' ');
+  const lesson = await request('POST', '/sessions',
+    buildSession('lesson', 20, lessonText, 100, { wordSource: 'lesson:home-row' }));
+  assert.equal(lesson.status, 201);
+
+  const statsAfter = await request('GET', `/sessions/user/${userId}/stats`);
+  const wordsBestAfter = statsAfter.body.personalBests.find(pb => pb.mode === 'words' && pb.modeValue === 20);
+  assert.deepEqual(wordsBestAfter, wordsBest);
+
+  const lessonBest = statsAfter.body.personalBests.find(pb => pb.mode === 'lesson');
+  assert.equal(lessonBest.sessionId, lesson.body.sessionId);
+
+  const fastestWords = await request('GET', `/sessions/user/${userId}?mode=words&sort=wpm&limit=1`);
+  assert.equal(fastestWords.body.sessions[0].sessionId, words.body.sessionId);
+});
+
+test('lesson sessions must name a known lesson and its word count', async () => {
+  const text = Array(20).fill('asdf').join(' ');
+
+  const unknown = await request('POST', '/sessions',
+    buildSession('lesson', 20, text, 100, { wordSource: 'lesson:nope' }));
+  assert.equal(unknown.status, 400);
+
+  const wrongCount = await request('POST', '/sessions',
+    buildSession('lesson', 25, text, 100, { wordSource: 'lesson:home-row' }));
+  assert.equal(wrongCount.status, 400);
+});
@@ -1,588 +1,158 @@
-import { useState, useMemo, useEffect, useCallback } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
 import { useAppContext } from './AppContext';
 import './Analyzer.css';
-import fingerMap from './fingermap.json';
+import { analyzeSession, analyzeSessions, getFingerName, resolveLayout, getKeyLabel } from '../../shared/analytics/index.js';
 import KeyboardHeatmap from './KeyboardHeatmap';
 import HandHeatmap from './HandHeatmap';
+import SessionSetPicker from './SessionSetPicker';
+import SessionComparison from './SessionComparison';
+import { timeToChartX, chartEventToTime } from './chartUtils';
+
+// Upper bound on sessions pooled into one aggregate analysis
+const MAX_AGGREGATE_SESSIONS = 100;
+
+// Aggregate selections in the URL: ?sessions=a,b,c | ?last=N | ?from=YYYY-MM-DD&to=YYYY-MM-DD
+function parseSessionSet(searchParams) {
+  const ids = searchParams.get('sessions');
+  if (ids) {
+    return { sessionIds: ids.split(',').filter(Boolean) };
+  }
+  const last = parseInt(searchParams.get('last'), 10);
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+  if (last > 0 || from || to) {
+    return { last: last > 0 ? last : null, from, to };
+  }
+  return null;
+}
+
+function describeSessionSet(set) {
+  if (set.sessionIds) return 'selected sessions';
+  if (set.last) return `last ${set.last} sessions`;
+  if (set.from && set.to) return `sessions from ${set.from} to ${set.to}`;
+  return set.from ? `sessions since ${set.from}` : `sessions until ${set.to}`;
+}
+
+// Symbol table cells; stats are null for a bracket that was never typed
+const formatLatency = stats => stats?.avgLatency != null ? `${stats.avgLatency.toFixed(0)}ms` : '—';
+const formatAccuracy = stats => stats?.accuracy != null ? `${stats.accuracy.toFixed(1)}%` : '—';
 
 function Analyzer() {
-  const [searchParams] = useSearchParams();
-  const { getSession } = useAppContext();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { getSession, getUserSessions, currentUser } = useAppContext();
   
   const [sessionData, setSessionData] = useState(null);
-  const [statistics, setStatistics] = useState(null);
-  const [dwellTimeByKey, setDwellTimeByKey] = useState(null);
-  const [dwellTimeByFinger, setDwellTimeByFinger] = useState(null);
-  const [flightTimeByKey, setFlightTimeByKey] = useState(null);
-  const [flightTimeByFinger, setFlightTimeByFinger] = useState(null);
-  
-  // V2 Analytics state
-  const [digraphLatency, setDigraphLatency] = useState(null);
-  const [errorConfusionMatrix, setErrorConfusionMatrix] = useState(null);
-  const [rhythmData, setRhythmData] = useState(null);
-  const [shiftPenalty, setShiftPenalty] = useState(null);
-  const [wpmOverTime, setWpmOverTime] = useState(null);
-
-  // Pre-process fingerMap for efficient lookups
-  const fingerLookup = useMemo(() => {
-    const lookup = new Map();
-    Object.entries(fingerMap).forEach(([finger, keys]) => {
-      keys.forEach(key => {
-        lookup.set(key.toLowerCase(), finger);
-      });
-    });
-    return lookup;
-  }, []);
-
-  const getFingerForKey = useCallback((key) => {
-    // Use pre-processed lookup map for efficient O(1) lookup
-    return fingerLookup.get(key.toLowerCase()) || null;
-  }, [fingerLookup]);
+  const [aggregateInfo, setAggregateInfo] = useState(null); // { sessionCount, description, truncated }
+  const [loadingSet, setLoadingSet] = useState(false);
+  const [analysis, setAnalysis] = useState(null);
+  const [compareWith, setCompareWith] = useState(null); // { session, analysis } for ?compare=
+
+  const {
+    statistics, dwellTimeByKey, dwellSampleCounts, dwellTimeByFinger, flightTimeByKey,
+    flightSampleCounts, flightTimeByFinger, digraphLatency, errorConfusionMatrix,
+    rhythmData, shiftPenalty, wpmOverTime, symbolPerformance
+  } = analysis || {};
+
+  // Sessions record the layout they were typed on; older ones use the user's current layout
+  const userLayoutId = currentUser?.settings.keyboardLayout;
+  const customLayouts = currentUser?.keyboardLayouts;
+  const layoutFor = useCallback(
+    (session) => resolveLayout(session?.keyboardLayout || userLayoutId, customLayouts),
+    [userLayoutId, customLayouts]
+  );
+  const layout = useMemo(() => layoutFor(sessionData), [layoutFor, sessionData]);
 
-  const calculateStatistics = useCallback((data) => {
-    const CHARS_PER_WORD = 5; // Standard assumption for WPM calculation
-    const { sessionDuration, text, userInput, productiveKeystrokes, errorPositions, 
-            mechanicalCPM, productiveCPM, totalKeystrokes, maxIndexReached, firstTimeErrors } = data;
-    
-    // Support both old and new data formats
-    // New format: use mechanicalCPM and productiveCPM directly if available
-    if (mechanicalCPM !== undefined && productiveCPM !== undefined) {
-      // New format - use the pre-calculated values
-      const accuracy = data.accuracy || 100;
-      
-      // Calculate WPM from CPM (standard: 5 characters per word)
-      const netWPM = (productiveCPM / CHARS_PER_WORD).toFixed(2);
-      const rawWPM = (mechanicalCPM / CHARS_PER_WORD).toFixed(2);
-      
-      return {
-        sessionDuration,
-        mechanicalCPM: mechanicalCPM.toFixed(2),
-        productiveCPM: productiveCPM.toFixed(2),
-        netWPM,
-        rawWPM,
-        accuracy: accuracy.toFixed(2),
-        totalKeystrokes: totalKeystrokes || 0,
-        maxIndexReached: maxIndexReached || 0,
-        firstTimeErrorCount: firstTimeErrors ? firstTimeErrors.length : 0,
-      };
+  const analyzeData = useCallback((data) => {
+    try {
+      setAnalysis(analyzeSession(data, { layout: layoutFor(data) }));
+    } catch (error) {
+      alert(error.message);
     }
+  }, [layoutFor]);
+
+  // Resolve a session set to full sessions (capped at MAX_AGGREGATE_SESSIONS)
+  // with a single request
+  const loadSessionSet = useCallback(async (set) => {
+    let page;
+    let truncated = false;
     
-    // Old format - calculate from raw data
-    // Use productive keystrokes if available, otherwise fall back to userInput length
-    const effectiveKeystrokes = productiveKeystrokes !== undefined 
-      ? productiveKeystrokes 
-      : userInput.length;
-    
-    // Count characters typed (excluding spaces) from productive keystrokes
-    const charsNoSpaces = userInput.replace(/ /g, '').length;
-    
-    // Calculate CPM (characters per minute, based on productive keystrokes)
-    const minutes = sessionDuration / 60000;
-    const cpm = minutes > 0 ? (effectiveKeystrokes / minutes).toFixed(2) : 0;
-    
-    // Calculate WPM (words per minute, based on productive keystrokes)
-    const wpm = minutes > 0 ? (effectiveKeystrokes / CHARS_PER_WORD / minutes).toFixed(2) : 0;
-    
-    // Calculate accuracy using error positions if available
-    let correct = 0;
-    const minLength = Math.min(userInput.length, text.length);
-    const errPositionsSet = errorPositions ? new Set(errorPositions) : new Set();
-    
-    for (let i = 0; i < minLength; i++) {
-      // Character is correct only if it matches AND was never an error
-      if (userInput[i] === text[i] && !errPositionsSet.has(i)) {
-        correct++;
-      }
+    if (set.sessionIds) {
+      truncated = set.sessionIds.length > MAX_AGGREGATE_SESSIONS;
+      page = await getUserSessions({
+        sessionIds: set.sessionIds.slice(0, MAX_AGGREGATE_SESSIONS).join(','),
+        include: 'events'
+      });
+    } else {
+      page = await getUserSessions({
+        from: set.from,
+        // Date inputs give YYYY-MM-DD; make `to` inclusive of the whole day
+        to: set.to ? `${set.to}T23:59:59.999Z` : '',
+        limit: Math.min(set.last || MAX_AGGREGATE_SESSIONS, MAX_AGGREGATE_SESSIONS),
+        include: 'events'
+      });
+      truncated = !set.last && page.nextCursor !== null;
     }
-    const accuracy = userInput.length > 0 ? ((correct / userInput.length) * 100).toFixed(2) : 100;
     
-    return {
-      cpm,
-      wpm,
-      accuracy,
-      totalChars: userInput.length,
-      charsNoSpaces,
-      productiveKeystrokes: effectiveKeystrokes,
-      sessionDuration: (sessionDuration / 1000).toFixed(2)
-    };
-  }, []);
-
-  const calculateDwellTimeByKey = useCallback((events) => {
-    const dwellTimes = {};
-    const keyDownMap = new Map();
-
-    events.forEach(event => {
-      if (event.type === 'keydown') {
-        keyDownMap.set(event.key, event.timestamp);
-      } else if (event.type === 'keyup') {
-        const downTime = keyDownMap.get(event.key);
-        if (downTime !== undefined) {
-          const dwellTime = event.timestamp - downTime;
-          if (!dwellTimes[event.key]) {
-            dwellTimes[event.key] = [];
-          }
-          dwellTimes[event.key].push(dwellTime);
-          keyDownMap.delete(event.key);
-        }
-      }
-    });
-
-    // Calculate average dwell time for each key
-    const averageDwellTimes = {};
-    Object.keys(dwellTimes).forEach(key => {
-      const times = dwellTimes[key];
-      const avg = times.reduce((sum, t) => sum + t, 0) / times.length;
-      averageDwellTimes[key] = avg;
-    });
-
-    return averageDwellTimes;
-  }, []);
-
-  const calculateDwellTimeByFinger = useCallback((dwellByKey) => {
-    const fingerDwellTimes = {};
-
-    Object.keys(dwellByKey).forEach(key => {
-      const finger = getFingerForKey(key);
-      if (finger) {
-        if (!fingerDwellTimes[finger]) {
-          fingerDwellTimes[finger] = [];
-        }
-        fingerDwellTimes[finger].push(dwellByKey[key]);
-      }
-    });
-
-    // Calculate average for each finger
-    const averageFingerDwellTimes = {};
-    Object.keys(fingerDwellTimes).forEach(finger => {
-      const times = fingerDwellTimes[finger];
-      const avg = times.reduce((sum, t) => sum + t, 0) / times.length;
-      averageFingerDwellTimes[finger] = avg;
-    });
-
-    return averageFingerDwellTimes;
-  }, [getFingerForKey]);
-
-  const calculateFlightTimeByKey = useCallback((events) => {
-    const flightTimes = {};
-    let lastKeyUpTime = null;
-    let lastKey = null;
-
-    events.forEach(event => {
-      if (event.type === 'keydown') {
-        if (lastKeyUpTime !== null && lastKey !== null) {
-          const flightTime = event.timestamp - lastKeyUpTime;
-          
-          // Store by target key for aggregation
-          if (!flightTimes[event.key]) {
-            flightTimes[event.key] = [];
-          }
-          flightTimes[event.key].push(flightTime);
-        }
-      } else if (event.type === 'keyup') {
-        lastKeyUpTime = event.timestamp;
-        lastKey = event.key;
-      }
-    });
-
-    // Calculate average flight time for each key
-    const averageFlightTimes = {};
-    Object.keys(flightTimes).forEach(key => {
-      const times = flightTimes[key];
-      const avg = times.reduce((sum, t) => sum + t, 0) / times.length;
-      averageFlightTimes[key] = avg;
-    });
-
-    return averageFlightTimes;
-  }, []);
-
-  const calculateFlightTimeByFinger = useCallback((flightByKey) => {
-    const fingerFlightTimes = {};
-
-    Object.keys(flightByKey).forEach(key => {
-      const finger = getFingerForKey(key);
-      if (finger) {
-        if (!fingerFlightTimes[finger]) {
-          fingerFlightTimes[finger] = [];
-        }
-        fingerFlightTimes[finger].push(flightByKey[key]);
-      }
-    });
-
-    // Calculate average for each finger
-    const averageFingerFlightTimes = {};
-    Object.keys(fingerFlightTimes).forEach(finger => {
-      const times = fingerFlightTimes[finger];
-      const avg = times.reduce((sum, t) => sum + t, 0) / times.length;
-      averageFingerFlightTimes[finger] = avg;
-    });
-
-    return averageFingerFlightTimes;
-  }, [getFingerForKey]);
-
-  // V2 Analytics: Calculate digraph latency (flight time between character pairs)
-  const calculateDigraphLatency = useCallback((events, charStates) => {
-    const digraphTimes = {};
-    let lastKeyUpTime = null;
-    let lastChar = null;
-
-    events.forEach(event => {
-      if (event.type === 'keydown') {
-        const currentChar = event.expectedChar;
-        const currentIndex = event.currentIndex;
-        
-        // Check if this is a valid character (not backspace or modifier) and in charStates
-        const isValidChar = currentChar && currentChar.length === 1 && 
-                           charStates && 
-                           currentIndex !== undefined && 
-                           currentIndex >= 0 && 
-                           currentIndex < charStates.length &&
-                           charStates[currentIndex];
-        
-        if (lastKeyUpTime !== null && lastChar !== null && isValidChar) {
-          // Skip if previous char was backspace
-          if (lastChar !== 'Backspace' && lastChar.length === 1) {
-            const flightTime = event.timestamp - lastKeyUpTime;
-            const pair = `${lastChar}${currentChar}`;
-            
-            if (!digraphTimes[pair]) {
-              digraphTimes[pair] = {
-                times: [],
-                char1: lastChar,
-                char2: currentChar,
-                fromFinger: getFingerForKey(lastChar),
-                toFinger: getFingerForKey(currentChar)
-              };
-            }
-            digraphTimes[pair].times.push(flightTime);
-          }
-        }
-        
-        // Don't update lastChar for backspace or modifiers
-        if (isValidChar) {
-          lastChar = currentChar;
-        }
-      } else if (event.type === 'keyup') {
-        // Only update lastKeyUpTime for valid characters
-        if (event.key && event.key.length === 1 && event.key !== 'Backspace') {
-          lastKeyUpTime = event.timestamp;
-        }
-      }
-    });
-
-    // Calculate average flight time for each digraph
-    const digraphAverages = Object.entries(digraphTimes).map(([pair, data]) => {
-      const avg = data.times.reduce((sum, t) => sum + t, 0) / data.times.length;
-      const sameFinger = data.fromFinger === data.toFinger && data.fromFinger !== null;
-      
-      return {
-        pair,
-        char1: data.char1,
-        char2: data.char2,
-        avgLatency: avg,
-        count: data.times.length,
-        fromFinger: data.fromFinger,
-        toFinger: data.toFinger,
-        sameFinger,
-        fingerChange: data.fromFinger && data.toFinger 
-          ? `${getFingerName(data.fromFinger)} → ${getFingerName(data.toFinger)}`
-          : 'Unknown'
-      };
-    });
+    return { sessions: page.sessions.filter(session => session && Array.isArray(session.events)), truncated };
+  }, [getUserSessions]);
 
-    // Sort by average latency (slowest first)
-    return digraphAverages.sort((a, b) => b.avgLatency - a.avgLatency);
-  }, [getFingerForKey]);
-
-  // V2 Analytics: Calculate error confusion matrix
-  const calculateErrorConfusionMatrix = useCallback((charStates) => {
-    if (!charStates || !Array.isArray(charStates)) {
-      return null;
-    }
-
-    const confusionMap = {};
-
-    charStates.forEach(charState => {
-      // Check if this was an error (incorrect or corrected means there was an error at some point)
-      if (charState.status === 'incorrect') {
-        const expected = charState.char;
-        const actual = charState.userBuffer;
-        
-        if (expected && actual && expected !== actual) {
-          if (!confusionMap[expected]) {
-            confusionMap[expected] = {};
-          }
-          if (!confusionMap[expected][actual]) {
-            confusionMap[expected][actual] = 0;
-          }
-          confusionMap[expected][actual]++;
+  // Load a single session or a session set from query parameters
+  useEffect(() => {
+    let cancelled = false;
+    
+    const loadSession = async () => {
+      const sessionSet = parseSessionSet(searchParams);
+      if (sessionSet) {
+        setLoadingSet(true);
+        try {
+          const { sessions, truncated } = await loadSessionSet(sessionSet);
+          if (cancelled) return;
+          setSessionData(null);
+          setCompareWith(null);
+          setAggregateInfo({
+            sessionCount: sessions.length,
+            description: describeSessionSet(sessionSet),
+            truncated
+          });
+          setAnalysis(sessions.length > 0 ? analyzeSessions(sessions, { layout: layoutFor(null) }) : null);
+        } catch (error) {
+          console.error('Failed to load sessions for aggregate analysis:', error);
+          if (!cancelled) alert('Failed to load sessions: ' + error.message);
+        } finally {
+          if (!cancelled) setLoadingSet(false);
         }
+        return;
       }
-    });
-
-    // Convert to sorted array for display
-    const confusionData = Object.entries(confusionMap).map(([expected, actualMap]) => {
-      const actualChars = Object.entries(actualMap)
-        .map(([actual, count]) => ({ actual, count }))
-        .sort((a, b) => b.count - a.count);
       
-      return {
-        expected,
-        actualChars,
-        totalErrors: actualChars.reduce((sum, item) => sum + item.count, 0)
-      };
-    }).sort((a, b) => b.totalErrors - a.totalErrors);
-
-    return confusionData.length > 0 ? confusionData : null;
-  }, []);
-
-  // V2 Analytics: Calculate rhythm data (keydown to keydown intervals)
-  const calculateRhythmData = useCallback((events, charStates) => {
-    if (!events || !charStates) {
-      return null;
-    }
-
-    const intervals = [];
-    let lastKeydownTime = null;
-    let sessionStartTime = null;
-
-    events.forEach(event => {
-      if (event.type === 'keydown') {
-        const currentIndex = event.currentIndex;
-        
-        // Validate currentIndex is within bounds
-        if (currentIndex !== undefined && currentIndex >= 0 && currentIndex < charStates.length) {
-          const charState = charStates[currentIndex];
-          
-          // Only include correct keystrokes for rhythm analysis
-          if (charState && charState.status === 'correct' && event.key && event.key.length === 1) {
-            if (sessionStartTime === null) {
-              sessionStartTime = event.timestamp;
-            }
-            
-            if (lastKeydownTime !== null) {
-              const interval = event.timestamp - lastKeydownTime;
-              const sessionTime = event.timestamp - sessionStartTime;
-              
-              intervals.push({
-                sessionTime,
-                interval,
-                char: event.expectedChar
-              });
-            }
-            
-            lastKeydownTime = event.timestamp;
-          }
-        }
-      }
-    });
-
-    return intervals.length > 0 ? intervals : null;
-  }, []);
-
-  // V2 Analytics: Calculate shift penalty (capitalization cost)
-  const calculateShiftPenalty = useCallback((events) => {
-    if (!events) {
-      return null;
-    }
-
-    const uppercaseIntervals = [];
-    const lowercaseIntervals = [];
-    let lastKeydownTime = null;
-
-    events.forEach(event => {
-      if (event.type === 'keydown') {
-        // Only analyze alphabetic characters
-        if (event.key && event.key.length === 1 && /[a-zA-Z]/.test(event.key)) {
-          if (lastKeydownTime !== null) {
-            const interval = event.timestamp - lastKeydownTime;
-            
-            // Determine if this is uppercase or lowercase
-            if (event.key === event.key.toUpperCase() && event.key !== event.key.toLowerCase()) {
-              uppercaseIntervals.push(interval);
-            } else if (event.key === event.key.toLowerCase()) {
-              lowercaseIntervals.push(interval);
-            }
-          }
-          
-          lastKeydownTime = event.timestamp;
+      const sessionId = searchParams.get('session');
+      const compareId = searchParams.get('compare');
+      if (sessionId && compareId && getUserSessions) {
+        const { sessions } = await getUserSessions({ sessionIds: `${sessionId},${compareId}`, include: 'events' });
+        if (cancelled) return;
+        const session = sessions.find(s => s.sessionId === sessionId);
+        const other = sessions.find(s => s.sessionId === compareId);
+        if (!session || !other) {
+          alert('Could not load both sessions for comparison');
+          return;
         }
-      }
-    });
-
-    // Calculate averages
-    if (uppercaseIntervals.length === 0 && lowercaseIntervals.length === 0) {
-      return null;
-    }
-
-    const avgUppercase = uppercaseIntervals.length > 0
-      ? uppercaseIntervals.reduce((sum, t) => sum + t, 0) / uppercaseIntervals.length
-      : 0;
-    
-    const avgLowercase = lowercaseIntervals.length > 0
-      ? lowercaseIntervals.reduce((sum, t) => sum + t, 0) / lowercaseIntervals.length
-      : 0;
-
-    const penalty = avgUppercase - avgLowercase;
-    const percentSlower = avgLowercase > 0 ? ((penalty / avgLowercase) * 100) : 0;
-
-    return {
-      avgUppercase,
-      avgLowercase,
-      penalty,
-      percentSlower,
-      uppercaseCount: uppercaseIntervals.length,
-      lowercaseCount: lowercaseIntervals.length
-    };
-  }, []);
-
-  // Calculate WPM over time with error and backspace markers
-  const calculateWpmOverTime = useCallback((events, charStates) => {
-    const CHARS_PER_WORD = 5; // Standard assumption for WPM calculation
-    
-    if (!events || !charStates) {
-      return null;
-    }
-
-    const BUCKET_SIZE_MS = 1000; // 1-second buckets
-    const SMOOTHING_WINDOW = 2; // 2-second moving average
-    
-    // Find session start time
-    const sessionStartTime = events.find(e => e.type === 'keydown')?.timestamp;
-    if (!sessionStartTime) return null;
-
-    // Find session end time
-    const lastKeystrokeEvent = events.filter(e => e.type === 'keydown').pop();
-    if (!lastKeystrokeEvent) return null;
-    const sessionDuration = lastKeystrokeEvent.timestamp - sessionStartTime;
-
-    // Create buckets
-    const numBuckets = Math.ceil(sessionDuration / BUCKET_SIZE_MS) + 1;
-    const buckets = Array.from({ length: numBuckets }, () => ({
-      charsTyped: 0,
-      errors: [],
-      backspaces: []
-    }));
-
-    // Collect errors and backspaces with their timestamps
-    const errorMarkers = [];
-    const backspaceMarkers = [];
-
-    // Process events
-    events.forEach(event => {
-      if (event.type === 'keydown') {
-        const bucketIndex = Math.floor((event.timestamp - sessionStartTime) / BUCKET_SIZE_MS);
-        
-        if (bucketIndex >= 0 && bucketIndex < buckets.length) {
-          // Check if this is a backspace
-          if (event.key === 'Backspace') {
-            backspaceMarkers.push({
-              timestamp: event.timestamp,
-              relativeTime: (event.timestamp - sessionStartTime) / 1000
-            });
-            buckets[bucketIndex].backspaces.push(event.timestamp);
-          } else if (event.key && event.key.length === 1) {
-            // Count character typed
-            buckets[bucketIndex].charsTyped++;
-            
-            // Check if this was an error by comparing with expected character
-            const expectedChar = event.expectedChar;
-            
-            // This is an error if the key doesn't match the expected character
-            if (expectedChar && event.key !== expectedChar) {
-              errorMarkers.push({
-                timestamp: event.timestamp,
-                relativeTime: (event.timestamp - sessionStartTime) / 1000,
-                expected: expectedChar,
-                actual: event.key
-              });
-              buckets[bucketIndex].errors.push(event.timestamp);
-            }
-          }
+        try {
+          setAggregateInfo(null);
+          setSessionData(session);
+          setAnalysis(analyzeSession(session, { layout: layoutFor(session) }));
+          setCompareWith({ session: other, analysis: analyzeSession(other, { layout: layoutFor(other) }) });
+        } catch (error) {
+          alert(error.message);
         }
+        return;
       }
-    });
-
-    // Calculate instant WPM for each bucket
-    const instantWpm = buckets.map((bucket, idx) => {
-      const timeInSeconds = idx; // bucket index represents seconds
-      const wpm = (bucket.charsTyped / CHARS_PER_WORD) * 60; // Convert chars to WPM
-      return { time: timeInSeconds, wpm };
-    });
-
-    // Apply smoothing (simple moving average)
-    const smoothedWpm = instantWpm.map((point, idx) => {
-      const startIdx = Math.max(0, idx - SMOOTHING_WINDOW);
-      const endIdx = Math.min(instantWpm.length, idx + SMOOTHING_WINDOW + 1);
-      const window = instantWpm.slice(startIdx, endIdx);
-      const avgWpm = window.reduce((sum, p) => sum + p.wpm, 0) / window.length;
-      return { time: point.time, wpm: avgWpm };
-    });
-
-    return {
-      wpmData: smoothedWpm,
-      errorMarkers,
-      backspaceMarkers
-    };
-  }, []);
-
-  const analyzeData = useCallback((data) => {
-    // Validate data has required fields
-    if (!data || !data.events || !Array.isArray(data.events)) {
-      alert('Invalid session data format: missing or invalid events array');
-      return;
-    }
-
-    // Calculate basic statistics
-    const stats = calculateStatistics(data);
-    setStatistics(stats);
-
-    // Calculate dwell time per key
-    const dwellByKey = calculateDwellTimeByKey(data.events);
-    setDwellTimeByKey(dwellByKey);
-
-    // Calculate dwell time per finger
-    const dwellByFinger = calculateDwellTimeByFinger(dwellByKey);
-    setDwellTimeByFinger(dwellByFinger);
-
-    // Calculate flight time per key
-    const flightByKey = calculateFlightTimeByKey(data.events);
-    setFlightTimeByKey(flightByKey);
-
-    // Calculate flight time per finger
-    const flightByFinger = calculateFlightTimeByFinger(flightByKey);
-    setFlightTimeByFinger(flightByFinger);
-    
-    // V2 Analytics: Calculate digraph latency
-    const digraphs = calculateDigraphLatency(data.events, data.charStates);
-    setDigraphLatency(digraphs);
-    
-    // V2 Analytics: Calculate error confusion matrix
-    const confusionMatrix = calculateErrorConfusionMatrix(data.charStates);
-    setErrorConfusionMatrix(confusionMatrix);
-    
-    // V2 Analytics: Calculate rhythm data
-    const rhythm = calculateRhythmData(data.events, data.charStates);
-    setRhythmData(rhythm);
-    
-    // V2 Analytics: Calculate shift penalty
-    const penalty = calculateShiftPenalty(data.events);
-    setShiftPenalty(penalty);
-    
-    // Calculate WPM over time
-    const wpmChart = calculateWpmOverTime(data.events, data.charStates);
-    setWpmOverTime(wpmChart);
-  }, [calculateStatistics, calculateDwellTimeByKey, calculateDwellTimeByFinger, 
-      calculateFlightTimeByKey, calculateFlightTimeByFinger, calculateDigraphLatency,
-      calculateErrorConfusionMatrix, calculateRhythmData, calculateShiftPenalty, calculateWpmOverTime]);
-
-  // Load session from query parameter
-  useEffect(() => {
-    const loadSession = async () => {
-      const sessionId = searchParams.get('session');
+      
       if (sessionId && getSession) {
         const session = await getSession(sessionId);
-        if (session) {
+        if (session && !cancelled) {
+          setAggregateInfo(null);
+          setCompareWith(null);
           setSessionData(session);
           analyzeData(session);
         }
@@ -590,7 +160,10 @@ function Analyzer() {
     };
     
     loadSession();
-  }, [searchParams, getSession, analyzeData]);
+    return () => {
+      cancelled = true;
+    };
+  }, [searchParams, getSession, getUserSessions, analyzeData, loadSessionSet, layoutFor]);
 
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
@@ -609,18 +182,28 @@ function Analyzer() {
     reader.readAsText(file);
   };
 
+  // Open the replay, optionally at a time in seconds. Uploaded files have no
+  // session id, so the session itself travels in navigation state.
+  const openReplay = (seconds = 0) => {
+    const sessionId = searchParams.get('session');
+    const params = new URLSearchParams();
+    if (sessionId) params.set('session', sessionId);
+    if (seconds > 0) params.set('t', seconds.toFixed(1));
+    navigate(`/replay?${params}`, { state: sessionId ? null : { session: sessionData } });
+  };
+
+  const handleWpmChartClick = (event) => {
+    if (!sessionData) return;
+    const maxTime = Math.max(...wpmOverTime.wpmData.map(d => d.time), 1);
+    openReplay(chartEventToTime(event, maxTime));
+  };
+
   const resetAnalyzer = () => {
     setSessionData(null);
-    setStatistics(null);
-    setDwellTimeByKey(null);
-    setDwellTimeByFinger(null);
-    setFlightTimeByKey(null);
-    setFlightTimeByFinger(null);
-    setDigraphLatency(null);
-    setErrorConfusionMatrix(null);
-    setRhythmData(null);
-    setShiftPenalty(null);
-    setWpmOverTime(null);
+    setAggregateInfo(null);
+    setCompareWith(null);
+    setAnalysis(null);
+    setSearchParams({});
   };
 
   return (
@@ -629,25 +212,103 @@ function Analyzer() {
         <h1>Typing Analysis</h1>
       </div>
 
-      {!sessionData ? (
+      {loadingSet ? (
         <div className="upload-section">
-          <h2>Upload Session Data</h2>
-          <p>Upload a JSON file from a typing session to analyze your performance.</p>
-          <input
-            type="file"
-            accept=".json"
-            onChange={handleFileUpload}
-            className="file-input"
+          <p>Loading sessions...</p>
+        </div>
+      ) : !sessionData && !aggregateInfo ? (
+        <>
+          <div className="upload-section">
+            <h2>Upload Session Data</h2>
+            <p>Upload a JSON file from a typing session to analyze your performance.</p>
+            <input
+              type="file"
+              accept=".json"
+              onChange={handleFileUpload}
+              className="file-input"
+            />
+          </div>
+          <SessionSetPicker onSelect={setSearchParams} />
+        </>
+      ) : compareWith ? (
+        <div className="results-section">
+          <button onClick={resetAnalyzer} className="reset-btn">
+            Close Comparison
+          </button>
+          <SessionComparison
+            baseSession={sessionData}
+            otherSession={compareWith.session}
+            baseAnalysis={analysis}
+            otherAnalysis={compareWith.analysis}
+            layout={layout}
           />
         </div>
       ) : (
         <div className="results-section">
           <button onClick={resetAnalyzer} className="reset-btn">
-            Upload Different File
+            {aggregateInfo ? 'Choose Different Sessions' : 'Upload Different File'}
           </button>
+          {sessionData && (
+            <button onClick={() => openReplay()} className="replay-btn">
+              Replay Session
+            </button>
+          )}
+
+          {/* Aggregate analysis over a session set */}
+          {aggregateInfo && (
+            <div className="stats-panel">
+              <h2>Aggregate of {aggregateInfo.sessionCount} Sessions</h2>
+              <p className="panel-description">
+                Every panel below pools the keystrokes of the {aggregateInfo.description}.
+                {aggregateInfo.truncated && ` Only the most recent ${MAX_AGGREGATE_SESSIONS} sessions are included.`}
+              </p>
+              {aggregateInfo.sessionCount === 0 ? (
+                <p>No sessions with keystroke data match this selection.</p>
+              ) : statistics && (
+                <div className="stats-grid">
+                  <div className="stat-item">
+                    <span className="stat-label">Average Net WPM:</span>
+                    <span className="stat-value">{statistics.avgNetWPM?.toFixed(2) ?? '-'}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span className="stat-label">Best Net WPM:</span>
+                    <span className="stat-value">{statistics.bestNetWPM?.toFixed(2) ?? '-'}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span className="stat-label">Average Raw WPM:</span>
+                    <span className="stat-value">{statistics.avgRawWPM?.toFixed(2) ?? '-'}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span className="stat-label">Average Accuracy:</span>
+                    <span className="stat-value">{statistics.avgAccuracy?.toFixed(2) ?? '-'}%</span>
+                  </div>
+                  <div className="stat-item">
+                    <span className="stat-label">Total Typing Time:</span>
+                    <span className="stat-value">{(statistics.totalDuration / 1000).toFixed(0)}s</span>
+                  </div>
+                  <div className="stat-item">
+                    <span className="stat-label">Total Keystrokes:</span>
+                    <span className="stat-value">{statistics.totalKeystrokes}</span>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Server-side validation flagged this session */}
+          {sessionData?.validated === false && (
+            <div className="validation-warning">
+              <strong>⚠ This session was flagged by the server:</strong>
+              <ul>
+                {(sessionData.validationIssues || []).map(issue => (
+                  <li key={issue}>{issue}</li>
+                ))}
+              </ul>
+            </div>
+          )}
 
           {/* Basic Statistics */}
-          {statistics && (
+          {sessionData && statistics && (
             <div className="stats-panel">
               <h2>Basic Statistics</h2>
               <div className="wpm-headline">
@@ -739,23 +400,29 @@ function Analyzer() {
             <div className="analysis-panel">
               <h2>Speed Over Time</h2>
               <p className="panel-description">
-                Your typing speed throughout the session - higher is faster
+                Your typing speed throughout the session - higher is faster.
+                {sessionData && ' Click the chart to replay from that moment.'}
               </p>
               
               <div className="wpm-chart-container">
-                <svg className="wpm-chart" viewBox="0 0 800 350" preserveAspectRatio="xMidYMid meet">
+                <svg
+                  className={`wpm-chart${sessionData ? ' seekable' : ''}`}
+                  viewBox="0 0 800 350"
+                  preserveAspectRatio="xMidYMid meet"
+                  onClick={handleWpmChartClick}
+                >
                   {/* Grid lines */}
-                  <line x1="60" y1="280" x2="760" y2="280" stroke="#e5e7eb" strokeWidth="2" />
-                  <line x1="60" y1="230" x2="760" y2="230" stroke="#e5e7eb" strokeWidth="0.5" />
-                  <line x1="60" y1="180" x2="760" y2="180" stroke="#e5e7eb" strokeWidth="0.5" />
-                  <line x1="60" y1="130" x2="760" y2="130" stroke="#e5e7eb" strokeWidth="0.5" />
-                  <line x1="60" y1="80" x2="760" y2="80" stroke="#e5e7eb" strokeWidth="0.5" />
-                  <line x1="60" y1="30" x2="760" y2="30" stroke="#e5e7eb" strokeWidth="0.5" />
+                  <line x1="60" y1="280" x2="760" y2="280" className="chart-grid" strokeWidth="2" />
+                  <line x1="60" y1="230" x2="760" y2="230" className="chart-grid" strokeWidth="0.5" />
+                  <line x1="60" y1="180" x2="760" y2="180" className="chart-grid" strokeWidth="0.5" />
+                  <line x1="60" y1="130" x2="760" y2="130" className="chart-grid" strokeWidth="0.5" />
+                  <line x1="60" y1="80" x2="760" y2="80" className="chart-grid" strokeWidth="0.5" />
+                  <line x1="60" y1="30" x2="760" y2="30" className="chart-grid" strokeWidth="0.5" />
                   
                   {/* Y-axis */}
-                  <line x1="60" y1="20" x2="60" y2="280" stroke="#374151" strokeWidth="2" />
+                  <line x1="60" y1="20" x2="60" y2="280" className="chart-axis" strokeWidth="2" />
                   {/* X-axis */}
-                  <line x1="60" y1="280" x2="760" y2="280" stroke="#374151" strokeWidth="2" />
+                  <line x1="60" y1="280" x2="760" y2="280" className="chart-axis" strokeWidth="2" />
                   
                   {/* Plot the WPM line */}
                   {(() => {
@@ -769,7 +436,7 @@ function Analyzer() {
                     );
                     
                     const points = wpmOverTime.wpmData.map((d) => {
-                      const x = 60 + ((d.time / maxTime) * 700);
+                      const x = timeToChartX(d.time, maxTime);
                       const y = 280 - ((d.wpm / maxWpm) * 250);
                       return `${x},${y}`;
                     }).join(' ');
@@ -779,7 +446,7 @@ function Analyzer() {
                         <polyline
                           points={points}
                           fill="none"
-                          stroke="#4CAF50"
+                          style={{ stroke: 'var(--series-primary)' }}
                           strokeWidth="3"
                         />
                         
@@ -792,13 +459,13 @@ function Analyzer() {
                           const wpmPoint = wpmOverTime.wpmData[bucketIdx];
                           if (!wpmPoint) return null;
                           
-                          const x = 60 + ((wpmPoint.time / maxTime) * 700);
+                          const x = timeToChartX(wpmPoint.time, maxTime);
                           const y = 280 - ((wpmPoint.wpm / maxWpm) * 250);
                           
                           return (
                             <g key={`error-${idx}`}>
-                              <line x1={x-4} y1={y-4} x2={x+4} y2={y+4} stroke="#f44336" strokeWidth="2" />
-                              <line x1={x-4} y1={y+4} x2={x+4} y2={y-4} stroke="#f44336" strokeWidth="2" />
+                              <line x1={x-4} y1={y-4} x2={x+4} y2={y+4} style={{ stroke: 'var(--series-error)' }} strokeWidth="2" />
+                              <line x1={x-4} y1={y+4} x2={x+4} y2={y-4} style={{ stroke: 'var(--series-error)' }} strokeWidth="2" />
                             </g>
                           );
                         })}
@@ -812,7 +479,7 @@ function Analyzer() {
                           const wpmPoint = wpmOverTime.wpmData[bucketIdx];
                           if (!wpmPoint) return null;
                           
-                          const x = 60 + ((wpmPoint.time / maxTime) * 700);
+                          const x = timeToChartX(wpmPoint.time, maxTime);
                           const y = 280 - ((wpmPoint.wpm / maxWpm) * 250);
                           
                           return (
@@ -821,7 +488,7 @@ function Analyzer() {
                               x={x} 
                               y={y+4} 
                               fontSize="14" 
-                              fill="#fb8c00" 
+                              style={{ fill: 'var(--series-tertiary)' }} 
                               textAnchor="middle"
                               fontWeight="bold"
                             >
@@ -831,18 +498,18 @@ function Analyzer() {
                         })}
                         
                         {/* Y-axis labels */}
-                        <text x="35" y="285" fontSize="12" fill="#6b7280" textAnchor="end">0</text>
-                        <text x="35" y="235" fontSize="12" fill="#6b7280" textAnchor="end">{(maxWpm * 0.2).toFixed(0)}</text>
-                        <text x="35" y="185" fontSize="12" fill="#6b7280" textAnchor="end">{(maxWpm * 0.4).toFixed(0)}</text>
-                        <text x="35" y="135" fontSize="12" fill="#6b7280" textAnchor="end">{(maxWpm * 0.6).toFixed(0)}</text>
-                        <text x="35" y="85" fontSize="12" fill="#6b7280" textAnchor="end">{(maxWpm * 0.8).toFixed(0)}</text>
-                        <text x="35" y="35" fontSize="12" fill="#6b7280" textAnchor="end">{maxWpm.toFixed(0)}</text>
+                        <text x="35" y="285" fontSize="12" className="chart-label" textAnchor="end">0</text>
+                        <text x="35" y="235" fontSize="12" className="chart-label" textAnchor="end">{(maxWpm * 0.2).toFixed(0)}</text>
+                        <text x="35" y="185" fontSize="12" className="chart-label" textAnchor="end">{(maxWpm * 0.4).toFixed(0)}</text>
+                        <text x="35" y="135" fontSize="12" className="chart-label" textAnchor="end">{(maxWpm * 0.6).toFixed(0)}</text>
+                        <text x="35" y="85" fontSize="12" className="chart-label" textAnchor="end">{(maxWpm * 0.8).toFixed(0)}</text>
+                        <text x="35" y="35" fontSize="12" className="chart-label" textAnchor="end">{maxWpm.toFixed(0)}</text>
                         
                         {/* Axis labels */}
-                        <text x="410" y="310" fontSize="14" fill="#374151" textAnchor="middle">
+                        <text x="410" y="310" fontSize="14" className="chart-title" textAnchor="middle">
                           Time (seconds)
                         </text>
-                        <text x="30" y="150" fontSize="14" fill="#374151" transform="rotate(-90 30 150)" textAnchor="middle">
+                        <text x="30" y="150" fontSize="14" className="chart-title" transform="rotate(-90 30 150)" textAnchor="middle">
                           WPM
                         </text>
                       </>
@@ -917,8 +584,9 @@ function Analyzer() {
                   .slice(0, 10)
                   .map(([key, time]) => (
                     <div key={key} className="data-item">
-                      <span className="key-label">{key === ' ' ? 'Space' : key}:</span>
+                      <span className="key-label">{getKeyLabel(layout, key)}:</span>
                       <span className="time-value">{time.toFixed(2)}ms</span>
+                      {dwellSampleCounts && <span className="sample-count">n={dwellSampleCounts[key]}</span>}
                     </div>
                   ))}
               </div>
@@ -936,11 +604,11 @@ function Analyzer() {
                         </div>
                       ))}
                   </div>
-                  <HandHeatmap data={dwellTimeByFinger} title="Dwell Time by Finger" />
+                  <HandHeatmap data={dwellTimeByFinger} title="Dwell Time by Finger" layout={layout} />
                 </>
               )}
 
-              <KeyboardHeatmap data={dwellTimeByKey} title="Dwell Time Heatmap" />
+              <KeyboardHeatmap data={dwellTimeByKey} counts={dwellSampleCounts} title="Dwell Time Heatmap" layout={layout} />
             </div>
           )}
 
@@ -957,8 +625,9 @@ function Analyzer() {
                   .slice(0, 10)
                   .map(([key, time]) => (
                     <div key={key} className="data-item">
-                      <span className="key-label">{key === ' ' ? 'Space' : key}:</span>
+                      <span className="key-label">{getKeyLabel(layout, key)}:</span>
                       <span className="time-value">{time.toFixed(2)}ms</span>
+                      {flightSampleCounts && <span className="sample-count">n={flightSampleCounts[key]}</span>}
                     </div>
                   ))}
               </div>
@@ -976,11 +645,11 @@ function Analyzer() {
                         </div>
                       ))}
                   </div>
-                  <HandHeatmap data={flightTimeByFinger} title="Flight Time by Finger" />
+                  <HandHeatmap data={flightTimeByFinger} title="Flight Time by Finger" layout={layout} />
                 </>
               )}
 
-              <KeyboardHeatmap data={flightTimeByKey} title="Flight Time Heatmap" />
+              <KeyboardHeatmap data={flightTimeByKey} counts={flightSampleCounts} title="Flight Time Heatmap" layout={layout} />
             </div>
           )}
 
@@ -1013,6 +682,75 @@ function Analyzer() {
             </div>
           )}
 
+          {/* Symbol and bracket performance (mostly from code mode) */}
+          {symbolPerformance && (
+            <div className="analysis-panel">
+              <h2>Symbols &amp; Brackets</h2>
+              <p className="panel-description">
+                Accuracy and latency (time since the previous keystroke) by character class,
+                so slow symbol keys stand out from letters
+              </p>
+
+              <h3>By Character Class</h3>
+              <div className="digraph-table symbol-table">
+                <div className="table-header">
+                  <span>Class</span>
+                  <span>Accuracy</span>
+                  <span>Avg Latency</span>
+                  <span>Count</span>
+                </div>
+                {symbolPerformance.classes.map(group => (
+                  <div key={group.id} className="table-row">
+                    <span className="transition-chars">{group.label}</span>
+                    <span className="finger-change">{formatAccuracy(group)}</span>
+                    <span className="latency-value">{formatLatency(group)}</span>
+                    <span className="count-value">{group.count}</span>
+                  </div>
+                ))}
+              </div>
+
+              {symbolPerformance.brackets.length > 0 && (
+                <>
+                  <h3>Bracket Pairs (opening vs. closing)</h3>
+                  <div className="digraph-table symbol-table">
+                    <div className="table-header">
+                      <span>Pair</span>
+                      <span>Opening</span>
+                      <span>Closing</span>
+                      <span>Count</span>
+                    </div>
+                    {symbolPerformance.brackets.map(({ pair, open, close }) => (
+                      <div key={pair} className="table-row">
+                        <span className="transition-chars">{pair[0]} {pair[1]}</span>
+                        <span className="finger-change">{formatLatency(open)} · {formatAccuracy(open)}</span>
+                        <span className="finger-change">{formatLatency(close)} · {formatAccuracy(close)}</span>
+                        <span className="count-value">{(open?.count || 0) + (close?.count || 0)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+
+              <h3>Slowest Symbols</h3>
+              <div className="digraph-table symbol-table">
+                <div className="table-header">
+                  <span>Symbol</span>
+                  <span>Accuracy</span>
+                  <span>Avg Latency</span>
+                  <span>Count</span>
+                </div>
+                {symbolPerformance.symbols.slice(0, 10).map(symbol => (
+                  <div key={symbol.char} className="table-row">
+                    <span className="transition-chars">{symbol.char}</span>
+                    <span className="finger-change">{formatAccuracy(symbol)}</span>
+                    <span className="latency-value">{formatLatency(symbol)}</span>
+                    <span className="count-value">{symbol.count}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* V2 Analytics: Rhythm & Consistency Visualization */}
           {rhythmData && rhythmData.length > 0 && (
             <div className="analysis-panel">
@@ -1024,16 +762,16 @@ function Analyzer() {
               <div className="rhythm-chart-container">
                 <svg className="rhythm-chart" viewBox="0 0 800 300" preserveAspectRatio="xMidYMid meet">
                   {/* Grid lines */}
-                  <line x1="50" y1="250" x2="750" y2="250" stroke="#e5e7eb" strokeWidth="1" />
-                  <line x1="50" y1="200" x2="750" y2="200" stroke="#e5e7eb" strokeWidth="0.5" />
-                  <line x1="50" y1="150" x2="750" y2="150" stroke="#e5e7eb" strokeWidth="0.5" />
-                  <line x1="50" y1="100" x2="750" y2="100" stroke="#e5e7eb" strokeWidth="0.5" />
-                  <line x1="50" y1="50" x2="750" y2="50" stroke="#e5e7eb" strokeWidth="0.5" />
+                  <line x1="50" y1="250" x2="750" y2="250" className="chart-grid" strokeWidth="1" />
+                  <line x1="50" y1="200" x2="750" y2="200" className="chart-grid" strokeWidth="0.5" />
+                  <line x1="50" y1="150" x2="750" y2="150" className="chart-grid" strokeWidth="0.5" />
+                  <line x1="50" y1="100" x2="750" y2="100" className="chart-grid" strokeWidth="0.5" />
+                  <line x1="50" y1="50" x2="750" y2="50" className="chart-grid" strokeWidth="0.5" />
                   
                   {/* Y-axis */}
-                  <line x1="50" y1="20" x2="50" y2="250" stroke="#374151" strokeWidth="2" />
+                  <line x1="50" y1="20" x2="50" y2="250" className="chart-axis" strokeWidth="2" />
                   {/* X-axis */}
-                  <line x1="50" y1="250" x2="750" y2="250" stroke="#374151" strokeWidth="2" />
+                  <line x1="50" y1="250" x2="750" y2="250" className="chart-axis" strokeWidth="2" />
                   
                   {/* Plot the rhythm line */}
                   {(() => {
@@ -1053,16 +791,16 @@ function Analyzer() {
                         <polyline
                           points={points}
                           fill="none"
-                          stroke="#3b82f6"
+                          style={{ stroke: 'var(--series-secondary)' }}
                           strokeWidth="2"
                         />
                         {/* Labels */}
-                        <text x="10" y="30" fontSize="12" fill="#6b7280">Fast</text>
-                        <text x="10" y="255" fontSize="12" fill="#6b7280">Slow</text>
-                        <text x="350" y="280" fontSize="14" fill="#374151" textAnchor="middle">
+                        <text x="10" y="30" fontSize="12" className="chart-label">Fast</text>
+                        <text x="10" y="255" fontSize="12" className="chart-label">Slow</text>
+                        <text x="350" y="280" fontSize="14" className="chart-title" textAnchor="middle">
                           Session Progress
                         </text>
-                        <text x="25" y="150" fontSize="14" fill="#374151" transform="rotate(-90 25 150)">
+                        <text x="25" y="150" fontSize="14" className="chart-title" transform="rotate(-90 25 150)">
                           Interval (ms)
                         </text>
                       </>
@@ -1125,20 +863,4 @@ function Analyzer() {
   );
 }
 
-function getFingerName(fingerCode) {
-  const names = {
-    'LP': 'Left Pinky',
-    'LR': 'Left Ring',
-    'LM': 'Left Middle',
-    'LI': 'Left Index',
-    'LT': 'Left Thumb',
-    'RT': 'Right Thumb',
-    'RI': 'Right Index',
-    'RM': 'Right Middle',
-    'RR': 'Right Ring',
-    'RP': 'Right Pinky'
-  };
-  return names[fingerCode] || fingerCode;
-}
-
 export default Analyzer;
@@ -5,6 +5,8 @@ import Analyzer from './Analyzer'
 import History from './History'
 import Settings from './Settings'
 import UserProfile from './UserProfile'
+import Replay from './Replay'
+import Lessons from './Lessons'
 import './App.css'
 
 function BackendStatus() {
@@ -43,6 +45,12 @@ function Navigation() {
         >
           Typing Test
         </Link>
+        <Link 
+          to="/lessons" 
+          className={location.pathname === '/lessons' ? 'nav-link active' : 'nav-link'}
+        >
+          Lessons
+        </Link>
         <Link 
           to="/history" 
           className={location.pathname === '/history' ? 'nav-link active' : 'nav-link'}
@@ -78,9 +86,11 @@ function App() {
           <Navigation />
           <Routes>
             <Route path="/" element={<TypingTest />} />
+            <Route path="/lessons" element={<Lessons />} />
             <Route path="/history" element={<History />} />
             <Route path="/analyzer" element={<Analyzer />} />
             <Route path="/settings" element={<Settings />} />
+            <Route path="/replay" element={<Replay />} />
           </Routes>
         </div>
       </AppProvider>
@@ -1,6 +1,17 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import apiService from './apiService';
+import { DEFAULT_WORD_LIST_ID, getCustomWordListId } from './wordLists';
+import { applyTheme, applyCharCues } from './themes';
+import { normalizeWordList } from '../../shared/text/index.js';
+import { resolveTheme, getPalette, DEFAULT_THEME_ID } from '../../shared/themes/index.js';
+import { computeSessionStats, toSessionSummary, querySessions, getSessionWpm } from './sessionStats';
+import {
+  getLesson,
+  evaluateLessonAttempt,
+  summarizeLessonProgress,
+  isLessonUnlocked
+} from '../../shared/lessons/index.js';
 
 const AppContext = createContext();
 
@@ -20,22 +31,71 @@ const DEFAULT_USER = {
     font: 'Courier New',
     fontSize: 'M',
     theme: 'dark',
-    soundEnabled: false
+    soundEnabled: false,
+    keyboardLayout: 'qwerty',
+    colorPalette: 'theme',
+    charCues: false,
+    showLiveWpm: true,
+    showRawWpm: true,
+    paceCaret: 'off',
+    paceWpm: 60,
+    textDisplay: 'tape'
   },
+  keyboardLayouts: [],
+  themes: [],
+  wordLists: [],
   sessions: []
 };
 
+// Account users keep word list summaries; the words are fetched when a
+// list is typed on
+function toWordListSummary(list) {
+  const { words: _words, ...summary } = list;
+  return summary;
+}
+
+// Local profiles keep the words next to the summary fields
+function toLocalWordList(user, listId, list, createdAt, updatedAt) {
+  return {
+    listId,
+    userId: user.userId,
+    ownerName: user.username,
+    ...list,
+    wordCount: list.words.length,
+    createdAt,
+    updatedAt
+  };
+}
+
 export function AppProvider({ children }) {
-  const [useBackend, setUseBackend] = useState(false);
   const [backendReady, setBackendReady] = useState(false);
   
+  // Bearer token for the logged-in backend account (null when using a local profile)
+  const [authToken, setAuthTokenState] = useState(() => {
+    const storedToken = localStorage.getItem('typr_auth_token');
+    apiService.setAuthToken(storedToken);
+    return storedToken;
+  });
+  
+  const setAuthToken = useCallback((token) => {
+    apiService.setAuthToken(token);
+    if (token) {
+      localStorage.setItem('typr_auth_token', token);
+    } else {
+      localStorage.removeItem('typr_auth_token');
+    }
+    setAuthTokenState(token);
+  }, []);
+  
+  // Backend storage is only used for an authenticated account
+  const useBackend = backendReady && authToken !== null;
+  
   // Check if backend is available
   useEffect(() => {
     const checkBackend = async () => {
       const isHealthy = await apiService.checkHealth();
       const wasBackendReady = backendReady;
       setBackendReady(isHealthy);
-      setUseBackend(isHealthy);
       
       if (isHealthy && !wasBackendReady) {
         console.log('✅ Backend connected - using database storage');
@@ -87,78 +147,83 @@ export function AppProvider({ children }) {
     return [DEFAULT_USER];
   });
   
-  // Sync users from backend when it becomes available
-  useEffect(() => {
-    const syncUsersFromBackend = async () => {
-      if (!useBackend) {
-        console.log('Backend not available, skipping user sync');
-        return;
+  // Add a user to the profile list, or replace the stored copy
+  const upsertUser = (user) => {
+    setUsers(prev => {
+      const exists = prev.find(u => u.userId === user.userId);
+      if (!exists) {
+        return [...prev, user];
       }
-      
+      return prev.map(u => u.userId === user.userId ? user : u);
+    });
+  };
+  
+  // Build a frontend account user from a backend user row
+  const loadAccountUser = async (backendUser) => {
+    const [settings, keyboardLayouts, themes, wordLists] = await Promise.all([
+      apiService.getSettings(backendUser.user_id),
+      apiService.getUserLayouts(backendUser.user_id),
+      apiService.getUserThemes(backendUser.user_id),
+      apiService.getWordLists()
+    ]);
+    return {
+      userId: backendUser.user_id,
+      username: backendUser.username,
+      settings,
+      keyboardLayouts,
+      themes,
+      wordLists,
+      sessions: [],
+      isAccount: true
+    };
+  };
+  
+  const guestUser = useMemo(() => users.find(u => u.userId === 'guest') || DEFAULT_USER, [users]);
+  
+  // Drop the backend account and fall back to the guest profile. Memoised so
+  // the restore effect below doesn't re-run on every render.
+  const signOutLocally = useCallback(() => {
+    setAuthToken(null);
+    setCurrentUser(guestUser);
+  }, [setAuthToken, guestUser]);
+  
+  // Restore the logged-in account from the backend when it becomes available
+  useEffect(() => {
+    const syncCurrentUserFromBackend = async () => {
       try {
-        console.log('Syncing users from backend...');
-        const backendUsers = await apiService.getUsers();
-        console.log(`Loaded ${backendUsers.length} users from backend`);
-        
-        // Transform backend users to frontend format
-        const formattedUsers = await Promise.all(
-          backendUsers.map(async (backendUser) => {
-            try {
-              const settings = await apiService.getSettings(backendUser.user_id);
-              return {
-                userId: backendUser.user_id,
-                username: backendUser.username,
-                settings,
-                sessions: []
-              };
-            } catch (error) {
-              console.error(`Failed to load settings for user ${backendUser.user_id}:`, error);
-              return {
-                userId: backendUser.user_id,
-                username: backendUser.username,
-                settings: {
-                  font: 'Courier New',
-                  fontSize: 'M',
-                  theme: 'dark',
-                  soundEnabled: false
-                },
-                sessions: []
-              };
-            }
-          })
-        );
-        
-        setUsers(formattedUsers);
-        
-        // If current user doesn't exist in backend users, switch to guest
-        const currentUserExists = formattedUsers.find(u => u.userId === currentUser.userId);
-        if (!currentUserExists) {
-          console.log('Current user not found in backend, switching to guest');
-          const guestUser = formattedUsers.find(u => u.userId === 'guest');
-          if (guestUser) {
-            setCurrentUser(guestUser);
-          }
-        } else {
-          // Update current user with backend data
-          setCurrentUser(currentUserExists);
-        }
+        console.log('Restoring logged-in user from backend...');
+        const backendUser = await apiService.getCurrentUser();
+        const user = await loadAccountUser(backendUser);
         
-        console.log('Users synced successfully from backend');
+        upsertUser(user);
+        setCurrentUser(user);
+        console.log('Logged-in user restored:', user.username);
       } catch (error) {
-        console.error('Failed to sync users from backend:', error);
+        console.error('Failed to restore logged-in user from backend:', error);
+        if (error.status === 401) {
+          console.log('Stored credential rejected, switching to guest');
+          signOutLocally();
+        }
       }
     };
     
     if (useBackend) {
-      syncUsersFromBackend();
+      syncCurrentUserFromBackend();
     }
-  }, [useBackend]); // Only run when backend availability changes
+  }, [useBackend, signOutLocally]); // Only run when backend availability or login state changes
   
   const [testConfig, setTestConfig] = useState({
-    mode: 'time', // 'time' or 'words'
+    mode: 'time', // 'time', 'words', 'quote' or 'code'
     timeLimit: 60, // in seconds
     wordCount: 50,
-    wordSource: 'common1k'
+    quoteLength: 'all', // quote length bucket, or 'all'
+    codeLanguage: 'javascript', // snippet language, or 'imported'
+    autoIndent: true, // skip leading whitespace after a newline in code mode
+    punctuation: false, // capitals, punctuation, quotes and brackets in generated words
+    numbers: false, // numerals mixed into generated words
+    wordSource: DEFAULT_WORD_LIST_ID, // word list id (see wordLists.js)
+    drill: false, // weight generated words toward recent weak spots
+    strictMode: 'off' // how mistakes are handled (see shared/analytics/strictModes.js)
   });
 
   // Save users to localStorage whenever they change
@@ -175,33 +240,20 @@ export function AppProvider({ children }) {
     }
   }, [currentUser]);
 
-  const createUser = async (username) => {
+  const createUser = async (username, password) => {
     console.log('Creating user:', username);
     
-    // Try to save to backend if available
-    if (useBackend) {
-      try {
-        console.log('Creating user in backend...');
-        const createdUser = await apiService.createUser(username);
-        console.log('User created in backend:', createdUser.user_id);
-        
-        // Fetch settings for the new user
-        const settings = await apiService.getSettings(createdUser.user_id);
-        
-        const userWithSettings = {
-          userId: createdUser.user_id,
-          username: createdUser.username,
-          settings,
-          sessions: []
-        };
-        
-        setUsers(prev => [...prev, userWithSettings]);
-        setCurrentUser(userWithSettings);
-        return userWithSettings;
-      } catch (error) {
-        console.error('Failed to create user in backend:', error);
-        alert('Failed to create user in backend. Using localStorage instead.');
-      }
+    // Register a backend account if the backend is available
+    if (backendReady) {
+      console.log('Registering user in backend...');
+      const { token, user: createdUser } = await apiService.register(username, password);
+      setAuthToken(token);
+      console.log('User registered in backend:', createdUser.user_id);
+      
+      const userWithSettings = await loadAccountUser(createdUser);
+      upsertUser(userWithSettings);
+      setCurrentUser(userWithSettings);
+      return userWithSettings;
     } else {
       console.log('Backend not available, creating user in localStorage');
     }
@@ -214,8 +266,19 @@ export function AppProvider({ children }) {
         font: 'Courier New',
         fontSize: 'M',
         theme: 'dark',
-        soundEnabled: false
+        soundEnabled: false,
+        keyboardLayout: 'qwerty',
+        colorPalette: 'theme',
+        charCues: false,
+        showLiveWpm: true,
+        showRawWpm: true,
+        paceCaret: 'off',
+        paceWpm: 60,
+        textDisplay: 'tape'
       },
+      keyboardLayouts: [],
+      themes: [],
+      wordLists: [],
       sessions: []
     };
     
@@ -224,49 +287,47 @@ export function AppProvider({ children }) {
     return newUser;
   };
 
-  const switchUser = async (userId) => {
-    console.log('Switching to user:', userId);
+  const login = async (username, password) => {
+    console.log('Logging in:', username);
     
-    // Try to load from backend if available
-    if (useBackend) {
+    const { token, user: backendUser } = await apiService.login(username, password);
+    setAuthToken(token);
+    
+    const user = await loadAccountUser(backendUser);
+    console.log('Logged in as:', user.username);
+    upsertUser(user);
+    setCurrentUser(user);
+    return user;
+  };
+
+  const logout = async () => {
+    if (authToken && backendReady) {
       try {
-        console.log('Loading user from backend...');
-        const backendUser = await apiService.getUser(userId);
-        const settings = await apiService.getSettings(userId);
-        
-        const user = {
-          userId: backendUser.user_id,
-          username: backendUser.username,
-          settings,
-          sessions: []
-        };
-        
-        console.log('User loaded from backend:', user.username);
-        setCurrentUser(user);
-        
-        // Update users list if this user isn't in it
-        setUsers(prev => {
-          const exists = prev.find(u => u.userId === userId);
-          if (!exists) {
-            return [...prev, user];
-          }
-          return prev.map(u => u.userId === userId ? user : u);
-        });
-        return;
+        await apiService.logout();
       } catch (error) {
-        console.error('Failed to load user from backend:', error);
-        console.log('Falling back to localStorage');
+        console.error('Failed to log out from backend:', error);
       }
     }
+    signOutLocally();
+  };
+
+  // Switch to a local profile. Backend accounts are entered through login().
+  const switchUser = async (userId) => {
+    console.log('Switching to user:', userId);
     
-    // Fallback to localStorage
     const user = users.find(u => u.userId === userId);
-    if (user) {
-      console.log('Switched to user from localStorage:', user.username);
-      setCurrentUser(user);
-    } else {
+    if (!user) {
       console.warn('User not found:', userId);
+      return;
     }
+    
+    // Leaving a backend account ends its login on this browser
+    if (authToken && userId !== currentUser.userId) {
+      await logout();
+    }
+    
+    console.log('Switched to user from localStorage:', user.username);
+    setCurrentUser(user);
   };
 
   const updateUserSettings = async (settings) => {
@@ -311,6 +372,256 @@ export function AppProvider({ children }) {
     ));
   };
 
+  // Replace the current user's stored copy after a change
+  const replaceCurrentUser = (updatedUser) => {
+    setCurrentUser(updatedUser);
+    setUsers(prev => prev.map(u => 
+      u.userId === currentUser.userId ? updatedUser : u
+    ));
+  };
+
+  // Create or update a custom keyboard layout ({ name, rows }); pass the
+  // layoutId to update an existing one. Returns the saved layout.
+  const saveKeyboardLayout = async (definition, layoutId = null) => {
+    if (!currentUser) {
+      console.warn('Cannot save layout: no current user');
+      return null;
+    }
+    
+    const layouts = currentUser.keyboardLayouts || [];
+    let savedLayout = null;
+    
+    // Try to save to backend if available
+    if (useBackend) {
+      try {
+        savedLayout = layoutId
+          ? await apiService.updateLayout(layoutId, definition)
+          : await apiService.createLayout(definition);
+        console.log('Layout saved to backend:', savedLayout.layoutId);
+      } catch (error) {
+        console.error('Failed to save layout to backend:', error);
+        console.log('Falling back to localStorage');
+      }
+    }
+    
+    // Fallback to localStorage
+    if (!savedLayout) {
+      const now = Math.floor(Date.now() / 1000);
+      const existing = layouts.find(layout => layout.layoutId === layoutId);
+      savedLayout = {
+        layoutId: layoutId || `layout_${Date.now()}`,
+        userId: currentUser.userId,
+        createdAt: existing?.createdAt || now,
+        ...definition,
+        updatedAt: now
+      };
+    }
+    
+    const keyboardLayouts = layoutId
+      ? layouts.map(layout => layout.layoutId === layoutId ? savedLayout : layout)
+      : [...layouts, savedLayout];
+    replaceCurrentUser({ ...currentUser, keyboardLayouts });
+    return savedLayout;
+  };
+
+  // Delete a custom layout; if it was selected, switch back to QWERTY
+  const deleteKeyboardLayout = async (layoutId) => {
+    if (!currentUser) {
+      console.warn('Cannot delete layout: no current user');
+      return;
+    }
+    
+    if (useBackend) {
+      try {
+        await apiService.deleteLayout(layoutId);
+      } catch (error) {
+        console.error('Failed to delete layout from backend:', error);
+        console.log('Falling back to localStorage');
+      }
+    }
+    
+    const settings = currentUser.settings.keyboardLayout === layoutId
+      ? { ...currentUser.settings, keyboardLayout: 'qwerty' }
+      : currentUser.settings;
+    replaceCurrentUser({
+      ...currentUser,
+      settings,
+      keyboardLayouts: (currentUser.keyboardLayouts || []).filter(layout => layout.layoutId !== layoutId)
+    });
+  };
+
+  // Create or update a custom theme ({ name, mode, colors }); pass the
+  // themeId to update an existing one. Returns the saved theme.
+  const saveTheme = async (definition, themeId = null) => {
+    if (!currentUser) {
+      console.warn('Cannot save theme: no current user');
+      return null;
+    }
+    
+    const themes = currentUser.themes || [];
+    let savedTheme = null;
+    
+    // Try to save to backend if available
+    if (useBackend) {
+      try {
+        savedTheme = themeId
+          ? await apiService.updateTheme(themeId, definition)
+          : await apiService.createTheme(definition);
+        console.log('Theme saved to backend:', savedTheme.themeId);
+      } catch (error) {
+        console.error('Failed to save theme to backend:', error);
+        console.log('Falling back to localStorage');
+      }
+    }
+    
+    // Fallback to localStorage
+    if (!savedTheme) {
+      const now = Math.floor(Date.now() / 1000);
+      const existing = themes.find(theme => theme.themeId === themeId);
+      savedTheme = {
+        themeId: themeId || `theme_${Date.now()}`,
+        userId: currentUser.userId,
+        createdAt: existing?.createdAt || now,
+        ...definition,
+        updatedAt: now
+      };
+    }
+    
+    const updatedThemes = themeId
+      ? themes.map(theme => theme.themeId === themeId ? savedTheme : theme)
+      : [...themes, savedTheme];
+    replaceCurrentUser({ ...currentUser, themes: updatedThemes });
+    return savedTheme;
+  };
+
+  // Delete a custom theme; if it was in use, switch back to the default
+  const deleteTheme = async (themeId) => {
+    if (!currentUser) {
+      console.warn('Cannot delete theme: no current user');
+      return;
+    }
+    
+    if (useBackend) {
+      try {
+        await apiService.deleteTheme(themeId);
+      } catch (error) {
+        console.error('Failed to delete theme from backend:', error);
+        console.log('Falling back to localStorage');
+      }
+    }
+    
+    const settings = currentUser.settings.theme === themeId
+      ? { ...currentUser.settings, theme: DEFAULT_THEME_ID }
+      : currentUser.settings;
+    replaceCurrentUser({
+      ...currentUser,
+      settings,
+      themes: (currentUser.themes || []).filter(theme => theme.themeId !== themeId)
+    });
+  };
+
+  // Create a word list ({ name, words, language, visibility }; see
+  // shared/text/wordLists.js). Returns the saved list's summary.
+  const saveWordList = async (definition) => {
+    if (!currentUser) {
+      console.warn('Cannot save word list: no current user');
+      return null;
+    }
+    
+    let savedList = null;
+    
+    // Try to save to backend if available
+    if (useBackend) {
+      try {
+        savedList = toWordListSummary(await apiService.createWordList(definition));
+        console.log('Word list saved to backend:', savedList.listId);
+      } catch (error) {
+        console.error('Failed to save word list to backend:', error);
+        console.log('Falling back to localStorage');
+      }
+    }
+    
+    // Fallback to localStorage, which keeps the words with the list
+    if (!savedList) {
+      const now = Math.floor(Date.now() / 1000);
+      savedList = toLocalWordList(currentUser, `wordlist_${Date.now()}`, normalizeWordList(definition), now, now);
+    }
+    
+    replaceCurrentUser({ ...currentUser, wordLists: [...(currentUser.wordLists || []), savedList] });
+    return savedList;
+  };
+
+  // Change some of a word list's fields (name, words, language, visibility)
+  const updateWordList = async (listId, changes) => {
+    if (!currentUser) {
+      console.warn('Cannot update word list: no current user');
+      return null;
+    }
+    
+    const lists = currentUser.wordLists || [];
+    let savedList = null;
+    
+    if (useBackend) {
+      try {
+        savedList = toWordListSummary(await apiService.updateWordList(listId, changes));
+      } catch (error) {
+        console.error('Failed to update word list in backend:', error);
+        console.log('Falling back to localStorage');
+      }
+    }
+    
+    if (!savedList) {
+      const existing = lists.find(list => list.listId === listId);
+      if (!existing?.words) return null;
+      const now = Math.floor(Date.now() / 1000);
+      savedList = toLocalWordList(currentUser, listId, normalizeWordList({ ...existing, ...changes }), existing.createdAt, now);
+    }
+    
+    replaceCurrentUser({
+      ...currentUser,
+      wordLists: lists.map(list => list.listId === listId ? savedList : list)
+    });
+    return savedList;
+  };
+
+  // A word list with its words: fetched from the backend, or the local copy
+  const getWordList = async (listId) => {
+    if (useBackend) {
+      try {
+        return await apiService.getWordList(listId);
+      } catch (error) {
+        console.error('Failed to load word list from backend:', error);
+      }
+    }
+    return (currentUser.wordLists || []).find(list => list.listId === listId && list.words) || null;
+  };
+
+  // Delete one of the user's word lists; if tests were drawing from it,
+  // go back to the default list
+  const deleteWordList = async (listId) => {
+    if (!currentUser) {
+      console.warn('Cannot delete word list: no current user');
+      return;
+    }
+    
+    if (useBackend) {
+      try {
+        await apiService.deleteWordList(listId);
+      } catch (error) {
+        console.error('Failed to delete word list from backend:', error);
+        console.log('Falling back to localStorage');
+      }
+    }
+    
+    if (testConfig.wordSource === getCustomWordListId(listId)) {
+      setTestConfig(prev => ({ ...prev, wordSource: DEFAULT_WORD_LIST_ID }));
+    }
+    replaceCurrentUser({
+      ...currentUser,
+      wordLists: (currentUser.wordLists || []).filter(list => list.listId !== listId)
+    });
+  };
+
   const saveSession = async (sessionData) => {
     if (!currentUser) {
       console.error('Cannot save session: no current user');
@@ -323,7 +634,14 @@ export function AppProvider({ children }) {
       sessionId,
       userId: currentUser.userId,
       mode: testConfig.mode,
-      modeValue: testConfig.mode === 'time' ? testConfig.timeLimit : testConfig.wordCount
+      modeValue: testConfig.mode === 'time' ? testConfig.timeLimit : testConfig.wordCount,
+      wordSource: testConfig.drill ? 'drill' : testConfig.wordSource,
+      // Lessons, quotes and code set their own mode and word source
+      ...(sessionData.wordSource && {
+        mode: sessionData.mode,
+        modeValue: sessionData.modeValue,
+        wordSource: sessionData.wordSource
+      })
     };
     
     console.log('Attempting to save session:', { sessionId, userId: currentUser.userId, mode: testConfig.mode });
@@ -335,16 +653,16 @@ export function AppProvider({ children }) {
         const savedSession = await apiService.createSession(sessionWithId);
         console.log('Session saved to backend successfully:', savedSession.sessionId);
         
-        // Update user's session list in state
+        // The server assigns its own id; use it for lookups such as lesson attempts
         const updatedUser = {
           ...currentUser,
-          sessions: [sessionId, ...currentUser.sessions]
+          sessions: [savedSession.sessionId, ...currentUser.sessions]
         };
         setCurrentUser(updatedUser);
         setUsers(prev => prev.map(u => 
           u.userId === currentUser.userId ? updatedUser : u
         ));
-        return sessionId;
+        return savedSession.sessionId;
       } catch (error) {
         console.error('Failed to save session to backend:', error);
         console.log('Falling back to localStorage');
@@ -386,10 +704,27 @@ export function AppProvider({ children }) {
     return sessionData ? JSON.parse(sessionData) : null;
   };
 
-  const getUserSessions = async () => {
+  // Read the current user's sessions stored in localStorage
+  const loadLocalSessions = () => {
+    return currentUser.sessions
+      .map(sessionId => {
+        try {
+          const sessionData = localStorage.getItem(`typr_session_${sessionId}`);
+          return sessionData ? JSON.parse(sessionData) : null;
+        } catch (error) {
+          console.error(`Failed to parse session ${sessionId}:`, error);
+          return null;
+        }
+      })
+      .filter(session => session !== null);
+  };
+
+  // Returns { sessions, nextCursor } with lightweight session summaries, or
+  // full sessions with `include: 'events'`. See apiService.getUserSessions for `query`.
+  const getUserSessions = async (query = {}) => {
     if (!currentUser) {
       console.warn('Cannot get sessions: no current user');
-      return [];
+      return { sessions: [], nextCursor: null };
     }
     
     console.log('Fetching sessions for user:', currentUser.userId);
@@ -398,9 +733,9 @@ export function AppProvider({ children }) {
     if (useBackend) {
       try {
         console.log('Fetching sessions from backend...');
-        const sessions = await apiService.getUserSessions(currentUser.userId);
-        console.log(`Loaded ${sessions.length} sessions from backend`);
-        return sessions;
+        const page = await apiService.getUserSessions(currentUser.userId, query);
+        console.log(`Loaded ${page.sessions.length} sessions from backend`);
+        return page;
       } catch (error) {
         console.error('Failed to load sessions from backend:', error);
         console.log('Falling back to localStorage');
@@ -409,24 +744,129 @@ export function AppProvider({ children }) {
       console.log('Backend not available, using localStorage');
     }
     
+    // Fallback to localStorage. Summaries have no text, so filter on it first.
+    const localSessions = loadLocalSessions().filter(session => !query.text || session.text === query.text);
+    const page = querySessions(localSessions.map(toSessionSummary), query);
+    if (query.include !== 'events') return page;
+    
+    const sessionsById = new Map(localSessions.map(session => [session.sessionId, session]));
+    return { ...page, sessions: page.sessions.map(summary => sessionsById.get(summary.sessionId)) };
+  };
+
+  const getUserStats = async (groupBy = 'day') => {
+    if (!currentUser) {
+      console.warn('Cannot get stats: no current user');
+      return null;
+    }
+    
+    // Try to load from backend if available
+    if (useBackend) {
+      try {
+        return await apiService.getUserStats(currentUser.userId, groupBy);
+      } catch (error) {
+        console.error('Failed to load stats from backend:', error);
+        console.log('Falling back to localStorage');
+      }
+    }
+    
     // Fallback to localStorage
-    return currentUser.sessions
-      .map(sessionId => {
-        try {
-          const sessionData = localStorage.getItem(`typr_session_${sessionId}`);
-          return sessionData ? JSON.parse(sessionData) : null;
-        } catch (error) {
-          console.error(`Failed to parse session ${sessionId}:`, error);
-          return null;
-        }
-      })
-      .filter(session => session !== null);
+    return computeSessionStats(loadLocalSessions(), groupBy);
   };
 
+  // Lesson attempts kept in localStorage when the backend is not in use
+  const loadLocalLessonAttempts = () => {
+    try {
+      const stored = localStorage.getItem(`typr_lesson_attempts_${currentUser.userId}`);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Failed to parse lesson attempts:', error);
+      return [];
+    }
+  };
+
+  // Returns { [lessonId]: { attempts, bestWpm, bestAccuracy, passed, passedAt } }
+  const getLessonProgress = async () => {
+    if (!currentUser) {
+      console.warn('Cannot get lesson progress: no current user');
+      return {};
+    }
+    
+    // Try to load from backend if available
+    if (useBackend) {
+      try {
+        return await apiService.getLessonProgress(currentUser.userId);
+      } catch (error) {
+        console.error('Failed to load lesson progress from backend:', error);
+        console.log('Falling back to localStorage');
+      }
+    }
+    
+    // Fallback to localStorage
+    return summarizeLessonProgress(loadLocalLessonAttempts());
+  };
+
+  // Record a saved lesson session as an attempt. Returns { passed, wpm,
+  // accuracy, wpmMet, accuracyMet, progress }. The backend judges attempts
+  // on its own recomputed metrics and refuses locked lessons.
+  const recordLessonAttempt = async (lessonId, session) => {
+    if (!currentUser) {
+      console.warn('Cannot record lesson attempt: no current user');
+      return null;
+    }
+    
+    if (useBackend) {
+      try {
+        return await apiService.recordLessonAttempt(lessonId, session.sessionId);
+      } catch (error) {
+        // Account progress lives on the backend only, so a pass can't be
+        // recorded locally instead
+        console.error('Failed to record lesson attempt in backend:', error);
+        throw error;
+      }
+    }
+    
+    // Local profiles keep their attempts in localStorage
+    const lesson = getLesson(lessonId);
+    const attempts = loadLocalLessonAttempts();
+    if (!isLessonUnlocked(lessonId, summarizeLessonProgress(attempts))) {
+      throw new Error('Lesson is locked');
+    }
+    
+    const wpm = getSessionWpm(session) ?? 0;
+    const evaluation = evaluateLessonAttempt(lesson, { wpm, accuracy: session.accuracy });
+    const attempt = {
+      lessonId,
+      sessionId: session.sessionId,
+      wpm,
+      accuracy: session.accuracy,
+      passed: evaluation.passed,
+      createdAt: new Date().toISOString()
+    };
+    const updatedAttempts = [...attempts, attempt];
+    localStorage.setItem(`typr_lesson_attempts_${currentUser.userId}`, JSON.stringify(updatedAttempts));
+    
+    return { ...attempt, ...evaluation, progress: summarizeLessonProgress(updatedAttempts) };
+  };
+
+  // The current user's theme and heatmap/chart palette, applied to the
+  // whole page
+  const themeId = currentUser?.settings?.theme;
+  const customThemes = currentUser?.themes;
+  const activeTheme = useMemo(() => resolveTheme(themeId, customThemes), [themeId, customThemes]);
+  const activePalette = getPalette(currentUser?.settings?.colorPalette);
+  const charCues = Boolean(currentUser?.settings?.charCues);
+  
+  useEffect(() => {
+    applyTheme(activeTheme, activePalette);
+  }, [activeTheme, activePalette]);
+  
+  useEffect(() => {
+    applyCharCues(charCues);
+  }, [charCues]);
+
   const checkBackendHealth = async () => {
     const isHealthy = await apiService.checkHealth();
     setBackendReady(isHealthy);
-    setUseBackend(isHealthy);
     return isHealthy;
   };
 
@@ -436,13 +876,29 @@ export function AppProvider({ children }) {
     testConfig,
     setTestConfig,
     createUser,
+    login,
+    logout,
     switchUser,
     updateUserSettings,
+    saveKeyboardLayout,
+    deleteKeyboardLayout,
+    activeTheme,
+    activePalette,
+    saveTheme,
+    deleteTheme,
+    saveWordList,
+    updateWordList,
+    deleteWordList,
+    getWordList,
     saveSession,
     getSession,
     getUserSessions,
+    getUserStats,
+    getLessonProgress,
+    recordLessonAttempt,
     useBackend,
     backendReady,
+    isAuthenticated: authToken !== null,
     checkBackendHealth
   };
 
@@ -0,0 +1,100 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Character } from './TextTrack';
+import './CodeTrack.css';
+
+// Newlines are typed like any other character, so they need a glyph
+const NEWLINE_GLYPH = '↵';
+
+function displayChar(char) {
+  return char === '\n' ? NEWLINE_GLYPH : char;
+}
+
+/**
+ * CodeTrack renders code-mode text as lines, keeping indentation and
+ * showing each newline as a typeable ↵. The view scrolls vertically so the
+ * active line stays in the middle. Props match TextTrack, and characters
+ * use the same memoised `Character` component.
+ */
+function CodeTrack({ text, userInput, statuses, currentIndex, ghostIndex = null, fontFamily, fontSize, children }) {
+  const linesRef = useRef(null);
+  const [scrollOffset, setScrollOffset] = useState(0);
+
+  // Character ranges of each line; a line's newline belongs to it
+  const lines = useMemo(() => {
+    const ranges = [];
+    let start = 0;
+    for (let index = 0; index < text.length; index++) {
+      if (text[index] === '\n') {
+        ranges.push({ start, end: index + 1 });
+        start = index + 1;
+      }
+    }
+    ranges.push({ start, end: text.length });
+    return ranges;
+  }, [text]);
+
+  const activeLine = Math.max(0, lines.findIndex(line => currentIndex < line.end));
+
+  // Centre the active line, batched with RAF like TextTrack
+  const updateScroll = useCallback(() => {
+    const line = linesRef.current?.children[activeLine];
+    if (line) {
+      setScrollOffset(-(line.offsetTop + line.offsetHeight / 2));
+    }
+  }, [activeLine]);
+
+  useEffect(() => {
+    const frame = requestAnimationFrame(updateScroll);
+    return () => cancelAnimationFrame(frame);
+  }, [activeLine, text, fontFamily, fontSize, updateScroll]);
+
+  const renderedLines = useMemo(() => lines.map(({ start, end }, lineIndex) => (
+    <div key={lineIndex} className="code-line">
+      {Array.from({ length: end - start }, (_, offset) => {
+        const index = start + offset;
+        return (
+          <Character
+            key={index}
+            char={displayChar(text[index])}
+            userChar={userInput[index] ? displayChar(userInput[index]) : userInput[index]}
+            status={statuses[index]}
+            isActive={index === currentIndex}
+            isGhost={index === ghostIndex}
+          />
+        );
+      })}
+    </div>
+  )), [lines, text, userInput, statuses, currentIndex, ghostIndex]);
+
+  return (
+    <div className="code-container">
+      <div
+        ref={linesRef}
+        className="code-display"
+        style={{
+          transform: `translateY(${scrollOffset}px)`,
+          fontFamily,
+          fontSize
+        }}
+      >
+        {renderedLines}
+      </div>
+
+      {children}
+    </div>
+  );
+}
+
+CodeTrack.propTypes = {
+  text: PropTypes.string.isRequired,
+  userInput: PropTypes.arrayOf(PropTypes.string).isRequired,
+  statuses: PropTypes.arrayOf(PropTypes.string).isRequired,
+  currentIndex: PropTypes.number.isRequired,
+  ghostIndex: PropTypes.number,
+  fontFamily: PropTypes.string,
+  fontSize: PropTypes.string,
+  children: PropTypes.node
+};
+
+export default CodeTrack;
@@ -1,13 +1,25 @@
 import { useAppContext } from './AppContext';
+import { QUOTE_LENGTHS, ALL_QUOTE_LENGTHS } from '../../shared/quotes/index.js';
+import { CODE_LANGUAGES, IMPORTED_LANGUAGE } from '../../shared/code/index.js';
+import { STRICT_MODES } from '../../shared/analytics/index.js';
+import { BUNDLED_WORD_LISTS, BUNDLED_LANGUAGES, getCustomWordListId } from './wordLists';
 import './ConfigBar.css';
 
 /**
  * ConfigBar component provides test mode configuration controls.
- * Allows users to select between Time Mode and Word Count Mode,
- * and choose specific durations or word counts.
+ * Allows users to select between Time Mode, Word Count Mode, Quote Mode
+ * and Code Mode, and choose specific durations, word counts, quote
+ * lengths or snippet languages (plus auto-indent for code), and picks
+ * the word list generated words come from (bundled, grouped by
+ * language, the user's own lists from Settings or lists teammates
+ * share), whether they are
+ * weighted into a weakness drill built from recent sessions, and whether
+ * punctuation and numbers are mixed in. Quotes and code are their own
+ * source, so the word list and modifier toggles are hidden in those
+ * modes. The strict mode (how mistakes are handled) applies to every mode.
  */
 function ConfigBar() {
-  const { testConfig, setTestConfig } = useAppContext();
+  const { testConfig, setTestConfig, currentUser } = useAppContext();
 
   const timeModes = [
     { label: '15s', value: 15 },
@@ -23,6 +35,27 @@ function ConfigBar() {
     { label: '100', value: 100 }
   ];
 
+  const quoteLengths = [
+    { label: 'All', value: ALL_QUOTE_LENGTHS },
+    ...QUOTE_LENGTHS.map(({ id, label }) => ({ label, value: id }))
+  ];
+
+  const modifiers = [
+    { label: 'Punctuation', value: 'punctuation', title: 'Capitalised sentences, commas, full stops, quotes and brackets' },
+    { label: 'Numbers', value: 'numbers', title: 'Mix numerals in with the words' }
+  ];
+
+  const codeLanguages = [
+    ...CODE_LANGUAGES.map(({ id, label }) => ({ label, value: id })),
+    { label: 'Imported', value: IMPORTED_LANGUAGE }
+  ];
+
+  const customWordLists = currentUser?.wordLists || [];
+  const customListGroups = [
+    { label: 'My Lists', lists: customWordLists.filter(list => list.userId === currentUser.userId) },
+    { label: 'Team Lists', lists: customWordLists.filter(list => list.userId !== currentUser.userId) }
+  ].filter(group => group.lists.length > 0);
+
   const handleModeChange = (mode) => {
     setTestConfig(prev => ({ ...prev, mode }));
   };
@@ -35,6 +68,34 @@ function ConfigBar() {
     setTestConfig(prev => ({ ...prev, wordCount }));
   };
 
+  const handleQuoteLengthChange = (quoteLength) => {
+    setTestConfig(prev => ({ ...prev, quoteLength }));
+  };
+
+  const handleCodeLanguageChange = (codeLanguage) => {
+    setTestConfig(prev => ({ ...prev, codeLanguage }));
+  };
+
+  const handleAutoIndentChange = (autoIndent) => {
+    setTestConfig(prev => ({ ...prev, autoIndent }));
+  };
+
+  const handleWordSourceChange = (wordSource) => {
+    setTestConfig(prev => ({ ...prev, wordSource }));
+  };
+
+  const handleDrillToggle = () => {
+    setTestConfig(prev => ({ ...prev, drill: !prev.drill }));
+  };
+
+  const handleModifierToggle = (modifier) => {
+    setTestConfig(prev => ({ ...prev, [modifier]: !prev[modifier] }));
+  };
+
+  const handleStrictModeChange = (strictMode) => {
+    setTestConfig(prev => ({ ...prev, strictMode }));
+  };
+
   return (
     <div className="config-bar">
       <div className="config-section">
@@ -51,6 +112,18 @@ function ConfigBar() {
           >
             Word Count
           </button>
+          <button
+            className={testConfig.mode === 'quote' ? 'active' : ''}
+            onClick={() => handleModeChange('quote')}
+          >
+            Quote
+          </button>
+          <button
+            className={testConfig.mode === 'code' ? 'active' : ''}
+            onClick={() => handleModeChange('code')}
+          >
+            Code
+          </button>
         </div>
       </div>
 
@@ -85,6 +158,115 @@ function ConfigBar() {
           </div>
         </div>
       )}
+
+      {testConfig.mode === 'quote' && (
+        <div className="config-section">
+          <div className="option-buttons">
+            {quoteLengths.map(({ label, value }) => (
+              <button
+                key={value}
+                className={testConfig.quoteLength === value ? 'active' : ''}
+                onClick={() => handleQuoteLengthChange(value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {testConfig.mode === 'code' && (
+        <div className="config-section">
+          <div className="option-buttons">
+            {codeLanguages.map(({ label, value }) => (
+              <button
+                key={value}
+                className={testConfig.codeLanguage === value ? 'active' : ''}
+                onClick={() => handleCodeLanguageChange(value)}
+                title={value === IMPORTED_LANGUAGE ? 'Snippets from source files imported in Settings' : undefined}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <label className="config-checkbox" title="Skip the leading whitespace of each new line">
+            <input
+              type="checkbox"
+              checked={testConfig.autoIndent}
+              onChange={(e) => handleAutoIndentChange(e.target.checked)}
+            />
+            Auto-indent
+          </label>
+        </div>
+      )}
+
+      {(testConfig.mode === 'time' || testConfig.mode === 'words') && (
+        <div className="config-section">
+          <select
+            className="config-select"
+            value={testConfig.wordSource}
+            onChange={(e) => handleWordSourceChange(e.target.value)}
+            aria-label="Word list"
+          >
+            {BUNDLED_LANGUAGES.map(language => (
+              <optgroup key={language} label={language}>
+                {BUNDLED_WORD_LISTS.filter(list => list.language === language).map(list => (
+                  <option key={list.id} value={list.id}>{list.name}</option>
+                ))}
+              </optgroup>
+            ))}
+            {customListGroups.map(group => (
+              <optgroup key={group.label} label={group.label}>
+                {group.lists.map(list => (
+                  <option key={list.listId} value={getCustomWordListId(list.listId)}>
+                    {list.userId === currentUser.userId ? list.name : `${list.name} (${list.ownerName})`}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+          <div className="option-buttons">
+            <button
+              className={testConfig.drill ? 'active' : ''}
+              onClick={handleDrillToggle}
+              title="Practise the digraphs and keys your recent sessions were weakest on"
+            >
+              Weakness Drill
+            </button>
+          </div>
+        </div>
+      )}
+
+      {(testConfig.mode === 'time' || testConfig.mode === 'words') && (
+        <div className="config-section">
+          <div className="option-buttons">
+            {modifiers.map(({ label, value, title }) => (
+              <button
+                key={value}
+                className={testConfig[value] ? 'active' : ''}
+                onClick={() => handleModifierToggle(value)}
+                title={title}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="config-section">
+        <select
+          className="config-select"
+          value={testConfig.strictMode}
+          onChange={(e) => handleStrictModeChange(e.target.value)}
+          aria-label="Strict mode"
+          title={STRICT_MODES.find(mode => mode.id === testConfig.strictMode)?.description}
+        >
+          {STRICT_MODES.map(mode => (
+            <option key={mode.id} value={mode.id} title={mode.description}>{mode.label}</option>
+          ))}
+        </select>
+      </div>
     </div>
   );
 }
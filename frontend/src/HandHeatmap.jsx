@@ -1,7 +1,9 @@
 import { useMemo } from 'react';
+import { getLayout, getKeyLabel, DEFAULT_FINGER_MAP } from '../../shared/analytics/index.js';
+import { heatColor, HEAT_EMPTY_COLOR } from './chartUtils';
 import './HandHeatmap.css';
 
-function HandHeatmap({ data, title }) {
+function HandHeatmap({ data, title, layout = getLayout() }) {
   const { minValue, maxValue } = useMemo(() => {
     if (!data || Object.keys(data).length === 0) {
       return { minValue: 0, maxValue: 100 };
@@ -16,15 +18,31 @@ function HandHeatmap({ data, title }) {
 
   const getHeatColor = (fingerCode) => {
     if (!data || !data[fingerCode] || maxValue === minValue) {
-      return '#e0e0e0';
+      return HEAT_EMPTY_COLOR;
     }
 
     const value = data[fingerCode];
     const normalized = (value - minValue) / (maxValue - minValue);
 
-    // Color gradient from green (low) to red (high)
-    const hue = (1 - normalized) * 120;
-    return `hsl(${hue}, 70%, 50%)`;
+    // Theme's heat scale from low to high
+    return heatColor(normalized);
+  };
+
+  // Keys each finger covers on this layout, for tooltips
+  const getFingerKeys = (fingerCode) => {
+    const codes = (layout.fingers || DEFAULT_FINGER_MAP)[fingerCode] || [];
+    return codes
+      .filter(code => layout.chars[code] !== undefined)
+      .map(code => getKeyLabel(layout, code))
+      .join(' ');
+  };
+
+  const getFingerTitle = (finger) => {
+    const keys = getFingerKeys(finger.code);
+    const value = data && data[finger.code] && typeof data[finger.code] === 'number'
+      ? `: ${data[finger.code].toFixed(2)}ms`
+      : '';
+    return `${finger.name}${value}${keys ? ` (${keys})` : ''}`;
   };
 
   const fingers = [
@@ -52,7 +70,7 @@ function HandHeatmap({ data, title }) {
                 key={finger.code}
                 className="finger"
                 style={{ backgroundColor: getHeatColor(finger.code) }}
-                title={data && data[finger.code] && typeof data[finger.code] === 'number' ? `${finger.name}: ${data[finger.code].toFixed(2)}ms` : finger.name}
+                title={getFingerTitle(finger)}
               >
                 <div className="finger-name">{finger.name}</div>
                 {data && data[finger.code] && typeof data[finger.code] === 'number' && (
@@ -71,7 +89,7 @@ function HandHeatmap({ data, title }) {
                 key={finger.code}
                 className="finger"
                 style={{ backgroundColor: getHeatColor(finger.code) }}
-                title={data && data[finger.code] && typeof data[finger.code] === 'number' ? `${finger.name}: ${data[finger.code].toFixed(2)}ms` : finger.name}
+                title={getFingerTitle(finger)}
               >
                 <div className="finger-name">{finger.name}</div>
                 {data && data[finger.code] && typeof data[finger.code] === 'number' && (
@@ -1,46 +1,138 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAppContext } from './AppContext';
+import ProgressTrends from './ProgressTrends';
+import SessionFilters, { EMPTY_FILTERS } from './SessionFilters';
+import { getSessionWpm, formatSessionMode } from './sessionStats';
+import { getWordListName } from './wordLists';
+import { DEFAULT_STRICT_MODE, getStrictMode } from '../../shared/analytics/index.js';
 import './History.css';
 
+const PAGE_SIZE = 25;
+
+// Turn filter form values into API query parameters
+function buildQuery(filters, sort, order) {
+  return {
+    ...filters,
+    // Date inputs give YYYY-MM-DD; make `to` inclusive of the whole day
+    to: filters.to ? `${filters.to}T23:59:59.999Z` : '',
+    sort,
+    order,
+    limit: PAGE_SIZE
+  };
+}
+
 /**
  * History component displays a list of past typing test sessions.
- * Shows session details, performance metrics, and a WPM trend sparkline.
+ * Shows session details, performance metrics, and long-range progress trends.
+ * Sessions can be filtered and sorted, and further pages load on scroll.
  * Provides navigation to detailed analysis for each session.
  */
 function History() {
-  const { getUserSessions } = useAppContext();
+  const { getUserSessions, getUserStats, currentUser } = useAppContext();
   const navigate = useNavigate();
   const [sessions, setSessions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [refreshKey, setRefreshKey] = useState(0);
+  const [stats, setStats] = useState(null);
+  const [groupBy, setGroupBy] = useState('week');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState('timestamp');
+  const [order, setOrder] = useState('desc');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const sentinelRef = useRef(null);
+  
+  const query = useMemo(() => buildQuery(filters, sort, order), [filters, sort, order]);
   
-  const loadSessions = async () => {
-    setLoading(true);
-    setError(null);
+  // Load the first page whenever the query changes
+  useEffect(() => {
+    let cancelled = false;
+    
+    const loadSessions = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        console.log('History: Loading sessions...');
+        const page = await getUserSessions(query);
+        if (cancelled) return;
+        console.log('History: Loaded sessions:', page.sessions.length);
+        setSessions(page.sessions);
+        setNextCursor(page.nextCursor);
+      } catch (error) {
+        if (cancelled) return;
+        console.error('History: Failed to load sessions:', error);
+        setError(error.message || 'Failed to load sessions');
+        setSessions([]);
+        setNextCursor(null);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    
+    loadSessions();
+    return () => {
+      cancelled = true;
+    };
+  }, [getUserSessions, query, refreshKey]);
+  
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    
+    setLoadingMore(true);
     try {
-      console.log('History: Loading sessions...');
-      const data = await getUserSessions();
-      console.log('History: Loaded sessions:', data?.length || 0);
-      setSessions(data || []);
+      const page = await getUserSessions({ ...query, cursor: nextCursor });
+      setSessions(prev => [...prev, ...page.sessions]);
+      setNextCursor(page.nextCursor);
     } catch (error) {
-      console.error('History: Failed to load sessions:', error);
-      setError(error.message || 'Failed to load sessions');
-      setSessions([]);
+      console.error('History: Failed to load more sessions:', error);
+      setError(error.message || 'Failed to load more sessions');
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
-  };
+  }, [getUserSessions, query, nextCursor, loadingMore]);
   
+  // Infinite scroll: load the next page when the sentinel below the table becomes visible
   useEffect(() => {
-    loadSessions();
-  }, [getUserSessions, refreshKey]);
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return;
+    
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { rootMargin: '200px' });
+    
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore, nextCursor]);
+  
+  // Aggregates are computed server-side, so trends never need raw keystrokes
+  useEffect(() => {
+    let cancelled = false;
+    getUserStats(groupBy)
+      .then(data => {
+        if (!cancelled) setStats(data);
+      })
+      .catch(error => {
+        console.error('History: Failed to load stats:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [getUserStats, groupBy, refreshKey]);
   
   const handleRefresh = () => {
     setRefreshKey(prev => prev + 1);
   };
 
+  const handleSortChange = (newSort, newOrder) => {
+    setSort(newSort);
+    setOrder(newOrder);
+  };
+
   const formatDate = (timestamp) => {
     const date = new Date(timestamp);
     return date.toLocaleString('en-US', {
@@ -52,22 +144,22 @@ function History() {
     });
   };
 
-  const formatMode = (session) => {
-    if (session.mode === 'time') {
-      return `Time ${session.modeValue}s`;
-    }
-    return `Words ${session.modeValue}`;
-  };
+  // e.g. "Time 60s · English 10k + punctuation · Master"
+  const formatMode = (session) => [
+    [
+      session.wordList
+        ? `${formatSessionMode(session.mode, session.modeValue)} · ${getWordListName(session.wordList, currentUser?.wordLists)}`
+        : formatSessionMode(session.mode, session.modeValue),
+      session.punctuation && 'punctuation',
+      session.numbers && 'numbers'
+    ].filter(Boolean).join(' + '),
+    session.strictMode && session.strictMode !== DEFAULT_STRICT_MODE && getStrictMode(session.strictMode).label
+  ].filter(Boolean).join(' · ');
 
   const calculateWPM = (session) => {
-    // Use productiveCPM if available
-    if (session.productiveCPM !== undefined) {
-      return (session.productiveCPM / 5).toFixed(1);
-    }
-    // Fallback calculation
-    const minutes = session.sessionDuration / 60000;
-    const chars = session.maxIndexReached || session.userInput?.length || 0;
-    return minutes > 0 ? (chars / 5 / minutes).toFixed(1) : '0.0';
+    // Summaries carry net WPM computed by the backend
+    const wpm = session.wpm ?? getSessionWpm(session);
+    return typeof wpm === 'number' ? wpm.toFixed(1) : '0.0';
   };
 
   const handleViewAnalysis = (sessionId) => {
@@ -75,25 +167,26 @@ function History() {
     navigate(`/analyzer?session=${sessionId}`);
   };
 
-  if (loading) {
-    return (
-      <div className="history">
-        <div className="header">
-          <h1>Session History</h1>
-        </div>
-        <div className="empty-state">
-          <p>Loading sessions...</p>
-        </div>
-      </div>
-    );
-  }
+  const toggleSelected = (sessionId) => {
+    setSelectedIds(prev => prev.includes(sessionId)
+      ? prev.filter(id => id !== sessionId)
+      : [...prev, sessionId]);
+  };
+
+  const handleAnalyzeSelected = () => {
+    navigate(`/analyzer?sessions=${selectedIds.join(',')}`);
+  };
 
-  // Calculate sparkline data (last 10 sessions)
-  const recentSessions = sessions.slice(0, 10).reverse();
-  const wpmValues = recentSessions.map(s => parseFloat(calculateWPM(s)));
-  const maxWPM = Math.max(...wpmValues, 1);
-  const minWPM = Math.min(...wpmValues, 0);
-  const wpmRange = maxWPM - minWPM || 1;
+  const handleCompareSelected = () => {
+    // The earlier session is the baseline (A); keep selection order if one is no longer listed
+    const selected = selectedIds
+      .map(id => sessions.find(session => session.sessionId === id))
+      .filter(Boolean);
+    const [baseId, otherId] = selected.length === 2
+      ? selected.sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1)).map(session => session.sessionId)
+      : selectedIds;
+    navigate(`/analyzer?session=${baseId}&compare=${otherId}`);
+  };
 
   return (
     <div className="history">
@@ -102,6 +195,21 @@ function History() {
         <button onClick={handleRefresh} className="refresh-btn" disabled={loading}>
           {loading ? '🔄 Loading...' : '🔄 Refresh'}
         </button>
+        {selectedIds.length > 0 && (
+          <>
+            <button onClick={handleAnalyzeSelected} className="analyze-selected-btn">
+              Analyze selected ({selectedIds.length})
+            </button>
+            {selectedIds.length === 2 && (
+              <button onClick={handleCompareSelected} className="analyze-selected-btn">
+                Compare
+              </button>
+            )}
+            <button onClick={() => setSelectedIds([])} className="clear-selection-btn">
+              Clear selection
+            </button>
+          </>
+        )}
       </div>
 
       {error && (
@@ -110,81 +218,95 @@ function History() {
         </div>
       )}
 
-      {sessions.length > 0 && (
-        <div className="sparkline-container">
-          <h3>WPM Trend (Last 10 Sessions)</h3>
-          <svg className="sparkline" viewBox="0 0 400 100" preserveAspectRatio="xMidYMid meet">
-            <line x1="20" y1="80" x2="380" y2="80" stroke="#374151" strokeWidth="1" />
-            {recentSessions.length > 1 && (() => {
-              const points = wpmValues.map((wpm, idx) => {
-                const x = 20 + (idx / (wpmValues.length - 1)) * 360;
-                const y = 80 - ((wpm - minWPM) / wpmRange) * 60;
-                return `${x},${y}`;
-              }).join(' ');
-              
-              return (
-                <>
-                  <polyline
-                    points={points}
-                    fill="none"
-                    stroke="#4ade80"
-                    strokeWidth="2"
-                  />
-                  {wpmValues.map((wpm, idx) => {
-                    const x = 20 + (idx / (wpmValues.length - 1)) * 360;
-                    const y = 80 - ((wpm - minWPM) / wpmRange) * 60;
-                    return (
-                      <circle
-                        key={idx}
-                        cx={x}
-                        cy={y}
-                        r="3"
-                        fill="#4ade80"
-                      />
-                    );
-                  })}
-                </>
-              );
-            })()}
-            <text x="10" y="20" fontSize="12" fill="#6b7280">{maxWPM.toFixed(0)}</text>
-            <text x="10" y="85" fontSize="12" fill="#6b7280">{minWPM.toFixed(0)}</text>
-          </svg>
-        </div>
+      {stats?.totals.sessionCount > 0 && (
+        <ProgressTrends stats={stats} groupBy={groupBy} onGroupByChange={setGroupBy} />
       )}
 
-      {sessions.length === 0 ? (
+      <SessionFilters
+        filters={filters}
+        sort={sort}
+        order={order}
+        onFiltersChange={setFilters}
+        onSortChange={handleSortChange}
+      />
+
+      {loading ? (
         <div className="empty-state">
-          <p>No sessions yet. Complete a typing test to see your history!</p>
+          <p>Loading sessions...</p>
+        </div>
+      ) : sessions.length === 0 ? (
+        <div className="empty-state">
+          {Object.values(filters).some(value => value !== '') ? (
+            <p>No sessions match these filters.</p>
+          ) : (
+            <p>No sessions yet. Complete a typing test to see your history!</p>
+          )}
         </div>
       ) : (
         <div className="session-table">
           <div className="table-header">
+            <span></span>
             <span>Date/Time</span>
             <span>Mode</span>
             <span>WPM</span>
             <span>Accuracy</span>
             <span>Mechanical CPM</span>
+            <span>Verified</span>
             <span>Actions</span>
           </div>
           {sessions.map((session) => (
             <div key={session.sessionId} className="table-row">
+              <span>
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(session.sessionId)}
+                  onChange={() => toggleSelected(session.sessionId)}
+                  aria-label="Select session for aggregate analysis"
+                />
+              </span>
               <span>{formatDate(session.timestamp)}</span>
               <span>{formatMode(session)}</span>
               <span className="wpm-value">{calculateWPM(session)}</span>
               <span className="accuracy-value">{session.accuracy?.toFixed(1) || '0.0'}%</span>
               <span>{session.mechanicalCPM?.toFixed(0) || '-'}</span>
-              <span>
+              {session.validated === true && (
+                <span className="validated-badge" title="Metrics verified by the server">✓ Verified</span>
+              )}
+              {session.validated === false && (
+                <span className="flagged-badge" title="Metrics did not match the recorded keystrokes">⚠ Flagged</span>
+              )}
+              {(session.validated === null || session.validated === undefined) && (
+                <span title="Not checked by the server">-</span>
+              )}
+              <span className="row-actions">
                 <button
                   className="view-btn"
                   onClick={() => handleViewAnalysis(session.sessionId)}
                 >
                   View Analysis
                 </button>
+                <button
+                  className="view-btn secondary"
+                  onClick={() => navigate(`/replay?session=${session.sessionId}`)}
+                >
+                  Replay
+                </button>
+                <button
+                  className="view-btn secondary"
+                  onClick={() => navigate(`/?ghost=${session.sessionId}`)}
+                  title="Type the same text against a ghost of this session"
+                >
+                  Race
+                </button>
               </span>
             </div>
           ))}
         </div>
       )}
+
+      <div ref={sentinelRef} className="load-more-sentinel">
+        {loadingMore && <p>Loading more sessions...</p>}
+      </div>
     </div>
   );
 }
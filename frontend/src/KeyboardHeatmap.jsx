@@ -1,15 +1,19 @@
 import { useMemo } from 'react';
+import { getLayout, SPECIAL_KEY_LABELS } from '../../shared/analytics/index.js';
+import { heatColor, divergingColor, HEAT_EMPTY_COLOR } from './chartUtils';
 import './KeyboardHeatmap.css';
 
-function KeyboardHeatmap({ data, title }) {
-  // Keyboard layout (simplified QWERTY)
-  const keyboardLayout = [
-    ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '=', 'Backspace'],
-    ['Tab', 'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\'],
-    ['CapsLock', 'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', "'", 'Enter'],
-    ['ShiftLeft', 'z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/', 'ShiftRight'],
-    ['ControlLeft', 'Space', 'ControlRight']
-  ];
+/**
+ * KeyboardHeatmap colours each key by a per-key value in ms.
+ * `data` is keyed by physical key code and drawn on the given keyboard
+ * layout (QWERTY by default); data from older sessions keyed by character
+ * is matched through the layout.
+ * The default scale runs from the theme's heat-low colour to heat-high
+ * (green to red in the dark theme). The `diverging` scale is for signed
+ * deltas: keys shade toward the theme's "faster" colour or its "slower"
+ * colour, and keys that did not change stay neutral.
+ */
+function KeyboardHeatmap({ data, counts, title, scale = 'sequential', layout = getLayout() }) {
 
   const { minValue, maxValue } = useMemo(() => {
     if (!data || Object.keys(data).length === 0) {
@@ -24,75 +28,75 @@ function KeyboardHeatmap({ data, title }) {
   }, [data]);
 
   const getHeatColor = (value) => {
+    if (scale === 'diverging') {
+      if (value === null || value === undefined) return HEAT_EMPTY_COLOR;
+      const maxAbs = Math.max(Math.abs(minValue), Math.abs(maxValue)) || 1;
+      return divergingColor(Math.max(-1, Math.min(value / maxAbs, 1)));
+    }
+
     if (!value || maxValue === minValue) {
-      return '#e0e0e0';
+      return HEAT_EMPTY_COLOR;
     }
 
     // Normalize value between 0 and 1
     const normalized = (value - minValue) / (maxValue - minValue);
 
-    // Color gradient from green (low) to red (high)
-    const hue = (1 - normalized) * 120; // 120 is green, 0 is red
-    return `hsl(${hue}, 70%, 50%)`;
+    // Theme's heat scale from low to high
+    return heatColor(normalized);
   };
 
-  const getKeyValue = (key) => {
-    // Try exact match first
-    if (data && data[key] !== undefined) {
-      return data[key];
-    }
+  const lookupKey = (map, code) => {
+    if (!map) return null;
 
-    // Try lowercase match
-    const lowerKey = key.toLowerCase();
-    if (data && data[lowerKey] !== undefined) {
-      return data[lowerKey];
+    // Key codes first
+    if (map[code] !== undefined) {
+      return map[code];
     }
 
-    // Try special key matches
-    if (key === ' ' && data && data['Space'] !== undefined) {
-      return data['Space'];
+    // Older sessions are keyed by the character the key types
+    const char = code === 'Space' ? ' ' : layout.chars[code];
+    if (char !== undefined && map[char] !== undefined) {
+      return map[char];
     }
 
     return null;
   };
 
+  const getKeyValue = (key) => lookupKey(data, key);
+
+  const formatValue = (value, digits) => {
+    const formatted = value.toFixed(digits);
+    return scale === 'diverging' && value > 0 ? `+${formatted}` : formatted;
+  };
+
+  const getKeyTitle = (key, value) => {
+    const name = layout.chars[key] ?? key;
+    if (!value || typeof value !== 'number') return name;
+    const sampleCount = lookupKey(counts, key);
+    const samples = sampleCount ? ` (${sampleCount} ${sampleCount === 1 ? 'sample' : 'samples'})` : '';
+    return `${name}: ${formatValue(value, 2)}ms${samples}`;
+  };
+
   const getKeyClass = (key) => {
     let className = 'keyboard-key';
     
     // Add special key classes
-    if (key === 'Backspace' || key === 'Enter' || key === 'Tab' || 
-        key === 'CapsLock' || key === 'ShiftLeft' || key === 'ShiftRight' ||
-        key === 'ControlLeft' || key === 'ControlRight') {
-      className += ' special-key';
-    }
-    
     if (key === 'Space') {
       className += ' spacebar';
+    } else if (SPECIAL_KEY_LABELS[key] !== undefined) {
+      className += ' special-key';
     }
 
     return className;
   };
 
-  const getKeyDisplay = (key) => {
-    const displayNames = {
-      'Backspace': '⌫',
-      'Tab': '⇥',
-      'CapsLock': '⇪',
-      'Enter': '↵',
-      'ShiftLeft': '⇧',
-      'ShiftRight': '⇧',
-      'ControlLeft': 'Ctrl',
-      'ControlRight': 'Ctrl',
-      'Space': ''
-    };
-    return displayNames[key] || key;
-  };
+  const getKeyDisplay = (key) => SPECIAL_KEY_LABELS[key] ?? layout.chars[key] ?? key;
 
   return (
     <div className="keyboard-heatmap">
       <h3>{title}</h3>
       <div className="keyboard">
-        {keyboardLayout.map((row, rowIndex) => (
+        {layout.rows.map((row, rowIndex) => (
           <div key={rowIndex} className="keyboard-row">
             {row.map((key, keyIndex) => {
               const value = getKeyValue(key);
@@ -103,11 +107,11 @@ function KeyboardHeatmap({ data, title }) {
                   key={keyIndex}
                   className={getKeyClass(key)}
                   style={{ backgroundColor: bgColor }}
-                  title={value && typeof value === 'number' ? `${key}: ${value.toFixed(2)}ms` : key}
+                  title={getKeyTitle(key, value)}
                 >
                   <span className="key-label">{getKeyDisplay(key)}</span>
                   {value && typeof value === 'number' && (
-                    <span className="key-value">{value.toFixed(0)}</span>
+                    <span className="key-value">{formatValue(value, 0)}</span>
                   )}
                 </div>
               );
@@ -116,11 +120,19 @@ function KeyboardHeatmap({ data, title }) {
         ))}
       </div>
       
-      <div className="heatmap-legend">
-        <span>Low ({minValue.toFixed(0)}ms)</span>
-        <div className="legend-gradient"></div>
-        <span>High ({maxValue.toFixed(0)}ms)</span>
-      </div>
+      {scale === 'diverging' ? (
+        <div className="heatmap-legend">
+          <span>Faster</span>
+          <div className="legend-gradient diverging"></div>
+          <span>Slower</span>
+        </div>
+      ) : (
+        <div className="heatmap-legend">
+          <span>Low ({minValue.toFixed(0)}ms)</span>
+          <div className="legend-gradient"></div>
+          <span>High ({maxValue.toFixed(0)}ms)</span>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,279 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  FINGER_CODES,
+  SPECIAL_KEY_LABELS,
+  getFingerName,
+  validateLayoutDefinition,
+  normalizeLayoutDefinition
+} from '../../shared/analytics/index.js';
+import './LayoutEditor.css';
+
+// One hue per finger, mirrored between the hands
+const FINGER_COLORS = {
+  LP: '#f87171',
+  LR: '#fb923c',
+  LM: '#facc15',
+  LI: '#4ade80',
+  LT: '#94a3b8',
+  RT: '#cbd5e1',
+  RI: '#22d3ee',
+  RM: '#60a5fa',
+  RR: '#a78bfa',
+  RP: '#f472b6'
+};
+
+function keyLabel(key) {
+  if (key.char) return key.char;
+  if (SPECIAL_KEY_LABELS[key.code] !== undefined) return SPECIAL_KEY_LABELS[key.code] || key.code;
+  return key.code;
+}
+
+/**
+ * LayoutEditor lays out rows of physical keys and assigns each key to one
+ * of the ten fingers (`LP`..`RP`).
+ *
+ * Keys are added by pressing them: the editor records `event.code` and the
+ * character it typed. Clicking a key selects it for editing its characters
+ * and finger, moving it within its row or removing it. The definition is
+ * checked with the shared validator before `onSave` receives it.
+ */
+function LayoutEditor({ initialLayout, onSave, onCancel }) {
+  const [name, setName] = useState(initialLayout.name);
+  const [rows, setRows] = useState(initialLayout.rows);
+  const [selected, setSelected] = useState(null); // { row, index }
+  const [capturingRow, setCapturingRow] = useState(null);
+  const [issues, setIssues] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const selectedKey = selected ? rows[selected.row]?.[selected.index] : null;
+
+  // While capturing, the next key press is added to the end of the row
+  useEffect(() => {
+    if (capturingRow === null) return;
+
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      if (e.key === 'Escape') {
+        setCapturingRow(null);
+        return;
+      }
+      if (!e.code) return;
+
+      if (rows.some(row => row.some(key => key.code === e.code))) {
+        setIssues([`${e.code} is already on this layout`]);
+        setCapturingRow(null);
+        return;
+      }
+
+      const row = rows[capturingRow];
+      const newKey = {
+        code: e.code,
+        char: e.key.length === 1 ? e.key : '',
+        shiftChar: '',
+        finger: row[row.length - 1]?.finger || 'LI'
+      };
+      setRows(rows.map((keys, index) => index === capturingRow ? [...keys, newKey] : keys));
+      setSelected({ row: capturingRow, index: row.length });
+      setIssues([]);
+      setCapturingRow(null);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [capturingRow, rows]);
+
+  const updateSelectedKey = (changes) => {
+    setRows(rows.map((keys, rowIndex) => rowIndex !== selected.row ? keys : keys.map(
+      (key, keyIndex) => keyIndex === selected.index ? { ...key, ...changes } : key
+    )));
+  };
+
+  const moveSelectedKey = (offset) => {
+    const target = selected.index + offset;
+    const row = rows[selected.row];
+    if (target < 0 || target >= row.length) return;
+
+    const reordered = [...row];
+    [reordered[selected.index], reordered[target]] = [reordered[target], reordered[selected.index]];
+    setRows(rows.map((keys, rowIndex) => rowIndex === selected.row ? reordered : keys));
+    setSelected({ row: selected.row, index: target });
+  };
+
+  const removeSelectedKey = () => {
+    setRows(rows.map((keys, rowIndex) => rowIndex !== selected.row ? keys : keys.filter(
+      (_, keyIndex) => keyIndex !== selected.index
+    )));
+    setSelected(null);
+  };
+
+  const addRow = () => {
+    setRows([...rows, []]);
+    setCapturingRow(rows.length);
+  };
+
+  const removeRow = (rowIndex) => {
+    setRows(rows.filter((_, index) => index !== rowIndex));
+    setSelected(null);
+  };
+
+  const handleSave = async () => {
+    const definition = { name, rows };
+    const problems = validateLayoutDefinition(definition);
+    setIssues(problems);
+    if (problems.length > 0) return;
+
+    setSaving(true);
+    try {
+      await onSave(normalizeLayoutDefinition(definition));
+    } catch (error) {
+      setIssues([error.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="layout-editor">
+      <div className="layout-name">
+        <label htmlFor="layout-name-input">Layout Name:</label>
+        <input
+          id="layout-name-input"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={50}
+          className="layout-name-input"
+        />
+      </div>
+
+      <div className="layout-rows">
+        {rows.map((keys, rowIndex) => (
+          <div key={rowIndex} className="layout-row">
+            <div className="layout-row-keys">
+              {keys.map((key, keyIndex) => {
+                const isSelected = selected?.row === rowIndex && selected?.index === keyIndex;
+                return (
+                  <button
+                    key={keyIndex}
+                    className={`layout-key${isSelected ? ' selected' : ''}${key.code === 'Space' ? ' space' : ''}`}
+                    style={{ borderBottomColor: FINGER_COLORS[key.finger] }}
+                    onClick={() => setSelected({ row: rowIndex, index: keyIndex })}
+                    title={`${key.code} - ${getFingerName(key.finger) || 'No finger'}`}
+                  >
+                    {keyLabel(key)}
+                  </button>
+                );
+              })}
+              <button
+                className={`layout-key add${capturingRow === rowIndex ? ' capturing' : ''}`}
+                onClick={() => setCapturingRow(capturingRow === rowIndex ? null : rowIndex)}
+                title="Add a key by pressing it"
+              >
+                {capturingRow === rowIndex ? 'Press a key…' : '+'}
+              </button>
+            </div>
+            <button className="row-remove" onClick={() => removeRow(rowIndex)} title="Remove row">
+              ✕
+            </button>
+          </div>
+        ))}
+        <button className="add-row-btn" onClick={addRow}>+ Add Row</button>
+      </div>
+
+      <div className="finger-legend">
+        {FINGER_CODES.map(finger => (
+          <span key={finger} className="finger-legend-item">
+            <span className="finger-swatch" style={{ background: FINGER_COLORS[finger] }}></span>
+            {getFingerName(finger)}
+          </span>
+        ))}
+      </div>
+
+      {selectedKey && (
+        <div className="key-panel">
+          <div className="key-fields">
+            <label>
+              Key Code
+              <input
+                type="text"
+                value={selectedKey.code}
+                onChange={(e) => updateSelectedKey({ code: e.target.value.trim() })}
+              />
+            </label>
+            <label>
+              Character
+              <input
+                type="text"
+                value={selectedKey.char}
+                onChange={(e) => updateSelectedKey({ char: Array.from(e.target.value).slice(-1).join('') })}
+              />
+            </label>
+            <label>
+              Shifted
+              <input
+                type="text"
+                value={selectedKey.shiftChar}
+                onChange={(e) => updateSelectedKey({ shiftChar: Array.from(e.target.value).slice(-1).join('') })}
+              />
+            </label>
+          </div>
+
+          <div className="finger-buttons">
+            {FINGER_CODES.map(finger => (
+              <button
+                key={finger}
+                className={selectedKey.finger === finger ? 'active' : ''}
+                style={{ borderColor: FINGER_COLORS[finger] }}
+                onClick={() => updateSelectedKey({ finger })}
+                title={getFingerName(finger)}
+              >
+                {finger}
+              </button>
+            ))}
+          </div>
+
+          <div className="key-actions">
+            <button onClick={() => moveSelectedKey(-1)} disabled={selected.index === 0}>← Move Left</button>
+            <button
+              onClick={() => moveSelectedKey(1)}
+              disabled={selected.index === rows[selected.row].length - 1}
+            >
+              Move Right →
+            </button>
+            <button className="danger" onClick={removeSelectedKey}>Remove Key</button>
+          </div>
+        </div>
+      )}
+
+      {issues.length > 0 && (
+        <ul className="layout-issues">
+          {issues.map(issue => <li key={issue}>{issue}</li>)}
+        </ul>
+      )}
+
+      <div className="layout-editor-actions">
+        <button className="paste-btn" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Layout'}
+        </button>
+        <button className="secondary-btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+LayoutEditor.propTypes = {
+  initialLayout: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    rows: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.shape({
+      code: PropTypes.string.isRequired,
+      char: PropTypes.string,
+      shiftChar: PropTypes.string,
+      finger: PropTypes.string
+    }))).isRequired
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default LayoutEditor;
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAppContext } from './AppContext';
+import { resolveLayout } from '../../shared/analytics/index.js';
+import { LESSONS, getLessonFocus, isLessonUnlocked } from '../../shared/lessons/index.js';
+import './Lessons.css';
+
+/**
+ * Lessons lists the curriculum in order with the user's progress.
+ * Each lesson shows the keys it introduces on the user's keyboard layout,
+ * its pass criteria and the best attempt so far. A lesson unlocks once the
+ * one before it has been passed; starting it opens the typing test in
+ * lesson mode (`/?lesson=<id>`).
+ */
+function Lessons() {
+  const { currentUser, getLessonProgress } = useAppContext();
+  const navigate = useNavigate();
+  const [progress, setProgress] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  const userId = currentUser?.userId;
+  const layout = resolveLayout(currentUser?.settings.keyboardLayout, currentUser?.keyboardLayouts);
+  
+  useEffect(() => {
+    let cancelled = false;
+    
+    const loadProgress = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const loaded = await getLessonProgress();
+        if (!cancelled) setProgress(loaded);
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Lessons: Failed to load progress:', error);
+        setError(error.message || 'Failed to load lesson progress');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    
+    loadProgress();
+    return () => {
+      cancelled = true;
+    };
+  }, [getLessonProgress, userId]);
+  
+  const passedCount = LESSONS.filter(lesson => progress[lesson.id]?.passed).length;
+  
+  if (!currentUser) {
+    return (
+      <div className="lessons">
+        <h1>Lessons</h1>
+        <p className="lessons-empty">Select a user to track lesson progress.</p>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="lessons">
+      <h1>Lessons</h1>
+      
+      <div className="lessons-progress">
+        <div className="lessons-progress-bar">
+          <div
+            className="lessons-progress-fill"
+            style={{ width: `${(passedCount / LESSONS.length) * 100}%` }}
+          ></div>
+        </div>
+        <span>{passedCount} of {LESSONS.length} lessons passed</span>
+      </div>
+      
+      {error && <div className="error-message">{error}</div>}
+      
+      <ol className="lesson-list">
+        {LESSONS.map((lesson, index) => {
+          const lessonProgress = progress[lesson.id];
+          const unlocked = isLessonUnlocked(lesson.id, progress);
+          const status = lessonProgress?.passed ? 'passed' : unlocked ? 'unlocked' : 'locked';
+          const focus = getLessonFocus(lesson, layout);
+          
+          return (
+            <li key={lesson.id} className={`lesson-card ${status}`}>
+              <div className="lesson-card-header">
+                <span className="lesson-number">{index + 1}</span>
+                <h2>{lesson.title}</h2>
+                <span className={`lesson-status ${status}`}>
+                  {status === 'passed' ? 'Passed' : status === 'unlocked' ? 'Unlocked' : 'Locked'}
+                </span>
+              </div>
+              <p>{lesson.description}</p>
+              {focus.length > 0 && (
+                <div className="lesson-keys">
+                  {focus.map(char => <kbd key={char}>{char}</kbd>)}
+                </div>
+              )}
+              <div className="lesson-card-footer">
+                <span className="lesson-meta">
+                  Pass: {lesson.passCriteria.minWpm} WPM · {lesson.passCriteria.minAccuracy}%
+                  {lessonProgress && (
+                    <>
+                      {' · '}Best: {lessonProgress.bestWpm.toFixed(1)} WPM · {lessonProgress.bestAccuracy.toFixed(1)}%
+                      {' · '}{lessonProgress.attempts} {lessonProgress.attempts === 1 ? 'attempt' : 'attempts'}
+                    </>
+                  )}
+                </span>
+                <button
+                  onClick={() => navigate(`/?lesson=${lesson.id}`)}
+                  disabled={loading || !unlocked}
+                >
+                  {lessonProgress?.passed ? 'Practise' : 'Start'}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+export default Lessons;
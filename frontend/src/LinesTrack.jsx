@@ -0,0 +1,100 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Character } from './TextTrack';
+import './LinesTrack.css';
+
+/**
+ * LinesTrack renders prose as wrapped lines, three at a time, for the
+ * "lines" text display. The active line is kept second, so the next one
+ * is always visible, and the text scrolls up a line at a time. Props match
+ * TextTrack, and characters use the same memoised `Character` component.
+ *
+ * Each word is wrapped in a non-breaking span so lines only break at
+ * spaces; the spaces stay separate characters.
+ */
+function LinesTrack({ text, userInput, statuses, currentIndex, ghostIndex = null, fontFamily, fontSize, children }) {
+  const textDisplayRef = useRef(null);
+  const [scrollOffset, setScrollOffset] = useState(0);
+
+  // Character ranges of each word and each space between them
+  const segments = useMemo(() => {
+    const ranges = [];
+    let start = 0;
+    for (let index = 0; index <= text.length; index++) {
+      if (index === text.length || text[index] === ' ') {
+        if (index > start) ranges.push({ start, end: index, word: true });
+        if (index < text.length) ranges.push({ start: index, end: index + 1, word: false });
+        start = index + 1;
+      }
+    }
+    return ranges;
+  }, [text]);
+
+  // Scroll so the active character's line is second from the top, batched
+  // with RAF like TextTrack
+  const updateScroll = useCallback(() => {
+    const activeChar = textDisplayRef.current?.querySelector('.char.active');
+    if (activeChar && activeChar.offsetHeight > 0) {
+      const lineHeight = activeChar.offsetHeight;
+      const line = Math.round(activeChar.offsetTop / lineHeight);
+      setScrollOffset(-Math.max(0, line - 1) * lineHeight);
+    }
+  }, []);
+
+  useEffect(() => {
+    const frame = requestAnimationFrame(updateScroll);
+    return () => cancelAnimationFrame(frame);
+  }, [currentIndex, text, fontFamily, fontSize, updateScroll]);
+
+  const renderCharacter = useCallback((index) => (
+    <Character
+      key={index}
+      char={text[index]}
+      userChar={userInput[index]}
+      status={statuses[index]}
+      isActive={index === currentIndex}
+      isGhost={index === ghostIndex}
+    />
+  ), [text, userInput, statuses, currentIndex, ghostIndex]);
+
+  const renderedSegments = useMemo(() => segments.map(({ start, end, word }) => {
+    if (!word) return renderCharacter(start);
+    return (
+      <span key={`word-${start}`} className="word">
+        {Array.from({ length: end - start }, (_, offset) => renderCharacter(start + offset))}
+      </span>
+    );
+  }), [segments, renderCharacter]);
+
+  return (
+    <div className="lines-container">
+      <div
+        className="lines-viewport"
+        style={{ fontFamily, fontSize }}
+      >
+        <div
+          ref={textDisplayRef}
+          className="lines-display"
+          style={{ transform: `translateY(${scrollOffset}px)` }}
+        >
+          {renderedSegments}
+        </div>
+      </div>
+
+      {children}
+    </div>
+  );
+}
+
+LinesTrack.propTypes = {
+  text: PropTypes.string.isRequired,
+  userInput: PropTypes.arrayOf(PropTypes.string).isRequired,
+  statuses: PropTypes.arrayOf(PropTypes.string).isRequired,
+  currentIndex: PropTypes.number.isRequired,
+  ghostIndex: PropTypes.number,
+  fontFamily: PropTypes.string,
+  fontSize: PropTypes.string,
+  children: PropTypes.node
+};
+
+export default LinesTrack;
@@ -0,0 +1,192 @@
+import PropTypes from 'prop-types';
+import { formatSessionMode } from './sessionStats';
+import './ProgressTrends.css';
+
+const GROUP_OPTIONS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' }
+];
+
+const CHART_LEFT = 50;
+const CHART_RIGHT = 780;
+const CHART_TOP = 20;
+const CHART_BOTTOM = 200;
+
+function formatDuration(ms) {
+  const totalMinutes = Math.round(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function formatNumber(value, digits = 1) {
+  return typeof value === 'number' ? value.toFixed(digits) : '-';
+}
+
+/**
+ * Draws one series as a polyline over the shared x axis.
+ */
+function TrendLine({ values, min, max, color }) {
+  const range = max - min || 1;
+  const step = values.length > 1 ? (CHART_RIGHT - CHART_LEFT) / (values.length - 1) : 0;
+
+  const points = values.map((value, idx) => {
+    const x = CHART_LEFT + idx * step;
+    const y = CHART_BOTTOM - (((value ?? min) - min) / range) * (CHART_BOTTOM - CHART_TOP);
+    return { x, y };
+  });
+
+  return (
+    <>
+      {points.length > 1 && (
+        <polyline
+          points={points.map(p => `${p.x},${p.y}`).join(' ')}
+          fill="none"
+          style={{ stroke: color }}
+          strokeWidth="2"
+        />
+      )}
+      {points.map((p, idx) => (
+        <circle key={idx} cx={p.x} cy={p.y} r="3" style={{ fill: color }} />
+      ))}
+    </>
+  );
+}
+
+TrendLine.propTypes = {
+  values: PropTypes.arrayOf(PropTypes.number).isRequired,
+  min: PropTypes.number.isRequired,
+  max: PropTypes.number.isRequired,
+  color: PropTypes.string.isRequired
+};
+
+/**
+ * ProgressTrends shows long-range progress computed by the stats endpoint:
+ * summary totals, best/average WPM and accuracy per period, and personal
+ * bests per mode.
+ */
+function ProgressTrends({ stats, groupBy, onGroupByChange }) {
+  const periods = stats?.periods || [];
+  const bestValues = periods.map(p => p.bestWpm ?? 0);
+  const avgValues = periods.map(p => p.avgWpm ?? 0);
+  const accuracyValues = periods.map(p => p.avgAccuracy ?? 0);
+
+  const maxWpm = Math.max(...bestValues, 1);
+  const minWpm = Math.min(...avgValues, maxWpm);
+  const minAccuracy = Math.min(...accuracyValues, 100);
+
+  // Only label a handful of periods so the axis stays readable
+  const labelEvery = Math.max(1, Math.ceil(periods.length / 8));
+  const step = periods.length > 1 ? (CHART_RIGHT - CHART_LEFT) / (periods.length - 1) : 0;
+
+  return (
+    <div className="progress-trends">
+      <div className="trends-header">
+        <h3>Progress</h3>
+        <div className="group-toggle">
+          {GROUP_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              className={groupBy === option.value ? 'active' : ''}
+              onClick={() => onGroupByChange(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {stats && (
+        <div className="trend-summary">
+          <div className="summary-item">
+            <span className="summary-value">{stats.totals.sessionCount}</span>
+            <span className="summary-label">Sessions</span>
+          </div>
+          <div className="summary-item">
+            <span className="summary-value">{formatNumber(stats.totals.bestWpm)}</span>
+            <span className="summary-label">Best WPM</span>
+          </div>
+          <div className="summary-item">
+            <span className="summary-value">{formatNumber(stats.totals.avgWpm)}</span>
+            <span className="summary-label">Average WPM</span>
+          </div>
+          <div className="summary-item">
+            <span className="summary-value">{formatNumber(stats.totals.avgAccuracy)}%</span>
+            <span className="summary-label">Average Accuracy</span>
+          </div>
+          <div className="summary-item">
+            <span className="summary-value">{formatDuration(stats.totals.totalDuration || 0)}</span>
+            <span className="summary-label">Typing Time</span>
+          </div>
+        </div>
+      )}
+
+      {periods.length > 0 && (
+        <>
+          <h4>WPM</h4>
+          <svg className="trend-chart" viewBox="0 0 800 230" preserveAspectRatio="xMidYMid meet">
+            <line x1={CHART_LEFT} y1={CHART_BOTTOM} x2={CHART_RIGHT} y2={CHART_BOTTOM} className="chart-axis" strokeWidth="1" />
+            <TrendLine values={bestValues} min={minWpm} max={maxWpm} color="var(--series-primary)" />
+            <TrendLine values={avgValues} min={minWpm} max={maxWpm} color="var(--series-secondary)" />
+            <text x="10" y={CHART_TOP + 5} fontSize="12" className="chart-label">{maxWpm.toFixed(0)}</text>
+            <text x="10" y={CHART_BOTTOM + 5} fontSize="12" className="chart-label">{minWpm.toFixed(0)}</text>
+            {periods.map((p, idx) => idx % labelEvery === 0 && (
+              <text
+                key={p.period}
+                x={CHART_LEFT + idx * step}
+                y={CHART_BOTTOM + 20}
+                fontSize="11"
+                className="chart-label"
+                textAnchor="middle"
+              >
+                {p.period}
+              </text>
+            ))}
+          </svg>
+          <div className="trend-legend">
+            <span className="legend-best">● Best WPM</span>
+            <span className="legend-avg">● Average WPM</span>
+          </div>
+
+          <h4>Accuracy</h4>
+          <svg className="trend-chart small" viewBox="0 0 800 230" preserveAspectRatio="xMidYMid meet">
+            <line x1={CHART_LEFT} y1={CHART_BOTTOM} x2={CHART_RIGHT} y2={CHART_BOTTOM} className="chart-axis" strokeWidth="1" />
+            <TrendLine values={accuracyValues} min={minAccuracy} max={100} color="var(--series-tertiary)" />
+            <text x="10" y={CHART_TOP + 5} fontSize="12" className="chart-label">100%</text>
+            <text x="10" y={CHART_BOTTOM + 5} fontSize="12" className="chart-label">{minAccuracy.toFixed(0)}%</text>
+          </svg>
+        </>
+      )}
+
+      {stats?.personalBests?.length > 0 && (
+        <>
+          <h4>Personal Bests</h4>
+          <div className="personal-bests">
+            {stats.personalBests.map(best => (
+              <div key={`${best.mode}-${best.modeValue}`} className="personal-best">
+                <span className="pb-mode">
+                  {formatSessionMode(best.mode, best.modeValue)}
+                </span>
+                <span className="pb-wpm">{formatNumber(best.bestWpm)} WPM</span>
+                <span className="pb-accuracy">{formatNumber(best.accuracy)}%</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+ProgressTrends.propTypes = {
+  stats: PropTypes.shape({
+    periods: PropTypes.array,
+    totals: PropTypes.object,
+    personalBests: PropTypes.array
+  }),
+  groupBy: PropTypes.oneOf(['day', 'week', 'month']).isRequired,
+  onGroupByChange: PropTypes.func.isRequired
+};
+
+export default ProgressTrends;
@@ -0,0 +1,238 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useSearchParams, useLocation, useNavigate } from 'react-router-dom';
+import { useAppContext } from './AppContext';
+import TextTrack from './TextTrack';
+import LinesTrack from './LinesTrack';
+import CodeTrack from './CodeTrack';
+import { createReplay, calculateWpmOverTime } from '../../shared/analytics/index.js';
+import { timeToChartX, chartEventToTime } from './chartUtils';
+import './Replay.css';
+
+const SPEEDS = [0.5, 1, 1.5, 2, 3, 4];
+
+const TIMELINE_TOP = 10;
+const TIMELINE_BOTTOM = 90;
+
+function formatClock(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  const tenths = Math.floor((ms % 1000) / 100);
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${tenths}`;
+}
+
+/**
+ * Replay re-types a recorded session from its keystroke events at real
+ * speed (or 0.5x-4x), on the same text track as the live test.
+ *
+ * The session comes from `?session=<id>` or, for files uploaded into the
+ * Analyzer, from navigation state. `?t=<seconds>` sets the start position.
+ * The timeline below the track is the Analyzer's Speed Over Time curve on
+ * the same x axis; clicking it seeks to that moment.
+ */
+function Replay() {
+  const [searchParams] = useSearchParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { getSession, currentUser } = useAppContext();
+
+  const sessionId = searchParams.get('session');
+  const initialPosition = Math.max(parseFloat(searchParams.get('t')) || 0, 0) * 1000;
+
+  const [session, setSession] = useState(location.state?.session || null);
+  const [loadError, setLoadError] = useState(null);
+  const [position, setPosition] = useState(initialPosition); // ms since the first keydown
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  // Playback clock; the RAF loop advances it and mirrors it into `position`
+  const positionRef = useRef(initialPosition);
+
+  // Load the session by id unless it was handed over in navigation state
+  useEffect(() => {
+    if (session || !sessionId || !getSession) return;
+    let cancelled = false;
+
+    const loadSession = async () => {
+      const loaded = await getSession(sessionId);
+      if (cancelled) return;
+      if (loaded && Array.isArray(loaded.events)) {
+        setSession(loaded);
+      } else {
+        setLoadError('This session has no keystroke data to replay.');
+      }
+    };
+
+    loadSession();
+    return () => {
+      cancelled = true;
+    };
+  }, [session, sessionId, getSession]);
+
+  const replay = useMemo(() => (session ? createReplay(session) : null), [session]);
+  const wpmOverTime = useMemo(
+    () => (session ? calculateWpmOverTime(session.events, session.charStates) : null),
+    [session]
+  );
+
+  const duration = replay?.duration || 0;
+  const clampedPosition = Math.min(position, duration);
+  const state = useMemo(() => (replay ? replay.stateAt(clampedPosition) : null), [replay, clampedPosition]);
+
+  const seek = useCallback((time) => {
+    const clamped = Math.min(Math.max(time, 0), duration);
+    positionRef.current = clamped;
+    setPosition(clamped);
+  }, [duration]);
+
+  // Advance the clock while playing
+  useEffect(() => {
+    if (!playing || !replay) return;
+    let frame;
+    let lastFrameTime = performance.now();
+
+    const tick = (now) => {
+      const next = positionRef.current + (now - lastFrameTime) * speed;
+      lastFrameTime = now;
+
+      if (next >= replay.duration) {
+        positionRef.current = replay.duration;
+        setPosition(replay.duration);
+        setPlaying(false);
+        return;
+      }
+
+      positionRef.current = next;
+      setPosition(next);
+      frame = requestAnimationFrame(tick);
+    };
+
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, replay]);
+
+  const togglePlaying = () => {
+    if (!playing && positionRef.current >= duration) {
+      seek(0);
+    }
+    setPlaying(!playing);
+  };
+
+  // Font and text display settings (same as the typing test, including the
+  // smaller code sizes)
+  const fontFamily = currentUser?.settings.font || 'Courier New';
+  const fontSizeSetting = currentUser?.settings.fontSize || 'M';
+  const isCode = session?.mode === 'code';
+  const fontSize = isCode
+    ? (fontSizeSetting === 'S' ? '0.9rem' : fontSizeSetting === 'L' ? '1.35rem' : '1.1rem')
+    : (fontSizeSetting === 'S' ? '1.5rem' : fontSizeSetting === 'L' ? '2.5rem' : '2rem');
+  const Track = isCode
+    ? CodeTrack
+    : currentUser?.settings.textDisplay === 'lines' ? LinesTrack : TextTrack;
+
+  if (!session) {
+    return (
+      <div className="replay">
+        <div className="replay-message">
+          {loadError ? (
+            <p>{loadError}</p>
+          ) : sessionId ? (
+            <p>Loading session...</p>
+          ) : (
+            <p>No session selected. Open a replay from History or the Analyzer.</p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const wpmData = wpmOverTime?.wpmData || [];
+  const maxTime = Math.max(...wpmData.map(d => d.time), 1);
+  const maxWpm = Math.max(...wpmData.map(d => d.wpm), 1);
+  const timelinePoints = wpmData.map(d => {
+    const x = timeToChartX(d.time, maxTime);
+    const y = TIMELINE_BOTTOM - ((d.wpm / maxWpm) * (TIMELINE_BOTTOM - TIMELINE_TOP));
+    return `${x},${y}`;
+  }).join(' ');
+  const playheadX = timeToChartX(clampedPosition / 1000, maxTime);
+
+  return (
+    <div className="replay">
+      <div className="header">
+        <h1>Session Replay</h1>
+        <div className="stats">
+          <span>WPM: {state.wpm.toFixed(1)}</span>
+          <span>Raw: {state.rawWpm.toFixed(1)}</span>
+          <span>Accuracy: {state.accuracy.toFixed(2)}%</span>
+          <span>{formatClock(clampedPosition)} / {formatClock(duration)}</span>
+        </div>
+      </div>
+
+      <Track
+        text={session.text}
+        userInput={state.userInput}
+        statuses={state.statuses}
+        currentIndex={state.currentIndex}
+        fontFamily={fontFamily}
+        fontSize={fontSize}
+      />
+
+      <div className="replay-controls">
+        <button onClick={togglePlaying} className="play-btn" disabled={duration === 0}>
+          {playing ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <input
+          type="range"
+          className="replay-scrubber"
+          min="0"
+          max={duration}
+          step="10"
+          value={clampedPosition}
+          onChange={(e) => seek(Number(e.target.value))}
+          aria-label="Replay position"
+        />
+        <div className="speed-buttons">
+          {SPEEDS.map(option => (
+            <button
+              key={option}
+              className={speed === option ? 'active' : ''}
+              onClick={() => setSpeed(option)}
+            >
+              {option}x
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {wpmData.length > 0 && (
+        <div className="replay-timeline">
+          <svg
+            className="timeline-chart"
+            viewBox="0 0 800 110"
+            preserveAspectRatio="xMidYMid meet"
+            onClick={(e) => seek(chartEventToTime(e, maxTime) * 1000)}
+          >
+            <line x1={timeToChartX(0, maxTime)} y1={TIMELINE_BOTTOM} x2={timeToChartX(maxTime, maxTime)} y2={TIMELINE_BOTTOM} className="chart-axis" strokeWidth="1" />
+            <polyline points={timelinePoints} fill="none" style={{ stroke: 'var(--series-primary)' }} strokeWidth="2" />
+            <line x1={playheadX} y1={TIMELINE_TOP - 5} x2={playheadX} y2={TIMELINE_BOTTOM} style={{ stroke: 'var(--accent)' }} strokeWidth="2" />
+            <text x="50" y={TIMELINE_TOP + 5} fontSize="11" className="chart-label" textAnchor="end">{maxWpm.toFixed(0)}</text>
+            <text x="50" y={TIMELINE_BOTTOM} fontSize="11" className="chart-label" textAnchor="end">0</text>
+            <text x={timeToChartX(maxTime, maxTime)} y={TIMELINE_BOTTOM + 15} fontSize="11" className="chart-label" textAnchor="end">{maxTime}s</text>
+          </svg>
+          <p className="timeline-hint">WPM over time - click to jump to that moment</p>
+        </div>
+      )}
+
+      <div className="replay-actions">
+        {sessionId && (
+          <button onClick={() => navigate(`/analyzer?session=${sessionId}`)}>
+            View Analysis
+          </button>
+        )}
+        <button onClick={() => navigate(-1)}>Back</button>
+      </div>
+    </div>
+  );
+}
+
+export default Replay;
@@ -0,0 +1,218 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { compareAnalyses } from '../../shared/analytics/index.js';
+import KeyboardHeatmap from './KeyboardHeatmap';
+import { formatSessionMode } from './sessionStats';
+import './SessionComparison.css';
+
+const STATISTIC_LABELS = {
+  netWPM: 'Net WPM',
+  rawWPM: 'Raw WPM',
+  accuracy: 'Accuracy (%)',
+  productiveCPM: 'Productive CPM',
+  mechanicalCPM: 'Mechanical CPM',
+  sessionDuration: 'Duration (s)',
+  firstTimeErrorCount: 'First-Time Errors'
+};
+
+// Whether an increase is an improvement; fields not listed are neutral
+const HIGHER_IS_BETTER = {
+  netWPM: true,
+  rawWPM: true,
+  accuracy: true,
+  productiveCPM: true,
+  mechanicalCPM: true,
+  firstTimeErrorCount: false
+};
+
+const CHART_LEFT = 60;
+const CHART_WIDTH = 700;
+const CHART_BOTTOM = 280;
+const CHART_HEIGHT = 250;
+
+function formatStatistic(field, value) {
+  // Durations are stored in ms
+  return field === 'sessionDuration' ? (value / 1000).toFixed(2) : value.toFixed(2);
+}
+
+function deltaClass(field, delta) {
+  if (delta === 0 || HIGHER_IS_BETTER[field] === undefined) return 'delta-neutral';
+  return (delta > 0) === HIGHER_IS_BETTER[field] ? 'delta-better' : 'delta-worse';
+}
+
+function formatSessionLabel(session) {
+  const mode = formatSessionMode(session.mode, session.modeValue);
+  const date = session.timestamp ? new Date(session.timestamp).toLocaleString() : 'Uploaded file';
+  return `${mode} · ${date}`;
+}
+
+/**
+ * Overlays the WPM-over-time curves of both sessions on one chart.
+ */
+function WpmOverlayChart({ baseData, otherData }) {
+  const all = [...baseData, ...otherData];
+  const maxTime = Math.max(...all.map(d => d.time), 1);
+  const maxWpm = Math.max(...all.map(d => d.wpm), 1);
+
+  const toPoints = (data) => data.map(d => {
+    const x = CHART_LEFT + (d.time / maxTime) * CHART_WIDTH;
+    const y = CHART_BOTTOM - (d.wpm / maxWpm) * CHART_HEIGHT;
+    return `${x},${y}`;
+  }).join(' ');
+
+  return (
+    <svg className="wpm-chart" viewBox="0 0 800 320" preserveAspectRatio="xMidYMid meet">
+      <line x1={CHART_LEFT} y1="20" x2={CHART_LEFT} y2={CHART_BOTTOM} className="chart-axis" strokeWidth="2" />
+      <line x1={CHART_LEFT} y1={CHART_BOTTOM} x2={CHART_LEFT + CHART_WIDTH} y2={CHART_BOTTOM} className="chart-axis" strokeWidth="2" />
+      <polyline points={toPoints(baseData)} fill="none" style={{ stroke: 'var(--text-muted)' }} strokeWidth="3" />
+      <polyline points={toPoints(otherData)} fill="none" style={{ stroke: 'var(--series-primary)' }} strokeWidth="3" />
+      <text x="35" y={CHART_BOTTOM + 5} fontSize="12" className="chart-label" textAnchor="end">0</text>
+      <text x="35" y="35" fontSize="12" className="chart-label" textAnchor="end">{maxWpm.toFixed(0)}</text>
+      <text x={CHART_LEFT + CHART_WIDTH} y={CHART_BOTTOM + 20} fontSize="12" className="chart-label" textAnchor="end">
+        {maxTime}s
+      </text>
+      <text x="410" y="310" fontSize="14" className="chart-title" textAnchor="middle">Time (seconds)</text>
+    </svg>
+  );
+}
+
+WpmOverlayChart.propTypes = {
+  baseData: PropTypes.arrayOf(PropTypes.shape({ time: PropTypes.number, wpm: PropTypes.number })).isRequired,
+  otherData: PropTypes.arrayOf(PropTypes.shape({ time: PropTypes.number, wpm: PropTypes.number })).isRequired
+};
+
+/**
+ * Lists the digraphs whose latency changed the most in one direction.
+ */
+function DigraphChangeTable({ title, changes }) {
+  return (
+    <div className="digraph-changes">
+      <h3>{title}</h3>
+      {changes.length === 0 ? (
+        <p className="panel-description">None</p>
+      ) : (
+        <div className="digraph-table">
+          <div className="table-header">
+            <span>Transition</span>
+            <span>A</span>
+            <span>B</span>
+            <span>Change</span>
+          </div>
+          {changes.slice(0, 10).map(change => (
+            <div key={change.pair} className="table-row">
+              <span className="transition-chars">{change.char1} → {change.char2}</span>
+              <span>{change.baseLatency.toFixed(0)}ms <small>(n={change.baseCount})</small></span>
+              <span>{change.otherLatency.toFixed(0)}ms <small>(n={change.otherCount})</small></span>
+              <span className={change.delta < 0 ? 'delta-better' : 'delta-worse'}>
+                {change.delta > 0 ? '+' : ''}{change.delta.toFixed(0)}ms
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+DigraphChangeTable.propTypes = {
+  title: PropTypes.string.isRequired,
+  changes: PropTypes.array.isRequired
+};
+
+/**
+ * SessionComparison puts two analysed sessions side by side: statistic
+ * deltas, overlaid WPM curves, per-key dwell/flight deltas on diverging
+ * heatmaps, and the digraphs that got faster or slower the most.
+ * Session A is the baseline; every delta is B - A.
+ */
+function SessionComparison({ baseSession, otherSession, baseAnalysis, otherAnalysis, layout }) {
+  const comparison = useMemo(
+    () => compareAnalyses(baseAnalysis, otherAnalysis),
+    [baseAnalysis, otherAnalysis]
+  );
+
+  const baseWpm = baseAnalysis.wpmOverTime?.wpmData || [];
+  const otherWpm = otherAnalysis.wpmOverTime?.wpmData || [];
+
+  return (
+    <div className="session-comparison">
+      <div className="comparison-sessions">
+        <div className="comparison-session base">
+          <span className="comparison-tag">A</span>
+          <span>{formatSessionLabel(baseSession)}</span>
+        </div>
+        <div className="comparison-session other">
+          <span className="comparison-tag">B</span>
+          <span>{formatSessionLabel(otherSession)}</span>
+        </div>
+      </div>
+
+      <div className="stats-panel">
+        <h2>Statistics</h2>
+        <div className="comparison-table">
+          <div className="table-header">
+            <span>Statistic</span>
+            <span>A</span>
+            <span>B</span>
+            <span>Change</span>
+          </div>
+          {comparison.statistics.map(({ field, base, other, delta }) => (
+            <div key={field} className="table-row">
+              <span>{STATISTIC_LABELS[field]}</span>
+              <span>{formatStatistic(field, base)}</span>
+              <span>{formatStatistic(field, other)}</span>
+              <span className={deltaClass(field, delta)}>
+                {delta > 0 ? '+' : ''}{formatStatistic(field, delta)}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {baseWpm.length > 0 && otherWpm.length > 0 && (
+        <div className="analysis-panel">
+          <h2>Speed Over Time</h2>
+          <div className="wpm-chart-container">
+            <WpmOverlayChart baseData={baseWpm} otherData={otherWpm} />
+            <div className="wpm-legend">
+              <div className="legend-item">
+                <div className="legend-marker comparison-marker base"></div>
+                <span>A</span>
+              </div>
+              <div className="legend-item">
+                <div className="legend-marker comparison-marker other"></div>
+                <span>B</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="analysis-panel">
+        <h2>Per-Key Changes</h2>
+        <p className="panel-description">Change in average time per key from A to B, for keys typed in both sessions</p>
+        <KeyboardHeatmap data={comparison.dwellDeltaByKey} title="Dwell Time Change" scale="diverging" layout={layout} />
+        <KeyboardHeatmap data={comparison.flightDeltaByKey} title="Flight Time Change" scale="diverging" layout={layout} />
+      </div>
+
+      <div className="analysis-panel">
+        <h2>Transition Changes</h2>
+        <p className="panel-description">Letter pairs typed in both sessions, by change in flight time</p>
+        <div className="digraph-change-columns">
+          <DigraphChangeTable title="Got Faster" changes={comparison.digraphChanges.faster} />
+          <DigraphChangeTable title="Got Slower" changes={comparison.digraphChanges.slower} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+SessionComparison.propTypes = {
+  baseSession: PropTypes.object.isRequired,
+  otherSession: PropTypes.object.isRequired,
+  baseAnalysis: PropTypes.object.isRequired,
+  otherAnalysis: PropTypes.object.isRequired,
+  layout: PropTypes.object
+};
+
+export default SessionComparison;
@@ -0,0 +1,202 @@
+import PropTypes from 'prop-types';
+import { useAppContext } from './AppContext';
+import { LESSONS, getLessonWordSource } from '../../shared/lessons/index.js';
+import { QUOTES } from '../../shared/quotes/index.js';
+import { CODE_LANGUAGES, IMPORTED_LANGUAGE, SNIPPETS } from '../../shared/code/index.js';
+import { STRICT_MODES } from '../../shared/analytics/index.js';
+import { formatSessionMode } from './sessionStats';
+import { BUNDLED_WORD_LISTS, getCustomWordListId } from './wordLists';
+import './SessionFilters.css';
+
+// eslint-disable-next-line react-refresh/only-export-components
+export const EMPTY_FILTERS = {
+  mode: '',
+  modeValue: '',
+  from: '',
+  to: '',
+  minWpm: '',
+  maxWpm: '',
+  minAccuracy: '',
+  maxAccuracy: '',
+  wordSource: '',
+  punctuation: '',
+  numbers: '',
+  strictMode: ''
+};
+
+const SORT_OPTIONS = [
+  { value: 'timestamp', label: 'Date' },
+  { value: 'wpm', label: 'WPM' },
+  { value: 'accuracy', label: 'Accuracy' },
+  { value: 'duration', label: 'Duration' },
+  { value: 'mechanicalCPM', label: 'Mechanical CPM' }
+];
+
+const MODE_VALUES = {
+  time: [15, 30, 60, 120],
+  words: [10, 25, 50, 100],
+  lesson: [...new Set(LESSONS.map(lesson => lesson.wordCount))],
+  quote: QUOTES.map(quote => quote.id),
+  // 0 covers every imported snippet
+  code: [...SNIPPETS.map(snippet => snippet.id), 0]
+};
+
+function formatModeValue(mode, value) {
+  if (mode === 'time') return `${value}s`;
+  if (mode === 'quote' || mode === 'code') return formatSessionMode(mode, value);
+  return `${value} words`;
+}
+
+// Custom word lists are added per user
+const WORD_SOURCES = [
+  ...BUNDLED_WORD_LISTS.map(list => ({ value: list.id, label: list.name })),
+  { value: 'drill', label: 'Weakness Drill' },
+  { value: 'quotes', label: 'Quotes' },
+  ...CODE_LANGUAGES.map(language => ({ value: `code:${language.id}`, label: `Code: ${language.label}` })),
+  { value: `code:${IMPORTED_LANGUAGE}`, label: 'Code: Other Files' },
+  ...LESSONS.map(lesson => ({ value: getLessonWordSource(lesson.id), label: `Lesson: ${lesson.title}` }))
+];
+
+// Punctuation and numbers modifier filters
+const TOGGLE_OPTIONS = [
+  { value: '', label: 'Any' },
+  { value: 'true', label: 'On' },
+  { value: 'false', label: 'Off' }
+];
+
+/**
+ * SessionFilters renders the filter and sort controls for the History list.
+ * Values are kept as strings (empty = no filter) and passed straight to the API.
+ */
+function SessionFilters({ filters, sort, order, onFiltersChange, onSortChange }) {
+  const { currentUser } = useAppContext();
+  const wordSources = [
+    ...WORD_SOURCES,
+    ...(currentUser?.wordLists || []).map(list => ({ value: getCustomWordListId(list.listId), label: `List: ${list.name}` }))
+  ];
+
+  const updateFilter = (key, value) => {
+    const next = { ...filters, [key]: value };
+    // Mode values only make sense for the selected mode
+    if (key === 'mode') next.modeValue = '';
+    onFiltersChange(next);
+  };
+
+  const hasFilters = Object.values(filters).some(value => value !== '');
+
+  return (
+    <div className="session-filters">
+      <div className="filter-group">
+        <label htmlFor="filter-mode">Mode</label>
+        <select id="filter-mode" value={filters.mode} onChange={(e) => updateFilter('mode', e.target.value)}>
+          <option value="">All</option>
+          <option value="time">Time</option>
+          <option value="words">Words</option>
+          <option value="lesson">Lesson</option>
+          <option value="quote">Quote</option>
+          <option value="code">Code</option>
+        </select>
+        {filters.mode && (
+          <select
+            aria-label="Mode value"
+            value={filters.modeValue}
+            onChange={(e) => updateFilter('modeValue', e.target.value)}
+          >
+            <option value="">Any</option>
+            {MODE_VALUES[filters.mode].map(value => (
+              <option key={value} value={value}>
+                {formatModeValue(filters.mode, value)}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="filter-group">
+        <label htmlFor="filter-from">From</label>
+        <input id="filter-from" type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+        <label htmlFor="filter-to">To</label>
+        <input id="filter-to" type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+      </div>
+
+      <div className="filter-group">
+        <label>WPM</label>
+        <input type="number" min="0" placeholder="min" value={filters.minWpm} onChange={(e) => updateFilter('minWpm', e.target.value)} />
+        <input type="number" min="0" placeholder="max" value={filters.maxWpm} onChange={(e) => updateFilter('maxWpm', e.target.value)} />
+      </div>
+
+      <div className="filter-group">
+        <label>Accuracy</label>
+        <input type="number" min="0" max="100" placeholder="min" value={filters.minAccuracy} onChange={(e) => updateFilter('minAccuracy', e.target.value)} />
+        <input type="number" min="0" max="100" placeholder="max" value={filters.maxAccuracy} onChange={(e) => updateFilter('maxAccuracy', e.target.value)} />
+      </div>
+
+      <div className="filter-group">
+        <label htmlFor="filter-source">Words</label>
+        <select id="filter-source" value={filters.wordSource} onChange={(e) => updateFilter('wordSource', e.target.value)}>
+          <option value="">All</option>
+          {wordSources.map(source => (
+            <option key={source.value} value={source.value}>{source.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="filter-group">
+        <label htmlFor="filter-punctuation">Punctuation</label>
+        <select id="filter-punctuation" value={filters.punctuation} onChange={(e) => updateFilter('punctuation', e.target.value)}>
+          {TOGGLE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label htmlFor="filter-numbers">Numbers</label>
+        <select id="filter-numbers" value={filters.numbers} onChange={(e) => updateFilter('numbers', e.target.value)}>
+          {TOGGLE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="filter-group">
+        <label htmlFor="filter-strict">Strictness</label>
+        <select id="filter-strict" value={filters.strictMode} onChange={(e) => updateFilter('strictMode', e.target.value)}>
+          <option value="">Any</option>
+          {STRICT_MODES.map(mode => (
+            <option key={mode.id} value={mode.id}>{mode.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="filter-group">
+        <label htmlFor="filter-sort">Sort</label>
+        <select id="filter-sort" value={sort} onChange={(e) => onSortChange(e.target.value, order)}>
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          className="order-btn"
+          onClick={() => onSortChange(sort, order === 'desc' ? 'asc' : 'desc')}
+          title={order === 'desc' ? 'Descending' : 'Ascending'}
+        >
+          {order === 'desc' ? '↓' : '↑'}
+        </button>
+      </div>
+
+      {hasFilters && (
+        <button className="clear-filters-btn" onClick={() => onFiltersChange(EMPTY_FILTERS)}>
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+}
+
+SessionFilters.propTypes = {
+  filters: PropTypes.object.isRequired,
+  sort: PropTypes.string.isRequired,
+  order: PropTypes.oneOf(['asc', 'desc']).isRequired,
+  onFiltersChange: PropTypes.func.isRequired,
+  onSortChange: PropTypes.func.isRequired
+};
+
+export default SessionFilters;
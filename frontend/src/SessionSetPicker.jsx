@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import './SessionSetPicker.css';
+
+/**
+ * SessionSetPicker chooses a set of stored sessions for pooled analysis:
+ * either the last N sessions or every session in a date range.
+ * Calls onSelect with URL parameters for the Analyzer (`last`, `from`, `to`).
+ */
+function SessionSetPicker({ onSelect }) {
+  const [by, setBy] = useState('last'); // 'last' | 'range'
+  const [last, setLast] = useState('20');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const canSubmit = by === 'last' ? parseInt(last, 10) > 0 : Boolean(from || to);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    if (by === 'last') {
+      onSelect({ last: String(parseInt(last, 10)) });
+    } else {
+      const params = {};
+      if (from) params.from = from;
+      if (to) params.to = to;
+      onSelect(params);
+    }
+  };
+
+  return (
+    <form className="session-set-picker" onSubmit={handleSubmit}>
+      <h2>Analyze Multiple Sessions</h2>
+      <p>Pool several sessions for more reliable dwell times, transitions and error patterns.</p>
+
+      <div className="picker-options">
+        <label>
+          <input type="radio" name="set-by" checked={by === 'last'} onChange={() => setBy('last')} />
+          Last
+          <input
+            type="number"
+            min="1"
+            value={last}
+            onChange={(e) => setLast(e.target.value)}
+            disabled={by !== 'last'}
+            aria-label="Number of sessions"
+          />
+          sessions
+        </label>
+
+        <label>
+          <input type="radio" name="set-by" checked={by === 'range'} onChange={() => setBy('range')} />
+          From
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} disabled={by !== 'range'} />
+          to
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} disabled={by !== 'range'} />
+        </label>
+      </div>
+
+      <button type="submit" className="analyze-set-btn" disabled={!canSubmit}>
+        Analyze
+      </button>
+      <p className="picker-hint">You can also select sessions in History and choose &quot;Analyze selected&quot;.</p>
+    </form>
+  );
+}
+
+SessionSetPicker.propTypes = {
+  onSelect: PropTypes.func.isRequired
+};
+
+export default SessionSetPicker;
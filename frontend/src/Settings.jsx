@@ -1,16 +1,72 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useAppContext } from './AppContext';
 import { getAvailableMonospacedFonts } from './fontDetection';
+import {
+  LAYOUTS,
+  DEFAULT_LAYOUT_ID,
+  resolveLayout,
+  toLayoutDefinition,
+  validateLayoutDefinition,
+  normalizeLayoutDefinition
+} from '../../shared/analytics/index.js';
+import { CODE_LANGUAGES, CODE_SNIPPET_LIMITS, createImportedSnippets } from '../../shared/code/index.js';
+import { WORD_LIST_LIMITS, validateWordList, normalizeWordList } from '../../shared/text/index.js';
+import { THEMES, COLOR_PALETTES, resolveTheme, toThemeDefinition } from '../../shared/themes/index.js';
+import { BUNDLED_LANGUAGES, getCustomWordListId } from './wordLists';
+import { applyTheme } from './themes';
+import LayoutEditor from './LayoutEditor';
+import ThemeEditor from './ThemeEditor';
+import ThemePreview from './ThemePreview';
 import './Settings.css';
 
+// Words from an uploaded or pasted word list: a JSON array of words, or
+// any text split on whitespace. Returns null for JSON that isn't an array.
+function parseWords(content, isJson) {
+  if (!isJson) return content.split(/\s+/).filter(Boolean);
+  const data = JSON.parse(content);
+  return Array.isArray(data) ? data : null;
+}
+
 /**
  * Settings component provides user customization options.
- * Includes font family/size selection and custom word source management.
+ * Includes font family/size selection, the colour theme (built-in or the
+ * user's own, previewed on the page while hovered), colour-blind-safe
+ * heatmap and chart palettes with non-colour character cues, keyboard layout,
+ * custom layout editing, named word lists (uploaded or pasted, kept private or shared
+ * with the team) and importing source files as code-mode snippets.
  */
 function Settings() {
-  const { currentUser, updateUserSettings } = useAppContext();
+  const {
+    currentUser, testConfig, updateUserSettings, saveKeyboardLayout, deleteKeyboardLayout,
+    activeTheme, activePalette, saveTheme, deleteTheme, saveWordList, updateWordList, deleteWordList
+  } = useAppContext();
   const [pasteText, setPasteText] = useState('');
+  const [wordListName, setWordListName] = useState('');
+  const [wordListLanguage, setWordListLanguage] = useState('');
+  const [wordListVisibility, setWordListVisibility] = useState('private');
+  const [wordListError, setWordListError] = useState(null);
+  const [wordListNotice, setWordListNotice] = useState(null);
   const [fonts, setFonts] = useState([]);
+  // Layout being edited: { layoutId (null for a new one), definition }
+  const [editingLayout, setEditingLayout] = useState(null);
+  const [layoutImportError, setLayoutImportError] = useState(null);
+  // Theme being edited: { themeId (null for a new one), definition }
+  const [editingTheme, setEditingTheme] = useState(null);
+  const [importedSnippetCount, setImportedSnippetCount] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('typr_code_snippets') || '[]').length;
+    } catch {
+      return 0;
+    }
+  });
+  const [codeImportError, setCodeImportError] = useState(null);
+
+  const customLayouts = currentUser?.keyboardLayouts || [];
+  const customThemes = currentUser?.themes || [];
+  const wordLists = currentUser?.wordLists || [];
+  const ownWordLists = wordLists.filter(list => list.userId === currentUser?.userId);
+  const teamWordLists = wordLists.filter(list => list.userId !== currentUser?.userId);
+  const currentLayoutId = currentUser?.settings.keyboardLayout || DEFAULT_LAYOUT_ID;
   
   // Load available monospaced fonts (async because of Font Access API)
   useEffect(() => {
@@ -36,36 +92,182 @@ function Settings() {
     updateUserSettings({ fontSize: size });
   };
 
+  const handleLayoutChange = (e) => {
+    updateUserSettings({ keyboardLayout: e.target.value });
+  };
+
+  // Start a new layout from the one currently selected
+  const handleNewLayout = () => {
+    const definition = toLayoutDefinition(resolveLayout(currentLayoutId, customLayouts));
+    setEditingLayout({ layoutId: null, definition: { ...definition, name: `${definition.name} (custom)` } });
+    setLayoutImportError(null);
+  };
+
+  const handleLayoutImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const definition = JSON.parse(event.target.result);
+        const issues = validateLayoutDefinition(definition);
+        if (issues.length > 0) {
+          setLayoutImportError(`Invalid layout file: ${issues[0]}`);
+          return;
+        }
+        setEditingLayout({ layoutId: null, definition: normalizeLayoutDefinition(definition) });
+        setLayoutImportError(null);
+      } catch (error) {
+        setLayoutImportError('Error parsing JSON file: ' + error.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleLayoutExport = (layout) => {
+    const { name, rows } = layout;
+    const blob = new Blob([JSON.stringify({ name, rows }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name.replace(/[^\w-]+/g, '_')}.layout.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleLayoutSave = async (definition) => {
+    await saveKeyboardLayout(definition, editingLayout.layoutId);
+    setEditingLayout(null);
+  };
+
+  const handleLayoutDelete = async (layout) => {
+    if (!window.confirm(`Delete the layout "${layout.name}"?`)) return;
+    await deleteKeyboardLayout(layout.layoutId);
+  };
+
+  const handleThemeChange = (themeId) => {
+    updateUserSettings({ theme: themeId });
+  };
+
+  // Start a new theme from the one in use
+  const handleNewTheme = () => {
+    const definition = toThemeDefinition(activeTheme);
+    setEditingTheme({ themeId: null, definition: { ...definition, name: `${definition.name} (custom)` } });
+  };
+
+  const handleThemeSave = async (definition) => {
+    await saveTheme(definition, editingTheme.themeId);
+    setEditingTheme(null);
+  };
+
+  const handleThemeDelete = async (theme) => {
+    if (!window.confirm(`Delete the theme "${theme.name}"?`)) return;
+    await deleteTheme(theme.themeId);
+  };
+
+  const handlePaletteChange = (paletteId) => {
+    updateUserSettings({ colorPalette: paletteId });
+  };
+
+  const handleCharCuesToggle = (e) => {
+    updateUserSettings({ charCues: e.target.checked });
+  };
+
   const handleSoundToggle = (e) => {
     updateUserSettings({ soundEnabled: e.target.checked });
   };
 
+  // Save the words as a new list, named after the file if no name was
+  // given. Blank and repeated words are dropped.
+  const addWordList = async (words, fallbackName) => {
+    const definition = {
+      name: wordListName.trim() || fallbackName,
+      words,
+      language: wordListLanguage || null,
+      visibility: wordListVisibility
+    };
+    const issues = validateWordList(definition);
+    if (issues.length > 0) {
+      setWordListError(`Invalid word list: ${issues[0]}`);
+      setWordListNotice(null);
+      return false;
+    }
+    const normalized = normalizeWordList(definition);
+    await saveWordList(normalized);
+    const dropped = words.length - normalized.words.length;
+    setWordListName('');
+    setWordListError(null);
+    setWordListNotice(`Saved "${normalized.name}" with ${normalized.words.length} words` +
+      (dropped > 0 ? ` (${dropped} blank or repeated words dropped).` : '.'));
+    return true;
+  };
+
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
+    e.target.value = '';
     if (!file) return;
+    if (file.size > WORD_LIST_LIMITS.maxFileSize) {
+      setWordListError(`File is too large (limit ${WORD_LIST_LIMITS.maxFileSize / 1000} KB).`);
+      return;
+    }
 
     const reader = new FileReader();
-    reader.onload = (event) => {
+    reader.onload = async (event) => {
       try {
-        const data = JSON.parse(event.target.result);
-        if (Array.isArray(data)) {
-          localStorage.setItem('typr_custom_words', JSON.stringify(data));
-          alert(`Loaded ${data.length} custom words!`);
-        } else {
-          alert('Invalid format. Expected a JSON array of words.');
+        const words = parseWords(event.target.result, file.name.endsWith('.json'));
+        if (!words) {
+          setWordListError('Invalid format. Expected a JSON array of words.');
+          return;
         }
+        await addWordList(words, file.name.replace(/\.[^.]+$/, ''));
       } catch (error) {
-        alert('Error parsing JSON file: ' + error.message);
+        setWordListError('Error parsing JSON file: ' + error.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleWordListDelete = async (list) => {
+    if (!window.confirm(`Delete the word list "${list.name}"?`)) return;
+    await deleteWordList(list.listId);
+  };
+
+  const handleWordListShare = async (list) => {
+    await updateWordList(list.listId, { visibility: list.visibility === 'team' ? 'private' : 'team' });
+  };
+
+  const handleCodeImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > CODE_SNIPPET_LIMITS.maxFileSize) {
+      setCodeImportError(`File is too large (limit ${CODE_SNIPPET_LIMITS.maxFileSize / 1000} KB).`);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const snippets = createImportedSnippets(event.target.result, file.name);
+      if (snippets.length === 0) {
+        setCodeImportError('No code found in that file.');
+        return;
       }
+      localStorage.setItem('typr_code_snippets', JSON.stringify(snippets));
+      setImportedSnippetCount(snippets.length);
+      setCodeImportError(null);
     };
     reader.readAsText(file);
   };
 
-  const handlePasteText = () => {
-    if (pasteText.trim()) {
-      const words = pasteText.trim().split(/\s+/);
-      localStorage.setItem('typr_custom_words', JSON.stringify(words));
-      alert(`Loaded ${words.length} words from pasted text!`);
+  const handleClearSnippets = () => {
+    localStorage.removeItem('typr_code_snippets');
+    setImportedSnippetCount(0);
+  };
+
+  const handlePasteText = async () => {
+    if (await addWordList(parseWords(pasteText, false), 'Pasted words')) {
       setPasteText('');
     }
   };
@@ -112,6 +314,210 @@ function Settings() {
           </div>
         </div>
 
+        <div className="settings-section">
+          <h2>Theme</h2>
+
+          <div className="setting-item">
+            <p className="help-text">
+              Colours for the whole app, including the typing screen, charts and
+              heatmaps. Point at a theme to preview it on this page.
+            </p>
+            <div className="theme-grid">
+              {[...Object.values(THEMES), ...customThemes.map(theme => resolveTheme(theme.themeId, customThemes))].map(theme => (
+                <button
+                  key={theme.id}
+                  className={`theme-card${theme.id === activeTheme.id ? ' active' : ''}`}
+                  onClick={() => handleThemeChange(theme.id)}
+                  onMouseEnter={() => applyTheme(theme, activePalette)}
+                  onMouseLeave={() => applyTheme(activeTheme, activePalette)}
+                  onFocus={() => applyTheme(theme, activePalette)}
+                  onBlur={() => applyTheme(activeTheme, activePalette)}
+                >
+                  <ThemePreview theme={theme} palette={activePalette} />
+                  <span className="theme-card-name">
+                    {theme.name}
+                    {theme.custom && <span className="in-use"> (custom)</span>}
+                  </span>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="setting-item">
+            <h3>Custom Themes</h3>
+            <p className="help-text">
+              Start from the theme in use and change any of its colours.
+            </p>
+
+            {editingTheme ? (
+              <ThemeEditor
+                key={editingTheme.themeId || 'new'}
+                initialTheme={editingTheme.definition}
+                onSave={handleThemeSave}
+                onCancel={() => setEditingTheme(null)}
+              />
+            ) : (
+              <>
+                {customThemes.length > 0 && (
+                  <ul className="custom-layout-list">
+                    {customThemes.map(theme => (
+                      <li key={theme.themeId}>
+                        <span className="custom-layout-name">
+                          {theme.name}
+                          {theme.themeId === activeTheme.id && <span className="in-use"> (in use)</span>}
+                        </span>
+                        <span className="custom-layout-keys">
+                          {theme.mode === 'light' ? 'Light' : 'Dark'}
+                        </span>
+                        <button onClick={() => setEditingTheme({ themeId: theme.themeId, definition: theme })}>
+                          Edit
+                        </button>
+                        <button className="danger" onClick={() => handleThemeDelete(theme)}>Delete</button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <div className="custom-layout-actions">
+                  <button onClick={handleNewTheme} className="paste-btn">
+                    New Theme
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h2>Colour Vision</h2>
+
+          <div className="setting-item">
+            <h3>Heatmap and Chart Colours</h3>
+            <div className="palette-options">
+              {Object.values(COLOR_PALETTES).map(palette => {
+                const { heatLow, heatMid, heatHigh } = { ...activeTheme.colors, ...palette.colors };
+                return (
+                  <button
+                    key={palette.id}
+                    className={`palette-option${palette.id === activePalette.id ? ' active' : ''}`}
+                    onClick={() => handlePaletteChange(palette.id)}
+                  >
+                    <span
+                      className="palette-swatch"
+                      style={{ background: `linear-gradient(to right, ${heatLow}, ${heatMid}, ${heatHigh})` }}
+                    />
+                    <span className="palette-name">{palette.name}</span>
+                    <span className="palette-description">{palette.description}</span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="setting-item">
+            <label htmlFor="char-cues-toggle">
+              <input
+                type="checkbox"
+                id="char-cues-toggle"
+                checked={currentUser?.settings.charCues || false}
+                onChange={handleCharCuesToggle}
+              />
+              <span style={{ marginLeft: '8px' }}>Mark mistakes without relying on colour</span>
+            </label>
+            <p className="help-text">
+              Strike through mistyped characters and underline corrected ones, in
+              the test, replays and theme previews.
+            </p>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h2>Keyboard</h2>
+          
+          <div className="setting-item">
+            <label htmlFor="layout-select">Keyboard Layout:</label>
+            <select
+              id="layout-select"
+              value={currentLayoutId}
+              onChange={handleLayoutChange}
+              className="setting-select"
+            >
+              <optgroup label="Built-in">
+                {Object.values(LAYOUTS).map(layout => (
+                  <option key={layout.id} value={layout.id}>
+                    {layout.name}
+                  </option>
+                ))}
+              </optgroup>
+              {customLayouts.length > 0 && (
+                <optgroup label="Custom">
+                  {customLayouts.map(layout => (
+                    <option key={layout.layoutId} value={layout.layoutId}>
+                      {layout.name}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+            <p className="help-text">
+              The layout you type on. Heatmaps are drawn in it, and keys are
+              attributed to fingers by their physical position.
+            </p>
+          </div>
+
+          <div className="setting-item">
+            <h3>Custom Layouts</h3>
+            <p className="help-text">
+              Lay out your own rows of keys and choose which finger presses
+              each one, for split, ortholinear or remapped keyboards. A custom
+              layout's finger map replaces the default one.
+            </p>
+
+            {editingLayout ? (
+              <LayoutEditor
+                key={editingLayout.layoutId || 'new'}
+                initialLayout={editingLayout.definition}
+                onSave={handleLayoutSave}
+                onCancel={() => setEditingLayout(null)}
+              />
+            ) : (
+              <>
+                {customLayouts.length > 0 && (
+                  <ul className="custom-layout-list">
+                    {customLayouts.map(layout => (
+                      <li key={layout.layoutId}>
+                        <span className="custom-layout-name">
+                          {layout.name}
+                          {layout.layoutId === currentLayoutId && <span className="in-use"> (in use)</span>}
+                        </span>
+                        <span className="custom-layout-keys">
+                          {layout.rows.reduce((count, row) => count + row.length, 0)} keys
+                        </span>
+                        <button onClick={() => setEditingLayout({ layoutId: layout.layoutId, definition: layout })}>
+                          Edit
+                        </button>
+                        <button onClick={() => handleLayoutExport(layout)}>Export</button>
+                        <button className="danger" onClick={() => handleLayoutDelete(layout)}>Delete</button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <div className="custom-layout-actions">
+                  <button onClick={handleNewLayout} className="paste-btn">
+                    New Layout
+                  </button>
+                  <label className="import-layout">
+                    Import JSON
+                    <input type="file" accept=".json,application/json" onChange={handleLayoutImport} />
+                  </label>
+                </div>
+                {layoutImportError && <p className="layout-import-error">{layoutImportError}</p>}
+              </>
+            )}
+          </div>
+        </div>
+
         <div className="settings-section">
           <h2>Audio Feedback</h2>
           
@@ -132,23 +538,116 @@ function Settings() {
         </div>
 
         <div className="settings-section">
-          <h2>Word Source Management</h2>
+          <h2>Word Lists</h2>
           
           <div className="setting-item">
-            <h3>Upload Custom Word List (JSON)</h3>
+            <h3>My Word Lists</h3>
+            <p className="help-text">
+              Your own lists appear under &quot;My Lists&quot; in the word list picker,
+              next to the bundled ones. Lists shared with the team can be picked by
+              everyone on this server.
+            </p>
+            {ownWordLists.length > 0 ? (
+              <ul className="custom-layout-list">
+                {ownWordLists.map(list => (
+                  <li key={list.listId}>
+                    <span className="custom-layout-name">
+                      {list.name}
+                      {testConfig.wordSource === getCustomWordListId(list.listId) && <span className="in-use"> (in use)</span>}
+                    </span>
+                    <span className="custom-layout-keys">
+                      {[list.language, `${list.wordCount} words`, list.visibility === 'team' ? 'Shared' : 'Private'].filter(Boolean).join(' · ')}
+                    </span>
+                    <button onClick={() => handleWordListShare(list)}>
+                      {list.visibility === 'team' ? 'Make Private' : 'Share with Team'}
+                    </button>
+                    <button className="danger" onClick={() => handleWordListDelete(list)}>Delete</button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="help-text">No word lists yet.</p>
+            )}
+          </div>
+
+          {teamWordLists.length > 0 && (
+            <div className="setting-item">
+              <h3>Team Lists</h3>
+              <ul className="custom-layout-list">
+                {teamWordLists.map(list => (
+                  <li key={list.listId}>
+                    <span className="custom-layout-name">
+                      {list.name}
+                      {testConfig.wordSource === getCustomWordListId(list.listId) && <span className="in-use"> (in use)</span>}
+                    </span>
+                    <span className="custom-layout-keys">
+                      {[list.language, `${list.wordCount} words`, `by ${list.ownerName}`].filter(Boolean).join(' · ')}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="setting-item">
+            <h3>Add a Word List</h3>
             <p className="help-text">
-              Upload a JSON file containing an array of words. Example: ["word1", "word2", "word3"]
+              Up to {WORD_LIST_LIMITS.maxWords} different words of at most {WORD_LIST_LIMITS.maxWordLength} characters.
+            </p>
+            <label htmlFor="word-list-name">List name</label>
+            <input
+              id="word-list-name"
+              type="text"
+              value={wordListName}
+              onChange={(e) => setWordListName(e.target.value)}
+              placeholder="Defaults to the file name"
+              maxLength={WORD_LIST_LIMITS.maxNameLength}
+              className="word-list-name"
+            />
+            <div className="word-list-options">
+              <label htmlFor="word-list-language">Language</label>
+              <select
+                id="word-list-language"
+                value={wordListLanguage}
+                onChange={(e) => setWordListLanguage(e.target.value)}
+                className="setting-select"
+              >
+                <option value="">Not set</option>
+                {BUNDLED_LANGUAGES.map(language => (
+                  <option key={language} value={language}>{language}</option>
+                ))}
+              </select>
+              <label htmlFor="word-list-visibility">Visible to</label>
+              <select
+                id="word-list-visibility"
+                value={wordListVisibility}
+                onChange={(e) => setWordListVisibility(e.target.value)}
+                className="setting-select"
+              >
+                <option value="private">Only me</option>
+                <option value="team">The team</option>
+              </select>
+            </div>
+            {wordListError && <p className="layout-import-error">{wordListError}</p>}
+            {wordListNotice && <p className="help-text">{wordListNotice}</p>}
+          </div>
+
+          <div className="setting-item">
+            <h3>Upload a File</h3>
+            <p className="help-text">
+              Upload a JSON file containing an array of words, e.g. [&quot;word1&quot;, &quot;word2&quot;, &quot;word3&quot;],
+              or a text file whose words are separated by spaces or new lines.
             </p>
             <input
               type="file"
-              accept=".json"
+              accept=".json,.txt"
               onChange={handleFileUpload}
               className="file-input"
             />
           </div>
 
           <div className="setting-item">
-            <h3>Paste Custom Text</h3>
+            <h3>Paste Text</h3>
             <p className="help-text">
               Paste any text and it will be split into words for practice.
             </p>
@@ -160,11 +659,41 @@ function Settings() {
               className="paste-textarea"
             />
             <button onClick={handlePasteText} className="paste-btn">
-              Load Pasted Text
+              Save Pasted Words
             </button>
           </div>
         </div>
 
+        <div className="settings-section">
+          <h2>Code Snippets</h2>
+
+          <div className="setting-item">
+            <h3>Import Source File</h3>
+            <p className="help-text">
+              Split a source file into snippets of up to {CODE_SNIPPET_LIMITS.maxLines} lines for
+              Code mode&apos;s &quot;Imported&quot; option. Indentation and blank lines are kept;
+              trailing whitespace is removed.
+            </p>
+            <div className="custom-layout-actions">
+              <label className="import-layout">
+                Import File
+                <input
+                  type="file"
+                  accept={CODE_LANGUAGES.flatMap(language => language.extensions.map(extension => `.${extension}`)).join(',') + ',.txt'}
+                  onChange={handleCodeImport}
+                />
+              </label>
+              {importedSnippetCount > 0 && (
+                <>
+                  <span className="help-text">{importedSnippetCount} snippets imported</span>
+                  <button className="paste-btn" onClick={handleClearSnippets}>Clear</button>
+                </>
+              )}
+            </div>
+            {codeImportError && <p className="layout-import-error">{codeImportError}</p>}
+          </div>
+        </div>
+
         <div className="settings-section">
           <h2>User Profile</h2>
           <div className="setting-item">
@@ -0,0 +1,121 @@
+import { useState, useEffect, useRef, useCallback, useMemo, memo } from 'react';
+import PropTypes from 'prop-types';
+import './TextTrack.css';
+
+// Memoized character component - only re-renders when props change.
+// Also used by CodeTrack.
+export const Character = memo(({ char, userChar, status, isActive, isGhost }) => {
+  let className = 'char';
+  const displayChar = userChar || char;
+
+  if (isActive) {
+    className += ' active current';
+  } else if (status === 'correct') {
+    className += ' correct';
+  } else if (status === 'incorrect') {
+    className += ' incorrect';
+  } else if (status === 'corrected') {
+    className += ' corrected';
+  } else if (status === 'pending') {
+    className += ' pending';
+  } else if (status === 'skipped') {
+    className += ' skipped';
+  }
+  if (isGhost) {
+    className += ' ghost';
+  }
+
+  return <span className={className}>{displayChar}</span>;
+}, (prevProps, nextProps) => {
+  // Custom comparison - only re-render if these specific props changed
+  return prevProps.char === nextProps.char &&
+         prevProps.userChar === nextProps.userChar &&
+         prevProps.status === nextProps.status &&
+         prevProps.isActive === nextProps.isActive &&
+         prevProps.isGhost === nextProps.isGhost;
+});
+
+Character.displayName = 'Character';
+
+/**
+ * TextTrack renders the tape-mode text: a fixed caret line with the
+ * character track sliding underneath so the active character stays centred.
+ * It is shared by the live test and the session replay.
+ *
+ * `userInput` and `statuses` are per-position arrays. TypingTest passes a
+ * fresh copy of its refs after each keystroke, and each `Character` only
+ * re-renders when its own position changed. `ghostIndex`, when set, marks a
+ * second caret (a ghost racer) at that position. Children are rendered
+ * inside the viewport, above the track.
+ */
+function TextTrack({ text, userInput, statuses, currentIndex, ghostIndex = null, fontFamily, fontSize, children }) {
+  const textDisplayRef = useRef(null);
+
+  // Track transform for centering
+  const [trackTransform, setTrackTransform] = useState(0);
+
+  // Optimized centering - use requestAnimationFrame batching
+  const updateCentering = useCallback(() => {
+    if (textDisplayRef.current) {
+      const chars = textDisplayRef.current.children;
+      if (chars[currentIndex]) {
+        const activeChar = chars[currentIndex];
+        const charCenterOffset = activeChar.offsetLeft + (activeChar.offsetWidth / 2);
+        setTrackTransform(-charCenterOffset);
+      }
+    }
+  }, [currentIndex]);
+
+  // Batch centering updates with RAF
+  useEffect(() => {
+    const frame = requestAnimationFrame(updateCentering);
+    return () => cancelAnimationFrame(frame);
+  }, [currentIndex, text, fontFamily, fontSize, updateCentering]);
+
+  // Render characters - memoized
+  const renderedCharacters = useMemo(() => {
+    return text.split('').map((char, index) => (
+      <Character
+        key={index}
+        char={char}
+        userChar={userInput[index]}
+        status={statuses[index]}
+        isActive={index === currentIndex}
+        isGhost={index === ghostIndex}
+      />
+    ));
+  }, [text, userInput, statuses, currentIndex, ghostIndex]);
+
+  return (
+    <div className="text-container">
+      <div className="caret-line"></div>
+
+      <div
+        ref={textDisplayRef}
+        className="text-display"
+        style={{
+          transform: `translateX(${trackTransform}px)`,
+          fontFamily,
+          fontSize
+        }}
+      >
+        {renderedCharacters}
+      </div>
+
+      {children}
+    </div>
+  );
+}
+
+TextTrack.propTypes = {
+  text: PropTypes.string.isRequired,
+  userInput: PropTypes.arrayOf(PropTypes.string).isRequired,
+  statuses: PropTypes.arrayOf(PropTypes.string).isRequired,
+  currentIndex: PropTypes.number.isRequired,
+  ghostIndex: PropTypes.number,
+  fontFamily: PropTypes.string,
+  fontSize: PropTypes.string,
+  children: PropTypes.node
+};
+
+export default TextTrack;
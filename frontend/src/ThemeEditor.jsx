@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  THEME_TOKENS,
+  THEME_MODES,
+  CUSTOM_THEME_LIMITS,
+  validateThemeDefinition,
+  normalizeThemeDefinition
+} from '../../shared/themes/index.js';
+import ThemePreview from './ThemePreview';
+import './ThemeEditor.css';
+
+// Token groups in the order they first appear
+const TOKEN_GROUPS = [...new Set(THEME_TOKENS.map(token => token.group))];
+
+/**
+ * ThemeEditor edits a theme's name, mode (dark or light) and one colour
+ * per token, with a preview that follows every change. The definition is
+ * checked with the shared validator before `onSave` receives it.
+ */
+function ThemeEditor({ initialTheme, onSave, onCancel }) {
+  const [name, setName] = useState(initialTheme.name);
+  const [mode, setMode] = useState(initialTheme.mode);
+  const [colors, setColors] = useState(initialTheme.colors);
+  const [issues, setIssues] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const setColor = (key, value) => {
+    setColors({ ...colors, [key]: value });
+  };
+
+  const handleSave = async () => {
+    const definition = { name, mode, colors };
+    const problems = validateThemeDefinition(definition);
+    setIssues(problems);
+    if (problems.length > 0) return;
+
+    setSaving(true);
+    try {
+      await onSave(normalizeThemeDefinition(definition));
+    } catch (error) {
+      setIssues([error.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="theme-editor">
+      <div className="theme-editor-header">
+        <label htmlFor="theme-name-input">Theme Name:</label>
+        <input
+          id="theme-name-input"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={CUSTOM_THEME_LIMITS.maxNameLength}
+          className="theme-name-input"
+        />
+        <label htmlFor="theme-mode-select">Mode:</label>
+        <select
+          id="theme-mode-select"
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="setting-select"
+        >
+          {THEME_MODES.map(value => (
+            <option key={value} value={value}>
+              {value === 'dark' ? 'Dark' : 'Light'}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <ThemePreview theme={{ mode, colors }} />
+
+      <div className="theme-editor-groups">
+        {TOKEN_GROUPS.map(group => (
+          <fieldset key={group} className="theme-token-group">
+            <legend>{group}</legend>
+            {THEME_TOKENS.filter(token => token.group === group).map(token => (
+              <label key={token.key} className="theme-token">
+                <input
+                  type="color"
+                  value={colors[token.key]}
+                  onChange={(e) => setColor(token.key, e.target.value)}
+                />
+                {token.label}
+              </label>
+            ))}
+          </fieldset>
+        ))}
+      </div>
+
+      {issues.length > 0 && (
+        <ul className="theme-issues">
+          {issues.map(issue => <li key={issue}>{issue}</li>)}
+        </ul>
+      )}
+
+      <div className="theme-editor-actions">
+        <button className="paste-btn" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Theme'}
+        </button>
+        <button className="secondary-btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+ThemeEditor.propTypes = {
+  initialTheme: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    mode: PropTypes.string.isRequired,
+    colors: PropTypes.objectOf(PropTypes.string).isRequired
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ThemeEditor;
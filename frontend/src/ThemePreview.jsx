@@ -0,0 +1,53 @@
+import PropTypes from 'prop-types';
+import { getPalette } from '../../shared/themes/index.js';
+import { themeToStyle } from './themes';
+import { heatColor } from './chartUtils';
+import './ThemePreview.css';
+
+// Heat scale samples from low to high
+const HEAT_STEPS = [0, 0.25, 0.5, 0.75, 1];
+
+/**
+ * ThemePreview draws a miniature of the typing screen in the given theme:
+ * typed, mistyped, corrected and untyped characters with the caret, a
+ * heatmap scale and the accent. The theme's colours are scoped to the
+ * preview, so any number of themes can be shown side by side. Only
+ * inline elements are used, so a preview can sit inside a button.
+ * The heat scale is drawn in `palette`, or the theme's own colours.
+ */
+function ThemePreview({ theme, palette = getPalette() }) {
+  return (
+    <span className="theme-preview" style={themeToStyle(theme, palette)}>
+      <span className="theme-preview-text">
+        <span className="preview-char correct">the qu</span>
+        <span className="preview-char incorrect">o</span>
+        <span className="preview-char corrected">i</span>
+        <span className="preview-caret" />
+        <span className="preview-char pending">ck fox</span>
+      </span>
+      <span className="theme-preview-footer">
+        <span className="theme-preview-stat">
+          <strong>72</strong> wpm
+        </span>
+        <span className="theme-preview-heat">
+          {HEAT_STEPS.map(step => (
+            <span key={step} style={{ backgroundColor: heatColor(step) }} />
+          ))}
+        </span>
+        <span className="theme-preview-accent" />
+      </span>
+    </span>
+  );
+}
+
+ThemePreview.propTypes = {
+  theme: PropTypes.shape({
+    mode: PropTypes.string.isRequired,
+    colors: PropTypes.object.isRequired
+  }).isRequired,
+  palette: PropTypes.shape({
+    colors: PropTypes.object
+  })
+};
+
+export default ThemePreview;
@@ -1,71 +1,121 @@
-import { useState, useEffect, useRef, useCallback, useMemo, memo } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
 import { useAppContext } from './AppContext';
 import ConfigBar from './ConfigBar';
+import TextTrack from './TextTrack';
+import LinesTrack from './LinesTrack';
+import CodeTrack from './CodeTrack';
 import './TypingTest.css';
 import wordsData from './words.json';
 import { playCorrectSound, playErrorSound, resumeAudioContext } from './soundUtils';
 import { getAvailableMonospacedFonts } from './fontDetection';
+import { getSessionWpm } from './sessionStats';
+import { DEFAULT_WORD_LIST_ID, getCustomWordListId, loadWordList } from './wordLists';
+import {
+  createReplay,
+  analyzeSessions,
+  findWeaknesses,
+  buildDrillText,
+  resolveLayout,
+  calculateLiveSpeed,
+  getPaceIndex,
+  PACE_CARET_MODES,
+  hasUnfixedWord,
+  getStrictMode,
+  DEFAULT_STRICT_MODE,
+  DEFAULT_LAYOUT_ID
+} from '../../shared/analytics/index.js';
+import {
+  LESSONS,
+  getLesson,
+  getNextLesson,
+  generateLessonText,
+  getLessonWordSource,
+  isLessonUnlocked
+} from '../../shared/lessons/index.js';
+import { QUOTE_LENGTHS, getQuote, getQuoteLength, pickQuote } from '../../shared/quotes/index.js';
+import { applyTextModifiers, createRandom, createSeed } from '../../shared/text/index.js';
+import {
+  CODE_LANGUAGES,
+  IMPORTED_LANGUAGE,
+  getSnippet,
+  getImportedSnippetId,
+  getSnippetsByLanguage,
+  getSnippetWordSource,
+  pickSnippet
+} from '../../shared/code/index.js';
 
-// Helper function to get word source
-function getWordSource() {
-  const customWords = localStorage.getItem('typr_custom_words');
-  if (customWords) {
+// Helper function to generate random text from a word list, weighted
+// toward the weaknesses when drilling, with punctuation and numbers mixed
+// in when those modifiers are on. A seeded `random` makes the text
+// reproducible.
+function generateText(source, wordCount = 50, weaknesses = null, options = {}) {
+  const { punctuation = false, numbers = false, random = Math.random } = options;
+  const words = weaknesses
+    ? buildDrillText(source, weaknesses, wordCount, { random }).split(' ')
+    : Array.from({ length: wordCount }, () => source[Math.floor(random() * source.length)]);
+  return applyTextModifiers(words, { punctuation, numbers, random });
+}
+
+// Snippets imported from source files in Settings
+function getImportedSnippets() {
+  const stored = localStorage.getItem('typr_code_snippets');
+  if (stored) {
     try {
-      const parsed = JSON.parse(customWords);
-      if (Array.isArray(parsed) && parsed.length > 0) {
-        return parsed;
+      const parsed = JSON.parse(stored);
+      if (Array.isArray(parsed)) {
+        // Snippets imported before they had ids were stored with id 0
+        return parsed.map(snippet => snippet.id ? snippet : { ...snippet, id: getImportedSnippetId(snippet.text) });
       }
     } catch (e) {
-      console.error('Error parsing custom words', e);
+      console.error('Error parsing imported snippets', e);
     }
   }
-  return wordsData;
+  return [];
 }
 
-// Helper function to generate random text
-function generateText(wordCount = 50) {
-  const words = [];
-  const source = getWordSource();
-  for (let i = 0; i < wordCount; i++) {
-    const randomWord = source[Math.floor(Math.random() * source.length)];
-    words.push(randomWord);
-  }
-  return words.join(' ');
+// In code mode Enter and Tab type a newline and a tab
+function toTypedKey(key) {
+  if (key === 'Enter') return '\n';
+  if (key === 'Tab') return '\t';
+  return key;
 }
 
-// Memoized character component - only re-renders when props change
-const Character = memo(({ char, userChar, status, isActive }) => {
-  let className = 'char';
-  const displayChar = userChar || char;
-  
-  if (isActive) {
-    className += ' active current';
-  } else if (status === 'correct') {
-    className += ' correct';
-  } else if (status === 'incorrect') {
-    className += ' incorrect';
-  } else if (status === 'corrected') {
-    className += ' corrected';
-  } else if (status === 'pending') {
-    className += ' pending';
-  }
+// Code is typed smaller than prose so whole lines fit
+const CODE_FONT_SIZES = { S: '0.9rem', M: '1.1rem', L: '1.35rem' };
 
-  return <span className={className}>{displayChar}</span>;
-}, (prevProps, nextProps) => {
-  // Custom comparison - only re-render if these specific props changed
-  return prevProps.userChar === nextProps.userChar &&
-         prevProps.status === nextProps.status &&
-         prevProps.isActive === nextProps.isActive;
-});
+// Recent sessions the weakness drill is built from
+const DRILL_SESSION_COUNT = 10;
 
-Character.displayName = 'Character';
+// Ways of laying out prose (code always uses CodeTrack)
+const TEXT_DISPLAYS = [
+  { value: 'tape', label: 'Tape', title: 'One line sliding past a fixed caret' },
+  { value: 'lines', label: 'Lines', title: 'Three wrapped lines scrolling up as you type' }
+];
+
+// How often the live WPM readout is recalculated
+const LIVE_SPEED_INTERVAL_MS = 500;
+
+// Target speeds offered for the fixed pace caret
+const PACE_WPM_OPTIONS = [20, 30, 40, 50, 60, 70, 80, 90, 100, 120, 140, 160, 180, 200];
+
+// Ghost sources besides a specific session id
+const GHOST_OPTIONS = [
+  { value: 'pb', label: 'Personal Best' },
+  { value: 'last', label: 'Last Session' }
+];
 
 function TypingTest() {
-  const { testConfig, saveSession, currentUser, updateUserSettings } = useAppContext();
+  const {
+    testConfig, setTestConfig, saveSession, getSession, getUserSessions, currentUser, updateUserSettings,
+    getLessonProgress, recordLessonAttempt, getWordList, getUserStats
+  } = useAppContext();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
   
   // Generate initial text
   const initialWordCount = testConfig.mode === 'words' ? testConfig.wordCount : 200;
-  const initialText = useMemo(() => generateText(initialWordCount), [initialWordCount]);
+  const initialText = useMemo(() => generateText(wordsData, initialWordCount), [initialWordCount]);
   
   const [text, setText] = useState(initialText);
   const [currentIndex, setCurrentIndex] = useState(0);
@@ -75,6 +125,20 @@ function TypingTest() {
   const [saveStatus, setSaveStatus] = useState(null);
   const [availableFonts, setAvailableFonts] = useState([]);
   const [showControls, setShowControls] = useState(false);
+  const [ghost, setGhost] = useState(null); // { key, session, replay, error }
+  const [ghostIndex, setGhostIndex] = useState(0);
+  const [liveSpeed, setLiveSpeed] = useState(null); // { wpm, rawWpm } over the last few seconds
+  const [paceTarget, setPaceTarget] = useState(null); // { key, wpm } for the average and best pace
+  const [paceIndex, setPaceIndex] = useState(0);
+  const [endedOnMistake, setEndedOnMistake] = useState(false); // master mode
+  const [drill, setDrill] = useState(null); // { key, weaknesses, sessionCount, error }
+  const [lessonState, setLessonState] = useState(null); // { key, locked, progress, error }
+  const [lessonResult, setLessonResult] = useState(null); // { status, passed, wpm, accuracy, ... }
+  const [quoteState, setQuoteState] = useState(null); // { quote, bestWpm, newBest }
+  const [codeState, setCodeState] = useState(null); // { snippet, error }
+  // The word list generated tests draw from; the previous one stays in use
+  // while a newly chosen list loads. `key` changes when a custom list is edited.
+  const [wordList, setWordList] = useState({ id: DEFAULT_WORD_LIST_ID, key: DEFAULT_WORD_LIST_ID, words: wordsData });
   
   // Use refs for high-frequency updates to avoid re-renders
   const userInputRef = useRef(new Array(text.length).fill(null)); // User's typed characters
@@ -82,8 +146,17 @@ function TypingTest() {
   const eventsRef = useRef([]); // Keystroke events
   const sessionStartTimeRef = useRef(null);
   const lastKeystrokeTimeRef = useRef(null);
-  const textDisplayRef = useRef(null);
   const audioContextResumedRef = useRef(false);
+  const loadedGhostKeyRef = useRef(null);
+  const loadedPaceKeyRef = useRef(null);
+  const loadedDrillKeyRef = useRef(null);
+  const loadedLessonKeyRef = useRef(null);
+  const loadedQuoteKeyRef = useRef(null);
+  const loadedCodeKeyRef = useRef(null);
+  const loadedWordListKeyRef = useRef(DEFAULT_WORD_LIST_ID);
+  const loadedModifierKeyRef = useRef(); // undefined until the first run
+  const textSeedRef = useRef(null); // Seed of the current generated text
+  const textRandomRef = useRef(null); // Its random sequence, for time mode's extra text
   
   // Metrics refs
   const totalKeystrokesRef = useRef(0);
@@ -93,36 +166,475 @@ function TypingTest() {
   // Track keydown timestamps for dwell time calculation
   const keyDownTimestampsRef = useRef(new Map());
   
-  // Force update function - only when we need to re-render
-  const [, forceUpdate] = useState({});
-  const triggerRender = useCallback(() => forceUpdate({}), []);
-  
-  // Track transform for centering
-  const [trackTransform, setTrackTransform] = useState(0);
-  
-  // Optimized centering - use requestAnimationFrame batching
-  const updateCentering = useCallback(() => {
-    if (textDisplayRef.current) {
-      const chars = textDisplayRef.current.children;
-      if (chars[currentIndex]) {
-        const activeChar = chars[currentIndex];
-        const charCenterOffset = activeChar.offsetLeft + (activeChar.offsetWidth / 2);
-        setTrackTransform(-charCenterOffset);
-      }
-    }
-  }, [currentIndex]);
-  
-  // Batch centering updates with RAF
-  useEffect(() => {
-    requestAnimationFrame(updateCentering);
-  }, [currentIndex, updateCentering]);
-
   // Calculate accuracy
   const calculateAccuracy = useCallback((maxReached, errors) => {
     if (maxReached === 0) return 100;
     const correct = maxReached - errors.size;
     return ((correct / maxReached) * 100).toFixed(2);
   }, []);
+  
+  // Refs can't be read during render, so each keystroke re-renders with a
+  // snapshot of them. Only call this when the refs have changed.
+  const [typed, setTyped] = useState({ userInput: [], statuses: [], maxIndexReached: 0, accuracy: 100 });
+  const triggerRender = useCallback(() => setTyped({
+    userInput: [...userInputRef.current],
+    statuses: [...statusRef.current],
+    maxIndexReached: maxIndexReachedRef.current,
+    accuracy: calculateAccuracy(maxIndexReachedRef.current, firstTimeErrorsRef.current)
+  }), [calculateAccuracy]);
+
+  // Start a fresh test on the given text
+  const startWithText = useCallback((newText) => {
+    setText(newText);
+    setCurrentIndex(0);
+    setSessionActive(false);
+    setSessionStarted(false);
+    setTimeRemaining(null);
+    setGhostIndex(0);
+    setLiveSpeed(null);
+    setPaceIndex(0);
+    setEndedOnMistake(false);
+    
+    // Reset refs
+    userInputRef.current = new Array(newText.length).fill(null);
+    statusRef.current = new Array(newText.length).fill('pending');
+    eventsRef.current = [];
+    totalKeystrokesRef.current = 0;
+    maxIndexReachedRef.current = 0;
+    firstTimeErrorsRef.current = new Set();
+    keyDownTimestampsRef.current = new Map();
+    sessionStartTimeRef.current = null;
+    lastKeystrokeTimeRef.current = null;
+    
+    triggerRender();
+  }, [triggerRender]);
+
+  // Seeded random-word text with the punctuation and numbers modifiers.
+  // The seed is saved with the session; time mode's extra text continues
+  // the same sequence.
+  const makeWordText = useCallback((wordCount, weaknesses = null) => {
+    const seed = createSeed();
+    textSeedRef.current = seed;
+    textRandomRef.current = createRandom(seed);
+    return generateText(wordList.words, wordCount, weaknesses, {
+      punctuation: testConfig.punctuation,
+      numbers: testConfig.numbers,
+      random: textRandomRef.current
+    });
+  }, [wordList, testConfig.punctuation, testConfig.numbers]);
+
+  const userLayoutId = currentUser?.settings.keyboardLayout;
+  const customLayouts = currentUser?.keyboardLayouts;
+  const listId = testConfig.wordSource;
+  const customListVersion = currentUser?.wordLists?.find(list => getCustomWordListId(list.listId) === listId)?.updatedAt;
+  const wordListKey = customListVersion ? `${listId}@${customListVersion}` : listId;
+
+  // Fetch the chosen word list, and a custom list again after it's edited.
+  // New text is made from it once it's in (see the drill and modifier
+  // effects, which are keyed on the loaded list).
+  useEffect(() => {
+    if (loadedWordListKeyRef.current === wordListKey) return;
+    loadedWordListKeyRef.current = wordListKey;
+
+    const loadList = async () => {
+      const words = await loadWordList(listId, getWordList);
+      
+      // A different list was chosen while this one was loading
+      if (loadedWordListKeyRef.current !== wordListKey) return;
+      
+      if (words && words.length > 0) {
+        setWordList({ id: listId, key: wordListKey, words });
+      } else {
+        // The custom list is gone; fall back to the default list
+        setTestConfig(prev => ({ ...prev, wordSource: DEFAULT_WORD_LIST_ID }));
+      }
+    };
+
+    loadList().catch(error => {
+      console.error('Failed to load word list:', error);
+    });
+  }, [listId, wordListKey, getWordList, setTestConfig]);
+
+  // Lessons: ?lesson=<lessonId> types the lesson's generated text in word
+  // mode and records each saved session as an attempt
+  const lessonParam = searchParams.get('lesson');
+  const lesson = getLesson(lessonParam);
+  // Lessons are always typed normally, so their pass marks mean the same
+  const strictMode = lesson ? DEFAULT_STRICT_MODE : testConfig.strictMode;
+  const activeLessonState = lessonState && lesson && lessonState.key === lesson.id ? lessonState : null;
+
+  const makeLessonText = useCallback(() => generateLessonText(lesson, {
+    layout: resolveLayout(userLayoutId, customLayouts),
+    words: wordsData
+  }), [lesson, userLayoutId, customLayouts]);
+
+  // Start the lesson (or go back to random words after leaving one)
+  useEffect(() => {
+    const lessonKey = lesson?.id || null;
+    if (loadedLessonKeyRef.current === lessonKey) return;
+    const wasInLesson = loadedLessonKeyRef.current !== null;
+    loadedLessonKeyRef.current = lessonKey;
+    if (!lessonKey && !wasInLesson) return;
+
+    const loadLesson = async () => {
+      const progress = lesson ? await getLessonProgress() : null;
+      
+      // A different lesson was opened while this one was loading
+      if (loadedLessonKeyRef.current !== lessonKey) return;
+      
+      setLessonResult(null);
+      if (lesson) {
+        setLessonState({
+          key: lessonKey,
+          locked: !isLessonUnlocked(lesson.id, progress),
+          progress: progress[lesson.id] || null
+        });
+        setTestConfig(prev => ({ ...prev, mode: 'words' }));
+        startWithText(makeLessonText());
+      } else {
+        setLessonState(null);
+        startWithText(makeWordText(testConfig.mode === 'words' ? testConfig.wordCount : 200));
+      }
+    };
+
+    loadLesson().catch(error => {
+      console.error('Failed to load lesson progress:', error);
+      setLessonState({ key: lessonKey, error: 'Could not load your lesson progress.' });
+      startWithText(makeLessonText());
+    });
+  }, [lesson, testConfig.mode, testConfig.wordCount, getLessonProgress, setTestConfig, startWithText, makeLessonText, makeWordText]);
+
+  // Ghost racing: ?ghost=pb | last | <sessionId>. PB and last session are
+  // looked up for the current mode, so they are keyed on it as well.
+  const ghostParam = searchParams.get('ghost');
+  // In quote mode they are looked up for the quote last typed
+  let ghostModeValue = testConfig.mode === 'time' ? testConfig.timeLimit : testConfig.wordCount;
+  if (testConfig.mode === 'quote') ghostModeValue = quoteState?.quote.id ?? null;
+  if (testConfig.mode === 'code') ghostModeValue = codeState?.snippet?.id ?? null;
+  // Imported snippet ids are text hashes, so code sessions are matched on the text too
+  const snippetText = testConfig.mode === 'code' ? codeState?.snippet?.text ?? null : null;
+  const isRelativeGhost = GHOST_OPTIONS.some(o => o.value === ghostParam);
+  const ghostKey = ghostParam
+    ? (isRelativeGhost ? `${ghostParam}:${testConfig.mode}:${ghostModeValue}` : ghostParam)
+    : null;
+  const activeGhost = ghost && ghost.key === ghostKey && ghost.session ? ghost : null;
+  const ghostError = ghost && ghost.key === ghostKey ? ghost.error : null;
+
+  // Load the ghost session and restart the test on its text
+  useEffect(() => {
+    // Context functions change identity on every provider render, so only
+    // load once per ghost key
+    if (!ghostKey || loadedGhostKeyRef.current === ghostKey) return;
+    loadedGhostKeyRef.current = ghostKey;
+
+    const loadGhost = async () => {
+      let ghostSessionId = ghostParam;
+      if (isRelativeGhost) {
+        const page = await getUserSessions({
+          mode: testConfig.mode,
+          modeValue: ghostModeValue,
+          text: snippetText,
+          sort: ghostParam === 'pb' ? 'wpm' : 'timestamp',
+          order: 'desc',
+          limit: 1
+        });
+        ghostSessionId = page.sessions[0]?.sessionId || null;
+      }
+      const session = ghostSessionId ? await getSession(ghostSessionId) : null;
+      
+      // A different ghost was requested while this one was loading
+      if (loadedGhostKeyRef.current !== ghostKey) return;
+      
+      if (!session || !session.text || !Array.isArray(session.events)) {
+        setGhost({
+          key: ghostKey,
+          error: isRelativeGhost ? 'No previous session to race in this mode.' : 'Could not load the session to race.'
+        });
+        return;
+      }
+      
+      // Race on the same text and settings as the ghost
+      if (!isRelativeGhost && ['time', 'words', 'quote', 'code'].includes(session.mode)) {
+        setTestConfig(prev => ({
+          ...prev,
+          mode: session.mode,
+          ...(session.mode === 'time' && { timeLimit: session.modeValue }),
+          ...(session.mode === 'words' && { wordCount: session.modeValue })
+        }));
+      }
+      setGhost({ key: ghostKey, session, replay: createReplay(session) });
+      startWithText(session.text);
+    };
+
+    loadGhost().catch(error => {
+      console.error('Failed to load ghost session:', error);
+      setGhost({ key: ghostKey, error: 'Could not load the session to race.' });
+    });
+  }, [ghostKey, ghostParam, isRelativeGhost, testConfig.mode, ghostModeValue, snippetText, getSession, getUserSessions, setTestConfig, startWithText]);
+
+  // Weakness drill: re-evaluated whenever a new session is saved
+  const isWordMode = testConfig.mode === 'time' || testConfig.mode === 'words';
+  const drillKey = testConfig.drill && isWordMode && currentUser && !lesson
+    ? `${currentUser.userId}:${currentUser.sessions[0] || ''}:${wordList.key}`
+    : null;
+  const activeDrill = drill && drill.key === drillKey ? drill : null;
+  // Find the weak digraphs and keys in recent sessions, and start on drill
+  // text unless a test is already under way. Turning the drill off goes
+  // back to plain random words.
+  useEffect(() => {
+    if (loadedDrillKeyRef.current === drillKey) return;
+    const wasDrilling = loadedDrillKeyRef.current !== null;
+    loadedDrillKeyRef.current = drillKey;
+    if (!drillKey && !wasDrilling) return;
+
+    const loadDrill = async () => {
+      let weaknesses = null;
+      let sessionCount = 0;
+      if (drillKey) {
+        const page = await getUserSessions({ limit: DRILL_SESSION_COUNT, include: 'events' });
+        const sessions = page.sessions.filter(session => session && Array.isArray(session.events));
+        sessionCount = sessions.length;
+        if (sessions.length > 0) {
+          const analysis = analyzeSessions(sessions, { layout: resolveLayout(userLayoutId, customLayouts) });
+          weaknesses = findWeaknesses(analysis);
+        }
+      }
+      
+      // The drill was toggled or re-evaluated while this was loading
+      if (loadedDrillKeyRef.current !== drillKey) return;
+      
+      const hasTargets = weaknesses && (weaknesses.digraphs.length > 0 || weaknesses.keys.length > 0);
+      setDrill(drillKey ? { key: drillKey, weaknesses: hasTargets ? weaknesses : null, sessionCount } : null);
+      
+      // Leave a test in progress (or its results), ghost races and lessons alone
+      if (eventsRef.current.length === 0 && !ghostParam && !lessonParam && isWordMode) {
+        const wordCount = testConfig.mode === 'words' ? testConfig.wordCount : 200;
+        startWithText(makeWordText(wordCount, hasTargets ? weaknesses : null));
+      }
+    };
+
+    loadDrill().catch(error => {
+      console.error('Failed to build weakness drill:', error);
+      setDrill({ key: drillKey, error: 'Could not load recent sessions for the drill.' });
+    });
+  }, [drillKey, ghostParam, lessonParam, isWordMode, testConfig.mode, testConfig.wordCount, userLayoutId, customLayouts, getUserSessions, startWithText, makeWordText]);
+
+  // Word list, punctuation and numbers: make new text on first load and
+  // whenever the list or a toggle changes, unless a test is under way.
+  // Lessons, ghost races and the drill start their own text, and coming
+  // back from them (or from quote or code mode) already makes new words.
+  const modifierKey = isWordMode && !lesson && !ghostParam && !drillKey
+    ? `${wordList.key}:${testConfig.punctuation}:${testConfig.numbers}`
+    : null;
+  useEffect(() => {
+    if (loadedModifierKeyRef.current === modifierKey) return;
+    const previousKey = loadedModifierKeyRef.current;
+    loadedModifierKeyRef.current = modifierKey;
+    if (!modifierKey || previousKey === null) return;
+
+    const loadWords = async () => {
+      if (eventsRef.current.length === 0) {
+        startWithText(makeWordText(testConfig.mode === 'words' ? testConfig.wordCount : 200));
+      }
+    };
+
+    loadWords();
+  }, [modifierKey, testConfig.mode, testConfig.wordCount, startWithText, makeWordText]);
+
+  // Quote mode: type one whole quote from the bundled corpus. Sessions store
+  // the quote id as their mode value, so bests and ghost races are per quote.
+  const quoteKey = testConfig.mode === 'quote' && !lesson && !ghostParam ? testConfig.quoteLength : null;
+  // A ghost race on a quote is typed on the ghost's quote
+  const activeQuote = testConfig.mode === 'quote' && !lesson
+    ? (activeGhost?.session.mode === 'quote' ? getQuote(activeGhost.session.modeValue) : quoteState?.quote) || null
+    : null;
+  const activeQuoteBest = quoteState && activeQuote && quoteState.quote.id === activeQuote.id ? quoteState : null;
+
+  // Pick a quote of the given length, look up the best on it and start it
+  const startQuote = useCallback(async (quoteLength, excludeId = null) => {
+    const quote = pickQuote(quoteLength, { excludeId });
+    let bestWpm = null;
+    try {
+      const page = await getUserSessions({ mode: 'quote', modeValue: quote.id, sort: 'wpm', order: 'desc', limit: 1 });
+      bestWpm = page.sessions[0] ? getSessionWpm(page.sessions[0]) : null;
+    } catch (error) {
+      console.error('Failed to load quote best:', error);
+    }
+    
+    // The length was changed, or quote mode left, while this was loading
+    if (loadedQuoteKeyRef.current !== quoteLength) return;
+    
+    setQuoteState({ quote, bestWpm, newBest: false });
+    startWithText(quote.text);
+  }, [getUserSessions, startWithText]);
+
+  // Start a quote when entering quote mode or changing the length; leaving
+  // quote mode goes back to random words
+  useEffect(() => {
+    if (loadedQuoteKeyRef.current === quoteKey) return;
+    const wasQuoting = loadedQuoteKeyRef.current !== null;
+    loadedQuoteKeyRef.current = quoteKey;
+    if (!quoteKey && !wasQuoting) return;
+
+    const loadQuote = async () => {
+      if (quoteKey) {
+        await startQuote(quoteKey);
+        return;
+      }
+      // Ghost races, lessons, code mode and the drill start their own text
+      if (isWordMode && !ghostParam && !lessonParam && !drillKey) {
+        startWithText(makeWordText(testConfig.mode === 'words' ? testConfig.wordCount : 200));
+      }
+    };
+
+    loadQuote();
+  }, [quoteKey, ghostParam, lessonParam, drillKey, isWordMode, testConfig.mode, testConfig.wordCount, startQuote, startWithText, makeWordText]);
+
+  // Code mode: type a snippet in the chosen language (or one imported in
+  // Settings) across several lines, with Enter and Tab
+  const isCodeMode = testConfig.mode === 'code' && !lesson;
+  const codeKey = isCodeMode && !ghostParam ? testConfig.codeLanguage : null;
+  const ghostSession = activeGhost?.session;
+  const activeSnippet = useMemo(() => {
+    if (!isCodeMode) return null;
+    if (ghostSession?.mode !== 'code') return codeState?.snippet || null;
+    // Imported snippets aren't stored, so race the ghost's own text
+    return getSnippet(ghostSession.modeValue) ||
+      { id: getImportedSnippetId(ghostSession.text), language: ghostSession.wordSource?.replace('code:', '') || IMPORTED_LANGUAGE, title: 'Imported snippet', text: ghostSession.text };
+  }, [isCodeMode, ghostSession, codeState]);
+
+  const startSnippet = useCallback((language, excludeText = null) => {
+    const snippets = language === IMPORTED_LANGUAGE ? getImportedSnippets() : getSnippetsByLanguage(language);
+    const snippet = pickSnippet(snippets, { excludeText });
+    if (!snippet) {
+      setCodeState({ snippet: null, error: 'No imported snippets yet. Import a source file in Settings.' });
+      return;
+    }
+    setCodeState({ snippet, error: null });
+    startWithText(snippet.text);
+  }, [startWithText]);
+
+  // Start a snippet when entering code mode or changing the language;
+  // leaving code mode goes back to random words
+  useEffect(() => {
+    if (loadedCodeKeyRef.current === codeKey) return;
+    const wasCoding = loadedCodeKeyRef.current !== null;
+    loadedCodeKeyRef.current = codeKey;
+    if (!codeKey && !wasCoding) return;
+
+    const loadSnippet = async () => {
+      if (codeKey) {
+        startSnippet(codeKey);
+        return;
+      }
+      if (isWordMode && !ghostParam && !lessonParam && !drillKey) {
+        startWithText(makeWordText(testConfig.mode === 'words' ? testConfig.wordCount : 200));
+      }
+    };
+
+    loadSnippet();
+  }, [codeKey, ghostParam, lessonParam, drillKey, isWordMode, testConfig.mode, testConfig.wordCount, startSnippet, startWithText, makeWordText]);
+
+  // Move the ghost caret along its recorded keystrokes. Both time lines
+  // start at the first keystroke of the session.
+  useEffect(() => {
+    if (!activeGhost || !sessionActive) return;
+    let frame;
+    
+    const tick = () => {
+      const elapsed = Date.now() - sessionStartTimeRef.current;
+      setGhostIndex(activeGhost.replay.stateAt(elapsed).currentIndex);
+      frame = requestAnimationFrame(tick);
+    };
+    
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [activeGhost, sessionActive]);
+
+  // Pace caret: a fixed target speed, or the user's average or their best
+  // in this mode (any mode before there is one), looked up again after
+  // each saved session. A ghost race has its own caret, so no pace then.
+  const paceCaret = currentUser?.settings.paceCaret || 'off';
+  const savedSessionCount = currentUser?.sessions?.length || 0;
+  // Lessons are saved in their own mode, so their bests are looked up there
+  const paceMode = lesson ? 'lesson' : testConfig.mode;
+  const paceModeValue = lesson ? lesson.wordCount : ghostModeValue;
+  const paceKey = paceCaret === 'average' || paceCaret === 'best'
+    ? `${paceCaret}:${paceMode}:${paceModeValue}:${savedSessionCount}`
+    : null;
+
+  useEffect(() => {
+    if (!paceKey || loadedPaceKeyRef.current === paceKey) return;
+    loadedPaceKeyRef.current = paceKey;
+
+    const loadPaceTarget = async () => {
+      const stats = await getUserStats();
+      let wpm = stats?.totals?.avgWpm ?? null;
+      if (paceCaret === 'best') {
+        let modeBestWpm;
+        if (snippetText) {
+          const page = await getUserSessions({
+            mode: paceMode,
+            modeValue: paceModeValue,
+            text: snippetText,
+            sort: 'wpm',
+            order: 'desc',
+            limit: 1
+          });
+          modeBestWpm = page.sessions[0]?.wpm;
+        } else {
+          modeBestWpm = stats?.personalBests?.find(best =>
+            best.mode === paceMode && String(best.modeValue) === String(paceModeValue))?.bestWpm;
+        }
+        wpm = modeBestWpm ?? stats?.totals?.bestWpm ?? null;
+      }
+      if (loadedPaceKeyRef.current === paceKey) {
+        setPaceTarget({ key: paceKey, wpm });
+      }
+    };
+
+    loadPaceTarget().catch(error => {
+      console.error('Failed to load pace target:', error);
+      setPaceTarget({ key: paceKey, wpm: null });
+    });
+  }, [paceKey, paceCaret, paceMode, paceModeValue, snippetText, getUserStats, getUserSessions]);
+
+  let paceWpm = null;
+  if (paceCaret === 'fixed') paceWpm = currentUser?.settings.paceWpm || 60;
+  else if (paceTarget?.key === paceKey) paceWpm = paceTarget.wpm;
+  const activePaceWpm = !activeGhost && paceWpm > 0 ? paceWpm : null;
+
+  // Move the pace caret at the target speed from the first keystroke
+  useEffect(() => {
+    if (!activePaceWpm || !sessionActive) return;
+    let frame;
+
+    const tick = () => {
+      setPaceIndex(getPaceIndex(activePaceWpm, Date.now() - sessionStartTimeRef.current));
+      frame = requestAnimationFrame(tick);
+    };
+
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [activePaceWpm, sessionActive]);
+
+  // Rolling live WPM from the recorded keystrokes
+  useEffect(() => {
+    if (!sessionActive) return;
+    const timer = setInterval(() => {
+      setLiveSpeed(calculateLiveSpeed(eventsRef.current, Date.now()));
+    }, LIVE_SPEED_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [sessionActive]);
+
+  const selectGhost = (value) => {
+    if (value) {
+      setSearchParams({ ghost: value });
+    } else {
+      loadedGhostKeyRef.current = null;
+      setSearchParams({});
+    }
+  };
 
   // Build session data
   const buildSessionData = useCallback(() => {
@@ -160,9 +672,43 @@ function TypingTest() {
       totalKeystrokes: totalKeystrokesRef.current,
       maxIndexReached: maxIndexReachedRef.current,
       firstTimeErrors: Array.from(firstTimeErrorsRef.current),
+      // Events carry physical key codes; the layout says what they typed
+      keyboardLayout: currentUser?.settings.keyboardLayout || DEFAULT_LAYOUT_ID,
+      strictMode,
+      // Lessons have their own mode so they stay out of words-mode bests and ghosts
+      ...(lesson && {
+        mode: 'lesson',
+        modeValue: lesson.wordCount,
+        wordSource: getLessonWordSource(lesson.id)
+      }),
+      ...(activeQuote && {
+        mode: 'quote',
+        modeValue: activeQuote.id,
+        wordSource: 'quotes'
+      }),
+      ...(activeSnippet && {
+        mode: 'code',
+        modeValue: activeSnippet.id,
+        wordSource: getSnippetWordSource(activeSnippet)
+      }),
+      // Generated word tests record their word list, modifiers and seed; a
+      // ghost race types the ghost's text, so it records the ghost's
+      ...(isWordMode && !lesson && (ghostSession
+        ? {
+          wordList: ghostSession.wordList ?? null,
+          punctuation: !!ghostSession.punctuation,
+          numbers: !!ghostSession.numbers,
+          textSeed: ghostSession.textSeed ?? null
+        }
+        : {
+          wordList: wordList.id,
+          punctuation: testConfig.punctuation,
+          numbers: testConfig.numbers,
+          textSeed: textSeedRef.current
+        })),
       timestamp: new Date().toISOString()
     };
-  }, [text, calculateAccuracy]);
+  }, [text, calculateAccuracy, currentUser, lesson, activeQuote, activeSnippet, isWordMode, ghostSession, wordList, testConfig.punctuation, testConfig.numbers, strictMode]);
 
   const downloadSessionFile = useCallback((sessionData) => {
     const dataStr = JSON.stringify(sessionData, null, 2);
@@ -186,6 +732,24 @@ function TypingTest() {
         if (sessionId) {
           setSaveStatus('success');
           setTimeout(() => setSaveStatus(null), 3000);
+          
+          if (activeQuote) {
+            const wpm = getSessionWpm(sessionData);
+            setQuoteState(prev => prev && prev.quote.id === activeQuote.id && (prev.bestWpm === null || wpm > prev.bestWpm)
+              ? { ...prev, bestWpm: wpm, newBest: true }
+              : prev);
+          }
+          
+          if (lesson) {
+            setLessonResult({ status: 'recording' });
+            try {
+              const result = await recordLessonAttempt(lesson.id, { ...sessionData, sessionId });
+              setLessonResult({ status: 'done', ...result });
+              setLessonState(prev => prev && { ...prev, progress: result.progress[lesson.id] || null });
+            } catch (error) {
+              setLessonResult({ status: 'error', error: error.message });
+            }
+          }
         } else {
           setSaveStatus('error');
           setTimeout(() => setSaveStatus(null), 5000);
@@ -198,45 +762,30 @@ function TypingTest() {
     }
     
     downloadSessionFile(sessionData);
-  }, [buildSessionData, downloadSessionFile, saveSession]);
+  }, [buildSessionData, downloadSessionFile, saveSession, lesson, recordLessonAttempt, activeQuote]);
 
   const downloadSessionData = useCallback(() => {
     const sessionData = buildSessionData();
     downloadSessionFile(sessionData);
   }, [buildSessionData, downloadSessionFile]);
 
-  // Timer for time mode
+  // Timer for time mode. The effect re-runs on every tick, so each run
+  // schedules the next one and the last tick ends the session.
   useEffect(() => {
     if (testConfig.mode === 'time' && sessionActive && timeRemaining !== null) {
-      if (timeRemaining <= 0) {
-        endSession();
-        return;
-      }
-      
-      const timer = setInterval(() => {
-        setTimeRemaining(prev => {
-          if (prev <= 1) {
-            clearInterval(timer);
-            return 0;
-          }
-          return prev - 1;
-        });
+      const timer = setTimeout(() => {
+        if (timeRemaining <= 1) {
+          setTimeRemaining(0);
+          endSession();
+        } else {
+          setTimeRemaining(timeRemaining - 1);
+        }
       }, 1000);
       
-      return () => clearInterval(timer);
+      return () => clearTimeout(timer);
     }
   }, [testConfig.mode, sessionActive, timeRemaining, endSession]);
 
-  // Check word count completion
-  useEffect(() => {
-    if (testConfig.mode === 'words' && sessionActive) {
-      const targetChars = testConfig.wordCount * 6;
-      if (maxIndexReachedRef.current >= targetChars) {
-        endSession();
-      }
-    }
-  }, [testConfig.mode, testConfig.wordCount, sessionActive, currentIndex, endSession]);
-
   // Optimized key handler - minimal state updates
   const handleKeyDown = useCallback((e) => {
     // Resume audio context on first user interaction
@@ -253,15 +802,19 @@ function TypingTest() {
     }
     
     // Prevent actions if completed or session ended
-    if (testConfig.mode === 'words' && currentIndex >= text.length) return;
+    if (testConfig.mode !== 'time' && currentIndex >= text.length) return;
     if (sessionStarted && !sessionActive) return;
     
+    // Code mode records Enter and Tab as the characters they type
+    const key = isCodeMode ? toTypedKey(e.key) : e.key;
+    if (isCodeMode && e.key === 'Tab') e.preventDefault();
+    
     // Start session ONLY on first CORRECT character
     if (!sessionStarted) {
       // Only start if typing the first character correctly
-      if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      if (key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
         const expectedChar = text[0];
-        if (e.key !== expectedChar) {
+        if (key !== expectedChar) {
           // Ignore - not the correct first character
           e.preventDefault();
           return;
@@ -281,38 +834,64 @@ function TypingTest() {
       }
     }
 
+    // Keys the strict mode refuses are ignored and not recorded: Backspace
+    // in confidence mode, and typing past a word with a mistake in it in
+    // stop-on-word mode
+    if (strictMode === 'confidence' && e.key === 'Backspace') {
+      e.preventDefault();
+      return;
+    }
+    if (strictMode === 'stop-word' && key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey &&
+        currentIndex < text.length && /\s/.test(text[currentIndex]) &&
+        hasUnfixedWord(text, statusRef.current, currentIndex)) {
+      e.preventDefault();
+      return;
+    }
+
     lastKeystrokeTimeRef.current = Date.now();
     
     // Generate more text for time mode
     if (testConfig.mode === 'time' && currentIndex > text.length - 50) {
-      const newText = generateText(50);
+      const newText = generateText(wordList.words, 50, activeDrill?.weaknesses, {
+        punctuation: testConfig.punctuation,
+        numbers: testConfig.numbers,
+        random: textRandomRef.current || Math.random
+      });
       setText(prev => prev + ' ' + newText);
       // Extend arrays
       const currentLength = userInputRef.current.length;
       userInputRef.current = [...userInputRef.current, ...new Array(newText.length + 1).fill(null)];
       statusRef.current = [...statusRef.current, ...new Array(newText.length + 1).fill('pending')];
+      triggerRender();
     }
 
     // Record keydown event and timestamp
     const timestamp = Date.now();
     eventsRef.current.push({
       type: 'keydown',
-      key: e.key,
+      key,
       code: e.code,
       timestamp,
       relativeTime: sessionStartTimeRef.current ? timestamp - sessionStartTimeRef.current : 0,
       currentIndex,
       expectedChar: currentIndex < text.length ? text[currentIndex] : '',
+      // Keys held with these don't type; the server and replay skip them too
+      ctrlKey: e.ctrlKey,
+      metaKey: e.metaKey,
+      altKey: e.altKey,
     });
     
     // Store keydown timestamp for dwell time calculation
-    keyDownTimestampsRef.current.set(e.key, timestamp);
+    keyDownTimestampsRef.current.set(key, timestamp);
 
     // Handle backspace
     if (e.key === 'Backspace') {
       e.preventDefault();
       if (currentIndex > 0) {
-        setCurrentIndex(prev => prev - 1);
+        // Step back over auto-indented whitespace to the newline before it
+        let target = currentIndex - 1;
+        while (target > 0 && statusRef.current[target] === 'skipped') target--;
+        setCurrentIndex(target);
         totalKeystrokesRef.current++;
         triggerRender(); // Force re-render for active cursor position
       }
@@ -320,13 +899,13 @@ function TypingTest() {
     }
     
     // Handle printable characters
-    if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    if (key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
       e.preventDefault();
       
       totalKeystrokesRef.current++;
       
       const expectedChar = text[currentIndex];
-      const isCorrect = e.key === expectedChar;
+      const isCorrect = key === expectedChar;
       const isFirstAttempt = userInputRef.current[currentIndex] === null;
       
       // Play sound with error handling
@@ -340,7 +919,7 @@ function TypingTest() {
       }
       
       // Update refs directly (no state update needed)
-      userInputRef.current[currentIndex] = e.key;
+      userInputRef.current[currentIndex] = key;
       
       if (isFirstAttempt) {
         statusRef.current[currentIndex] = isCorrect ? 'correct' : 'incorrect';
@@ -352,22 +931,53 @@ function TypingTest() {
         statusRef.current[currentIndex] = isCorrect ? 'corrected' : 'incorrect';
       }
       
-      // Move to next character
-      setCurrentIndex(prev => prev + 1);
+      // Move to next character. After a newline, auto-indent skips the
+      // next line's leading whitespace. Skipped positions are never typed,
+      // so their input stays null. Stop-on-letter keeps the caret on a
+      // mistake until it's typed right.
+      let nextIndex = currentIndex;
+      if (isCorrect || strictMode !== 'stop-letter') {
+        nextIndex = currentIndex + 1;
+        if (isCodeMode && testConfig.autoIndent && expectedChar === '\n') {
+          while (nextIndex < text.length && (text[nextIndex] === ' ' || text[nextIndex] === '\t')) {
+            statusRef.current[nextIndex] = 'skipped';
+            nextIndex++;
+          }
+        }
+        setCurrentIndex(nextIndex);
+      }
       triggerRender(); // Force re-render to show updated character
+
+      // Master mode ends the test on the first mistake
+      if (!isCorrect && strictMode === 'master') {
+        setEndedOnMistake(true);
+        endSession();
+        return;
+      }
+      
+      // Word count completion. Lessons, quotes and code end when their text
+      // is finished; stop-on-letter only once the last character is typed right.
+      if (testConfig.mode !== 'time') {
+        const targetChars = lesson || testConfig.mode !== 'words' ? text.length : testConfig.wordCount * 6;
+        const reached = strictMode === 'stop-letter' ? nextIndex : maxIndexReachedRef.current;
+        if (reached >= targetChars) {
+          endSession();
+        }
+      }
     }
-  }, [sessionStarted, sessionActive, currentIndex, text, testConfig, currentUser, triggerRender]);
+  }, [sessionStarted, sessionActive, currentIndex, text, testConfig, currentUser, activeDrill, wordList, isCodeMode, strictMode, lesson, endSession, triggerRender]);
 
   // Handle key up event for dwell time recording
   const handleKeyUp = useCallback((e) => {
     if (!sessionStartTimeRef.current) return;
 
     const timestamp = Date.now();
+    const key = isCodeMode ? toTypedKey(e.key) : e.key;
     
     // Record keyup event for dwell time analysis
     eventsRef.current.push({
       type: 'keyup',
-      key: e.key,
+      key,
       code: e.code,
       timestamp,
       relativeTime: timestamp - sessionStartTimeRef.current,
@@ -376,8 +986,8 @@ function TypingTest() {
     });
     
     // Clear keydown timestamp after recording keyup
-    keyDownTimestampsRef.current.delete(e.key);
-  }, [currentIndex, text]);
+    keyDownTimestampsRef.current.delete(key);
+  }, [currentIndex, text, isCodeMode]);
 
   // Setup keyboard event listeners
   useEffect(() => {
@@ -390,31 +1000,40 @@ function TypingTest() {
     };
   }, [handleKeyDown, handleKeyUp]);
 
-  // Reset function
+  // Reset function - a ghost race restarts on the ghost's text, a lesson
+  // gets new lesson text and quote and code mode a different quote or snippet
   const reset = () => {
+    if (activeGhost) {
+      startWithText(activeGhost.session.text);
+      return;
+    }
+    if (lesson) {
+      setLessonResult(null);
+      startWithText(makeLessonText());
+      return;
+    }
+    if (quoteKey) {
+      startQuote(quoteKey, activeQuote?.id);
+      return;
+    }
+    if (codeKey) {
+      startSnippet(codeKey, activeSnippet?.text);
+      return;
+    }
     const newWordCount = testConfig.mode === 'words' ? testConfig.wordCount : 200;
-    const newText = generateText(newWordCount);
-    
-    setText(newText);
-    setCurrentIndex(0);
-    setSessionActive(false);
-    setSessionStarted(false);
-    setTimeRemaining(null);
-    
-    // Reset refs
-    userInputRef.current = new Array(newText.length).fill(null);
-    statusRef.current = new Array(newText.length).fill('pending');
-    eventsRef.current = [];
-    totalKeystrokesRef.current = 0;
-    maxIndexReachedRef.current = 0;
-    firstTimeErrorsRef.current = new Set();
-    keyDownTimestampsRef.current = new Map();
-    sessionStartTimeRef.current = null;
-    lastKeystrokeTimeRef.current = null;
-    
-    triggerRender();
+    startWithText(makeWordText(newWordCount, activeDrill?.weaknesses));
   };
 
+  // Live speed readouts are on unless turned off
+  const showLiveWpm = currentUser?.settings.showLiveWpm ?? true;
+  const showRawWpm = currentUser?.settings.showRawWpm ?? true;
+
+  // Code is laid out line by line; prose on a single track or, with the
+  // lines display, as wrapped lines
+  const Track = isCodeMode
+    ? CodeTrack
+    : currentUser?.settings.textDisplay === 'lines' ? LinesTrack : TextTrack;
+
   // Font settings
   const getFontFamily = () => currentUser?.settings.font || 'Courier New';
   const getFontSize = () => {
@@ -422,19 +1041,6 @@ function TypingTest() {
     return size === 'S' ? '1.5rem' : size === 'L' ? '2.5rem' : '2rem';
   };
 
-  // Render characters - memoized
-  const renderedCharacters = useMemo(() => {
-    return text.split('').map((char, index) => (
-      <Character
-        key={index}
-        char={char}
-        userChar={userInputRef.current[index]}
-        status={statusRef.current[index]}
-        isActive={index === currentIndex}
-      />
-    ));
-  }, [text, currentIndex]); // Only re-create when text or currentIndex changes
-
   return (
     <div className="typing-test">
       <div className="header">
@@ -446,8 +1052,31 @@ function TypingTest() {
                 <span className="timer">Time: {timeRemaining}s</span>
               )}
               <span>Index: {currentIndex}</span>
-              <span>Max Reached: {maxIndexReachedRef.current}</span>
-              <span>Accuracy: {calculateAccuracy(maxIndexReachedRef.current, firstTimeErrorsRef.current)}%</span>
+              <span>Max Reached: {typed.maxIndexReached}</span>
+              <span>Accuracy: {typed.accuracy}%</span>
+              {sessionActive && liveSpeed && showLiveWpm && (
+                <span className="live-wpm" title="Net WPM over the last 10 seconds">WPM: {liveSpeed.wpm.toFixed(0)}</span>
+              )}
+              {sessionActive && liveSpeed && showRawWpm && (
+                <span className="live-raw-wpm" title="Raw WPM over the last 10 seconds">Raw: {liveSpeed.rawWpm.toFixed(0)}</span>
+              )}
+              {activePaceWpm && (
+                <span
+                  className={`ghost-lead ${currentIndex >= paceIndex ? 'ahead' : 'behind'}`}
+                  title={`Pace caret at ${activePaceWpm.toFixed(0)} WPM`}
+                >
+                  {currentIndex === paceIndex
+                    ? 'On pace'
+                    : `${currentIndex > paceIndex ? 'Ahead of' : 'Behind'} pace by ${Math.abs(currentIndex - paceIndex)} chars`}
+                </span>
+              )}
+              {activeGhost && (
+                <span className={`ghost-lead ${currentIndex >= ghostIndex ? 'ahead' : 'behind'}`}>
+                  {currentIndex === ghostIndex
+                    ? 'Level with ghost'
+                    : `${currentIndex > ghostIndex ? 'Ahead' : 'Behind'} by ${Math.abs(currentIndex - ghostIndex)} chars`}
+                </span>
+              )}
               <span className={sessionActive ? 'active' : 'inactive'}>
                 {sessionActive ? '● Recording' : '○ Ended'}
               </span>
@@ -456,13 +1085,94 @@ function TypingTest() {
         </div>
       </div>
 
-      <ConfigBar />
+      {lesson ? (
+        <div className="lesson-banner">
+          <div className="lesson-heading">
+            <span className="lesson-title">
+              Lesson {LESSONS.indexOf(lesson) + 1}: {lesson.title}
+            </span>
+            <button onClick={() => navigate('/lessons')}>All Lessons</button>
+          </div>
+          <p>{lesson.description}</p>
+          <p className="lesson-criteria">
+            Pass with {lesson.passCriteria.minWpm} WPM and {lesson.passCriteria.minAccuracy}% accuracy
+            {activeLessonState?.progress?.passed && ' · Passed ✓'}
+          </p>
+          {activeLessonState?.locked && (
+            <p className="lesson-locked">
+              This lesson is locked until you pass the one before it. You can practise, but attempts won&apos;t count.
+            </p>
+          )}
+          {activeLessonState?.error && <p className="lesson-locked">{activeLessonState.error}</p>}
+        </div>
+      ) : (
+        <ConfigBar />
+      )}
+
+      {drillKey && (
+        <div className="drill-info">
+          {!activeDrill ? (
+            <span>Finding your weak spots...</span>
+          ) : activeDrill.error ? (
+            <span className="drill-error">{activeDrill.error}</span>
+          ) : activeDrill.weaknesses ? (
+            <>
+              <span>Drilling (last {activeDrill.sessionCount} sessions):</span>
+              {activeDrill.weaknesses.digraphs.map(({ pair, avgLatency }) => (
+                <span key={pair} className="drill-target" title={`${avgLatency.toFixed(0)}ms average`}>
+                  {pair}
+                </span>
+              ))}
+              {activeDrill.weaknesses.keys.map(({ char, errors }) => (
+                <span key={char} className="drill-target key" title={`${errors} errors`}>
+                  {char}
+                </span>
+              ))}
+            </>
+          ) : (
+            <span>No weak spots found yet. Complete a few tests and the drill will adapt to them.</span>
+          )}
+        </div>
+      )}
+
+      {!lesson && (
+        <div className="ghost-picker">
+          <span className="ghost-picker-label">Race:</span>
+          <button
+            className={!ghostParam ? 'active' : ''}
+            onClick={() => selectGhost(null)}
+            disabled={sessionActive}
+          >
+            Off
+          </button>
+          {GHOST_OPTIONS.map(({ value, label }) => (
+            <button
+              key={value}
+              className={ghostParam === value ? 'active' : ''}
+              onClick={() => selectGhost(value)}
+              disabled={sessionActive}
+            >
+              {label}
+            </button>
+          ))}
+          {ghostParam && !isRelativeGhost && (
+            <button className="active" disabled>Selected Session</button>
+          )}
+          {activeGhost && (
+            <span className="ghost-info">
+              Ghost: {getSessionWpm(activeGhost.session)?.toFixed(1) ?? '-'} WPM
+              {activeGhost.session.timestamp && ` · ${new Date(activeGhost.session.timestamp).toLocaleDateString()}`}
+            </span>
+          )}
+          {ghostError && <span className="ghost-error">{ghostError}</span>}
+        </div>
+      )}
 
       <div className="inline-controls">
         <button 
           className="toggle-controls-btn"
           onClick={() => setShowControls(!showControls)}
-          title="Toggle font and sound settings"
+          title="Toggle font, sound and live speed settings"
         >
           ⚙️ {showControls ? 'Hide' : 'Show'} Settings
         </button>
@@ -516,6 +1226,22 @@ function TypingTest() {
               </div>
             </div>
             
+            <div className="control-group">
+              <label>Display:</label>
+              <div className="size-buttons">
+                {TEXT_DISPLAYS.map(({ value, label, title }) => (
+                  <button
+                    key={value}
+                    className={(currentUser?.settings.textDisplay || 'tape') === value ? 'active' : ''}
+                    onClick={() => updateUserSettings({ textDisplay: value })}
+                    title={title}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            
             <div className="control-group">
               <label>
                 <input
@@ -526,31 +1252,115 @@ function TypingTest() {
                 <span style={{ marginLeft: '6px' }}>🔊 Sound</span>
               </label>
             </div>
+
+            <div className="control-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={showLiveWpm}
+                  onChange={(e) => updateUserSettings({ showLiveWpm: e.target.checked })}
+                />
+                <span style={{ marginLeft: '6px' }}>Live WPM</span>
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={showRawWpm}
+                  onChange={(e) => updateUserSettings({ showRawWpm: e.target.checked })}
+                />
+                <span style={{ marginLeft: '6px' }}>Raw WPM</span>
+              </label>
+            </div>
+
+            <div className="control-group">
+              <label htmlFor="pace-select">Pace caret:</label>
+              <select
+                id="pace-select"
+                value={paceCaret}
+                onChange={(e) => updateUserSettings({ paceCaret: e.target.value })}
+                className="font-select pace-select"
+              >
+                {PACE_CARET_MODES.map(({ id, label }) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+              {paceCaret === 'fixed' && (
+                <select
+                  value={paceWpm}
+                  onChange={(e) => updateUserSettings({ paceWpm: Number(e.target.value) })}
+                  className="font-select pace-select"
+                  aria-label="Pace caret speed"
+                >
+                  {(PACE_WPM_OPTIONS.includes(paceWpm) ? PACE_WPM_OPTIONS : [...PACE_WPM_OPTIONS, paceWpm].sort((a, b) => a - b))
+                    .map(wpm => (
+                      <option key={wpm} value={wpm}>{wpm} WPM</option>
+                    ))}
+                </select>
+              )}
+              {(paceCaret === 'average' || paceCaret === 'best') && paceTarget?.key === paceKey && (
+                <span className="pace-target">
+                  {paceWpm ? `${paceWpm.toFixed(0)} WPM` : 'No sessions yet'}
+                </span>
+              )}
+            </div>
           </div>
         )}
       </div>
 
-      <div className="text-container">
-        <div className="caret-line"></div>
-        
-        <div 
-          ref={textDisplayRef}
-          className="text-display" 
-          style={{
-            transform: `translateX(${trackTransform}px)`,
-            fontFamily: getFontFamily(),
-            fontSize: getFontSize()
-          }}
-        >
-          {renderedCharacters}
+      {activeQuote && (
+        <div className="quote-info">
+          <span className="quote-attribution">
+            &mdash; {activeQuote.author}, <cite>{activeQuote.source}</cite>
+          </span>
+          <span className="quote-meta">
+            #{activeQuote.id} · {QUOTE_LENGTHS.find(bucket => bucket.id === getQuoteLength(activeQuote)).label}
+            {activeQuoteBest && (
+              activeQuoteBest.bestWpm !== null
+                ? ` · Best: ${activeQuoteBest.bestWpm.toFixed(1)} WPM`
+                : ' · Not typed yet'
+            )}
+            {activeQuoteBest?.newBest && <span className="quote-new-best"> · New best!</span>}
+          </span>
         </div>
-      </div>
+      )}
+
+      {isCodeMode && (
+        <div className="snippet-info">
+          {activeSnippet ? (
+            <>
+              <span className="snippet-title">{activeSnippet.title}</span>
+              <span>
+                {CODE_LANGUAGES.find(language => language.id === activeSnippet.language)?.label || 'Imported'}
+                {' · '}{activeSnippet.text.split('\n').length} lines
+                {' · '}Enter for new lines, Tab for tabs{testConfig.autoIndent && ', indentation is filled in'}
+              </span>
+            </>
+          ) : (
+            <span className="snippet-error">{codeState?.error}</span>
+          )}
+        </div>
+      )}
+
+      <Track
+        text={text}
+        userInput={typed.userInput}
+        statuses={typed.statuses}
+        currentIndex={currentIndex}
+        ghostIndex={activeGhost ? ghostIndex : activePaceWpm ? paceIndex : null}
+        fontFamily={getFontFamily()}
+        fontSize={isCodeMode ? CODE_FONT_SIZES[currentUser?.settings.fontSize] || CODE_FONT_SIZES.M : getFontSize()}
+      />
 
       <div className="instructions">
         {!sessionStarted ? (
           <p>Start typing the first letter correctly to begin. The timer starts on your first correct keystroke.</p>
         ) : sessionActive ? (
-          <p>Click "End Session" when you're done to save your results.</p>
+          <p>
+            Click "End Session" when you're done to save your results.
+            {strictMode !== DEFAULT_STRICT_MODE && ` ${getStrictMode(strictMode).label}: ${getStrictMode(strictMode).description.toLowerCase()}.`}
+          </p>
+        ) : endedOnMistake ? (
+          <p>Master mode: the test ended on your first mistake. Download your results or reset to try again.</p>
         ) : (
           <p>Session ended. Download your results or reset to try again.</p>
         )}
@@ -566,6 +1376,40 @@ function TypingTest() {
         )}
       </div>
 
+      {lesson && lessonResult && (
+        <div className={`lesson-result${lessonResult.passed ? ' passed' : ''}`}>
+          {lessonResult.status === 'recording' && <p>Checking your result...</p>}
+          {lessonResult.status === 'error' && <p>Attempt not recorded: {lessonResult.error}</p>}
+          {lessonResult.status === 'done' && (
+            <>
+              <p className="lesson-result-title">
+                {lessonResult.passed ? '🎉 Lesson passed!' : 'Not passed yet'}
+              </p>
+              <p>
+                <span className={lessonResult.wpmMet ? 'met' : 'missed'}>
+                  {lessonResult.wpm.toFixed(1)} / {lesson.passCriteria.minWpm} WPM
+                </span>
+                {' · '}
+                <span className={lessonResult.accuracyMet ? 'met' : 'missed'}>
+                  {lessonResult.accuracy.toFixed(1)} / {lesson.passCriteria.minAccuracy}% accuracy
+                </span>
+              </p>
+              {lessonResult.validated === false && (
+                <p>This session failed validation, so it can&apos;t pass the lesson.</p>
+              )}
+              <div className="lesson-result-actions">
+                <button onClick={reset}>{lessonResult.passed ? 'Practise Again' : 'Try Again'}</button>
+                {lessonResult.passed && getNextLesson(lesson.id) && (
+                  <button onClick={() => setSearchParams({ lesson: getNextLesson(lesson.id).id })}>
+                    Next Lesson: {getNextLesson(lesson.id).title}
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {saveStatus && (
         <div className={`save-notification ${saveStatus}`}>
           {saveStatus === 'saving' && '💾 Saving session...'}
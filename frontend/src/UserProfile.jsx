@@ -4,34 +4,77 @@ import './UserProfile.css';
 
 /**
  * UserProfile component provides user management UI in the header.
- * Allows switching between users and creating new user profiles.
+ * Allows switching between local profiles, logging in to a backend
+ * account and registering new users.
  */
 function UserProfile() {
-  const { currentUser, users, createUser, switchUser } = useAppContext();
-  const [isCreating, setIsCreating] = useState(false);
-  const [newUsername, setNewUsername] = useState('');
+  const {
+    currentUser, users, createUser, login, logout, switchUser, backendReady, isAuthenticated
+  } = useAppContext();
+  const [modalMode, setModalMode] = useState(null); // null | 'create' | 'login'
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
 
-  const handleCreateUser = () => {
-    if (newUsername.trim()) {
-      createUser(newUsername.trim());
-      setNewUsername('');
-      setIsCreating(false);
+  const openModal = (mode, initialUsername = '') => {
+    setModalMode(mode);
+    setUsername(initialUsername);
+    setPassword('');
+    setError(null);
+  };
+
+  const closeModal = () => {
+    setModalMode(null);
+    setUsername('');
+    setPassword('');
+    setError(null);
+  };
+
+  const handleSubmit = async () => {
+    if (!username.trim()) return;
+    if (backendReady && !password) {
+      setError('Password is required');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (modalMode === 'login') {
+        await login(username.trim(), password);
+      } else {
+        await createUser(username.trim(), password);
+      }
+      closeModal();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setSubmitting(false);
     }
   };
 
   const handleUserChange = (e) => {
     const userId = e.target.value;
     if (userId === '__new__') {
-      setIsCreating(true);
+      openModal('create');
+    } else if (userId === '__login__') {
+      openModal('login');
     } else {
-      switchUser(userId);
+      const user = users.find(u => u.userId === userId);
+      if (user?.isAccount && userId !== currentUser?.userId) {
+        // Backend accounts need their password to switch to
+        openModal('login', user.username);
+      } else {
+        switchUser(userId);
+      }
     }
   };
 
   return (
     <div className="user-profile">
       <label htmlFor="user-select">Profile:</label>
-      <select 
+      <select
         id="user-select"
         value={currentUser?.userId || 'guest'}
         onChange={handleUserChange}
@@ -43,26 +86,45 @@ function UserProfile() {
           </option>
         ))}
         <option value="__new__">+ Create New User</option>
+        {backendReady && <option value="__login__">Log In…</option>}
       </select>
 
-      {isCreating && (
+      {isAuthenticated && (
+        <button onClick={logout} className="logout-btn" title="Log out of this account">
+          Log Out
+        </button>
+      )}
+
+      {modalMode && (
         <div className="create-user-modal">
           <div className="modal-content">
-            <h3>Create New User</h3>
+            <h3>{modalMode === 'login' ? 'Log In' : 'Create New User'}</h3>
             <input
               type="text"
-              value={newUsername}
-              onChange={(e) => setNewUsername(e.target.value)}
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
               placeholder="Enter username"
-              onKeyDown={(e) => e.key === 'Enter' && handleCreateUser()}
+              onKeyDown={(e) => e.key === 'Enter' && handleSubmit()}
               autoFocus
             />
+            {backendReady && (
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter password"
+                onKeyDown={(e) => e.key === 'Enter' && handleSubmit()}
+              />
+            )}
+            {!backendReady && (
+              <p className="modal-note">Backend offline - the profile will be stored in this browser only.</p>
+            )}
+            {error && <p className="modal-error">{error}</p>}
             <div className="modal-actions">
-              <button onClick={handleCreateUser}>Create</button>
-              <button onClick={() => {
-                setIsCreating(false);
-                setNewUsername('');
-              }}>Cancel</button>
+              <button onClick={handleSubmit} disabled={submitting}>
+                {modalMode === 'login' ? 'Log In' : 'Create'}
+              </button>
+              <button onClick={closeModal}>Cancel</button>
             </div>
           </div>
         </div>
@@ -4,37 +4,94 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api'
 const BACKEND_BASE_URL = API_BASE_URL.substring(0, API_BASE_URL.lastIndexOf('/'));
 
 class ApiService {
-  // Users API
-  async getUsers() {
-    const response = await fetch(`${API_BASE_URL}/users`);
-    if (!response.ok) {
-      throw new Error('Failed to fetch users');
+  constructor() {
+    this.authToken = null;
+  }
+
+  // Set (or clear with null) the bearer token sent with every request
+  setAuthToken(token) {
+    this.authToken = token;
+  }
+
+  // fetch() wrapper that attaches the Authorization header and
+  // tags auth failures with a status so callers can log the user out
+  async authFetch(url, options = {}) {
+    const headers = { ...options.headers };
+    if (this.authToken) {
+      headers.Authorization = `Bearer ${this.authToken}`;
     }
-    return response.json();
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) {
+      const error = new Error('Authentication required');
+      error.status = 401;
+      throw error;
+    }
+    return response;
   }
 
-  async getUser(userId) {
-    const response = await fetch(`${API_BASE_URL}/users/${userId}`);
+  // Auth API
+  async register(username, password) {
+    const response = await fetch(`${API_BASE_URL}/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
     if (!response.ok) {
-      throw new Error('Failed to fetch user');
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to register');
     }
     return response.json();
   }
 
-  async createUser(username) {
-    const response = await fetch(`${API_BASE_URL}/users`, {
+  async login(username, password) {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username })
+      body: JSON.stringify({ username, password })
     });
     if (!response.ok) {
-      throw new Error('Failed to create user');
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to log in');
+    }
+    return response.json();
+  }
+
+  async logout() {
+    const response = await this.authFetch(`${API_BASE_URL}/auth/logout`, {
+      method: 'POST'
+    });
+    if (!response.ok) {
+      throw new Error('Failed to log out');
+    }
+  }
+
+  async getCurrentUser() {
+    const response = await this.authFetch(`${API_BASE_URL}/auth/me`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch current user');
+    }
+    return response.json();
+  }
+
+  // Users API
+  async getUsers() {
+    const response = await this.authFetch(`${API_BASE_URL}/users`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch users');
+    }
+    return response.json();
+  }
+
+  async getUser(userId) {
+    const response = await this.authFetch(`${API_BASE_URL}/users/${userId}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch user');
     }
     return response.json();
   }
 
   async deleteUser(userId) {
-    const response = await fetch(`${API_BASE_URL}/users/${userId}`, {
+    const response = await this.authFetch(`${API_BASE_URL}/users/${userId}`, {
       method: 'DELETE'
     });
     if (!response.ok) {
@@ -44,7 +101,7 @@ class ApiService {
 
   // Settings API
   async getSettings(userId) {
-    const response = await fetch(`${API_BASE_URL}/settings/${userId}`);
+    const response = await this.authFetch(`${API_BASE_URL}/settings/${userId}`);
     if (!response.ok) {
       throw new Error('Failed to fetch settings');
     }
@@ -52,7 +109,7 @@ class ApiService {
   }
 
   async updateSettings(userId, settings) {
-    const response = await fetch(`${API_BASE_URL}/settings/${userId}`, {
+    const response = await this.authFetch(`${API_BASE_URL}/settings/${userId}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(settings)
@@ -64,25 +121,40 @@ class ApiService {
   }
 
   // Sessions API
-  async getUserSessions(userId, limit = null, offset = null) {
+  // Returns { sessions, nextCursor }. `query` holds filters (sessionIds, mode, modeValue, text,
+  // from, to, minWpm, maxWpm, minAccuracy, maxAccuracy, wordSource, punctuation, numbers, strictMode),
+  // sort/order, limit/cursor, and include: 'events' for full payloads instead of summaries.
+  async getUserSessions(userId, query = {}) {
     let url = `${API_BASE_URL}/sessions/user/${userId}`;
     const params = new URLSearchParams();
     
-    if (limit) params.append('limit', limit);
-    if (offset) params.append('offset', offset);
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== '') {
+        params.append(key, value);
+      }
+    });
     
     const queryString = params.toString();
     if (queryString) url += `?${queryString}`;
     
-    const response = await fetch(url);
+    const response = await this.authFetch(url);
     if (!response.ok) {
       throw new Error('Failed to fetch sessions');
     }
     return response.json();
   }
 
+  async getUserStats(userId, groupBy = 'day') {
+    const params = new URLSearchParams({ groupBy });
+    const response = await this.authFetch(`${API_BASE_URL}/sessions/user/${userId}/stats?${params}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch session stats');
+    }
+    return response.json();
+  }
+
   async getSession(sessionId) {
-    const response = await fetch(`${API_BASE_URL}/sessions/${sessionId}`);
+    const response = await this.authFetch(`${API_BASE_URL}/sessions/${sessionId}`);
     if (!response.ok) {
       throw new Error('Failed to fetch session');
     }
@@ -90,7 +162,7 @@ class ApiService {
   }
 
   async createSession(sessionData) {
-    const response = await fetch(`${API_BASE_URL}/sessions`, {
+    const response = await this.authFetch(`${API_BASE_URL}/sessions`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(sessionData)
@@ -102,7 +174,7 @@ class ApiService {
   }
 
   async deleteSession(sessionId) {
-    const response = await fetch(`${API_BASE_URL}/sessions/${sessionId}`, {
+    const response = await this.authFetch(`${API_BASE_URL}/sessions/${sessionId}`, {
       method: 'DELETE'
     });
     if (!response.ok) {
@@ -110,6 +182,170 @@ class ApiService {
     }
   }
 
+  // Custom keyboard layouts API
+  async getUserLayouts(userId) {
+    const response = await this.authFetch(`${API_BASE_URL}/layouts/user/${userId}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch layouts');
+    }
+    return response.json();
+  }
+
+  async createLayout(layout) {
+    const response = await this.authFetch(`${API_BASE_URL}/layouts`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(layout)
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to create layout');
+    }
+    return response.json();
+  }
+
+  async updateLayout(layoutId, layout) {
+    const response = await this.authFetch(`${API_BASE_URL}/layouts/${layoutId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(layout)
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to update layout');
+    }
+    return response.json();
+  }
+
+  async deleteLayout(layoutId) {
+    const response = await this.authFetch(`${API_BASE_URL}/layouts/${layoutId}`, {
+      method: 'DELETE'
+    });
+    if (!response.ok) {
+      throw new Error('Failed to delete layout');
+    }
+  }
+
+  // Word lists API
+  // Summaries of the user's own lists and those shared with the team
+  async getWordLists() {
+    const response = await this.authFetch(`${API_BASE_URL}/wordlists`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch word lists');
+    }
+    return response.json();
+  }
+
+  // A single list, including its words
+  async getWordList(listId) {
+    const response = await this.authFetch(`${API_BASE_URL}/wordlists/${listId}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch word list');
+    }
+    return response.json();
+  }
+
+  async createWordList(wordList) {
+    const response = await this.authFetch(`${API_BASE_URL}/wordlists`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(wordList)
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to create word list');
+    }
+    return response.json();
+  }
+
+  async updateWordList(listId, changes) {
+    const response = await this.authFetch(`${API_BASE_URL}/wordlists/${listId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to update word list');
+    }
+    return response.json();
+  }
+
+  async deleteWordList(listId) {
+    const response = await this.authFetch(`${API_BASE_URL}/wordlists/${listId}`, {
+      method: 'DELETE'
+    });
+    if (!response.ok) {
+      throw new Error('Failed to delete word list');
+    }
+  }
+
+  // Custom themes API
+  async getUserThemes(userId) {
+    const response = await this.authFetch(`${API_BASE_URL}/themes/user/${userId}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch themes');
+    }
+    return response.json();
+  }
+
+  async createTheme(theme) {
+    const response = await this.authFetch(`${API_BASE_URL}/themes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(theme)
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to create theme');
+    }
+    return response.json();
+  }
+
+  async updateTheme(themeId, theme) {
+    const response = await this.authFetch(`${API_BASE_URL}/themes/${themeId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(theme)
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to update theme');
+    }
+    return response.json();
+  }
+
+  async deleteTheme(themeId) {
+    const response = await this.authFetch(`${API_BASE_URL}/themes/${themeId}`, {
+      method: 'DELETE'
+    });
+    if (!response.ok) {
+      throw new Error('Failed to delete theme');
+    }
+  }
+
+  // Lessons API
+  async getLessonProgress(userId) {
+    const response = await this.authFetch(`${API_BASE_URL}/lessons/user/${userId}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch lesson progress');
+    }
+    return response.json();
+  }
+
+  async recordLessonAttempt(lessonId, sessionId) {
+    const response = await this.authFetch(`${API_BASE_URL}/lessons/${lessonId}/attempts`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId })
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Failed to record lesson attempt');
+    }
+    return response.json();
+  }
+
   // Health check
   async checkHealth() {
     try {
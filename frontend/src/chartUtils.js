@@ -0,0 +1,61 @@
+/**
+ * Shared geometry for the Speed Over Time charts.
+ * The Analyzer chart and the replay timeline use the same x mapping so a
+ * point on one lines up with the same moment on the other.
+ *
+ * Also the heatmap colour scales, built from the active theme's colour
+ * tokens so heatmaps follow the theme.
+ */
+
+// Plot area in viewBox units
+export const WPM_CHART_LEFT = 60;
+export const WPM_CHART_WIDTH = 700;
+
+/**
+ * X coordinate (viewBox units) of a time in seconds
+ * @param {number} seconds
+ * @param {number} maxTime - Time at the right edge of the plot, in seconds
+ */
+export function timeToChartX(seconds, maxTime) {
+  return WPM_CHART_LEFT + ((seconds / (maxTime || 1)) * WPM_CHART_WIDTH);
+}
+
+/**
+ * Time in seconds under a mouse event on a chart SVG, clamped to the plot
+ * @param {MouseEvent} event - Event whose currentTarget is the <svg>
+ * @param {number} maxTime - Time at the right edge of the plot, in seconds
+ */
+export function chartEventToTime(event, maxTime) {
+  const svg = event.currentTarget;
+  const point = svg.createSVGPoint();
+  point.x = event.clientX;
+  point.y = event.clientY;
+  const { x } = point.matrixTransform(svg.getScreenCTM().inverse());
+  const fraction = Math.min(Math.max((x - WPM_CHART_LEFT) / WPM_CHART_WIDTH, 0), 1);
+  return fraction * maxTime;
+}
+
+// Colour for keys and fingers without data
+export const HEAT_EMPTY_COLOR = 'var(--heat-empty)';
+
+/**
+ * CSS colour on the sequential heatmap scale (theme low -> middle -> high)
+ * @param {number} fraction - 0 (lowest value) to 1 (highest)
+ */
+export function heatColor(fraction) {
+  if (fraction <= 0.5) {
+    return `color-mix(in oklab, var(--heat-low), var(--heat-mid) ${(fraction * 200).toFixed(1)}%)`;
+  }
+  return `color-mix(in oklab, var(--heat-mid), var(--heat-high) ${((fraction - 0.5) * 200).toFixed(1)}%)`;
+}
+
+/**
+ * CSS colour on the diverging scale for signed deltas: negative values
+ * toward the theme's "faster" colour, positive toward "slower", zero
+ * neutral.
+ * @param {number} fraction - -1 to 1
+ */
+export function divergingColor(fraction) {
+  const end = fraction < 0 ? 'var(--diverge-negative)' : 'var(--diverge-positive)';
+  return `color-mix(in oklab, var(--heat-empty), ${end} ${(Math.abs(fraction) * 100).toFixed(1)}%)`;
+}
@@ -0,0 +1,197 @@
+/**
+ * Aggregate progress statistics for locally stored sessions.
+ * Mirrors GET /api/sessions/user/:userId/stats so History can draw the
+ * same trend charts when the backend is unavailable.
+ */
+
+import { getQuote } from '../../shared/quotes/index.js';
+import { getSnippet, isImportedSnippetId } from '../../shared/code/index.js';
+import { DEFAULT_STRICT_MODE } from '../../shared/analytics/index.js';
+
+const CHARS_PER_WORD = 5;
+
+// Short label for a session's mode, e.g. "Time 60s", "Words 50",
+// "Lesson 20 words", "Quote #12 (Author)" or "Code #3 (Title)"
+export function formatSessionMode(mode, modeValue) {
+  if (mode === 'time') return `Time ${modeValue}s`;
+  if (mode === 'lesson') return `Lesson ${modeValue} words`;
+  if (mode === 'quote') {
+    const quote = getQuote(modeValue);
+    return quote ? `Quote #${modeValue} (${quote.author})` : `Quote #${modeValue}`;
+  }
+  if (mode === 'code') {
+    if (Number(modeValue) === 0 || isImportedSnippetId(modeValue)) return 'Code (imported)';
+    const snippet = getSnippet(modeValue);
+    return snippet ? `Code #${modeValue} (${snippet.title})` : `Code #${modeValue}`;
+  }
+  return `Words ${modeValue}`;
+}
+
+// Net WPM for a session, matching the backend's SQL expression
+export function getSessionWpm(session) {
+  if (session.productiveCPM !== undefined && session.productiveCPM !== null) {
+    return session.productiveCPM / CHARS_PER_WORD;
+  }
+  if (session.sessionDuration > 0) {
+    return (session.maxIndexReached || 0) * 60000 / session.sessionDuration / CHARS_PER_WORD;
+  }
+  return null;
+}
+
+/**
+ * Reduce a full session to the summary shape returned by the list API
+ * (no text, user input, events or char states).
+ */
+export function toSessionSummary(session) {
+  return {
+    sessionId: session.sessionId,
+    userId: session.userId,
+    mode: session.mode,
+    modeValue: session.modeValue,
+    wpm: getSessionWpm(session),
+    sessionDuration: session.sessionDuration,
+    accuracy: session.accuracy,
+    maxIndexReached: session.maxIndexReached,
+    mechanicalCPM: session.mechanicalCPM,
+    productiveCPM: session.productiveCPM,
+    wordSource: session.wordSource || null,
+    wordList: session.wordList || null,
+    validated: session.validated ?? null,
+    punctuation: !!session.punctuation,
+    numbers: !!session.numbers,
+    textSeed: session.textSeed ?? null,
+    strictMode: session.strictMode || DEFAULT_STRICT_MODE,
+    timestamp: session.timestamp
+  };
+}
+
+// Sort keys matching the backend's `sort` parameter
+const SORT_KEYS = {
+  timestamp: s => s.timestamp,
+  wpm: s => s.wpm ?? 0,
+  accuracy: s => s.accuracy ?? 0,
+  duration: s => s.sessionDuration ?? 0,
+  mechanicalCPM: s => s.mechanicalCPM ?? 0,
+  productiveCPM: s => s.productiveCPM ?? 0
+};
+
+const isSet = value => value !== null && value !== undefined && value !== '';
+
+/**
+ * Filter, sort and page session summaries the same way as
+ * GET /api/sessions/user/:userId. Local cursors are plain offsets.
+ */
+export function querySessions(summaries, query = {}) {
+  const {
+    sessionIds, mode, modeValue, from, to, wordSource, punctuation, numbers, strictMode,
+    minWpm, maxWpm, minAccuracy, maxAccuracy
+  } = query;
+  const idSet = isSet(sessionIds) ? new Set(String(sessionIds).split(',')) : null;
+  const sort = SORT_KEYS[query.sort] ? query.sort : 'timestamp';
+  const direction = query.order === 'asc' ? 1 : -1;
+  const getKey = SORT_KEYS[sort];
+
+  const filtered = summaries.filter(s => {
+    if (idSet && !idSet.has(s.sessionId)) return false;
+    if (isSet(mode) && s.mode !== mode) return false;
+    if (isSet(modeValue) && s.modeValue !== Number(modeValue)) return false;
+    if (isSet(from) && s.timestamp < from) return false;
+    if (isSet(to) && s.timestamp > to) return false;
+    if (isSet(wordSource) && s.wordSource !== wordSource) return false;
+    if (isSet(punctuation) && String(s.punctuation) !== String(punctuation)) return false;
+    if (isSet(numbers) && String(s.numbers) !== String(numbers)) return false;
+    if (isSet(strictMode) && (s.strictMode || DEFAULT_STRICT_MODE) !== strictMode) return false;
+    if (isSet(minWpm) && (s.wpm ?? 0) < Number(minWpm)) return false;
+    if (isSet(maxWpm) && (s.wpm ?? 0) > Number(maxWpm)) return false;
+    if (isSet(minAccuracy) && s.accuracy < Number(minAccuracy)) return false;
+    if (isSet(maxAccuracy) && s.accuracy > Number(maxAccuracy)) return false;
+    return true;
+  });
+
+  filtered.sort((a, b) => {
+    const keyA = getKey(a);
+    const keyB = getKey(b);
+    if (keyA < keyB) return -direction;
+    if (keyA > keyB) return direction;
+    return a.sessionId < b.sessionId ? -direction : direction;
+  });
+
+  const start = query.cursor ? parseInt(query.cursor, 10) : 0;
+  const end = query.limit ? start + Number(query.limit) : filtered.length;
+
+  return {
+    sessions: filtered.slice(start, end),
+    nextCursor: end < filtered.length ? String(end) : null
+  };
+}
+
+// Monday-based week of year, like SQLite's strftime('%W')
+function getWeekOfYear(date) {
+  const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const dayOfYear = Math.floor((date.getTime() - startOfYear) / 86400000);
+  const mondayBasedWeekday = (date.getUTCDay() + 6) % 7;
+  return Math.floor((dayOfYear + 7 - mondayBasedWeekday) / 7);
+}
+
+function getPeriodKey(timestamp, groupBy) {
+  const date = new Date(timestamp);
+  const year = date.getUTCFullYear();
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+
+  if (groupBy === 'month') return `${year}-${month}`;
+  if (groupBy === 'week') return `${year}-W${String(getWeekOfYear(date)).padStart(2, '0')}`;
+  return `${year}-${month}-${day}`;
+}
+
+function summarize(sessions) {
+  const wpms = sessions.map(getSessionWpm).filter(wpm => wpm !== null);
+  const accuracies = sessions.map(s => s.accuracy).filter(a => typeof a === 'number');
+
+  return {
+    sessionCount: sessions.length,
+    bestWpm: wpms.length > 0 ? Math.max(...wpms) : null,
+    avgWpm: wpms.length > 0 ? wpms.reduce((sum, w) => sum + w, 0) / wpms.length : null,
+    avgAccuracy: accuracies.length > 0 ? accuracies.reduce((sum, a) => sum + a, 0) / accuracies.length : null,
+    totalDuration: sessions.reduce((sum, s) => sum + (s.sessionDuration || 0), 0)
+  };
+}
+
+export function computeSessionStats(sessions, groupBy = 'day') {
+  const byPeriod = new Map();
+  const byMode = new Map();
+
+  sessions.forEach(session => {
+    const period = getPeriodKey(session.timestamp, groupBy);
+    if (!byPeriod.has(period)) byPeriod.set(period, []);
+    byPeriod.get(period).push(session);
+
+    const modeKey = `${session.mode}:${session.modeValue}`;
+    const wpm = getSessionWpm(session);
+    const best = byMode.get(modeKey);
+    if (wpm !== null && (!best || wpm > best.bestWpm)) {
+      byMode.set(modeKey, {
+        mode: session.mode,
+        modeValue: session.modeValue,
+        bestWpm: wpm,
+        accuracy: session.accuracy,
+        sessionId: session.sessionId,
+        timestamp: session.timestamp
+      });
+    }
+  });
+
+  const periods = Array.from(byPeriod.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([period, periodSessions]) => ({ period, ...summarize(periodSessions) }));
+
+  const personalBests = Array.from(byMode.values())
+    .sort((a, b) => a.mode.localeCompare(b.mode) || a.modeValue - b.modeValue);
+
+  return {
+    groupBy,
+    periods,
+    totals: summarize(sessions),
+    personalBests
+  };
+}
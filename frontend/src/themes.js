@@ -0,0 +1,71 @@
+/**
+ * Applying colour themes and data palettes (see shared/themes) to the page.
+ *
+ * Every theme colour becomes a CSS custom property named after its token
+ * (`surfaceAlt` -> `--surface-alt`), which the stylesheets use instead of
+ * fixed colours. `--overlay` is derived from the mode: translucent tints
+ * of it lighten panels on dark themes and darken them on light ones.
+ * Chart lines use the `--series-*` properties, which come from the theme's
+ * status colours unless a colour-blind-safe palette replaces them along
+ * with the heatmap colours.
+ */
+
+import { getPalette } from '../../shared/themes/index.js';
+
+function toCssProperty(key) {
+  return `--${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+// Chart series taken from the theme when no palette replaces them
+function getSeriesColors(colors) {
+  return {
+    seriesPrimary: colors.success,
+    seriesSecondary: colors.info,
+    seriesTertiary: colors.warning,
+    seriesError: colors.error
+  };
+}
+
+/**
+ * CSS custom properties for a theme, usable as a React `style` to preview
+ * the theme on part of the page.
+ * @param {import('../../shared/themes/index.js').Theme} theme
+ * @param {import('../../shared/themes/index.js').ColorPalette} [palette]
+ * @returns {Object<string, string>}
+ */
+export function themeToStyle(theme, palette = getPalette()) {
+  const colors = { ...theme.colors, ...getSeriesColors(theme.colors), ...palette.colors };
+  const style = Object.fromEntries(
+    Object.entries(colors).map(([key, value]) => [toCssProperty(key), value])
+  );
+  style['--overlay'] = theme.mode === 'light' ? '#000000' : '#ffffff';
+  style.colorScheme = theme.mode;
+  return style;
+}
+
+/**
+ * Make `theme` the page's theme, with heatmap and chart colours from
+ * `palette`.
+ * @param {import('../../shared/themes/index.js').Theme} theme
+ * @param {import('../../shared/themes/index.js').ColorPalette} [palette]
+ */
+export function applyTheme(theme, palette) {
+  const root = document.documentElement;
+  Object.entries(themeToStyle(theme, palette)).forEach(([property, value]) => {
+    if (property === 'colorScheme') {
+      root.style.colorScheme = value;
+    } else {
+      root.style.setProperty(property, value);
+    }
+  });
+  root.dataset.theme = theme.id;
+}
+
+/**
+ * Mark typed characters with underlines and strike-throughs as well as
+ * colour (see TextTrack.css).
+ * @param {boolean} enabled
+ */
+export function applyCharCues(enabled) {
+  document.documentElement.classList.toggle('char-cues', enabled);
+}
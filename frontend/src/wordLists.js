@@ -0,0 +1,89 @@
+/**
+ * Word lists for generated time and words tests: the bundled lists plus
+ * the user's own named lists and those teammates share (managed in
+ * Settings and stored by the backend's /api/wordlists).
+ *
+ * A list is chosen by its id in testConfig.wordSource and recorded with
+ * each session as `wordList`. Bundled ids are fixed; a custom list's id
+ * is `custom:<listId>`.
+ */
+
+import wordsData from './words.json';
+
+export const DEFAULT_WORD_LIST_ID = 'common1k';
+
+const CUSTOM_PREFIX = 'custom:';
+
+// Larger and non-English lists are only downloaded when chosen
+export const BUNDLED_WORD_LISTS = [
+  { id: 'common200', name: 'English 200', language: 'English', load: async () => wordsData.slice(0, 200) },
+  { id: 'common1k', name: 'English 1k', language: 'English', load: async () => wordsData },
+  {
+    id: 'common10k',
+    name: 'English 10k',
+    language: 'English',
+    load: async () => (await import('./wordlists/english10k.json')).default
+  },
+  {
+    id: 'spanish',
+    name: 'Spanish',
+    language: 'Spanish',
+    load: async () => (await import('./wordlists/spanish.json')).default
+  },
+  {
+    id: 'french',
+    name: 'French',
+    language: 'French',
+    load: async () => (await import('./wordlists/french.json')).default
+  },
+  {
+    id: 'german',
+    name: 'German',
+    language: 'German',
+    load: async () => (await import('./wordlists/german.json')).default
+  },
+  {
+    id: 'portuguese',
+    name: 'Portuguese',
+    language: 'Portuguese',
+    load: async () => (await import('./wordlists/portuguese.json')).default
+  }
+];
+
+// Languages of the bundled lists, in catalogue order
+export const BUNDLED_LANGUAGES = [...new Set(BUNDLED_WORD_LISTS.map(list => list.language))];
+
+export function getCustomWordListId(listId) {
+  return `${CUSTOM_PREFIX}${listId}`;
+}
+
+// The listId in a `custom:<listId>` id, or null
+function toListId(id) {
+  return id?.startsWith(CUSTOM_PREFIX) ? id.slice(CUSTOM_PREFIX.length) : null;
+}
+
+/**
+ * Display name for a word list id, e.g. "English 10k" or a custom list's
+ * name. Deleted custom lists show as "Deleted list".
+ */
+export function getWordListName(id, customLists = []) {
+  const bundled = BUNDLED_WORD_LISTS.find(list => list.id === id);
+  if (bundled) return bundled.name;
+  const listId = toListId(id);
+  if (listId) return customLists.find(list => list.listId === listId)?.name || 'Deleted list';
+  return id;
+}
+
+/**
+ * Words of the list with the given id, or null if it doesn't exist (for
+ * example a custom list that has since been deleted). Custom lists are
+ * fetched with `getCustomList(listId)`, which resolves to the list with
+ * its words or null.
+ */
+export async function loadWordList(id, getCustomList) {
+  const bundled = BUNDLED_WORD_LISTS.find(list => list.id === id);
+  if (bundled) return bundled.load();
+  const listId = toListId(id);
+  if (!listId) return null;
+  return (await getCustomList(listId))?.words || null;
+}
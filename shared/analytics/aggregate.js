@@ -0,0 +1,142 @@
+/**
+ * Pooled analysis over several sessions.
+ *
+ * Samples are collected per session and merged before averaging, so
+ * timings never span two sessions (the gap between the last key of one
+ * test and the first key of the next is not a flight time).
+ */
+
+import { createFingerLookup } from './fingers.js';
+import { getLayout } from './layouts.js';
+import {
+  averageGroups,
+  countSamples,
+  collectDwellTimes,
+  collectFlightTimes,
+  collectDigraphTimes,
+  collectShiftIntervals,
+  summarizeDigraphs,
+  summarizeShiftPenalty,
+  calculateDwellTimeByFinger,
+  calculateFlightTimeByFinger,
+  calculateErrorConfusionMatrix
+} from './metrics.js';
+import { collectCharacterSamples, summarizeSymbolPerformance } from './symbols.js';
+
+const CHARS_PER_WORD = 5;
+
+// Concatenate `{ name: number[] }` sample maps
+function mergeSamples(sampleMaps) {
+  const merged = {};
+  sampleMaps.forEach(samples => {
+    Object.entries(samples).forEach(([name, values]) => {
+      if (!merged[name]) {
+        merged[name] = [];
+      }
+      merged[name].push(...values);
+    });
+  });
+  return merged;
+}
+
+// Concatenate digraph sample maps, keeping the per-pair finger info
+function mergeDigraphs(digraphMaps) {
+  const merged = {};
+  digraphMaps.forEach(digraphs => {
+    Object.entries(digraphs).forEach(([pair, data]) => {
+      if (!merged[pair]) {
+        merged[pair] = { ...data, times: [] };
+      }
+      merged[pair].times.push(...data.times);
+    });
+  });
+  return merged;
+}
+
+/**
+ * Totals and averages across the sessions, weighted per session.
+ */
+export function calculateAggregateStatistics(sessions) {
+  const netWpms = sessions
+    .filter(session => typeof session.productiveCPM === 'number')
+    .map(session => session.productiveCPM / CHARS_PER_WORD);
+  const rawWpms = sessions
+    .filter(session => typeof session.mechanicalCPM === 'number')
+    .map(session => session.mechanicalCPM / CHARS_PER_WORD);
+  const accuracies = sessions
+    .filter(session => typeof session.accuracy === 'number')
+    .map(session => session.accuracy);
+  const timestamps = sessions.map(session => session.timestamp).filter(Boolean).sort();
+
+  const mean = values => values.length > 0
+    ? values.reduce((sum, v) => sum + v, 0) / values.length
+    : null;
+
+  return {
+    sessionCount: sessions.length,
+    totalDuration: sessions.reduce((sum, session) => sum + (session.sessionDuration || 0), 0),
+    totalKeystrokes: sessions.reduce(
+      (sum, session) => sum + session.events.filter(event => event.type === 'keydown').length,
+      0
+    ),
+    avgNetWPM: mean(netWpms),
+    bestNetWPM: netWpms.length > 0 ? Math.max(...netWpms) : null,
+    avgRawWPM: mean(rawWpms),
+    avgAccuracy: mean(accuracies),
+    firstTimestamp: timestamps[0] || null,
+    lastTimestamp: timestamps[timestamps.length - 1] || null
+  };
+}
+
+/**
+ * Run the poolable metrics over several sessions. Per-session time series
+ * (rhythm, WPM over time) don't pool and are returned as null.
+ * Throws if any session has no events array.
+ * @param {import('./metrics.js').SessionInput[]} sessions
+ * @param {{ layout?: import('./layouts.js').KeyboardLayout }} [options]
+ * @returns {import('./index.js').SessionAnalysis & { sessionCount: number }}
+ */
+export function analyzeSessions(sessions, { layout = getLayout() } = {}) {
+  if (!Array.isArray(sessions) || sessions.some(session => !session || !Array.isArray(session.events))) {
+    throw new Error('Invalid session data format: missing or invalid events array');
+  }
+
+  const getFinger = createFingerLookup(layout);
+
+  const dwellTimes = mergeSamples(sessions.map(session => collectDwellTimes(session.events)));
+  const flightTimes = mergeSamples(sessions.map(session => collectFlightTimes(session.events)));
+  const digraphTimes = mergeDigraphs(sessions.map(session =>
+    collectDigraphTimes(session.events, session.charStates, getFinger)
+  ));
+  const shiftIntervals = mergeSamples(sessions.map(session => collectShiftIntervals(session.events)));
+  const characterSamples = sessions.map(session => collectCharacterSamples(session.events));
+
+  const dwellTimeByKey = averageGroups(dwellTimes);
+  const flightTimeByKey = averageGroups(flightTimes);
+
+  // Char states are per position, so they pool by simple concatenation
+  const allCharStates = sessions.flatMap(session => session.charStates || []);
+
+  return {
+    sessionCount: sessions.length,
+    statistics: calculateAggregateStatistics(sessions),
+    dwellTimeByKey,
+    dwellSampleCounts: countSamples(dwellTimes),
+    dwellTimeByFinger: calculateDwellTimeByFinger(dwellTimeByKey, getFinger),
+    flightTimeByKey,
+    flightSampleCounts: countSamples(flightTimes),
+    flightTimeByFinger: calculateFlightTimeByFinger(flightTimeByKey, getFinger),
+    digraphLatency: summarizeDigraphs(digraphTimes),
+    errorConfusionMatrix: calculateErrorConfusionMatrix(allCharStates),
+    rhythmData: null,
+    shiftPenalty: summarizeShiftPenalty({
+      uppercase: shiftIntervals.uppercase || [],
+      lowercase: shiftIntervals.lowercase || []
+    }),
+    wpmOverTime: null,
+    symbolPerformance: summarizeSymbolPerformance({
+      latencies: mergeSamples(characterSamples.map(samples => samples.latencies)),
+      misses: mergeSamples(characterSamples.map(samples => samples.misses))
+    })
+  };
+}
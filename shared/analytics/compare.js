@@ -0,0 +1,97 @@
+/**
+ * Differences between two session analyses (as produced by analyzeSession).
+ * Every delta is `other - base`, so for timings a negative delta means the
+ * other session was faster.
+ */
+
+// Headline statistics worth comparing, by field name
+const COMPARED_STATISTICS = [
+  'netWPM',
+  'rawWPM',
+  'accuracy',
+  'productiveCPM',
+  'mechanicalCPM',
+  'sessionDuration',
+  'firstTimeErrorCount'
+];
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Per-field deltas between two statistics objects. Fields missing from
+ * either side are skipped.
+ * @returns {{ field: string, base: number, other: number, delta: number }[]}
+ */
+export function compareStatistics(baseStats, otherStats) {
+  return COMPARED_STATISTICS
+    .map(field => {
+      const base = toNumber(baseStats?.[field]);
+      const other = toNumber(otherStats?.[field]);
+      if (base === null || other === null) return null;
+      return { field, base, other, delta: other - base };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * `{ key: other - base }` for keys present in both per-key maps.
+ * @param {Object<string, number>} baseByKey
+ * @param {Object<string, number>} otherByKey
+ */
+export function diffByKey(baseByKey, otherByKey) {
+  const deltas = {};
+  Object.keys(baseByKey || {}).forEach(key => {
+    if (otherByKey && otherByKey[key] !== undefined) {
+      deltas[key] = otherByKey[key] - baseByKey[key];
+    }
+  });
+  return deltas;
+}
+
+/**
+ * Digraphs typed in both sessions with their latency change, split into
+ * the ones that got faster (biggest improvement first) and slower
+ * (biggest regression first).
+ */
+export function compareDigraphs(baseDigraphs, otherDigraphs) {
+  const basePairs = new Map((baseDigraphs || []).map(digraph => [digraph.pair, digraph]));
+
+  const changes = (otherDigraphs || [])
+    .filter(digraph => basePairs.has(digraph.pair))
+    .map(digraph => {
+      const base = basePairs.get(digraph.pair);
+      return {
+        pair: digraph.pair,
+        char1: digraph.char1,
+        char2: digraph.char2,
+        baseLatency: base.avgLatency,
+        otherLatency: digraph.avgLatency,
+        delta: digraph.avgLatency - base.avgLatency,
+        baseCount: base.count,
+        otherCount: digraph.count
+      };
+    });
+
+  return {
+    faster: changes.filter(change => change.delta < 0).sort((a, b) => a.delta - b.delta),
+    slower: changes.filter(change => change.delta > 0).sort((a, b) => b.delta - a.delta)
+  };
+}
+
+/**
+ * Compare two analyses: statistic deltas, per-key dwell and flight deltas,
+ * and digraph latency changes.
+ * @param {import('./index.js').SessionAnalysis} base
+ * @param {import('./index.js').SessionAnalysis} other
+ */
+export function compareAnalyses(base, other) {
+  return {
+    statistics: compareStatistics(base.statistics, other.statistics),
+    dwellDeltaByKey: diffByKey(base.dwellTimeByKey, other.dwellTimeByKey),
+    flightDeltaByKey: diffByKey(base.flightTimeByKey, other.flightTimeByKey),
+    digraphChanges: compareDigraphs(base.digraphLatency, other.digraphLatency)
+  };
+}
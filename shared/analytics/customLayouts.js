@@ -0,0 +1,168 @@
+/**
+ * User-defined keyboard layouts.
+ *
+ * A layout definition is the editable, JSON-friendly form used by the
+ * layout editor, for import/export and for storage:
+ *
+ *   { name, rows: [[{ code, char, shiftChar, finger }, ...], ...] }
+ *
+ * Each key is a physical key (`KeyboardEvent.code`) with the character it
+ * types and the finger that presses it, so split, ortholinear and
+ * custom-firmware boards can describe their own rows and finger habits.
+ */
+
+import { FINGER_CODES, createFingerLookup } from './fingers.js';
+import { getLayout } from './layouts.js';
+
+export const CUSTOM_LAYOUT_LIMITS = {
+  maxNameLength: 50,
+  maxRows: 10,
+  maxKeysPerRow: 30
+};
+
+const KEY_CODE_PATTERN = /^[A-Za-z][A-Za-z0-9]{0,31}$/;
+
+function isSingleCharacter(value) {
+  return typeof value === 'string' && Array.from(value).length <= 1;
+}
+
+/**
+ * Check a layout definition. Returns a list of problems; empty when valid.
+ * @param {Object} definition
+ * @returns {string[]}
+ */
+export function validateLayoutDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return ['Layout must be an object'];
+  }
+
+  const issues = [];
+  const { name, rows } = definition;
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    issues.push('Layout needs a name');
+  } else if (name.trim().length > CUSTOM_LAYOUT_LIMITS.maxNameLength) {
+    issues.push(`Name must be at most ${CUSTOM_LAYOUT_LIMITS.maxNameLength} characters`);
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    issues.push('Layout needs at least one row of keys');
+    return issues;
+  }
+  if (rows.length > CUSTOM_LAYOUT_LIMITS.maxRows) {
+    issues.push(`Layout can have at most ${CUSTOM_LAYOUT_LIMITS.maxRows} rows`);
+  }
+
+  const seenCodes = new Set();
+  rows.forEach((row, rowIndex) => {
+    if (!Array.isArray(row) || row.length === 0) {
+      issues.push(`Row ${rowIndex + 1} has no keys`);
+      return;
+    }
+    if (row.length > CUSTOM_LAYOUT_LIMITS.maxKeysPerRow) {
+      issues.push(`Row ${rowIndex + 1} has more than ${CUSTOM_LAYOUT_LIMITS.maxKeysPerRow} keys`);
+    }
+
+    row.forEach((key, keyIndex) => {
+      const where = `Row ${rowIndex + 1}, key ${keyIndex + 1}`;
+      if (!key || typeof key !== 'object') {
+        issues.push(`${where} is not a key`);
+        return;
+      }
+      if (typeof key.code !== 'string' || !KEY_CODE_PATTERN.test(key.code)) {
+        issues.push(`${where} has an invalid key code`);
+      } else if (seenCodes.has(key.code)) {
+        issues.push(`${where}: ${key.code} appears more than once`);
+      } else {
+        seenCodes.add(key.code);
+      }
+      if (key.char !== undefined && !isSingleCharacter(key.char)) {
+        issues.push(`${where} must type a single character`);
+      }
+      if (key.shiftChar !== undefined && !isSingleCharacter(key.shiftChar)) {
+        issues.push(`${where} must type a single shifted character`);
+      }
+      if (!FINGER_CODES.includes(key.finger)) {
+        issues.push(`${where} needs a finger (${FINGER_CODES.join(', ')})`);
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Keep only the fields a definition stores, trimming the name.
+ * Assumes the definition is valid.
+ */
+export function normalizeLayoutDefinition(definition) {
+  return {
+    name: definition.name.trim(),
+    rows: definition.rows.map(row => row.map(key => ({
+      code: key.code,
+      char: key.char || '',
+      shiftChar: key.shiftChar || '',
+      finger: key.finger
+    })))
+  };
+}
+
+/**
+ * Turn a stored definition into a KeyboardLayout that heatmaps and
+ * analysis can use. The definition's fingers replace the default map.
+ * @param {string} id
+ * @param {{ name: string, rows: Object[][] }} definition
+ * @returns {import('./layouts.js').KeyboardLayout}
+ */
+export function createCustomLayout(id, definition) {
+  const chars = {};
+  const shiftChars = {};
+  const fingers = Object.fromEntries(FINGER_CODES.map(finger => [finger, []]));
+
+  definition.rows.forEach(row => {
+    row.forEach(key => {
+      if (key.char) chars[key.code] = key.char;
+      if (key.shiftChar) shiftChars[key.code] = key.shiftChar;
+      fingers[key.finger].push(key.code);
+    });
+  });
+
+  return {
+    id,
+    name: definition.name,
+    rows: definition.rows.map(row => row.map(key => key.code)),
+    chars,
+    shiftChars,
+    fingers,
+    custom: true
+  };
+}
+
+/**
+ * Editable definition of an existing layout, as a starting point for a
+ * custom one.
+ * @param {import('./layouts.js').KeyboardLayout} layout
+ */
+export function toLayoutDefinition(layout) {
+  const getFinger = createFingerLookup(layout);
+  return {
+    name: layout.name,
+    rows: layout.rows.map(row => row.map(code => ({
+      code,
+      char: layout.chars[code] || '',
+      shiftChar: layout.shiftChars?.[code] || '',
+      finger: getFinger(code) || 'RI'
+    })))
+  };
+}
+
+/**
+ * Look up a layout id among a user's custom layouts, then the built-in
+ * ones (falling back to QWERTY).
+ * @param {string} [layoutId]
+ * @param {{ layoutId: string, name: string, rows: Object[][] }[]} [customLayouts]
+ */
+export function resolveLayout(layoutId, customLayouts = []) {
+  const custom = (customLayouts || []).find(layout => layout.layoutId === layoutId);
+  return custom ? createCustomLayout(custom.layoutId, custom) : getLayout(layoutId);
+}
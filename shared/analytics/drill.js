@@ -0,0 +1,130 @@
+/**
+ * Weakness drill: find the digraphs and keys a user struggles with across
+ * recent sessions and build practice text weighted toward words that
+ * contain them.
+ */
+
+export const DRILL_DEFAULTS = {
+  maxDigraphs: 6,
+  maxKeys: 4,
+  // Digraphs need this many samples before their latency is trusted
+  minDigraphSamples: 3,
+  // Characters need this many first-time errors to count as weak
+  minKeyErrors: 2,
+  // Share of drill words drawn from words containing a weakness
+  targetRatio: 0.7
+};
+
+const isWordChar = char => typeof char === 'string' && char.trim().length === 1;
+
+/**
+ * @typedef {Object} Weaknesses
+ * @property {{ pair: string, avgLatency: number, count: number, weight: number }[]} digraphs
+ * @property {{ char: string, errors: number, weight: number }[]} keys
+ */
+
+/**
+ * Pick the slowest digraphs and most-missed characters from an analysis
+ * (usually `analyzeSessions` over recent sessions). Only pairs inside a
+ * word count, since drill text is built from whole words. Weights are
+ * relative: a digraph's is its latency over the median, a key's its error
+ * count over the largest.
+ * @param {import('./index.js').SessionAnalysis} analysis
+ * @param {Partial<typeof DRILL_DEFAULTS>} [options]
+ * @returns {Weaknesses}
+ */
+export function findWeaknesses(analysis, options = {}) {
+  const { maxDigraphs, maxKeys, minDigraphSamples, minKeyErrors } = { ...DRILL_DEFAULTS, ...options };
+
+  const candidates = (analysis?.digraphLatency || []).filter(digraph =>
+    digraph.count >= minDigraphSamples && isWordChar(digraph.char1) && isWordChar(digraph.char2)
+  );
+  const latencies = candidates.map(digraph => digraph.avgLatency).sort((a, b) => a - b);
+  const medianLatency = latencies[Math.floor((latencies.length - 1) / 2)] || 1;
+
+  // digraphLatency is sorted slowest first
+  const digraphs = candidates
+    .filter(digraph => digraph.avgLatency > medianLatency)
+    .slice(0, maxDigraphs)
+    .map(digraph => ({
+      pair: digraph.pair,
+      avgLatency: digraph.avgLatency,
+      count: digraph.count,
+      weight: digraph.avgLatency / medianLatency
+    }));
+
+  const missed = (analysis?.errorConfusionMatrix || []).filter(entry =>
+    isWordChar(entry.expected) && entry.totalErrors >= minKeyErrors
+  );
+  const maxErrors = missed[0]?.totalErrors || 1;
+  const keys = missed.slice(0, maxKeys).map(entry => ({
+    char: entry.expected,
+    errors: entry.totalErrors,
+    weight: 1 + entry.totalErrors / maxErrors
+  }));
+
+  return { digraphs, keys };
+}
+
+/**
+ * How strongly a word exercises the weaknesses (0 when it has none)
+ * @param {string} word
+ * @param {Weaknesses} weaknesses
+ */
+export function scoreDrillWord(word, weaknesses) {
+  const lower = word.toLowerCase();
+  let score = 0;
+  weaknesses.digraphs.forEach(({ pair, weight }) => {
+    if (lower.includes(pair.toLowerCase())) score += weight;
+  });
+  weaknesses.keys.forEach(({ char, weight }) => {
+    if (lower.includes(char.toLowerCase())) score += weight;
+  });
+  return score;
+}
+
+/**
+ * Build drill text of `wordCount` words. Most words are drawn from the
+ * ones containing a weakness, weighted by `scoreDrillWord`; the rest are
+ * uniform so the text still reads like the word list. Falls back to plain
+ * random words when nothing in the list matches.
+ * @param {string[]} words - Word list to draw from
+ * @param {Weaknesses} weaknesses
+ * @param {number} wordCount
+ * @param {{ random?: () => number, targetRatio?: number }} [options]
+ * @returns {string}
+ */
+export function buildDrillText(words, weaknesses, wordCount, options = {}) {
+  const { random = Math.random, targetRatio = DRILL_DEFAULTS.targetRatio } = options;
+
+  const targets = [];
+  const cumulativeWeights = [];
+  let totalWeight = 0;
+  words.forEach(word => {
+    const score = scoreDrillWord(word, weaknesses);
+    if (score > 0) {
+      totalWeight += score;
+      targets.push(word);
+      cumulativeWeights.push(totalWeight);
+    }
+  });
+
+  const pickTarget = () => {
+    const threshold = random() * totalWeight;
+    let low = 0;
+    let high = cumulativeWeights.length - 1;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (cumulativeWeights[mid] > threshold) high = mid;
+      else low = mid + 1;
+    }
+    return targets[low];
+  };
+
+  const result = [];
+  for (let i = 0; i < wordCount; i++) {
+    const useTarget = targets.length > 0 && random() < targetRatio;
+    result.push(useTarget ? pickTarget() : words[Math.floor(random() * words.length)]);
+  }
+  return result.join(' ');
+}
@@ -0,0 +1,71 @@
+import { getLayout, createCodeLookup } from './layouts.js';
+
+/**
+ * Default touch-typing finger assignment by physical key
+ * (`KeyboardEvent.code`), so it holds for every layout. Finger codes are
+ * L/R + Pinky, Ring, Middle, Index, Thumb.
+ */
+export const DEFAULT_FINGER_MAP = {
+  LP: ['Backquote', 'Digit1', 'KeyQ', 'KeyA', 'KeyZ', 'IntlBackslash', 'Tab', 'CapsLock', 'ShiftLeft', 'ControlLeft'],
+  LR: ['Digit2', 'KeyW', 'KeyS', 'KeyX'],
+  LM: ['Digit3', 'KeyE', 'KeyD', 'KeyC'],
+  LI: ['Digit4', 'Digit5', 'KeyR', 'KeyT', 'KeyF', 'KeyG', 'KeyV', 'KeyB'],
+  LT: ['Space'],
+  RT: ['Space'],
+  RI: ['Digit6', 'Digit7', 'KeyY', 'KeyU', 'KeyH', 'KeyJ', 'KeyN', 'KeyM'],
+  RM: ['Digit8', 'KeyI', 'KeyK', 'Comma'],
+  RR: ['Digit9', 'KeyO', 'KeyL', 'Period'],
+  RP: [
+    'Digit0', 'Minus', 'Equal', 'KeyP', 'BracketLeft', 'BracketRight', 'Backslash',
+    'Semicolon', 'Quote', 'Slash', 'Enter', 'ShiftRight', 'ControlRight', 'Backspace'
+  ]
+};
+
+const FINGER_NAMES = {
+  LP: 'Left Pinky',
+  LR: 'Left Ring',
+  LM: 'Left Middle',
+  LI: 'Left Index',
+  LT: 'Left Thumb',
+  RT: 'Right Thumb',
+  RI: 'Right Index',
+  RM: 'Right Middle',
+  RR: 'Right Ring',
+  RP: 'Right Pinky'
+};
+
+/**
+ * Finger codes from left pinky to right pinky.
+ */
+export const FINGER_CODES = Object.keys(FINGER_NAMES);
+
+/**
+ * Human-readable name for a finger code, e.g. `LI` -> `Left Index`.
+ */
+export function getFingerName(fingerCode) {
+  return FINGER_NAMES[fingerCode] || fingerCode;
+}
+
+/**
+ * Build a `key -> finger code` lookup for a keyboard layout.
+ * Accepts key codes (`KeyA`) as well as characters, which are resolved to
+ * the key that types them on the layout, so character-based metrics such
+ * as digraphs and sessions recorded without `code` still get a finger.
+ * The maps are flattened once so each lookup is O(1).
+ * @param {import('./layouts.js').KeyboardLayout} [layout]
+ */
+export function createFingerLookup(layout = getLayout()) {
+  const fingerByCode = new Map();
+  Object.entries(layout.fingers || DEFAULT_FINGER_MAP).forEach(([finger, codes]) => {
+    codes.forEach(code => {
+      fingerByCode.set(code, finger);
+    });
+  });
+  const getCode = createCodeLookup(layout);
+
+  return (key) => {
+    if (fingerByCode.has(key)) return fingerByCode.get(key);
+    const code = getCode(key);
+    return code ? fingerByCode.get(code) || null : null;
+  };
+}
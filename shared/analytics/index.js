@@ -0,0 +1,102 @@
+/**
+ * Shared analytics core for Typr Omicron.
+ *
+ * Framework-free ES module imported by the frontend Analyzer and by the
+ * backend `/api/sessions/:sessionId/analysis` endpoint, so both report
+ * identical numbers for the same session.
+ */
+
+import { createFingerLookup } from './fingers.js';
+import { getLayout } from './layouts.js';
+import {
+  averageGroups,
+  countSamples,
+  countKeystrokes,
+  calculateStatistics,
+  collectDwellTimes,
+  calculateDwellTimeByFinger,
+  collectFlightTimes,
+  calculateFlightTimeByFinger,
+  calculateDigraphLatency,
+  calculateErrorConfusionMatrix,
+  calculateRhythmData,
+  calculateShiftPenalty,
+  calculateWpmOverTime
+} from './metrics.js';
+import { calculateSymbolPerformance } from './symbols.js';
+
+export * from './fingers.js';
+export * from './layouts.js';
+export * from './customLayouts.js';
+export * from './metrics.js';
+export * from './aggregate.js';
+export * from './compare.js';
+export * from './replay.js';
+export * from './drill.js';
+export * from './live.js';
+export * from './strictModes.js';
+export * from './symbols.js';
+
+/**
+ * @typedef {Object} SessionAnalysis
+ * @property {Object} statistics
+ * @property {Object<string, number>} dwellTimeByKey
+ * @property {Object<string, number>} dwellSampleCounts - Samples behind each dwellTimeByKey entry
+ * @property {Object<string, number>} dwellTimeByFinger
+ * @property {Object<string, number>} flightTimeByKey
+ * @property {Object<string, number>} flightSampleCounts - Samples behind each flightTimeByKey entry
+ * @property {Object<string, number>} flightTimeByFinger
+ * @property {Object[]} digraphLatency
+ * @property {Object[]|null} errorConfusionMatrix
+ * @property {Object[]|null} rhythmData
+ * @property {Object|null} shiftPenalty
+ * @property {Object|null} wpmOverTime
+ * @property {import('./symbols.js').SymbolPerformance|null} symbolPerformance
+ */
+
+/**
+ * Run every metric over one session.
+ * Throws if the session has no events array.
+ * Finger attribution uses `options.layout`, else the layout the session
+ * was recorded on, else QWERTY.
+ * @param {import('./metrics.js').SessionInput} session
+ * @param {{ layout?: import('./layouts.js').KeyboardLayout }} [options]
+ * @returns {SessionAnalysis}
+ */
+export function analyzeSession(session, { layout } = {}) {
+  if (!session || !Array.isArray(session.events)) {
+    throw new Error('Invalid session data format: missing or invalid events array');
+  }
+
+  const { events, charStates } = session;
+  const getFinger = createFingerLookup(layout || getLayout(session.keyboardLayout));
+
+  // Stored sessions lack the keystroke figures; rebuild them from the events
+  const keystrokes = countKeystrokes(events);
+  const statistics = calculateStatistics({
+    ...session,
+    totalKeystrokes: session.totalKeystrokes ?? keystrokes.totalKeystrokes,
+    firstTimeErrors: session.firstTimeErrors ?? keystrokes.firstTimeErrors
+  });
+
+  const dwellTimes = collectDwellTimes(events);
+  const flightTimes = collectFlightTimes(events);
+  const dwellTimeByKey = averageGroups(dwellTimes);
+  const flightTimeByKey = averageGroups(flightTimes);
+
+  return {
+    statistics,
+    dwellTimeByKey,
+    dwellSampleCounts: countSamples(dwellTimes),
+    dwellTimeByFinger: calculateDwellTimeByFinger(dwellTimeByKey, getFinger),
+    flightTimeByKey,
+    flightSampleCounts: countSamples(flightTimes),
+    flightTimeByFinger: calculateFlightTimeByFinger(flightTimeByKey, getFinger),
+    digraphLatency: calculateDigraphLatency(events, charStates, getFinger),
+    errorConfusionMatrix: calculateErrorConfusionMatrix(charStates),
+    rhythmData: calculateRhythmData(events, charStates),
+    shiftPenalty: calculateShiftPenalty(events),
+    wpmOverTime: calculateWpmOverTime(events, charStates),
+    symbolPerformance: calculateSymbolPerformance(events)
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Keyboard layout registry.
+ *
+ * Keystrokes are analysed by physical key (`KeyboardEvent.code`), which is
+ * the same on every layout. A layout says which character each physical
+ * key produces and how the keys are drawn; finger assignment follows the
+ * physical key (see fingers.js) unless a layout overrides it.
+ */
+
+// Character-producing keys, row by row. ISO boards have an extra key next
+// to left Shift and move Backslash next to Enter.
+const ANSI_CHARACTER_ROWS = [
+  ['Backquote', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'],
+  ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP', 'BracketLeft', 'BracketRight', 'Backslash'],
+  ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon', 'Quote'],
+  ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash']
+];
+
+const ISO_CHARACTER_ROWS = [
+  ANSI_CHARACTER_ROWS[0],
+  ANSI_CHARACTER_ROWS[1].slice(0, 12),
+  [...ANSI_CHARACTER_ROWS[2], 'Backslash'],
+  ['IntlBackslash', ...ANSI_CHARACTER_ROWS[3]]
+];
+
+/**
+ * Display labels for keys that do not produce a character.
+ */
+export const SPECIAL_KEY_LABELS = {
+  Backspace: '⌫',
+  Tab: '⇥',
+  CapsLock: '⇪',
+  Enter: '↵',
+  ShiftLeft: '⇧',
+  ShiftRight: '⇧',
+  ControlLeft: 'Ctrl',
+  ControlRight: 'Ctrl',
+  Space: ''
+};
+
+// Full keyboard rows for display, including modifiers
+function buildDisplayRows(characterRows) {
+  return [
+    [...characterRows[0], 'Backspace'],
+    ['Tab', ...characterRows[1]],
+    ['CapsLock', ...characterRows[2], 'Enter'],
+    ['ShiftLeft', ...characterRows[3], 'ShiftRight'],
+    ['ControlLeft', 'Space', 'ControlRight']
+  ];
+}
+
+/**
+ * Build a layout from per-row character strings.
+ * `rows` holds one `[unshifted, shifted]` pair per character row; each
+ * string has one character per key in that row.
+ * @param {string} id
+ * @param {string} name
+ * @param {string[][]} rows
+ * @param {{ iso?: boolean }} [options]
+ * @returns {KeyboardLayout}
+ */
+function defineLayout(id, name, rows, { iso = false } = {}) {
+  const characterRows = iso ? ISO_CHARACTER_ROWS : ANSI_CHARACTER_ROWS;
+  const chars = {};
+  const shiftChars = {};
+
+  characterRows.forEach((codes, rowIndex) => {
+    const [unshifted, shifted] = rows[rowIndex].map(row => Array.from(row));
+    if (unshifted.length !== codes.length || shifted.length !== codes.length) {
+      throw new Error(`Layout ${id}: row ${rowIndex} needs ${codes.length} characters`);
+    }
+    codes.forEach((code, index) => {
+      chars[code] = unshifted[index];
+      shiftChars[code] = shifted[index];
+    });
+  });
+
+  return { id, name, rows: buildDisplayRows(characterRows), chars, shiftChars };
+}
+
+/**
+ * @typedef {Object} KeyboardLayout
+ * @property {string} id
+ * @property {string} name
+ * @property {string[][]} rows - Physical key codes per display row
+ * @property {Object<string, string>} chars - Character per key code
+ * @property {Object<string, string>} shiftChars - Shifted character per key code
+ * @property {Object<string, string[]>} [fingers] - Finger map override (finger code -> key codes)
+ */
+
+/** @type {Object<string, KeyboardLayout>} */
+export const LAYOUTS = {
+  qwerty: defineLayout('qwerty', 'QWERTY (US)', [
+    ['`1234567890-=', '~!@#$%^&*()_+'],
+    ['qwertyuiop[]\\', 'QWERTYUIOP{}|'],
+    ['asdfghjkl;\'', 'ASDFGHJKL:"'],
+    ['zxcvbnm,./', 'ZXCVBNM<>?']
+  ]),
+  dvorak: defineLayout('dvorak', 'Dvorak', [
+    ['`1234567890[]', '~!@#$%^&*(){}'],
+    ['\',.pyfgcrl/=\\', '"<>PYFGCRL?+|'],
+    ['aoeuidhtns-', 'AOEUIDHTNS_'],
+    [';qjkxbmwvz', ':QJKXBMWVZ']
+  ]),
+  colemak: defineLayout('colemak', 'Colemak', [
+    ['`1234567890-=', '~!@#$%^&*()_+'],
+    ['qwfpgjluy;[]\\', 'QWFPGJLUY:{}|'],
+    ['arstdhneio\'', 'ARSTDHNEIO"'],
+    ['zxcvbkm,./', 'ZXCVBKM<>?']
+  ]),
+  workman: defineLayout('workman', 'Workman', [
+    ['`1234567890-=', '~!@#$%^&*()_+'],
+    ['qdrwbjfup;[]\\', 'QDRWBJFUP:{}|'],
+    ['ashtgyneoi\'', 'ASHTGYNEOI"'],
+    ['zxmcvkl,./', 'ZXMCVKL<>?']
+  ]),
+  azerty: defineLayout('azerty', 'AZERTY (French)', [
+    ['²&é"\'(-è_çà)=', '²1234567890°+'],
+    ['azertyuiop^$', 'AZERTYUIOP¨£'],
+    ['qsdfghjklmù*', 'QSDFGHJKLM%µ'],
+    ['<wxcvbn,;:!', '>WXCVBN?./§']
+  ], { iso: true }),
+  qwertz: defineLayout('qwertz', 'QWERTZ (German)', [
+    ['^1234567890ß´', '°!"§$%&/()=?`'],
+    ['qwertzuiopü+', 'QWERTZUIOPÜ*'],
+    ['asdfghjklöä#', 'ASDFGHJKLÖÄ\''],
+    ['<yxcvbnm,.-', '>YXCVBNM;:_']
+  ], { iso: true })
+};
+
+export const DEFAULT_LAYOUT_ID = 'qwerty';
+
+/**
+ * Look up a built-in layout by id, falling back to QWERTY.
+ * @param {string} [layoutId]
+ * @returns {KeyboardLayout}
+ */
+export function getLayout(layoutId) {
+  return LAYOUTS[layoutId] || LAYOUTS[DEFAULT_LAYOUT_ID];
+}
+
+/**
+ * Label to show for a key code on a layout, e.g. `KeyQ` -> `a` on AZERTY.
+ * Values that are not key codes (characters from older sessions) are
+ * returned as they are.
+ * @param {KeyboardLayout} layout
+ * @param {string} code
+ */
+export function getKeyLabel(layout, code) {
+  if (layout.chars[code] !== undefined) return layout.chars[code];
+  return code === ' ' ? 'Space' : code;
+}
+
+/**
+ * Build a `character -> key code` lookup for a layout. Shifted characters
+ * map to the same key as their unshifted character.
+ * @param {KeyboardLayout} layout
+ * @returns {(char: string) => string|null}
+ */
+export function createCodeLookup(layout) {
+  const lookup = new Map([[' ', 'Space']]);
+  Object.entries(layout.shiftChars || {}).forEach(([code, char]) => {
+    lookup.set(char, code);
+  });
+  // Unshifted characters win where a character appears on two keys
+  Object.entries(layout.chars).forEach(([code, char]) => {
+    lookup.set(char, code);
+  });
+  return (char) => lookup.get(char) || null;
+}
@@ -0,0 +1,75 @@
+/**
+ * Speed readouts while a test is in progress.
+ *
+ * The live WPM is rolling: it counts only the keydowns of the last few
+ * seconds, so it follows bursts and slowdowns instead of settling on the
+ * session average. The pace caret moves through the text at a steady
+ * target WPM from the first keystroke, the same origin the ghost racer uses.
+ */
+
+const CHARS_PER_WORD = 5;
+
+export const LIVE_SPEED_WINDOW_MS = 10000;
+
+// Shortest time the rolling speed is averaged over, so the first few
+// keystrokes don't read as hundreds of WPM
+const MIN_LIVE_SPEED_SPAN_MS = 2000;
+
+/**
+ * Where the pace caret takes its target speed from. Average and personal
+ * best come from the user's saved sessions.
+ */
+export const PACE_CARET_MODES = [
+  { id: 'off', label: 'Off' },
+  { id: 'fixed', label: 'Fixed' },
+  { id: 'average', label: 'Average' },
+  { id: 'best', label: 'Personal Best' }
+];
+
+export const PACE_WPM_LIMITS = {
+  min: 10,
+  max: 300
+};
+
+/**
+ * Rolling net and raw WPM over the keydowns recorded in the last
+ * `windowMs`. Net speed counts keys that matched the expected character,
+ * raw speed every printable key typed without Ctrl, Meta or Alt. Returns null before the first keydown.
+ * @param {Object[]} events - Keystroke events as TypingTest records them
+ * @param {number} now - Current time (ms since epoch)
+ * @param {number} [windowMs]
+ * @returns {{ wpm: number, rawWpm: number }|null}
+ */
+export function calculateLiveSpeed(events, now, windowMs = LIVE_SPEED_WINDOW_MS) {
+  const firstKeydown = events.find(event => event.type === 'keydown');
+  if (!firstKeydown) return null;
+
+  const windowStart = Math.max(firstKeydown.timestamp, now - windowMs);
+  const minutes = Math.max(now - windowStart, MIN_LIVE_SPEED_SPAN_MS) / 60000;
+
+  let typed = 0;
+  let correct = 0;
+  // Events are in time order, so stop at the first one before the window
+  for (let i = events.length - 1; i >= 0 && events[i].timestamp >= windowStart; i--) {
+    const { type, key, expectedChar, ctrlKey, metaKey, altKey } = events[i];
+    if (type !== 'keydown' || typeof key !== 'string' || key.length !== 1) continue;
+    if (ctrlKey || metaKey || altKey) continue;
+    typed++;
+    if (key === expectedChar) correct++;
+  }
+
+  return {
+    wpm: correct / CHARS_PER_WORD / minutes,
+    rawWpm: typed / CHARS_PER_WORD / minutes
+  };
+}
+
+/**
+ * Text position of the pace caret `elapsedMs` after the first keystroke.
+ * @param {number} targetWpm
+ * @param {number} elapsedMs
+ * @returns {number}
+ */
+export function getPaceIndex(targetWpm, elapsedMs) {
+  return Math.floor(targetWpm * CHARS_PER_WORD * Math.max(elapsedMs, 0) / 60000);
+}
@@ -0,0 +1,632 @@
+/**
+ * Keystroke metrics computed from a recorded typing session.
+ *
+ * Every function here is pure and framework-free so the same code runs in
+ * the Analyzer (browser) and in the backend analysis endpoint (Node).
+ */
+
+import { getFingerName } from './fingers.js';
+
+const CHARS_PER_WORD = 5; // Standard assumption for WPM calculation
+
+/**
+ * @typedef {Object} KeystrokeEvent
+ * @property {'keydown'|'keyup'} type
+ * @property {string} key - KeyboardEvent.key
+ * @property {string} [code] - KeyboardEvent.code
+ * @property {number} timestamp - Epoch milliseconds
+ * @property {number} [relativeTime] - Milliseconds since session start
+ * @property {number} currentIndex - Caret position when the event fired
+ * @property {string} expectedChar - Character expected at currentIndex
+ */
+
+/**
+ * @typedef {Object} CharState
+ * @property {string} char - Expected character
+ * @property {string|null} userBuffer - Last character typed at this position
+ * @property {'pending'|'correct'|'incorrect'|'corrected'} status
+ */
+
+/**
+ * @typedef {Object} SessionInput
+ * @property {KeystrokeEvent[]} events
+ * @property {CharState[]} [charStates]
+ * @property {string} [text]
+ * @property {string} [userInput]
+ * @property {number} sessionDuration - Milliseconds
+ * @property {number} [accuracy]
+ * @property {number} [mechanicalCPM]
+ * @property {number} [productiveCPM]
+ * @property {number} [totalKeystrokes]
+ * @property {number} [maxIndexReached]
+ * @property {number[]} [firstTimeErrors]
+ * @property {string} [keyboardLayout] - Layout id the session was typed on
+ */
+
+/**
+ * @callback FingerLookup
+ * @param {string} key - Key code or character
+ * @returns {string|null} Finger code such as `LI`
+ */
+
+// Per-key metrics are keyed by physical key; sessions recorded without
+// `code` fall back to the character
+function getKeyId(event) {
+  return event.code || event.key;
+}
+
+function average(values) {
+  return values.reduce((sum, t) => sum + t, 0) / values.length;
+}
+
+/**
+ * Average each list in a `{ name: number[] }` sample map.
+ */
+export function averageGroups(groups) {
+  const averages = {};
+  Object.keys(groups).forEach(name => {
+    averages[name] = average(groups[name]);
+  });
+  return averages;
+}
+
+/**
+ * Number of samples behind each entry of a `{ name: number[] }` sample map.
+ */
+export function countSamples(groups) {
+  const counts = {};
+  Object.keys(groups).forEach(name => {
+    counts[name] = groups[name].length;
+  });
+  return counts;
+}
+
+// Re-group per-key averages by finger and average them again
+function groupByFinger(valuesByKey, getFinger) {
+  const byFinger = {};
+  Object.keys(valuesByKey).forEach(key => {
+    const finger = getFinger(key);
+    if (finger) {
+      if (!byFinger[finger]) {
+        byFinger[finger] = [];
+      }
+      byFinger[finger].push(valuesByKey[key]);
+    }
+  });
+  return averageGroups(byFinger);
+}
+
+/**
+ * Keystroke count and first-attempt error positions rebuilt from keydowns,
+ * with the rules TypingTest uses: an effective Backspace or a printable key
+ * typed without Ctrl, Meta or Alt is a keystroke, and a position is an error
+ * if the first key typed there was wrong. Sessions loaded from the backend
+ * don't store these figures.
+ * @param {KeystrokeEvent[]} events
+ * @returns {{ totalKeystrokes: number, firstTimeErrors: number[] }}
+ */
+export function countKeystrokes(events) {
+  let totalKeystrokes = 0;
+  const attempted = new Set();
+  const firstTimeErrors = [];
+
+  events.forEach(event => {
+    if (event.type !== 'keydown' || typeof event.key !== 'string') return;
+
+    if (event.key === 'Backspace') {
+      if (event.currentIndex > 0) totalKeystrokes++;
+      return;
+    }
+    if (event.key.length !== 1 || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    totalKeystrokes++;
+    if (!attempted.has(event.currentIndex)) {
+      attempted.add(event.currentIndex);
+      if (event.key !== event.expectedChar) firstTimeErrors.push(event.currentIndex);
+    }
+  });
+
+  return { totalKeystrokes, firstTimeErrors };
+}
+
+/**
+ * Headline statistics. Sessions recorded with mechanical/productive CPM use
+ * them directly; older files are recomputed from their raw text.
+ * @param {SessionInput} data
+ */
+export function calculateStatistics(data) {
+  const { sessionDuration, text, userInput, productiveKeystrokes, errorPositions,
+          mechanicalCPM, productiveCPM, totalKeystrokes, maxIndexReached, firstTimeErrors } = data;
+
+  // New format: use mechanicalCPM and productiveCPM directly if available
+  if (mechanicalCPM !== undefined && productiveCPM !== undefined) {
+    const accuracy = data.accuracy || 100;
+
+    // Calculate WPM from CPM (standard: 5 characters per word)
+    const netWPM = (productiveCPM / CHARS_PER_WORD).toFixed(2);
+    const rawWPM = (mechanicalCPM / CHARS_PER_WORD).toFixed(2);
+
+    return {
+      sessionDuration,
+      mechanicalCPM: mechanicalCPM.toFixed(2),
+      productiveCPM: productiveCPM.toFixed(2),
+      netWPM,
+      rawWPM,
+      accuracy: accuracy.toFixed(2),
+      totalKeystrokes: totalKeystrokes || 0,
+      maxIndexReached: maxIndexReached || 0,
+      firstTimeErrorCount: firstTimeErrors ? firstTimeErrors.length : 0,
+    };
+  }
+
+  // Old format - calculate from raw data
+  // Use productive keystrokes if available, otherwise fall back to userInput length
+  const effectiveKeystrokes = productiveKeystrokes !== undefined
+    ? productiveKeystrokes
+    : userInput.length;
+
+  // Count characters typed (excluding spaces) from productive keystrokes
+  const charsNoSpaces = userInput.replace(/ /g, '').length;
+
+  // Calculate CPM (characters per minute, based on productive keystrokes)
+  const minutes = sessionDuration / 60000;
+  const cpm = minutes > 0 ? (effectiveKeystrokes / minutes).toFixed(2) : 0;
+
+  // Calculate WPM (words per minute, based on productive keystrokes)
+  const wpm = minutes > 0 ? (effectiveKeystrokes / CHARS_PER_WORD / minutes).toFixed(2) : 0;
+
+  // Calculate accuracy using error positions if available
+  let correct = 0;
+  const minLength = Math.min(userInput.length, text.length);
+  const errPositionsSet = errorPositions ? new Set(errorPositions) : new Set();
+
+  for (let i = 0; i < minLength; i++) {
+    // Character is correct only if it matches AND was never an error
+    if (userInput[i] === text[i] && !errPositionsSet.has(i)) {
+      correct++;
+    }
+  }
+  const accuracy = userInput.length > 0 ? ((correct / userInput.length) * 100).toFixed(2) : 100;
+
+  return {
+    cpm,
+    wpm,
+    accuracy,
+    totalChars: userInput.length,
+    charsNoSpaces,
+    productiveKeystrokes: effectiveKeystrokes,
+    sessionDuration: (sessionDuration / 1000).toFixed(2)
+  };
+}
+
+/**
+ * Raw keydown-to-keyup samples per physical key.
+ * @param {KeystrokeEvent[]} events
+ * @returns {Object<string, number[]>}
+ */
+export function collectDwellTimes(events) {
+  const dwellTimes = {};
+  const keyDownMap = new Map();
+
+  events.forEach(event => {
+    const keyId = getKeyId(event);
+    if (event.type === 'keydown') {
+      keyDownMap.set(keyId, event.timestamp);
+    } else if (event.type === 'keyup') {
+      const downTime = keyDownMap.get(keyId);
+      if (downTime !== undefined) {
+        const dwellTime = event.timestamp - downTime;
+        if (!dwellTimes[keyId]) {
+          dwellTimes[keyId] = [];
+        }
+        dwellTimes[keyId].push(dwellTime);
+        keyDownMap.delete(keyId);
+      }
+    }
+  });
+
+  return dwellTimes;
+}
+
+/**
+ * Average keydown-to-keyup time per physical key.
+ * @param {KeystrokeEvent[]} events
+ * @returns {Object<string, number>}
+ */
+export function calculateDwellTimeByKey(events) {
+  return averageGroups(collectDwellTimes(events));
+}
+
+/**
+ * Average dwell time per finger.
+ * @param {Object<string, number>} dwellByKey
+ * @param {FingerLookup} getFinger
+ */
+export function calculateDwellTimeByFinger(dwellByKey, getFinger) {
+  return groupByFinger(dwellByKey, getFinger);
+}
+
+/**
+ * Raw keyup-to-next-keydown samples, keyed by the physical key being pressed.
+ * @param {KeystrokeEvent[]} events
+ * @returns {Object<string, number[]>}
+ */
+export function collectFlightTimes(events) {
+  const flightTimes = {};
+  let lastKeyUpTime = null;
+  let lastKey = null;
+
+  events.forEach(event => {
+    if (event.type === 'keydown') {
+      if (lastKeyUpTime !== null && lastKey !== null) {
+        const flightTime = event.timestamp - lastKeyUpTime;
+
+        // Store by target key for aggregation
+        const keyId = getKeyId(event);
+        if (!flightTimes[keyId]) {
+          flightTimes[keyId] = [];
+        }
+        flightTimes[keyId].push(flightTime);
+      }
+    } else if (event.type === 'keyup') {
+      lastKeyUpTime = event.timestamp;
+      lastKey = getKeyId(event);
+    }
+  });
+
+  return flightTimes;
+}
+
+/**
+ * Average keyup-to-next-keydown time, keyed by the physical key being pressed.
+ * @param {KeystrokeEvent[]} events
+ * @returns {Object<string, number>}
+ */
+export function calculateFlightTimeByKey(events) {
+  return averageGroups(collectFlightTimes(events));
+}
+
+/**
+ * Average flight time per finger.
+ * @param {Object<string, number>} flightByKey
+ * @param {FingerLookup} getFinger
+ */
+export function calculateFlightTimeByFinger(flightByKey, getFinger) {
+  return groupByFinger(flightByKey, getFinger);
+}
+
+/**
+ * Raw flight-time samples between consecutive expected characters, per
+ * character pair: `{ pair: { times, char1, char2, fromFinger, toFinger } }`.
+ * @param {KeystrokeEvent[]} events
+ * @param {CharState[]} charStates
+ * @param {FingerLookup} getFinger
+ */
+export function collectDigraphTimes(events, charStates, getFinger) {
+  const digraphTimes = {};
+  let lastKeyUpTime = null;
+  let lastChar = null;
+
+  events.forEach(event => {
+    if (event.type === 'keydown') {
+      const currentChar = event.expectedChar;
+      const currentIndex = event.currentIndex;
+
+      // Check if this is a valid character (not backspace or modifier) and in charStates
+      const isValidChar = currentChar && currentChar.length === 1 &&
+                         charStates &&
+                         currentIndex !== undefined &&
+                         currentIndex >= 0 &&
+                         currentIndex < charStates.length &&
+                         charStates[currentIndex];
+
+      if (lastKeyUpTime !== null && lastChar !== null && isValidChar) {
+        // Skip if previous char was backspace
+        if (lastChar !== 'Backspace' && lastChar.length === 1) {
+          const flightTime = event.timestamp - lastKeyUpTime;
+          const pair = `${lastChar}${currentChar}`;
+
+          if (!digraphTimes[pair]) {
+            digraphTimes[pair] = {
+              times: [],
+              char1: lastChar,
+              char2: currentChar,
+              fromFinger: getFinger(lastChar),
+              toFinger: getFinger(currentChar)
+            };
+          }
+          digraphTimes[pair].times.push(flightTime);
+        }
+      }
+
+      // Don't update lastChar for backspace or modifiers
+      if (isValidChar) {
+        lastChar = currentChar;
+      }
+    } else if (event.type === 'keyup') {
+      // Only update lastKeyUpTime for valid characters
+      if (event.key && event.key.length === 1 && event.key !== 'Backspace') {
+        lastKeyUpTime = event.timestamp;
+      }
+    }
+  });
+
+  return digraphTimes;
+}
+
+/**
+ * Average each digraph's samples, sorted slowest first.
+ * @param {Object<string, Object>} digraphTimes - From collectDigraphTimes
+ */
+export function summarizeDigraphs(digraphTimes) {
+  const digraphAverages = Object.entries(digraphTimes).map(([pair, data]) => {
+    const sameFinger = data.fromFinger === data.toFinger && data.fromFinger !== null;
+
+    return {
+      pair,
+      char1: data.char1,
+      char2: data.char2,
+      avgLatency: average(data.times),
+      count: data.times.length,
+      fromFinger: data.fromFinger,
+      toFinger: data.toFinger,
+      sameFinger,
+      fingerChange: data.fromFinger && data.toFinger
+        ? `${getFingerName(data.fromFinger)} → ${getFingerName(data.toFinger)}`
+        : 'Unknown'
+    };
+  });
+
+  // Sort by average latency (slowest first)
+  return digraphAverages.sort((a, b) => b.avgLatency - a.avgLatency);
+}
+
+/**
+ * Flight time between consecutive expected characters, per character pair,
+ * sorted slowest first.
+ * @param {KeystrokeEvent[]} events
+ * @param {CharState[]} charStates
+ * @param {FingerLookup} getFinger
+ */
+export function calculateDigraphLatency(events, charStates, getFinger) {
+  return summarizeDigraphs(collectDigraphTimes(events, charStates, getFinger));
+}
+
+/**
+ * Which characters were typed in place of which, for positions left
+ * incorrect. Returns null when there were no such errors.
+ * @param {CharState[]} charStates
+ */
+export function calculateErrorConfusionMatrix(charStates) {
+  if (!charStates || !Array.isArray(charStates)) {
+    return null;
+  }
+
+  const confusionMap = {};
+
+  charStates.forEach(charState => {
+    if (charState.status === 'incorrect') {
+      const expected = charState.char;
+      const actual = charState.userBuffer;
+
+      if (expected && actual && expected !== actual) {
+        if (!confusionMap[expected]) {
+          confusionMap[expected] = {};
+        }
+        if (!confusionMap[expected][actual]) {
+          confusionMap[expected][actual] = 0;
+        }
+        confusionMap[expected][actual]++;
+      }
+    }
+  });
+
+  // Convert to sorted array for display
+  const confusionData = Object.entries(confusionMap).map(([expected, actualMap]) => {
+    const actualChars = Object.entries(actualMap)
+      .map(([actual, count]) => ({ actual, count }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      expected,
+      actualChars,
+      totalErrors: actualChars.reduce((sum, item) => sum + item.count, 0)
+    };
+  }).sort((a, b) => b.totalErrors - a.totalErrors);
+
+  return confusionData.length > 0 ? confusionData : null;
+}
+
+/**
+ * Keydown-to-keydown intervals between correct keystrokes, for the
+ * rhythm seismograph.
+ * @param {KeystrokeEvent[]} events
+ * @param {CharState[]} charStates
+ */
+export function calculateRhythmData(events, charStates) {
+  if (!events || !charStates) {
+    return null;
+  }
+
+  const intervals = [];
+  let lastKeydownTime = null;
+  let sessionStartTime = null;
+
+  events.forEach(event => {
+    if (event.type === 'keydown') {
+      const currentIndex = event.currentIndex;
+
+      // Validate currentIndex is within bounds
+      if (currentIndex !== undefined && currentIndex >= 0 && currentIndex < charStates.length) {
+        const charState = charStates[currentIndex];
+
+        // Only include correct keystrokes for rhythm analysis
+        if (charState && charState.status === 'correct' && event.key && event.key.length === 1) {
+          if (sessionStartTime === null) {
+            sessionStartTime = event.timestamp;
+          }
+
+          if (lastKeydownTime !== null) {
+            intervals.push({
+              sessionTime: event.timestamp - sessionStartTime,
+              interval: event.timestamp - lastKeydownTime,
+              char: event.expectedChar
+            });
+          }
+
+          lastKeydownTime = event.timestamp;
+        }
+      }
+    }
+  });
+
+  return intervals.length > 0 ? intervals : null;
+}
+
+/**
+ * Raw keydown intervals before uppercase and lowercase letters.
+ * @param {KeystrokeEvent[]} events
+ * @returns {{ uppercase: number[], lowercase: number[] }}
+ */
+export function collectShiftIntervals(events) {
+  const uppercaseIntervals = [];
+  const lowercaseIntervals = [];
+  let lastKeydownTime = null;
+
+  events.forEach(event => {
+    if (event.type === 'keydown') {
+      // Only analyze alphabetic characters
+      if (event.key && event.key.length === 1 && /[a-zA-Z]/.test(event.key)) {
+        if (lastKeydownTime !== null) {
+          const interval = event.timestamp - lastKeydownTime;
+
+          // Determine if this is uppercase or lowercase
+          if (event.key === event.key.toUpperCase() && event.key !== event.key.toLowerCase()) {
+            uppercaseIntervals.push(interval);
+          } else if (event.key === event.key.toLowerCase()) {
+            lowercaseIntervals.push(interval);
+          }
+        }
+
+        lastKeydownTime = event.timestamp;
+      }
+    }
+  });
+
+  return { uppercase: uppercaseIntervals, lowercase: lowercaseIntervals };
+}
+
+/**
+ * Capitalisation cost from collected intervals; null without samples.
+ * @param {{ uppercase: number[], lowercase: number[] }} intervals
+ */
+export function summarizeShiftPenalty({ uppercase: uppercaseIntervals, lowercase: lowercaseIntervals }) {
+  if (uppercaseIntervals.length === 0 && lowercaseIntervals.length === 0) {
+    return null;
+  }
+
+  const avgUppercase = uppercaseIntervals.length > 0 ? average(uppercaseIntervals) : 0;
+  const avgLowercase = lowercaseIntervals.length > 0 ? average(lowercaseIntervals) : 0;
+
+  const penalty = avgUppercase - avgLowercase;
+  const percentSlower = avgLowercase > 0 ? ((penalty / avgLowercase) * 100) : 0;
+
+  return {
+    avgUppercase,
+    avgLowercase,
+    penalty,
+    percentSlower,
+    uppercaseCount: uppercaseIntervals.length,
+    lowercaseCount: lowercaseIntervals.length
+  };
+}
+
+/**
+ * Capitalisation cost: average interval before uppercase vs lowercase letters.
+ * @param {KeystrokeEvent[]} events
+ */
+export function calculateShiftPenalty(events) {
+  if (!events) {
+    return null;
+  }
+  return summarizeShiftPenalty(collectShiftIntervals(events));
+}
+
+/**
+ * Smoothed WPM per second with error and backspace markers.
+ * @param {KeystrokeEvent[]} events
+ * @param {CharState[]} charStates
+ */
+export function calculateWpmOverTime(events, charStates) {
+  if (!events || !charStates) {
+    return null;
+  }
+
+  const BUCKET_SIZE_MS = 1000; // 1-second buckets
+  const SMOOTHING_WINDOW = 2; // 2-second moving average
+
+  const keydowns = events.filter(e => e.type === 'keydown');
+  if (keydowns.length === 0) return null;
+
+  const sessionStartTime = keydowns[0].timestamp;
+  const sessionDuration = keydowns[keydowns.length - 1].timestamp - sessionStartTime;
+
+  // Create buckets
+  const numBuckets = Math.ceil(sessionDuration / BUCKET_SIZE_MS) + 1;
+  const buckets = Array.from({ length: numBuckets }, () => ({
+    charsTyped: 0,
+    errors: [],
+    backspaces: []
+  }));
+
+  // Collect errors and backspaces with their timestamps
+  const errorMarkers = [];
+  const backspaceMarkers = [];
+
+  keydowns.forEach(event => {
+    const bucketIndex = Math.floor((event.timestamp - sessionStartTime) / BUCKET_SIZE_MS);
+    if (bucketIndex < 0 || bucketIndex >= buckets.length) return;
+
+    if (event.key === 'Backspace') {
+      backspaceMarkers.push({
+        timestamp: event.timestamp,
+        relativeTime: (event.timestamp - sessionStartTime) / 1000
+      });
+      buckets[bucketIndex].backspaces.push(event.timestamp);
+    } else if (event.key && event.key.length === 1) {
+      buckets[bucketIndex].charsTyped++;
+
+      // This is an error if the key doesn't match the expected character
+      const expectedChar = event.expectedChar;
+      if (expectedChar && event.key !== expectedChar) {
+        errorMarkers.push({
+          timestamp: event.timestamp,
+          relativeTime: (event.timestamp - sessionStartTime) / 1000,
+          expected: expectedChar,
+          actual: event.key
+        });
+        buckets[bucketIndex].errors.push(event.timestamp);
+      }
+    }
+  });
+
+  // Instant WPM for each bucket (bucket index represents seconds)
+  const instantWpm = buckets.map((bucket, idx) => ({
+    time: idx,
+    wpm: (bucket.charsTyped / CHARS_PER_WORD) * 60
+  }));
+
+  // Apply smoothing (simple moving average)
+  const smoothedWpm = instantWpm.map((point, idx) => {
+    const startIdx = Math.max(0, idx - SMOOTHING_WINDOW);
+    const endIdx = Math.min(instantWpm.length, idx + SMOOTHING_WINDOW + 1);
+    const window = instantWpm.slice(startIdx, endIdx);
+    return { time: point.time, wpm: average(window.map(p => p.wpm)) };
+  });
+
+  return {
+    wpmData: smoothedWpm,
+    errorMarkers,
+    backspaceMarkers
+  };
+}
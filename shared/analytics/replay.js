@@ -0,0 +1,116 @@
+/**
+ * Keystroke-accurate reconstruction of a session at any point in time.
+ *
+ * Keydowns are re-applied with the same rules TypingTest uses (Backspace
+ * moves back one character, printable keys fill the current position), so
+ * the reconstructed text track matches what the typist saw. Code mode's
+ * auto-indent jumps over leading whitespace; those jumps are read from the
+ * caret position each keydown recorded and shown as skipped. In
+ * stop-on-letter mode a wrong key marks the character but leaves the caret
+ * where it is (see strictModes.js).
+ * Times are milliseconds since the first keydown, the same origin
+ * calculateWpmOverTime uses for its buckets.
+ */
+
+const CHARS_PER_WORD = 5;
+
+// Keys held with Ctrl, Meta or Alt don't type, as in TypingTest
+function isPrintableKey(event) {
+  return typeof event.key === 'string' && event.key.length === 1 &&
+    !event.ctrlKey && !event.metaKey && !event.altKey;
+}
+
+/**
+ * @typedef {Object} ReplayState
+ * @property {number} time - Milliseconds since the first keydown
+ * @property {number} currentIndex - Caret position
+ * @property {(string|null)[]} userInput - Character typed at each position
+ * @property {string[]} statuses - pending | correct | incorrect | corrected | skipped per position
+ * @property {number} maxIndexReached
+ * @property {number} firstTimeErrors
+ * @property {number} keystrokes - Printable keys and effective backspaces
+ * @property {number} wpm - Net WPM so far
+ * @property {number} rawWpm - WPM over all keystrokes so far
+ * @property {number} accuracy - First-attempt accuracy so far (%)
+ */
+
+/**
+ * Prepare a session for replay.
+ * Returns `{ duration, keydownTimes, stateAt(time) }`; `stateAt` rebuilds
+ * the text track from scratch, which is cheap enough to call every frame.
+ * @param {{ text: string, events: Object[], strictMode?: string }} session
+ */
+export function createReplay(session) {
+  const text = session.text || '';
+  const stopOnLetter = session.strictMode === 'stop-letter';
+  const keydowns = (session.events || []).filter(event => event.type === 'keydown');
+  const startTime = keydowns.length > 0 ? keydowns[0].timestamp : 0;
+  const keydownTimes = keydowns.map(event => event.timestamp - startTime);
+  const duration = keydownTimes.length > 0 ? keydownTimes[keydownTimes.length - 1] : 0;
+
+  /**
+   * @param {number} time
+   * @returns {ReplayState}
+   */
+  const stateAt = (time) => {
+    const userInput = new Array(text.length).fill(null);
+    const statuses = new Array(text.length).fill('pending');
+    let currentIndex = 0;
+    let maxIndexReached = 0;
+    let firstTimeErrors = 0;
+    let keystrokes = 0;
+
+    for (let i = 0; i < keydowns.length && keydownTimes[i] <= time; i++) {
+      const { key } = keydowns[i];
+
+      // Catch up with an auto-indent jump
+      const recordedIndex = keydowns[i].currentIndex;
+      if (Number.isInteger(recordedIndex) && recordedIndex > currentIndex && recordedIndex <= text.length) {
+        for (let skipped = currentIndex; skipped < recordedIndex; skipped++) {
+          if (statuses[skipped] === 'pending') statuses[skipped] = 'skipped';
+        }
+        currentIndex = recordedIndex;
+      }
+
+      if (key === 'Backspace') {
+        if (currentIndex > 0) {
+          currentIndex--;
+          while (currentIndex > 0 && statuses[currentIndex] === 'skipped') currentIndex--;
+          keystrokes++;
+        }
+      } else if (isPrintableKey(keydowns[i]) && currentIndex < text.length) {
+        keystrokes++;
+        const isCorrect = key === text[currentIndex];
+
+        if (userInput[currentIndex] === null) {
+          statuses[currentIndex] = isCorrect ? 'correct' : 'incorrect';
+          if (!isCorrect) firstTimeErrors++;
+          maxIndexReached = Math.max(maxIndexReached, currentIndex + 1);
+        } else {
+          statuses[currentIndex] = isCorrect ? 'corrected' : 'incorrect';
+        }
+
+        userInput[currentIndex] = key;
+        if (isCorrect || !stopOnLetter) currentIndex++;
+      }
+    }
+
+    const elapsed = Math.min(Math.max(time, 0), duration);
+    const minutes = elapsed / 60000;
+
+    return {
+      time: elapsed,
+      currentIndex,
+      userInput,
+      statuses,
+      maxIndexReached,
+      firstTimeErrors,
+      keystrokes,
+      wpm: minutes > 0 ? maxIndexReached / CHARS_PER_WORD / minutes : 0,
+      rawWpm: minutes > 0 ? keystrokes / CHARS_PER_WORD / minutes : 0,
+      accuracy: maxIndexReached > 0 ? ((maxIndexReached - firstTimeErrors) / maxIndexReached) * 100 : 100
+    };
+  };
+
+  return { duration, keydownTimes, stateAt };
+}
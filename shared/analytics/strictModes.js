@@ -0,0 +1,83 @@
+/**
+ * Strict typing modes: how mistakes are handled during a test.
+ *
+ * The mode is recorded with each session, since it changes what the
+ * numbers mean: a stop-on-letter session has no uncorrected errors and a
+ * master session ends at its first one. Keys a mode refuses (Backspace in
+ * confidence mode, anything past an unfixed word in stop-on-word mode)
+ * are not recorded, so only stop-on-letter changes how the recorded
+ * keystrokes replay.
+ */
+
+/**
+ * @typedef {Object} StrictMode
+ * @property {string} id
+ * @property {string} label
+ * @property {string} description
+ */
+
+/** @type {StrictMode[]} */
+export const STRICT_MODES = [
+  {
+    id: 'off',
+    label: 'Normal',
+    description: 'Mistakes move on like any other key and Backspace goes back to fix them'
+  },
+  {
+    id: 'stop-letter',
+    label: 'Stop on Letter',
+    description: 'The caret waits on a mistyped character until the right key is pressed'
+  },
+  {
+    id: 'stop-word',
+    label: 'Stop on Word',
+    description: 'A word with mistakes in it has to be fixed before you can type past it'
+  },
+  {
+    id: 'confidence',
+    label: 'Confidence',
+    description: 'Backspace is disabled'
+  },
+  {
+    id: 'master',
+    label: 'Master',
+    description: 'The test ends on the first mistake'
+  }
+];
+
+export const DEFAULT_STRICT_MODE = 'off';
+
+/**
+ * @param {string} strictModeId
+ * @returns {boolean}
+ */
+export function isStrictMode(strictModeId) {
+  return STRICT_MODES.some(mode => mode.id === strictModeId);
+}
+
+/**
+ * Look up a strict mode by id, falling back to normal typing.
+ * @param {string} [strictModeId]
+ * @returns {StrictMode}
+ */
+export function getStrictMode(strictModeId) {
+  return STRICT_MODES.find(mode => mode.id === strictModeId) ||
+    STRICT_MODES.find(mode => mode.id === DEFAULT_STRICT_MODE);
+}
+
+/**
+ * Whether the word before `index` (the whitespace after it) still has a
+ * mistake in it, counting the whitespace that starts it. Stop-on-word mode
+ * blocks typing at `index` while it does.
+ * @param {string} text
+ * @param {string[]} statuses - Character status per position
+ * @param {number} index
+ * @returns {boolean}
+ */
+export function hasUnfixedWord(text, statuses, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (statuses[i] === 'incorrect') return true;
+    if (/\s/.test(text[i])) break;
+  }
+  return false;
+}
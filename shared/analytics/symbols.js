@@ -0,0 +1,146 @@
+/**
+ * Performance by character class: letters, digits, whitespace, symbols and
+ * brackets. Programmers spend much of their time on symbol keys, which
+ * word-based metrics barely sample, so these are reported separately.
+ */
+
+// Opening and closing halves of each bracket pair
+export const BRACKET_PAIRS = [
+  ['(', ')'],
+  ['[', ']'],
+  ['{', '}'],
+  ['<', '>']
+];
+
+const BRACKETS = new Set(BRACKET_PAIRS.flat());
+
+export const CHARACTER_CLASSES = [
+  { id: 'letter', label: 'Letters' },
+  { id: 'digit', label: 'Digits' },
+  { id: 'whitespace', label: 'Whitespace' },
+  { id: 'symbol', label: 'Symbols' },
+  { id: 'bracket', label: 'Brackets' }
+];
+
+/**
+ * Character class of a single character
+ * @param {string} char
+ * @returns {'letter'|'digit'|'whitespace'|'symbol'|'bracket'}
+ */
+export function getCharacterClass(char) {
+  if (/\p{L}/u.test(char)) return 'letter';
+  if (/\d/.test(char)) return 'digit';
+  if (/\s/.test(char)) return 'whitespace';
+  if (BRACKETS.has(char)) return 'bracket';
+  return 'symbol';
+}
+
+/**
+ * Raw per-character samples from a session's first attempts at each
+ * position: `latencies` holds the time since the previous keystroke and
+ * `misses` a 1 for every miss and 0 for every hit, both keyed by the
+ * expected character. Both are `{ name: number[] }` maps so they pool
+ * across sessions like the other samples.
+ * @param {import('./metrics.js').KeystrokeEvent[]} events
+ * @returns {{ latencies: Object<string, number[]>, misses: Object<string, number[]> }}
+ */
+export function collectCharacterSamples(events) {
+  const latencies = {};
+  const misses = {};
+  const attempted = new Set();
+  let lastKeydownTime = null;
+
+  (events || []).forEach(event => {
+    if (event.type !== 'keydown' || typeof event.key !== 'string') return;
+
+    // Modifiers don't break the interval, so Shift+9 times the whole chord
+    const isKeystroke = event.key.length === 1 || event.key === 'Backspace';
+    if (!isKeystroke) return;
+
+    const expected = event.expectedChar;
+    if (event.key.length === 1 && expected && !attempted.has(event.currentIndex)) {
+      attempted.add(event.currentIndex);
+      if (!misses[expected]) {
+        misses[expected] = [];
+        latencies[expected] = [];
+      }
+      misses[expected].push(event.key === expected ? 0 : 1);
+      if (lastKeydownTime !== null) {
+        latencies[expected].push(event.timestamp - lastKeydownTime);
+      }
+    }
+    lastKeydownTime = event.timestamp;
+  });
+
+  return { latencies, misses };
+}
+
+function summarizeGroup(latencies, misses) {
+  const errors = misses.reduce((sum, miss) => sum + miss, 0);
+  return {
+    count: misses.length,
+    errors,
+    accuracy: misses.length > 0 ? ((misses.length - errors) / misses.length) * 100 : null,
+    avgLatency: latencies.length > 0 ? latencies.reduce((sum, t) => sum + t, 0) / latencies.length : null
+  };
+}
+
+/**
+ * @typedef {Object} CharacterStats
+ * @property {number} count - First attempts
+ * @property {number} errors - First attempts that missed
+ * @property {number|null} accuracy - Percent
+ * @property {number|null} avgLatency - Milliseconds since the previous keystroke
+ */
+
+/**
+ * @typedef {Object} SymbolPerformance
+ * @property {(CharacterStats & { id: string, label: string })[]} classes - Per class, in CHARACTER_CLASSES order
+ * @property {{ pair: string, open: CharacterStats|null, close: CharacterStats|null }[]} brackets
+ * @property {(CharacterStats & { char: string })[]} symbols - Symbol and bracket characters, slowest first
+ */
+
+/**
+ * Summarise collected samples by class, bracket pair and symbol.
+ * Returns null when no symbol or bracket was typed, as in most word tests.
+ * @param {{ latencies: Object<string, number[]>, misses: Object<string, number[]> }} samples
+ * @returns {SymbolPerformance|null}
+ */
+export function summarizeSymbolPerformance({ latencies, misses }) {
+  const chars = Object.keys(misses);
+  const byClass = {};
+  chars.forEach(char => {
+    const id = getCharacterClass(char);
+    if (!byClass[id]) byClass[id] = { latencies: [], misses: [] };
+    byClass[id].latencies.push(...(latencies[char] || []));
+    byClass[id].misses.push(...misses[char]);
+  });
+
+  if (!byClass.symbol && !byClass.bracket) return null;
+
+  const statsFor = char => misses[char] ? summarizeGroup(latencies[char] || [], misses[char]) : null;
+
+  const classes = CHARACTER_CLASSES
+    .filter(({ id }) => byClass[id])
+    .map(({ id, label }) => ({ id, label, ...summarizeGroup(byClass[id].latencies, byClass[id].misses) }));
+
+  const brackets = BRACKET_PAIRS
+    .filter(([open, close]) => misses[open] || misses[close])
+    .map(([open, close]) => ({ pair: `${open}${close}`, open: statsFor(open), close: statsFor(close) }));
+
+  const symbols = chars
+    .filter(char => ['symbol', 'bracket'].includes(getCharacterClass(char)))
+    .map(char => ({ char, ...statsFor(char) }))
+    .sort((a, b) => (b.avgLatency ?? 0) - (a.avgLatency ?? 0));
+
+  return { classes, brackets, symbols };
+}
+
+/**
+ * Symbol-key and bracket performance for one session
+ * @param {import('./metrics.js').KeystrokeEvent[]} events
+ * @returns {SymbolPerformance|null}
+ */
+export function calculateSymbolPerformance(events) {
+  return summarizeSymbolPerformance(collectCharacterSamples(events));
+}
@@ -0,0 +1,9 @@
+/**
+ * Code typing snippets for Typr Omicron.
+ *
+ * Framework-free ES module: the bundled snippet corpus per language and the
+ * helpers that turn imported source files into snippets.
+ */
+
+export * from './snippets.js';
+export * from './snippetTools.js';
@@ -0,0 +1,173 @@
+/**
+ * Code mode helpers: languages, snippet lookup and turning imported source
+ * files into typeable snippets.
+ */
+
+import { SNIPPETS } from './snippets.js';
+
+export const CODE_LANGUAGES = [
+  { id: 'javascript', label: 'JavaScript', extensions: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx'] },
+  { id: 'python', label: 'Python', extensions: ['py'] },
+  { id: 'go', label: 'Go', extensions: ['go'] },
+  { id: 'sql', label: 'SQL', extensions: ['sql'] }
+];
+
+// Language option for snippets imported from the user's own files
+export const IMPORTED_LANGUAGE = 'imported';
+
+// Imported snippets are identified by a hash of their text, offset past the
+// bundled snippet ids, so sessions typed on the same imported snippet share
+// a mode value. Hashes can collide, so lookups match on the text as well.
+export const IMPORTED_SNIPPET_ID_MIN = 1000000;
+
+export const CODE_SNIPPET_LIMITS = {
+  maxLines: 25,
+  maxSnippets: 50,
+  maxFileSize: 200000 // bytes
+};
+
+/**
+ * Language id for a file name from its extension, or null
+ * @param {string} fileName
+ * @returns {string|null}
+ */
+export function detectLanguage(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return CODE_LANGUAGES.find(language => language.extensions.includes(extension))?.id || null;
+}
+
+/**
+ * Stable id for an imported snippet: IMPORTED_SNIPPET_ID_MIN plus the
+ * 32-bit FNV-1a hash of its text
+ * @param {string} text
+ * @returns {number}
+ */
+export function getImportedSnippetId(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return IMPORTED_SNIPPET_ID_MIN + (hash >>> 0);
+}
+
+/**
+ * Whether a code session's mode value is an imported snippet's id
+ * @param {number|string} id
+ * @returns {boolean}
+ */
+export function isImportedSnippetId(id) {
+  return Number(id) >= IMPORTED_SNIPPET_ID_MIN;
+}
+
+/**
+ * @param {number|string} id
+ * @returns {import('./snippets.js').CodeSnippet|null}
+ */
+export function getSnippet(id) {
+  return SNIPPETS.find(snippet => snippet.id === Number(id)) || null;
+}
+
+/**
+ * @param {string} language
+ * @returns {import('./snippets.js').CodeSnippet[]}
+ */
+export function getSnippetsByLanguage(language) {
+  return SNIPPETS.filter(snippet => snippet.language === language);
+}
+
+/**
+ * Pick a random snippet, avoiding the one just typed when there are others
+ * @param {import('./snippets.js').CodeSnippet[]} snippets
+ * @param {{ random?: () => number, excludeText?: string|null }} [options]
+ * @returns {import('./snippets.js').CodeSnippet|null}
+ */
+export function pickSnippet(snippets, options = {}) {
+  const { random = Math.random, excludeText = null } = options;
+  const others = snippets.filter(snippet => snippet.text !== excludeText);
+  const pool = others.length > 0 ? others : snippets;
+  return pool.length > 0 ? pool[Math.floor(random() * pool.length)] : null;
+}
+
+/**
+ * Session word source for a snippet, e.g. `code:python`
+ * @param {import('./snippets.js').CodeSnippet} snippet
+ */
+export function getSnippetWordSource(snippet) {
+  return `code:${snippet.language}`;
+}
+
+/**
+ * Clean source text for typing: Unix newlines, no trailing whitespace, no
+ * blank lines at either end and the indentation shared by every line
+ * removed.
+ * @param {string} source
+ * @returns {string}
+ */
+export function normalizeCode(source) {
+  const rows = source.replace(/\r\n?/g, '\n').split('\n').map(row => row.replace(/\s+$/, ''));
+  while (rows.length > 0 && rows[0] === '') rows.shift();
+  while (rows.length > 0 && rows[rows.length - 1] === '') rows.pop();
+
+  const indents = rows.filter(row => row !== '').map(row => row.match(/^[ \t]*/)[0]);
+  let common = indents[0] || '';
+  indents.forEach(indent => {
+    while (!indent.startsWith(common)) common = common.slice(0, -1);
+  });
+
+  return rows.map(row => row.slice(common.length)).join('\n');
+}
+
+/**
+ * Split a source file into snippets of at most `maxLines` lines, breaking
+ * at blank lines where possible so functions tend to stay whole.
+ * @param {string} source
+ * @param {string} fileName
+ * @param {{ maxLines?: number }} [options]
+ * @returns {import('./snippets.js').CodeSnippet[]}
+ */
+export function createImportedSnippets(source, fileName, options = {}) {
+  const { maxLines = CODE_SNIPPET_LIMITS.maxLines } = options;
+  const language = detectLanguage(fileName) || IMPORTED_LANGUAGE;
+
+  // Blocks of consecutive non-blank lines
+  const blocks = [];
+  let current = [];
+  normalizeCode(source).split('\n').forEach(row => {
+    if (row === '') {
+      if (current.length > 0) blocks.push(current);
+      current = [];
+    } else {
+      current.push(row);
+    }
+  });
+  if (current.length > 0) blocks.push(current);
+
+  // Pack blocks into chunks, cutting blocks that are too long on their own
+  const chunks = [];
+  let chunk = [];
+  blocks.forEach(block => {
+    for (let start = 0; start < block.length; start += maxLines) {
+      const piece = block.slice(start, start + maxLines);
+      const extra = chunk.length > 0 ? 1 : 0;
+      if (chunk.length + extra + piece.length > maxLines) {
+        chunks.push(chunk);
+        chunk = [];
+      }
+      chunk = chunk.length > 0 ? [...chunk, '', ...piece] : piece;
+    }
+  });
+  if (chunk.length > 0) chunks.push(chunk);
+
+  return chunks
+    .slice(0, CODE_SNIPPET_LIMITS.maxSnippets)
+    .map((rows, index, all) => {
+      const text = normalizeCode(rows.join('\n'));
+      return {
+        id: getImportedSnippetId(text),
+        language,
+        title: all.length > 1 ? `${fileName} (${index + 1}/${all.length})` : fileName,
+        text
+      };
+    });
+}
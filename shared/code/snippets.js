@@ -0,0 +1,271 @@
+/**
+ * Bundled code snippets for code mode.
+ *
+ * Like quotes, ids are stable because sessions store them as their mode
+ * value; imported snippets use a hash of their text (see
+ * getImportedSnippetId). Snippets are written as lines so the
+ * indentation is easy to check: JavaScript and SQL use two spaces, Python
+ * four and Go tabs, as their formatters would.
+ */
+
+/**
+ * @typedef {Object} CodeSnippet
+ * @property {number} id - A hash of the text for snippets imported from a file
+ * @property {string} language - Id from CODE_LANGUAGES
+ * @property {string} title
+ * @property {string} text
+ */
+
+const lines = (...rows) => rows.join('\n');
+
+/** @type {CodeSnippet[]} */
+export const SNIPPETS = [
+  {
+    id: 1,
+    language: 'javascript',
+    title: 'Debounce',
+    text: lines(
+      'function debounce(fn, delay) {',
+      '  let timer = null;',
+      '  return (...args) => {',
+      '    clearTimeout(timer);',
+      '    timer = setTimeout(() => fn(...args), delay);',
+      '  };',
+      '}'
+    )
+  },
+  {
+    id: 2,
+    language: 'javascript',
+    title: 'Group by key',
+    text: lines(
+      'const groupBy = (items, getKey) => items.reduce((groups, item) => {',
+      '  const key = getKey(item);',
+      '  (groups[key] ||= []).push(item);',
+      '  return groups;',
+      '}, {});'
+    )
+  },
+  {
+    id: 3,
+    language: 'javascript',
+    title: 'Fetch with retry',
+    text: lines(
+      'async function fetchWithRetry(url, retries = 3) {',
+      '  for (let attempt = 1; attempt <= retries; attempt++) {',
+      '    try {',
+      '      const response = await fetch(url);',
+      '      if (!response.ok) throw new Error(`HTTP ${response.status}`);',
+      '      return await response.json();',
+      '    } catch (error) {',
+      '      if (attempt === retries) throw error;',
+      '    }',
+      '  }',
+      '}'
+    )
+  },
+  {
+    id: 4,
+    language: 'javascript',
+    title: 'Event emitter',
+    text: lines(
+      'class Emitter {',
+      '  #listeners = new Map();',
+      '',
+      '  on(event, listener) {',
+      '    if (!this.#listeners.has(event)) this.#listeners.set(event, []);',
+      '    this.#listeners.get(event).push(listener);',
+      '    return () => this.off(event, listener);',
+      '  }',
+      '',
+      '  emit(event, ...args) {',
+      '    (this.#listeners.get(event) || []).forEach(listener => listener(...args));',
+      '  }',
+      '}'
+    )
+  },
+  {
+    id: 5,
+    language: 'python',
+    title: 'Word frequencies',
+    text: lines(
+      'from collections import Counter',
+      '',
+      'def top_words(path, n=10):',
+      '    with open(path, encoding="utf-8") as f:',
+      '        words = f.read().lower().split()',
+      '    return Counter(words).most_common(n)'
+    )
+  },
+  {
+    id: 6,
+    language: 'python',
+    title: 'Binary search',
+    text: lines(
+      'def binary_search(items, target):',
+      '    low, high = 0, len(items) - 1',
+      '    while low <= high:',
+      '        mid = (low + high) // 2',
+      '        if items[mid] == target:',
+      '            return mid',
+      '        if items[mid] < target:',
+      '            low = mid + 1',
+      '        else:',
+      '            high = mid - 1',
+      '    return -1'
+    )
+  },
+  {
+    id: 7,
+    language: 'python',
+    title: 'Dataclass',
+    text: lines(
+      'from dataclasses import dataclass, field',
+      '',
+      '@dataclass',
+      'class Session:',
+      '    user_id: str',
+      '    wpm: float = 0.0',
+      '    tags: list[str] = field(default_factory=list)',
+      '',
+      '    def summary(self) -> str:',
+      '        return f"{self.user_id}: {self.wpm:.1f} WPM"'
+    )
+  },
+  {
+    id: 8,
+    language: 'python',
+    title: 'Timing decorator',
+    text: lines(
+      'import functools',
+      'import time',
+      '',
+      'def timed(func):',
+      '    @functools.wraps(func)',
+      '    def wrapper(*args, **kwargs):',
+      '        start = time.perf_counter()',
+      '        try:',
+      '            return func(*args, **kwargs)',
+      '        finally:',
+      '            print(f"{func.__name__} took {time.perf_counter() - start:.3f}s")',
+      '    return wrapper'
+    )
+  },
+  {
+    id: 9,
+    language: 'go',
+    title: 'HTTP handler',
+    text: lines(
+      'func healthHandler(w http.ResponseWriter, r *http.Request) {',
+      '\tw.Header().Set("Content-Type", "application/json")',
+      '\tif err := json.NewEncoder(w).Encode(map[string]string{"status": "ok"}); err != nil {',
+      '\t\thttp.Error(w, err.Error(), http.StatusInternalServerError)',
+      '\t}',
+      '}'
+    )
+  },
+  {
+    id: 10,
+    language: 'go',
+    title: 'Worker pool',
+    text: lines(
+      'func process(jobs <-chan int, results chan<- int, wg *sync.WaitGroup) {',
+      '\tdefer wg.Done()',
+      '\tfor job := range jobs {',
+      '\t\tresults <- job * job',
+      '\t}',
+      '}'
+    )
+  },
+  {
+    id: 11,
+    language: 'go',
+    title: 'Struct with method',
+    text: lines(
+      'type Stack[T any] struct {',
+      '\titems []T',
+      '}',
+      '',
+      'func (s *Stack[T]) Pop() (T, bool) {',
+      '\tvar zero T',
+      '\tif len(s.items) == 0 {',
+      '\t\treturn zero, false',
+      '\t}',
+      '\titem := s.items[len(s.items)-1]',
+      '\ts.items = s.items[:len(s.items)-1]',
+      '\treturn item, true',
+      '}'
+    )
+  },
+  {
+    id: 12,
+    language: 'go',
+    title: 'Error wrapping',
+    text: lines(
+      'func loadConfig(path string) (*Config, error) {',
+      '\tdata, err := os.ReadFile(path)',
+      '\tif err != nil {',
+      '\t\treturn nil, fmt.Errorf("read %s: %w", path, err)',
+      '\t}',
+      '\tvar cfg Config',
+      '\tif err := json.Unmarshal(data, &cfg); err != nil {',
+      '\t\treturn nil, fmt.Errorf("parse %s: %w", path, err)',
+      '\t}',
+      '\treturn &cfg, nil',
+      '}'
+    )
+  },
+  {
+    id: 13,
+    language: 'sql',
+    title: 'Join and aggregate',
+    text: lines(
+      'SELECT u.username, COUNT(s.session_id) AS sessions, AVG(s.accuracy) AS accuracy',
+      'FROM users u',
+      'LEFT JOIN sessions s ON s.user_id = u.user_id',
+      'WHERE s.timestamp >= \'2025-01-01\'',
+      'GROUP BY u.username',
+      'HAVING COUNT(s.session_id) > 5',
+      'ORDER BY accuracy DESC;'
+    )
+  },
+  {
+    id: 14,
+    language: 'sql',
+    title: 'Create table',
+    text: lines(
+      'CREATE TABLE IF NOT EXISTS orders (',
+      '  order_id INTEGER PRIMARY KEY,',
+      '  customer_id INTEGER NOT NULL REFERENCES customers(customer_id),',
+      '  total NUMERIC(10, 2) NOT NULL CHECK (total >= 0),',
+      '  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+      ');'
+    )
+  },
+  {
+    id: 15,
+    language: 'sql',
+    title: 'Window function',
+    text: lines(
+      'SELECT user_id, timestamp, wpm,',
+      '  AVG(wpm) OVER (',
+      '    PARTITION BY user_id',
+      '    ORDER BY timestamp',
+      '    ROWS BETWEEN 4 PRECEDING AND CURRENT ROW',
+      '  ) AS rolling_wpm',
+      'FROM session_stats;'
+    )
+  },
+  {
+    id: 16,
+    language: 'sql',
+    title: 'Upsert',
+    text: lines(
+      'INSERT INTO settings (user_id, theme, font_size)',
+      'VALUES (?, ?, ?)',
+      'ON CONFLICT (user_id) DO UPDATE SET',
+      '  theme = excluded.theme,',
+      '  font_size = excluded.font_size;'
+    )
+  }
+];
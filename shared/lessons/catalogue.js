@@ -0,0 +1,138 @@
+/**
+ * The lesson curriculum, in order.
+ *
+ * Lessons name physical keys (`KeyboardEvent.code`) rather than characters,
+ * so "home row" means the keys under your fingers on whatever layout you
+ * type on. Each lesson adds its keys to everything introduced before it.
+ */
+
+import { getLayout } from '../analytics/layouts.js';
+
+const HOME_ROW = ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon'];
+const TOP_ROW = ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP'];
+const BOTTOM_ROW = ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash'];
+const NUMBER_ROW = ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0'];
+
+/**
+ * @typedef {Object} Lesson
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string[]} keys - Key codes introduced, typed unshifted
+ * @property {string[]} shiftedKeys - Key codes introduced, typed with Shift
+ * @property {'words'|'numbers'|'punctuation'|'capitals'} generator - Text generator (see generators.js)
+ * @property {number} wordCount
+ * @property {{ minWpm: number, minAccuracy: number }} passCriteria
+ */
+
+/** @type {Lesson[]} */
+export const LESSONS = [
+  {
+    id: 'home-row',
+    title: 'Home Row',
+    description: 'The resting keys under your fingers. Keep each finger on its home key.',
+    keys: HOME_ROW,
+    shiftedKeys: [],
+    generator: 'words',
+    wordCount: 20,
+    passCriteria: { minWpm: 15, minAccuracy: 95 }
+  },
+  {
+    id: 'top-row',
+    title: 'Top Row',
+    description: 'Reach up from the home row and come back after every key.',
+    keys: TOP_ROW,
+    shiftedKeys: [],
+    generator: 'words',
+    wordCount: 25,
+    passCriteria: { minWpm: 18, minAccuracy: 95 }
+  },
+  {
+    id: 'bottom-row',
+    title: 'Bottom Row',
+    description: 'Curl down to the bottom row, including comma, period and slash.',
+    keys: BOTTOM_ROW,
+    shiftedKeys: [],
+    generator: 'words',
+    wordCount: 25,
+    passCriteria: { minWpm: 20, minAccuracy: 95 }
+  },
+  {
+    id: 'numbers',
+    title: 'Numbers',
+    description: 'The number row, mixed in with words.',
+    keys: NUMBER_ROW,
+    shiftedKeys: [],
+    generator: 'numbers',
+    wordCount: 25,
+    passCriteria: { minWpm: 18, minAccuracy: 94 }
+  },
+  {
+    id: 'punctuation',
+    title: 'Punctuation',
+    description: 'Quotes, dashes, brackets and sentence punctuation around words.',
+    keys: ['Quote', 'Minus', 'Comma', 'Period', 'Semicolon', 'Slash'],
+    shiftedKeys: ['Digit1', 'Digit9', 'Digit0', 'Quote', 'Semicolon', 'Slash'],
+    generator: 'punctuation',
+    wordCount: 25,
+    passCriteria: { minWpm: 20, minAccuracy: 94 }
+  },
+  {
+    id: 'capitals',
+    title: 'Capitals',
+    description: 'Capital letters with the Shift key on the opposite hand.',
+    keys: [],
+    shiftedKeys: [...HOME_ROW, ...TOP_ROW, ...BOTTOM_ROW].filter(code => code.startsWith('Key')),
+    generator: 'capitals',
+    wordCount: 25,
+    passCriteria: { minWpm: 22, minAccuracy: 95 }
+  }
+];
+
+/**
+ * Look up a lesson by id
+ * @param {string} lessonId
+ * @returns {Lesson|null}
+ */
+export function getLesson(lessonId) {
+  return LESSONS.find(lesson => lesson.id === lessonId) || null;
+}
+
+/**
+ * The lesson after `lessonId`, or null for the last one
+ */
+export function getNextLesson(lessonId) {
+  const index = LESSONS.findIndex(lesson => lesson.id === lessonId);
+  return index >= 0 ? LESSONS[index + 1] || null : null;
+}
+
+// Characters a lesson's own keys type on a layout
+function lessonCharacters(lesson, layout) {
+  const chars = [
+    ...lesson.keys.map(code => layout.chars[code]),
+    ...lesson.shiftedKeys.map(code => layout.shiftChars?.[code])
+  ];
+  return [...new Set(chars.filter(Boolean))];
+}
+
+/**
+ * Characters introduced by a lesson, on the given layout
+ * @param {Lesson} lesson
+ * @param {import('../analytics/layouts.js').KeyboardLayout} [layout]
+ * @returns {string[]}
+ */
+export function getLessonFocus(lesson, layout = getLayout()) {
+  return lessonCharacters(lesson, layout);
+}
+
+/**
+ * Every character a lesson may use: its own plus those of earlier lessons
+ * @param {Lesson} lesson
+ * @param {import('../analytics/layouts.js').KeyboardLayout} [layout]
+ * @returns {string[]}
+ */
+export function getLessonCharacters(lesson, layout = getLayout()) {
+  const index = LESSONS.findIndex(candidate => candidate.id === lesson.id);
+  const lessons = index >= 0 ? LESSONS.slice(0, index + 1) : [lesson];
+  return [...new Set(lessons.flatMap(candidate => lessonCharacters(candidate, layout)))];
+}
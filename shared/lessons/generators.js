@@ -0,0 +1,118 @@
+/**
+ * Text generators for lessons. Every generator only produces characters
+ * the lesson allows, and leans on the characters it introduces.
+ */
+
+import { getLayout } from '../analytics/layouts.js';
+import { getLessonCharacters, getLessonFocus } from './catalogue.js';
+
+const LETTER_PATTERN = /\p{L}/u;
+
+// Share of words taken from the word list when suitable words exist
+const REAL_WORD_RATIO = 0.6;
+
+const pick = (items, random) => items[Math.floor(random() * items.length)];
+
+// Letters, focus letters and real words usable by a lesson
+function createContext(lesson, layout, words) {
+  const allowed = new Set(getLessonCharacters(lesson, layout));
+  const focus = getLessonFocus(lesson, layout);
+  // Capitals are drilled by capitalising words, so words stay lowercase
+  const letters = [...allowed].filter(char => LETTER_PATTERN.test(char) && char === char.toLowerCase());
+  const focusLetters = focus.filter(char => letters.includes(char));
+
+  const usable = words.filter(word => Array.from(word).every(char => letters.includes(char)));
+  const withFocus = usable.filter(word => focusLetters.some(char => word.includes(char)));
+
+  return {
+    allowed,
+    focus,
+    letters,
+    focusLetters,
+    focusSymbols: focus.filter(char => !LETTER_PATTERN.test(char)),
+    words: withFocus.length > 0 ? withFocus : usable
+  };
+}
+
+// A made-up word from the lesson's letters with at least one focus letter
+function pseudoWord(context, random) {
+  const length = 2 + Math.floor(random() * 4);
+  const chars = Array.from({ length }, () => pick(context.letters, random));
+  if (context.focusLetters.length > 0) {
+    chars[Math.floor(random() * length)] = pick(context.focusLetters, random);
+  }
+  return chars.join('');
+}
+
+function letterWord(context, random) {
+  if (context.words.length > 0 && random() < REAL_WORD_RATIO) {
+    return pick(context.words, random);
+  }
+  return pseudoWord(context, random);
+}
+
+const GENERATORS = {
+  // Words from the lesson's letters; symbol keys on the row trail some words
+  words(context, random) {
+    const word = letterWord(context, random);
+    if (context.focusSymbols.length > 0 && random() < 0.15) {
+      return word + pick(context.focusSymbols, random);
+    }
+    return word;
+  },
+
+  numbers(context, random) {
+    if (random() < 0.4) {
+      const length = 1 + Math.floor(random() * 4);
+      return Array.from({ length }, () => pick(context.focus, random)).join('');
+    }
+    return letterWord(context, random);
+  },
+
+  punctuation(context, random) {
+    const word = letterWord(context, random);
+    const mark = pick(context.focus, random);
+    if (random() < 0.4) return word;
+    if (mark === '(' && context.allowed.has(')')) return `(${word})`;
+    if (mark === '"' || mark === '\'') return `${mark}${word}${mark}`;
+    if (mark === '-') return `${word}-${letterWord(context, random)}`;
+    return word + mark;
+  },
+
+  capitals(context, random) {
+    const word = letterWord(context, random);
+    const upper = word.toUpperCase();
+    const allowed = ch => context.allowed.has(ch);
+    if (word.length <= 4 && random() < 0.15 && Array.from(upper).every(allowed)) {
+      return upper;
+    }
+    const capitalised = upper[0] + word.slice(1);
+    if (random() < 0.6 && allowed(upper[0])) {
+      return capitalised;
+    }
+    return word;
+  }
+};
+
+/**
+ * Generate practice text for a lesson
+ * @param {import('./catalogue.js').Lesson} lesson
+ * @param {Object} [options]
+ * @param {import('../analytics/layouts.js').KeyboardLayout} [options.layout]
+ * @param {string[]} [options.words] - Word list to take real words from
+ * @param {number} [options.wordCount] - Defaults to the lesson's
+ * @param {() => number} [options.random]
+ * @returns {string}
+ */
+export function generateLessonText(lesson, options = {}) {
+  const {
+    layout = getLayout(),
+    words = [],
+    wordCount = lesson.wordCount,
+    random = Math.random
+  } = options;
+
+  const context = createContext(lesson, layout, words);
+  const generate = GENERATORS[lesson.generator] || GENERATORS.words;
+  return Array.from({ length: wordCount }, () => generate(context, random)).join(' ');
+}
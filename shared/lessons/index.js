@@ -0,0 +1,11 @@
+/**
+ * Lesson curriculum for Typr Omicron.
+ *
+ * Framework-free ES module used by the frontend to generate lesson text and
+ * show progress, and by the backend `/api/lessons` routes to enforce the
+ * pass gates.
+ */
+
+export * from './catalogue.js';
+export * from './generators.js';
+export * from './progress.js';
@@ -0,0 +1,95 @@
+/**
+ * Lesson pass rules and progress, shared by the backend (which records
+ * attempts) and the frontend's localStorage fallback.
+ */
+
+import { LESSONS } from './catalogue.js';
+
+/**
+ * @typedef {Object} LessonAttempt
+ * @property {string} lessonId
+ * @property {string} sessionId
+ * @property {number} wpm
+ * @property {number} accuracy
+ * @property {boolean} passed
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} LessonProgress
+ * @property {number} attempts
+ * @property {number|null} bestWpm
+ * @property {number|null} bestAccuracy
+ * @property {boolean} passed
+ * @property {string|null} passedAt - Time of the first pass
+ */
+
+/**
+ * Check a result against a lesson's pass criteria
+ * @param {import('./catalogue.js').Lesson} lesson
+ * @param {{ wpm: number, accuracy: number }} result
+ */
+export function evaluateLessonAttempt(lesson, { wpm, accuracy }) {
+  const wpmMet = wpm >= lesson.passCriteria.minWpm;
+  const accuracyMet = accuracy >= lesson.passCriteria.minAccuracy;
+  return { passed: wpmMet && accuracyMet, wpmMet, accuracyMet };
+}
+
+/**
+ * Progress per lesson id from a list of attempts
+ * @param {LessonAttempt[]} attempts
+ * @returns {Object<string, LessonProgress>}
+ */
+export function summarizeLessonProgress(attempts) {
+  const progress = {};
+  attempts.forEach(attempt => {
+    const entry = progress[attempt.lessonId] || {
+      attempts: 0,
+      bestWpm: null,
+      bestAccuracy: null,
+      passed: false,
+      passedAt: null
+    };
+    entry.attempts++;
+    entry.bestWpm = Math.max(entry.bestWpm ?? 0, attempt.wpm);
+    entry.bestAccuracy = Math.max(entry.bestAccuracy ?? 0, attempt.accuracy);
+    if (attempt.passed) {
+      entry.passed = true;
+      if (!entry.passedAt || attempt.createdAt < entry.passedAt) {
+        entry.passedAt = attempt.createdAt;
+      }
+    }
+    progress[attempt.lessonId] = entry;
+  });
+  return progress;
+}
+
+/**
+ * A lesson unlocks once the one before it has been passed; the first
+ * lesson is always open.
+ * @param {string} lessonId
+ * @param {Object<string, LessonProgress>} progress
+ */
+export function isLessonUnlocked(lessonId, progress) {
+  const index = LESSONS.findIndex(lesson => lesson.id === lessonId);
+  if (index < 0) return false;
+  if (index === 0) return true;
+  return Boolean(progress[LESSONS[index - 1].id]?.passed);
+}
+
+/**
+ * Word source recorded on lesson sessions, e.g. `lesson:home-row`
+ */
+export function getLessonWordSource(lessonId) {
+  return `lesson:${lessonId}`;
+}
+
+/**
+ * The lesson a session word source names, or null
+ * @param {string} wordSource
+ * @returns {import('./catalogue.js').Lesson|null}
+ */
+export function getLessonByWordSource(wordSource) {
+  return LESSONS.find(lesson => getLessonWordSource(lesson.id) === wordSource) || null;
+}
+
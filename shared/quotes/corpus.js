@@ -0,0 +1,218 @@
+/**
+ * Bundled quote corpus.
+ *
+ * Ids are stable: sessions store the quote id as their mode value, so
+ * per-quote bests depend on them. Add new quotes with new ids and never
+ * renumber or reuse one. Text is plain ASCII so every character can be
+ * typed on a standard keyboard.
+ */
+
+/**
+ * @typedef {Object} Quote
+ * @property {number} id
+ * @property {string} text
+ * @property {string} author
+ * @property {string} source - Work or occasion the quote is from
+ */
+
+/** @type {Quote[]} */
+export const QUOTES = [
+  {
+    id: 1,
+    text: 'The only thing we have to fear is fear itself.',
+    author: 'Franklin D. Roosevelt',
+    source: 'First Inaugural Address, 1933'
+  },
+  {
+    id: 2,
+    text: 'Brevity is the soul of wit.',
+    author: 'William Shakespeare',
+    source: 'Hamlet'
+  },
+  {
+    id: 3,
+    text: 'Simplicity is prerequisite for reliability.',
+    author: 'Edsger W. Dijkstra',
+    source: 'How do we tell truths that might hurt?, 1975'
+  },
+  {
+    id: 4,
+    text: 'Premature optimization is the root of all evil.',
+    author: 'Donald Knuth',
+    source: 'Structured Programming with go to Statements, 1974'
+  },
+  {
+    id: 5,
+    text: 'Talk is cheap. Show me the code.',
+    author: 'Linus Torvalds',
+    source: 'Linux kernel mailing list, 2000'
+  },
+  {
+    id: 6,
+    text: 'Programs must be written for people to read, and only incidentally for machines to execute.',
+    author: 'Harold Abelson and Gerald Jay Sussman',
+    source: 'Structure and Interpretation of Computer Programs'
+  },
+  {
+    id: 7,
+    text: 'All happy families are alike; each unhappy family is unhappy in its own way.',
+    author: 'Leo Tolstoy',
+    source: 'Anna Karenina'
+  },
+  {
+    id: 8,
+    text: 'Any sufficiently advanced technology is indistinguishable from magic.',
+    author: 'Arthur C. Clarke',
+    source: 'Profiles of the Future'
+  },
+  {
+    id: 9,
+    text: 'Beware of bugs in the above code; I have only proved it correct, not tried it.',
+    author: 'Donald Knuth',
+    source: 'Letter to Peter van Emde Boas, 1977'
+  },
+  {
+    id: 10,
+    text: 'Adding manpower to a late software project makes it later.',
+    author: 'Fred Brooks',
+    source: 'The Mythical Man-Month'
+  },
+  {
+    id: 11,
+    text: 'The best way to predict the future is to invent it.',
+    author: 'Alan Kay',
+    source: 'Xerox PARC, 1971'
+  },
+  {
+    id: 12,
+    text: 'Ask not what your country can do for you - ask what you can do for your country.',
+    author: 'John F. Kennedy',
+    source: 'Inaugural Address, 1961'
+  },
+  {
+    id: 13,
+    text: 'A foolish consistency is the hobgoblin of little minds, adored by little statesmen and philosophers and divines.',
+    author: 'Ralph Waldo Emerson',
+    source: 'Self-Reliance'
+  },
+  {
+    id: 14,
+    text: 'Two roads diverged in a wood, and I - I took the one less traveled by, And that has made all the difference.',
+    author: 'Robert Frost',
+    source: 'The Road Not Taken'
+  },
+  {
+    id: 15,
+    text: 'Call me Ishmael. Some years ago - never mind how long precisely - having little or no money in my purse, and nothing particular to interest me on shore, I thought I would sail about a little and see the watery part of the world.',
+    author: 'Herman Melville',
+    source: 'Moby-Dick'
+  },
+  {
+    id: 16,
+    text: 'To be, or not to be, that is the question: Whether \'tis nobler in the mind to suffer The slings and arrows of outrageous fortune, Or to take arms against a sea of troubles And by opposing end them.',
+    author: 'William Shakespeare',
+    source: 'Hamlet'
+  },
+  {
+    id: 17,
+    text: 'We shall fight on the beaches, we shall fight on the landing grounds, we shall fight in the fields and in the streets, we shall fight in the hills; we shall never surrender.',
+    author: 'Winston Churchill',
+    source: 'House of Commons, 4 June 1940'
+  },
+  {
+    id: 18,
+    text: 'I went to the woods because I wished to live deliberately, to front only the essential facts of life, and see if I could not learn what it had to teach, and not, when I came to die, discover that I had not lived.',
+    author: 'Henry David Thoreau',
+    source: 'Walden'
+  },
+  {
+    id: 19,
+    text: '\'Curiouser and curiouser!\' cried Alice (she was so much surprised, that for the moment she quite forgot how to speak good English).',
+    author: 'Lewis Carroll',
+    source: 'Alice\'s Adventures in Wonderland'
+  },
+  {
+    id: 20,
+    text: 'It is a far, far better thing that I do, than I have ever done; it is a far, far better rest that I go to than I have ever known.',
+    author: 'Charles Dickens',
+    source: 'A Tale of Two Cities'
+  },
+  {
+    id: 21,
+    text: 'Everyone knows that debugging is twice as hard as writing a program in the first place. So if you\'re as clever as you can be when you write it, how will you ever debug it?',
+    author: 'Brian Kernighan and P. J. Plauger',
+    source: 'The Elements of Programming Style'
+  },
+  {
+    id: 22,
+    text: 'There are two ways of constructing a software design: One way is to make it so simple that there are obviously no deficiencies, and the other way is to make it so complicated that there are no obvious deficiencies.',
+    author: 'C. A. R. Hoare',
+    source: 'The Emperor\'s Old Clothes, 1980'
+  },
+  {
+    id: 23,
+    text: 'You will rejoice to hear that no disaster has accompanied the commencement of an enterprise which you have regarded with such evil forebodings. I arrived here yesterday, and my first task is to assure my dear sister of my welfare and increasing confidence in the success of my undertaking.',
+    author: 'Mary Shelley',
+    source: 'Frankenstein'
+  },
+  {
+    id: 24,
+    text: 'It is a truth universally acknowledged, that a single man in possession of a good fortune, must be in want of a wife. However little known the feelings or views of such a man may be on his first entering a neighbourhood, this truth is so well fixed in the minds of the surrounding families, that he is considered the rightful property of some one or other of their daughters.',
+    author: 'Jane Austen',
+    source: 'Pride and Prejudice'
+  },
+  {
+    id: 25,
+    text: 'We hold these truths to be self-evident, that all men are created equal, that they are endowed by their Creator with certain unalienable Rights, that among these are Life, Liberty and the pursuit of Happiness. That to secure these rights, Governments are instituted among Men, deriving their just powers from the consent of the governed.',
+    author: 'Thomas Jefferson',
+    source: 'Declaration of Independence'
+  },
+  {
+    id: 26,
+    text: 'There is grandeur in this view of life, with its several powers, having been originally breathed into a few forms or into one; and that, whilst this planet has gone cycling on according to the fixed law of gravity, from so simple a beginning endless forms most beautiful and most wonderful have been, and are being, evolved.',
+    author: 'Charles Darwin',
+    source: 'On the Origin of Species'
+  },
+  {
+    id: 27,
+    text: 'Marley was dead: to begin with. There is no doubt whatever about that. The register of his burial was signed by the clergyman, the clerk, the undertaker, and the chief mourner. Scrooge signed it: and Scrooge\'s name was good upon \'Change, for anything he chose to put his hand to. Old Marley was as dead as a door-nail.',
+    author: 'Charles Dickens',
+    source: 'A Christmas Carol'
+  },
+  {
+    id: 28,
+    text: 'To Sherlock Holmes she is always the woman. I have seldom heard him mention her under any other name. In his eyes she eclipses and predominates the whole of her sex. It was not that he felt any emotion akin to love for Irene Adler. All emotions, and that one particularly, were abhorrent to his cold, precise but admirably balanced mind.',
+    author: 'Arthur Conan Doyle',
+    source: 'A Scandal in Bohemia'
+  },
+  {
+    id: 29,
+    text: 'Gatsby believed in the green light, the orgastic future that year by year recedes before us. It eluded us then, but that\'s no matter - tomorrow we will run faster, stretch out our arms farther. And one fine morning - So we beat on, boats against the current, borne back ceaselessly into the past.',
+    author: 'F. Scott Fitzgerald',
+    source: 'The Great Gatsby'
+  },
+  {
+    id: 30,
+    text: 'It was the best of times, it was the worst of times, it was the age of wisdom, it was the age of foolishness, it was the epoch of belief, it was the epoch of incredulity, it was the season of Light, it was the season of Darkness, it was the spring of hope, it was the winter of despair, we had everything before us, we had nothing before us, we were all going direct to Heaven, we were all going direct the other way - in short, the period was so far like the present period, that some of its noisiest authorities insisted on its being received, for good or for evil, in the superlative degree of comparison only.',
+    author: 'Charles Dickens',
+    source: 'A Tale of Two Cities'
+  },
+  {
+    id: 31,
+    text: 'Shall I compare thee to a summer\'s day? Thou art more lovely and more temperate: Rough winds do shake the darling buds of May, And summer\'s lease hath all too short a date; Sometime too hot the eye of heaven shines, And often is his gold complexion dimm\'d; And every fair from fair sometime declines, By chance or nature\'s changing course untrimm\'d; But thy eternal summer shall not fade, Nor lose possession of that fair thou ow\'st; Nor shall Death brag thou wander\'st in his shade, When in eternal lines to time thou grow\'st: So long as men can breathe or eyes can see, So long lives this, and this gives life to thee.',
+    author: 'William Shakespeare',
+    source: 'Sonnet 18'
+  },
+  {
+    id: 32,
+    text: 'I have of late - but wherefore I know not - lost all my mirth, forgone all custom of exercises; and indeed it goes so heavily with my disposition that this goodly frame, the earth, seems to me a sterile promontory; this most excellent canopy, the air, look you, this brave o\'erhanging firmament, this majestical roof fretted with golden fire, why, it appears no other thing to me than a foul and pestilent congregation of vapours. What a piece of work is a man! How noble in reason! how infinite in faculty! in form and moving, how express and admirable! in action how like an angel! in apprehension how like a god! the beauty of the world! the paragon of animals! And yet, to me, what is this quintessence of dust? Man delights not me.',
+    author: 'William Shakespeare',
+    source: 'Hamlet'
+  },
+  {
+    id: 33,
+    text: 'Four score and seven years ago our fathers brought forth on this continent, a new nation, conceived in Liberty, and dedicated to the proposition that all men are created equal. Now we are engaged in a great civil war, testing whether that nation, or any nation so conceived and so dedicated, can long endure. We are met on a great battle-field of that war. We have come to dedicate a portion of that field, as a final resting place for those who here gave their lives that that nation might live. It is altogether fitting and proper that we should do this. But, in a larger sense, we can not dedicate - we can not consecrate - we can not hallow - this ground. The brave men, living and dead, who struggled here, have consecrated it, far above our poor power to add or detract. The world will little note, nor long remember what we say here, but it can never forget what they did here. It is for us the living, rather, to be dedicated here to the unfinished work which they who fought here have thus far so nobly advanced. It is rather for us to be here dedicated to the great task remaining before us - that from these honored dead we take increased devotion to that cause for which they gave the last full measure of devotion - that we here highly resolve that these dead shall not have died in vain - that this nation, under God, shall have a new birth of freedom - and that government of the people, by the people, for the people, shall not perish from the earth.',
+    author: 'Abraham Lincoln',
+    source: 'Gettysburg Address, 1863'
+  }
+];
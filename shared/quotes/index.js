@@ -0,0 +1,9 @@
+/**
+ * Quote corpus for Typr Omicron.
+ *
+ * Framework-free ES module used by the frontend's quote mode and by the
+ * backend to check that quote sessions were typed on the quote they name.
+ */
+
+export * from './corpus.js';
+export * from './selection.js';
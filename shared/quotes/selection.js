@@ -0,0 +1,62 @@
+/**
+ * Quote length buckets and lookups over the corpus.
+ */
+
+import { QUOTES } from './corpus.js';
+
+/**
+ * Length buckets by character count, shortest first. A quote belongs to
+ * the first bucket whose `maxLength` it fits.
+ */
+export const QUOTE_LENGTHS = [
+  { id: 'short', label: 'Short', maxLength: 100 },
+  { id: 'medium', label: 'Medium', maxLength: 300 },
+  { id: 'long', label: 'Long', maxLength: 600 },
+  { id: 'thicc', label: 'Thicc', maxLength: Infinity }
+];
+
+// Every bucket at once
+export const ALL_QUOTE_LENGTHS = 'all';
+
+/**
+ * Length bucket id of a quote
+ * @param {import('./corpus.js').Quote} quote
+ * @returns {string}
+ */
+export function getQuoteLength(quote) {
+  return QUOTE_LENGTHS.find(bucket => quote.text.length <= bucket.maxLength).id;
+}
+
+/**
+ * Look up a quote by id (sessions store it as a number, query strings as text)
+ * @param {number|string} id
+ * @returns {import('./corpus.js').Quote|null}
+ */
+export function getQuote(id) {
+  return QUOTES.find(quote => quote.id === Number(id)) || null;
+}
+
+/**
+ * Quotes in a length bucket, or the whole corpus for `'all'`
+ * @param {string} [length]
+ * @returns {import('./corpus.js').Quote[]}
+ */
+export function getQuotesByLength(length = ALL_QUOTE_LENGTHS) {
+  if (length === ALL_QUOTE_LENGTHS) return QUOTES;
+  return QUOTES.filter(quote => getQuoteLength(quote) === length);
+}
+
+/**
+ * Pick a random quote of the given length. `excludeId` avoids repeating the
+ * quote just typed when the bucket has others.
+ * @param {string} [length]
+ * @param {{ random?: () => number, excludeId?: number|null }} [options]
+ * @returns {import('./corpus.js').Quote}
+ */
+export function pickQuote(length = ALL_QUOTE_LENGTHS, options = {}) {
+  const { random = Math.random, excludeId = null } = options;
+  const bucket = getQuotesByLength(length);
+  const pool = bucket.length > 1 ? bucket.filter(quote => quote.id !== excludeId) : bucket;
+  const candidates = pool.length > 0 ? pool : QUOTES;
+  return candidates[Math.floor(random() * candidates.length)];
+}
@@ -0,0 +1,12 @@
+/**
+ * Generated test text for Typr Omicron.
+ *
+ * Framework-free ES module: a seedable random source, so generated tests
+ * can be reproduced from the seed stored with the session, the
+ * punctuation and numbers modifiers applied to word tests, and validation
+ * for the word lists users create.
+ */
+
+export * from './random.js';
+export * from './modifiers.js';
+export * from './wordLists.js';
@@ -0,0 +1,101 @@
+/**
+ * Punctuation and numbers modifiers for word tests. Plain word lists never
+ * reach the shift or number rows, so these turn the words into sentences
+ * (capitalised starts, commas, full stops, quotes and brackets) and swap
+ * some of them for numerals.
+ */
+
+// Per-word chances, roughly matching ordinary prose
+export const TEXT_MODIFIER_RATES = {
+  // A word ends its sentence (about eight words per sentence)
+  sentenceEnd: 0.12,
+  // Share of sentence ends that are questions / exclamations
+  question: 0.1,
+  exclamation: 0.05,
+  // A word mid-sentence is followed by a comma
+  comma: 0.1,
+  // A word is wrapped in double quotes / brackets
+  quote: 0.03,
+  bracket: 0.03,
+  // A word is replaced by a number, and a number has a decimal part
+  number: 0.1,
+  decimal: 0.15
+};
+
+// Digit counts for generated numbers, weighted toward short ones
+const NUMBER_LENGTHS = [
+  { digits: 1, weight: 0.3 },
+  { digits: 2, weight: 0.35 },
+  { digits: 3, weight: 0.2 },
+  { digits: 4, weight: 0.15 }
+];
+
+const digit = (random, min = 0) => String(min + Math.floor(random() * (10 - min)));
+
+/**
+ * A numeral such as `7`, `42`, `1998` or `3.75`
+ * @param {() => number} random
+ * @returns {string}
+ */
+export function generateNumber(random) {
+  const roll = random();
+  let cumulative = 0;
+  const { digits } = NUMBER_LENGTHS.find(({ weight }) => (cumulative += weight) > roll) ||
+    NUMBER_LENGTHS[NUMBER_LENGTHS.length - 1];
+
+  // No leading zero unless the number is a single digit
+  let number = digits === 1 ? digit(random) : digit(random, 1);
+  for (let i = 1; i < digits; i++) number += digit(random);
+
+  if (random() < TEXT_MODIFIER_RATES.decimal) {
+    number += `.${digit(random)}${digit(random)}`;
+  }
+  return number;
+}
+
+function sentenceEnding(random) {
+  const roll = random();
+  if (roll < TEXT_MODIFIER_RATES.question) return '?';
+  if (roll < TEXT_MODIFIER_RATES.question + TEXT_MODIFIER_RATES.exclamation) return '!';
+  return '.';
+}
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Apply the modifiers to a list of words and join them into test text.
+ * With neither modifier the words are joined unchanged. With punctuation
+ * the text always ends a sentence, so more text can be appended after it.
+ * @param {string[]} words
+ * @param {{ punctuation?: boolean, numbers?: boolean, random?: () => number }} [options]
+ * @returns {string}
+ */
+export function applyTextModifiers(words, options = {}) {
+  const { punctuation = false, numbers = false, random = Math.random } = options;
+
+  const tokens = numbers
+    ? words.map(word => (random() < TEXT_MODIFIER_RATES.number ? generateNumber(random) : word))
+    : words;
+  if (!punctuation) return tokens.join(' ');
+
+  let sentenceStart = true;
+  return tokens.map((token, index) => {
+    let word = sentenceStart ? capitalize(token) : token;
+
+    const wrap = random();
+    if (wrap < TEXT_MODIFIER_RATES.quote) {
+      word = `"${word}"`;
+    } else if (wrap < TEXT_MODIFIER_RATES.quote + TEXT_MODIFIER_RATES.bracket) {
+      word = `(${word})`;
+    }
+
+    const isLast = index === tokens.length - 1;
+    sentenceStart = isLast || random() < TEXT_MODIFIER_RATES.sentenceEnd;
+    if (sentenceStart) {
+      word += sentenceEnding(random);
+    } else if (random() < TEXT_MODIFIER_RATES.comma) {
+      word += ',';
+    }
+    return word;
+  }).join(' ');
+}
@@ -0,0 +1,38 @@
+/**
+ * Seedable pseudo-random numbers (mulberry32). Generated tests draw from
+ * one of these instead of Math.random, so the same seed and settings
+ * always produce the same text.
+ */
+
+/**
+ * A fresh seed: an unsigned 32-bit integer
+ * @returns {number}
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+/**
+ * Random function seeded with `seed`, returning floats in [0, 1) like
+ * Math.random. Each call advances the sequence.
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Whether `value` can be used as a stored seed
+ * @param {unknown} value
+ */
+export function isValidSeed(value) {
+  return Number.isInteger(value) && value >= 0 && value < 2 ** 32;
+}
@@ -0,0 +1,105 @@
+/**
+ * User-created word lists for generated word tests.
+ *
+ * A word list definition is the JSON-friendly form uploaded from Settings
+ * and stored by the backend:
+ *
+ *   { name, words: ['...', ...], language, visibility }
+ *
+ * `visibility` is 'private' (only the owner sees the list) or 'team'
+ * (every account on the server can pick it). `language` is optional.
+ */
+
+export const WORD_LIST_LIMITS = {
+  maxNameLength: 50,
+  maxLanguageLength: 30,
+  maxWords: 20000,
+  maxWordLength: 40,
+  maxFileSize: 1000000 // bytes, for uploads
+};
+
+export const WORD_LIST_VISIBILITIES = ['private', 'team'];
+
+// Word-level problems reported before the rest are summarised
+const MAX_WORD_ISSUES = 5;
+
+/**
+ * Check a word list definition. Returns a list of problems; empty when
+ * valid. Blank and repeated words are not problems; normalizing drops them.
+ * @param {Object} definition
+ * @returns {string[]}
+ */
+export function validateWordList(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return ['Word list must be an object'];
+  }
+
+  const issues = [];
+  const { name, words, language, visibility } = definition;
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    issues.push('Word list needs a name');
+  } else if (name.trim().length > WORD_LIST_LIMITS.maxNameLength) {
+    issues.push(`Name must be at most ${WORD_LIST_LIMITS.maxNameLength} characters`);
+  }
+
+  if (language !== undefined && language !== null &&
+      (typeof language !== 'string' || language.trim().length > WORD_LIST_LIMITS.maxLanguageLength)) {
+    issues.push(`Language must be text of at most ${WORD_LIST_LIMITS.maxLanguageLength} characters`);
+  }
+
+  if (visibility !== undefined && !WORD_LIST_VISIBILITIES.includes(visibility)) {
+    issues.push(`Visibility must be one of ${WORD_LIST_VISIBILITIES.join(', ')}`);
+  }
+
+  if (!Array.isArray(words)) {
+    issues.push('words must be an array of words');
+    return issues;
+  }
+
+  const wordIssues = [];
+  const distinct = new Set();
+  words.forEach((word, index) => {
+    if (typeof word !== 'string') {
+      wordIssues.push(`Word ${index + 1} is not text`);
+      return;
+    }
+    const trimmed = word.trim();
+    if (!trimmed) return;
+    if (/\s/.test(trimmed)) {
+      wordIssues.push(`Word ${index + 1} ("${trimmed.slice(0, 20)}") contains whitespace`);
+    } else if (trimmed.length > WORD_LIST_LIMITS.maxWordLength) {
+      wordIssues.push(`Word ${index + 1} is longer than ${WORD_LIST_LIMITS.maxWordLength} characters`);
+    }
+    distinct.add(trimmed);
+  });
+
+  issues.push(...wordIssues.slice(0, MAX_WORD_ISSUES));
+  if (wordIssues.length > MAX_WORD_ISSUES) {
+    issues.push(`...and ${wordIssues.length - MAX_WORD_ISSUES} more problems with words`);
+  }
+
+  if (distinct.size === 0) {
+    issues.push('Word list has no words');
+  } else if (distinct.size > WORD_LIST_LIMITS.maxWords) {
+    issues.push(`Word list can have at most ${WORD_LIST_LIMITS.maxWords} different words (this one has ${distinct.size})`);
+  }
+
+  return issues;
+}
+
+/**
+ * Keep only the fields a definition stores: the name and language
+ * trimmed, words trimmed with blanks and repeats dropped (first
+ * occurrence kept), visibility defaulting to private. Assumes the
+ * definition is valid.
+ */
+export function normalizeWordList(definition) {
+  const words = [...new Set(definition.words.map(word => word.trim()).filter(Boolean))];
+  return {
+    name: definition.name.trim(),
+    words,
+    language: definition.language?.trim() || null,
+    visibility: definition.visibility || 'private'
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * Built-in colour themes.
+ *
+ * A theme gives a colour for every token in THEME_TOKENS. The frontend sets
+ * each one as a CSS custom property on the document (`surfaceAlt` becomes
+ * `--surface-alt`), so stylesheets, charts and heatmaps pick them up
+ * without knowing which theme is active. `mode` says whether the theme is
+ * dark or light, for native form controls and scrollbars.
+ */
+
+/**
+ * Colour tokens every theme defines, in the order the theme editor shows
+ * them.
+ */
+export const THEME_TOKENS = [
+  { key: 'bg', label: 'Page background', group: 'Surfaces' },
+  { key: 'surface', label: 'Panels', group: 'Surfaces' },
+  { key: 'surfaceAlt', label: 'Inputs and inset panels', group: 'Surfaces' },
+  { key: 'surfaceRaised', label: 'Navigation and raised panels', group: 'Surfaces' },
+  { key: 'border', label: 'Borders', group: 'Surfaces' },
+  { key: 'text', label: 'Text', group: 'Text' },
+  { key: 'textSecondary', label: 'Secondary text', group: 'Text' },
+  { key: 'textMuted', label: 'Muted text', group: 'Text' },
+  { key: 'accent', label: 'Accent', group: 'Accent and status' },
+  { key: 'accentHover', label: 'Accent (hover)', group: 'Accent and status' },
+  { key: 'onAccent', label: 'Text on accent', group: 'Accent and status' },
+  { key: 'success', label: 'Success', group: 'Accent and status' },
+  { key: 'error', label: 'Error', group: 'Accent and status' },
+  { key: 'warning', label: 'Warning', group: 'Accent and status' },
+  { key: 'info', label: 'Info', group: 'Accent and status' },
+  { key: 'highlight', label: 'Highlight', group: 'Accent and status' },
+  { key: 'charPending', label: 'Untyped characters', group: 'Typing' },
+  { key: 'charCorrect', label: 'Correct characters', group: 'Typing' },
+  { key: 'charIncorrect', label: 'Incorrect characters', group: 'Typing' },
+  { key: 'charCorrected', label: 'Corrected characters', group: 'Typing' },
+  { key: 'caret', label: 'Caret', group: 'Typing' },
+  { key: 'heatEmpty', label: 'No data', group: 'Heatmaps and charts' },
+  { key: 'heatLow', label: 'Heatmap low', group: 'Heatmaps and charts' },
+  { key: 'heatMid', label: 'Heatmap middle', group: 'Heatmaps and charts' },
+  { key: 'heatHigh', label: 'Heatmap high', group: 'Heatmaps and charts' },
+  { key: 'divergeNegative', label: 'Comparison: faster', group: 'Heatmaps and charts' },
+  { key: 'divergePositive', label: 'Comparison: slower', group: 'Heatmaps and charts' },
+  { key: 'chartAxis', label: 'Chart axes', group: 'Heatmaps and charts' },
+  { key: 'chartGrid', label: 'Chart grid lines', group: 'Heatmaps and charts' }
+];
+
+export const THEME_MODES = ['dark', 'light'];
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} id
+ * @property {string} name
+ * @property {'dark'|'light'} mode
+ * @property {Object<string, string>} colors - `#rrggbb` per token key
+ */
+
+/** @type {Object<string, Theme>} */
+export const THEMES = {
+  dark: {
+    id: 'dark',
+    name: 'Dark',
+    mode: 'dark',
+    colors: {
+      bg: '#242424',
+      surface: '#2a2a2a',
+      surfaceAlt: '#1a1a1a',
+      surfaceRaised: '#333333',
+      border: '#444444',
+      text: '#ffffff',
+      textSecondary: '#cccccc',
+      textMuted: '#888888',
+      accent: '#646cff',
+      accentHover: '#535bf2',
+      onAccent: '#ffffff',
+      success: '#4ade80',
+      error: '#f87171',
+      warning: '#f59e0b',
+      info: '#60a5fa',
+      highlight: '#c084fc',
+      charPending: '#666666',
+      charCorrect: '#e2b714',
+      charIncorrect: '#f87171',
+      charCorrected: '#fb923c',
+      caret: '#646cff',
+      heatEmpty: '#8a8a8a',
+      heatLow: '#26d926',
+      heatMid: '#d9d926',
+      heatHigh: '#d92626',
+      divergeNegative: '#1a6ee6',
+      divergePositive: '#df2020',
+      chartAxis: '#6b7280',
+      chartGrid: '#3a3a3a'
+    }
+  },
+  light: {
+    id: 'light',
+    name: 'Light',
+    mode: 'light',
+    colors: {
+      bg: '#f5f5f5',
+      surface: '#ffffff',
+      surfaceAlt: '#ececec',
+      surfaceRaised: '#e2e2e2',
+      border: '#d0d0d0',
+      text: '#1f2328',
+      textSecondary: '#444444',
+      textMuted: '#6b6b6b',
+      accent: '#4f56e0',
+      accentHover: '#3d44c9',
+      onAccent: '#ffffff',
+      success: '#15803d',
+      error: '#dc2626',
+      warning: '#b45309',
+      info: '#2563eb',
+      highlight: '#9333ea',
+      charPending: '#9a9a9a',
+      charCorrect: '#1f2328',
+      charIncorrect: '#dc2626',
+      charCorrected: '#c2410c',
+      caret: '#4f56e0',
+      heatEmpty: '#e0e0e0',
+      heatLow: '#4caf50',
+      heatMid: '#fdd835',
+      heatHigh: '#e53935',
+      divergeNegative: '#2563eb',
+      divergePositive: '#dc2626',
+      chartAxis: '#374151',
+      chartGrid: '#e5e7eb'
+    }
+  },
+  'high-contrast': {
+    id: 'high-contrast',
+    name: 'High Contrast',
+    mode: 'dark',
+    colors: {
+      bg: '#000000',
+      surface: '#000000',
+      surfaceAlt: '#0d0d0d',
+      surfaceRaised: '#1a1a1a',
+      border: '#ffffff',
+      text: '#ffffff',
+      textSecondary: '#ffffff',
+      textMuted: '#e0e0e0',
+      accent: '#ffff00',
+      accentHover: '#ffea00',
+      onAccent: '#000000',
+      success: '#00ff00',
+      error: '#ff4040',
+      warning: '#ffa500',
+      info: '#00e5ff',
+      highlight: '#ff80ff',
+      charPending: '#b0b0b0',
+      charCorrect: '#ffffff',
+      charIncorrect: '#ff4040',
+      charCorrected: '#ffa500',
+      caret: '#ffff00',
+      heatEmpty: '#bdbdbd',
+      heatLow: '#00ff00',
+      heatMid: '#ffff00',
+      heatHigh: '#ff0000',
+      divergeNegative: '#00b0ff',
+      divergePositive: '#ff0000',
+      chartAxis: '#ffffff',
+      chartGrid: '#4d4d4d'
+    }
+  },
+  ocean: {
+    id: 'ocean',
+    name: 'Ocean',
+    mode: 'dark',
+    colors: {
+      bg: '#0f1c2e',
+      surface: '#15263d',
+      surfaceAlt: '#0b1625',
+      surfaceRaised: '#1d3350',
+      border: '#2a4a70',
+      text: '#e6f1ff',
+      textSecondary: '#b4c9e4',
+      textMuted: '#7d95b5',
+      accent: '#22d3ee',
+      accentHover: '#06b6d4',
+      onAccent: '#04202a',
+      success: '#34d399',
+      error: '#fb7185',
+      warning: '#fbbf24',
+      info: '#60a5fa',
+      highlight: '#a78bfa',
+      charPending: '#4f6a8c',
+      charCorrect: '#e6f1ff',
+      charIncorrect: '#fb7185',
+      charCorrected: '#fbbf24',
+      caret: '#22d3ee',
+      heatEmpty: '#5b7394',
+      heatLow: '#2dd4bf',
+      heatMid: '#fde047',
+      heatHigh: '#f43f5e',
+      divergeNegative: '#38bdf8',
+      divergePositive: '#f43f5e',
+      chartAxis: '#7d95b5',
+      chartGrid: '#1f3654'
+    }
+  },
+  forest: {
+    id: 'forest',
+    name: 'Forest',
+    mode: 'dark',
+    colors: {
+      bg: '#1a2318',
+      surface: '#212c1f',
+      surfaceAlt: '#141b13',
+      surfaceRaised: '#2b3a28',
+      border: '#3d5238',
+      text: '#eef5e9',
+      textSecondary: '#c5d6bc',
+      textMuted: '#8fa584',
+      accent: '#8bc34a',
+      accentHover: '#7cb342',
+      onAccent: '#142010',
+      success: '#a3e635',
+      error: '#f0735a',
+      warning: '#f4c430',
+      info: '#7dd3fc',
+      highlight: '#d8b4fe',
+      charPending: '#5f7456',
+      charCorrect: '#d4e7a1',
+      charIncorrect: '#f0735a',
+      charCorrected: '#f4c430',
+      caret: '#8bc34a',
+      heatEmpty: '#7d8f76',
+      heatLow: '#65a30d',
+      heatMid: '#eab308',
+      heatHigh: '#dc2626',
+      divergeNegative: '#0ea5e9',
+      divergePositive: '#dc2626',
+      chartAxis: '#8fa584',
+      chartGrid: '#2f3f2c'
+    }
+  },
+  sunset: {
+    id: 'sunset',
+    name: 'Sunset',
+    mode: 'dark',
+    colors: {
+      bg: '#2b1b2e',
+      surface: '#36223a',
+      surfaceAlt: '#211523',
+      surfaceRaised: '#432a47',
+      border: '#5e3b63',
+      text: '#fff1e6',
+      textSecondary: '#f3cfc6',
+      textMuted: '#c0939a',
+      accent: '#ff7a59',
+      accentHover: '#ff5e3a',
+      onAccent: '#2b1b2e',
+      success: '#9be15d',
+      error: '#ff4f70',
+      warning: '#ffc145',
+      info: '#7cc6fe',
+      highlight: '#e3a6ff',
+      charPending: '#7c5a6b',
+      charCorrect: '#ffc145',
+      charIncorrect: '#ff4f70',
+      charCorrected: '#ff9f43',
+      caret: '#ff7a59',
+      heatEmpty: '#8a6c80',
+      heatLow: '#9be15d',
+      heatMid: '#ffc145',
+      heatHigh: '#ff4f70',
+      divergeNegative: '#7cc6fe',
+      divergePositive: '#ff4f70',
+      chartAxis: '#c0939a',
+      chartGrid: '#4a2f4f'
+    }
+  },
+  lavender: {
+    id: 'lavender',
+    name: 'Lavender',
+    mode: 'light',
+    colors: {
+      bg: '#f4f0fa',
+      surface: '#ffffff',
+      surfaceAlt: '#ebe4f5',
+      surfaceRaised: '#e0d6f0',
+      border: '#cbbde3',
+      text: '#2d1f47',
+      textSecondary: '#4f3f6e',
+      textMuted: '#7a6a96',
+      accent: '#7c3aed',
+      accentHover: '#6d28d9',
+      onAccent: '#ffffff',
+      success: '#16a34a',
+      error: '#e11d48',
+      warning: '#d97706',
+      info: '#2563eb',
+      highlight: '#c026d3',
+      charPending: '#a99cc2',
+      charCorrect: '#2d1f47',
+      charIncorrect: '#e11d48',
+      charCorrected: '#d97706',
+      caret: '#7c3aed',
+      heatEmpty: '#e0d6f0',
+      heatLow: '#34d399',
+      heatMid: '#facc15',
+      heatHigh: '#f43f5e',
+      divergeNegative: '#6366f1',
+      divergePositive: '#f43f5e',
+      chartAxis: '#4f3f6e',
+      chartGrid: '#e6def2'
+    }
+  }
+};
+
+export const DEFAULT_THEME_ID = 'dark';
+
+/**
+ * Look up a built-in theme by id, falling back to the dark theme.
+ * @param {string} [themeId]
+ * @returns {Theme}
+ */
+export function getTheme(themeId) {
+  return THEMES[themeId] || THEMES[DEFAULT_THEME_ID];
+}
@@ -0,0 +1,102 @@
+/**
+ * User-defined colour themes.
+ *
+ * A theme definition is the JSON-friendly form made in the theme editor
+ * and stored by the backend:
+ *
+ *   { name, mode: 'dark' | 'light', colors: { bg: '#242424', ... } }
+ *
+ * `colors` needs a `#rrggbb` value for every token in THEME_TOKENS.
+ */
+
+import { THEME_TOKENS, THEME_MODES, getTheme } from './builtins.js';
+
+export const CUSTOM_THEME_LIMITS = {
+  maxNameLength: 50
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Check a theme definition. Returns a list of problems; empty when valid.
+ * Colours for tokens the app doesn't know are ignored.
+ * @param {Object} definition
+ * @returns {string[]}
+ */
+export function validateThemeDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return ['Theme must be an object'];
+  }
+
+  const issues = [];
+  const { name, mode, colors } = definition;
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    issues.push('Theme needs a name');
+  } else if (name.trim().length > CUSTOM_THEME_LIMITS.maxNameLength) {
+    issues.push(`Name must be at most ${CUSTOM_THEME_LIMITS.maxNameLength} characters`);
+  }
+
+  if (!THEME_MODES.includes(mode)) {
+    issues.push(`Mode must be one of ${THEME_MODES.join(', ')}`);
+  }
+
+  if (!colors || typeof colors !== 'object') {
+    issues.push('Theme needs colors');
+    return issues;
+  }
+
+  THEME_TOKENS.forEach(({ key, label }) => {
+    if (typeof colors[key] !== 'string' || !HEX_COLOR_PATTERN.test(colors[key])) {
+      issues.push(`${label} (${key}) must be a colour like #1a2b3c`);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Keep only the fields a definition stores: the name trimmed and one
+ * lowercase colour per known token. Assumes the definition is valid.
+ */
+export function normalizeThemeDefinition(definition) {
+  return {
+    name: definition.name.trim(),
+    mode: definition.mode,
+    colors: Object.fromEntries(THEME_TOKENS.map(({ key }) => [key, definition.colors[key].toLowerCase()]))
+  };
+}
+
+/**
+ * Editable definition of an existing theme, as a starting point for a
+ * custom one.
+ * @param {import('./builtins.js').Theme} theme
+ */
+export function toThemeDefinition(theme) {
+  return {
+    name: theme.name,
+    mode: theme.mode,
+    colors: { ...theme.colors }
+  };
+}
+
+/**
+ * Look up a theme id among a user's custom themes, then the built-in ones
+ * (falling back to the dark theme).
+ * @param {string} [themeId]
+ * @param {{ themeId: string, name: string, mode: string, colors: Object }[]} [customThemes]
+ * @returns {import('./builtins.js').Theme}
+ */
+export function resolveTheme(themeId, customThemes = []) {
+  const custom = (customThemes || []).find(theme => theme.themeId === themeId);
+  if (!custom) return getTheme(themeId);
+  return {
+    id: custom.themeId,
+    name: custom.name,
+    mode: custom.mode,
+    // Colours added to the app after the theme was saved come from the
+    // built-in theme of the same mode
+    colors: { ...getTheme(custom.mode).colors, ...custom.colors },
+    custom: true
+  };
+}
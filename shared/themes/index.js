@@ -0,0 +1,12 @@
+/**
+ * Colour themes for Typr Omicron.
+ *
+ * Framework-free ES module: the built-in themes and the colour tokens they
+ * define, used by the frontend to style the app, validation for the themes
+ * users create, used by both the theme editor and the backend, and the
+ * colour-blind-safe palettes for heatmaps and charts.
+ */
+
+export * from './builtins.js';
+export * from './customThemes.js';
+export * from './palettes.js';
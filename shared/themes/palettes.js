@@ -0,0 +1,89 @@
+/**
+ * Data colour palettes for heatmaps and charts.
+ *
+ * By default heatmaps and charts use the active theme's colours, whose
+ * green-to-red heat scale is hard to read with red-green colour blindness.
+ * A palette replaces just those colours, whatever the theme: the heat
+ * scale (`heatLow` -> `heatMid` -> `heatHigh`), the diverging comparison
+ * colours and the chart series.
+ *
+ * The sequential scales are sampled from the perceptually uniform viridis
+ * and cividis colour maps; chart series use the Okabe-Ito colours, which
+ * stay distinct for the common kinds of colour blindness.
+ */
+
+// Okabe-Ito colours for chart lines and markers
+const SAFE_SERIES = {
+  seriesPrimary: '#56b4e9',
+  seriesSecondary: '#e69f00',
+  seriesTertiary: '#cc79a7',
+  seriesError: '#d55e00'
+};
+
+/**
+ * @typedef {Object} ColorPalette
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {Object<string, string>} [colors] - Theme tokens the palette
+ *   replaces; none for the theme's own colours
+ */
+
+/** @type {Object<string, ColorPalette>} */
+export const COLOR_PALETTES = {
+  theme: {
+    id: 'theme',
+    name: 'Theme colours',
+    description: 'Heatmaps and charts use the theme\'s own colours (green to red in the dark theme).'
+  },
+  viridis: {
+    id: 'viridis',
+    name: 'Viridis',
+    description: 'Purple through teal to yellow. Readable with any kind of colour blindness and in greyscale.',
+    colors: {
+      heatLow: '#440154',
+      heatMid: '#21918c',
+      heatHigh: '#fde725',
+      divergeNegative: '#3b528b',
+      divergePositive: '#fde725',
+      ...SAFE_SERIES
+    }
+  },
+  cividis: {
+    id: 'cividis',
+    name: 'Cividis',
+    description: 'Navy through grey to yellow, designed to look the same with and without red-green colour blindness.',
+    colors: {
+      heatLow: '#00204d',
+      heatMid: '#7c7b78',
+      heatHigh: '#ffea46',
+      divergeNegative: '#2f5597',
+      divergePositive: '#ffea46',
+      ...SAFE_SERIES
+    }
+  },
+  'blue-orange': {
+    id: 'blue-orange',
+    name: 'Blue-orange',
+    description: 'Blue for low values and orange for high ones, with a light middle. Also used for comparisons.',
+    colors: {
+      heatLow: '#2166ac',
+      heatMid: '#f7f7f7',
+      heatHigh: '#e66101',
+      divergeNegative: '#2166ac',
+      divergePositive: '#e66101',
+      ...SAFE_SERIES
+    }
+  }
+};
+
+export const DEFAULT_PALETTE_ID = 'theme';
+
+/**
+ * Look up a palette by id, falling back to the theme's own colours.
+ * @param {string} [paletteId]
+ * @returns {ColorPalette}
+ */
+export function getPalette(paletteId) {
+  return COLOR_PALETTES[paletteId] || COLOR_PALETTES[DEFAULT_PALETTE_ID];
+}